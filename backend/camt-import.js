@@ -0,0 +1,365 @@
+/**
+ * CAMT Import Module for ISO 20022 bank statements
+ * Parses CAMT.053 (statement) and CAMT.052 (account report) XML files
+ * exported by most EU banks (UniCredit Bulbank, Fibank, Postbank, ...)
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const crypto = require('crypto');
+const logger = require('./logger');
+const exchangeRates = require('./exchange-rates');
+const { extractCountryFromCounterparty } = require('./country-codes');
+
+// Balance types used for the completeness check
+const OPENING_BALANCE_TYPES = ['OPBD', 'PRCD'];
+const CLOSING_BALANCE_TYPES = ['CLBD'];
+
+/**
+ * Parse CAMT.053 / CAMT.052 XML and extract statements with their entries
+ * @param {string} xmlContent - Raw XML content
+ * @returns {Array} Array of statements { iban, accountNumber, currency, openingBalance, closingBalance, transactions, pendingCount }
+ */
+function parseCamtXml(xmlContent) {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '@_',
+        textNodeName: '#text',
+        parseTagValue: false,
+        trimValues: true,
+        removeNSPrefix: true,
+        isArray: (name) => ['Stmt', 'Rpt', 'Bal', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd'].includes(name)
+    });
+
+    const parsed = parser.parse(xmlContent);
+    const document = parsed.Document || {};
+
+    let statements = [];
+    if (document.BkToCstmrStmt) {
+        statements = document.BkToCstmrStmt.Stmt || [];
+    } else if (document.BkToCstmrAcctRpt) {
+        statements = document.BkToCstmrAcctRpt.Rpt || [];
+    } else {
+        throw new Error('Файлът не е CAMT.053 или CAMT.052 извлечение');
+    }
+
+    return statements.map(statement => parseStatement(statement));
+}
+
+/**
+ * Parse a single Stmt / Rpt element
+ * @param {Object} statement - Parsed XML statement object
+ * @returns {Object} Normalized statement
+ */
+function parseStatement(statement) {
+    const account = statement.Acct || {};
+    const accountId = account.Id || {};
+    const balances = statement.Bal || [];
+
+    const findBalance = (types) => {
+        const balance = balances.find(bal => types.includes(bal.Tp?.CdOrPrtry?.Cd));
+        return balance ? signedAmount(balance.Amt, balance.CdtDbtInd) : null;
+    };
+
+    const transactions = [];
+    let pendingCount = 0;
+    let bookedTotal = 0;
+
+    for (const entry of statement.Ntry || []) {
+        // Only booked entries are imported, pending and informational ones can still change
+        const status = typeof entry.Sts === 'object' ? entry.Sts.Cd : entry.Sts;
+        if (status && status !== 'BOOK') {
+            pendingCount++;
+            continue;
+        }
+
+        bookedTotal += signedAmount(entry.Amt, entry.CdtDbtInd);
+        transactions.push(...parseEntry(entry));
+    }
+
+    logger.info(`[CAMT Import] Statement ${statement.Id || ''}: ${transactions.length} transactions, ${pendingCount} not booked`);
+
+    return {
+        id: statement.Id || null,
+        iban: accountId.IBAN ? String(accountId.IBAN).replace(/\s/g, '').toUpperCase() : null,
+        accountNumber: accountId.Othr?.Id || null,
+        currency: account.Ccy || null,
+        openingBalance: findBalance(OPENING_BALANCE_TYPES),
+        closingBalance: findBalance(CLOSING_BALANCE_TYPES),
+        bookedTotal: roundAmount(bookedTotal),
+        pendingCount,
+        transactions
+    };
+}
+
+/**
+ * Parse a single Ntry element
+ * An entry with several TxDtls (batch booking) is split into one transaction per TxDtls
+ * @param {Object} entry - Parsed XML entry object
+ * @returns {Array} Array of normalized transactions
+ */
+function parseEntry(entry) {
+    const details = (entry.NtryDtls || []).flatMap(ntryDtls => ntryDtls.TxDtls || []);
+    const bookingDate = parseDate(entry.BookgDt);
+    const transactionDate = parseDate(entry.ValDt) || bookingDate;
+    const entryCurrency = entry.Amt?.['@_Ccy'] || null;
+
+    if (details.length === 0) {
+        return [{
+            transactionDate,
+            bookingDate,
+            description: cleanText(entry.AddtlNtryInf),
+            amount: signedAmount(entry.Amt, entry.CdtDbtInd),
+            currency: entryCurrency,
+            counterpartyName: '',
+            counterpartyIban: null,
+            reference: entry.AcctSvcrRef || null,
+            rawEntry: entry
+        }];
+    }
+
+    return details.map((txDtls, index) => {
+        const isDebit = (txDtls.CdtDbtInd || entry.CdtDbtInd) === 'DBIT';
+
+        // Single TxDtls may omit its own amount, the entry amount applies then
+        const txAmount = txDtls.Amt || txDtls.AmtDtls?.TxAmt?.Amt;
+        const amount = details.length === 1 || !txAmount
+            ? signedAmount(entry.Amt, entry.CdtDbtInd)
+            : signedAmount(txAmount, isDebit ? 'DBIT' : 'CRDT');
+
+        // Counterparty is the creditor of outgoing and the debtor of incoming payments
+        const parties = txDtls.RltdPties || {};
+        const party = isDebit ? parties.Cdtr : parties.Dbtr;
+        const partyAccount = isDebit ? parties.CdtrAcct : parties.DbtrAcct;
+
+        const refs = txDtls.Refs || {};
+        const endToEndId = refs.EndToEndId && refs.EndToEndId !== 'NOTPROVIDED' ? refs.EndToEndId : null;
+        let reference = refs.AcctSvcrRef || endToEndId;
+        if (!reference && entry.AcctSvcrRef) {
+            reference = details.length > 1 ? `${entry.AcctSvcrRef}/${index + 1}` : entry.AcctSvcrRef;
+        }
+
+        return {
+            transactionDate,
+            bookingDate,
+            description: extractRemittanceInfo(txDtls) || cleanText(txDtls.AddtlTxInf) || cleanText(entry.AddtlNtryInf),
+            amount,
+            currency: (details.length === 1 || !txAmount ? entryCurrency : txAmount['@_Ccy']) || entryCurrency,
+            counterpartyName: cleanText(party?.Nm || party?.Pty?.Nm),
+            counterpartyIban: partyAccount?.Id?.IBAN || null,
+            reference,
+            rawEntry: { ...entry, NtryDtls: { TxDtls: txDtls } }
+        };
+    });
+}
+
+/**
+ * Get description from remittance information (unstructured lines or structured creditor reference)
+ * @param {Object} txDtls - Parsed XML TxDtls object
+ * @returns {string} Remittance text
+ */
+function extractRemittanceInfo(txDtls) {
+    const rmtInf = txDtls.RmtInf;
+    if (!rmtInf) return '';
+
+    if (rmtInf.Ustrd) {
+        return cleanText(rmtInf.Ustrd.map(line => cleanText(line)).join(' '));
+    }
+
+    const structured = Array.isArray(rmtInf.Strd) ? rmtInf.Strd[0] : rmtInf.Strd;
+    return cleanText(structured?.CdtrRefInf?.Ref);
+}
+
+/**
+ * Convert amount element and credit/debit indicator to a signed number
+ * @param {Object|string} amt - Amt element (text with Ccy attribute)
+ * @param {string} indicator - CRDT or DBIT
+ * @returns {number} Signed amount (negative for DBIT)
+ */
+function signedAmount(amt, indicator) {
+    const value = typeof amt === 'object' && amt !== null ? amt['#text'] : amt;
+    const amount = Math.abs(parseFloat(value) || 0);
+    return indicator === 'DBIT' ? -amount : amount;
+}
+
+/**
+ * Get YYYY-MM-DD date from a Dt / DtTm choice element
+ * @param {Object} dateElement - Parsed date element
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function parseDate(dateElement) {
+    if (!dateElement) return null;
+    const value = dateElement.Dt || dateElement.DtTm;
+    return value ? String(value).substring(0, 10) : null;
+}
+
+/**
+ * Normalize free text values (whitespace, objects from the XML parser)
+ * @param {string|Object} text - Raw text
+ * @returns {string} Cleaned text
+ */
+function cleanText(text) {
+    if (text === undefined || text === null) return '';
+    const textStr = typeof text === 'object' ? (text['#text'] || '') : text;
+    return String(textStr).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Round amount to 2 decimals (avoids floating point noise when summing)
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Generate a unique transaction ID
+ * Uses the bank reference (AcctSvcrRef / EndToEndId) when present, otherwise the key fields
+ * @param {Object} transaction - Parsed transaction
+ * @param {string} accountKey - Statement IBAN or account number
+ * @returns {string} Unique ID in format CAMT_XXXXXXXXXXXXXXXX
+ */
+function generateTransactionId(transaction, accountKey) {
+    const hashInput = transaction.reference
+        ? [accountKey, transaction.reference].join('|')
+        : [
+            accountKey,
+            transaction.bookingDate,
+            transaction.description,
+            transaction.amount.toFixed(2),
+            transaction.counterpartyName
+        ].join('|');
+
+    const hash = crypto.createHash('md5').update(hashInput).digest('hex');
+    return `CAMT_${hash.substring(0, 16).toUpperCase()}`;
+}
+
+/**
+ * Check that opening balance + booked entries = closing balance for each statement
+ * @param {Array} statements - Parsed statements
+ * @returns {Array} Warning messages
+ */
+function checkBalances(statements) {
+    const warnings = [];
+
+    for (const statement of statements) {
+        const label = statement.id || statement.iban || '';
+
+        if (statement.openingBalance === null || statement.closingBalance === null) {
+            // CAMT.052 intraday reports usually have no balances
+            continue;
+        }
+
+        const expected = roundAmount(statement.openingBalance + statement.bookedTotal);
+        if (Math.abs(expected - statement.closingBalance) > 0.005) {
+            warnings.push(
+                `Извлечение ${label}: начално салдо ${statement.openingBalance.toFixed(2)} + движения ${statement.bookedTotal.toFixed(2)} = ${expected.toFixed(2)}, ` +
+                `а крайното салдо е ${statement.closingBalance.toFixed(2)} ${statement.currency || ''}. Файлът може да е непълен.`
+            );
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * Process CAMT content and prepare transactions for import
+ * @param {string} xmlContent - Raw XML content
+ * @param {Object} account - Target account row
+ * @returns {Object} { transactions, warnings }
+ */
+async function processCamtForImport(xmlContent, account) {
+    const converter = await exchangeRates.createConverter();
+    const statements = parseCamtXml(xmlContent);
+    const warnings = checkBalances(statements);
+    const transactions = [];
+
+    const accountIban = account.iban ? account.iban.replace(/\s/g, '').toUpperCase() : null;
+
+    for (const statement of statements) {
+        if (accountIban && statement.iban && statement.iban !== accountIban) {
+            warnings.push(`Извлечението е за IBAN ${statement.iban}, а избраната сметка е с IBAN ${accountIban}`);
+        }
+        if (statement.pendingCount > 0) {
+            warnings.push(`Пропуснати ${statement.pendingCount} неосчетоводени движения`);
+        }
+
+        const accountKey = statement.iban || statement.accountNumber || account.id;
+
+        for (const tx of statement.transactions) {
+            const currency = tx.currency || statement.currency || 'EUR';
+
+            // Convert currency to EUR with the ECB rate for the transaction date
+            const { amount, originalAmount, originalCurrency, exchangeRate } = converter.convert(tx.amount, currency, tx.transactionDate);
+
+            transactions.push({
+                id: generateTransactionId(tx, accountKey),
+                transactionDate: tx.transactionDate,
+                bookingDate: tx.bookingDate,
+                description: tx.description,
+                amount,
+                originalAmount,
+                originalCurrency,
+                exchangeRate,
+                currency: 'EUR',
+                counterpartyName: tx.counterpartyName,
+                counterpartyIban: tx.counterpartyIban,
+                accountId: account.id,
+                rawData: JSON.stringify(tx.rawEntry),
+                country: extractCountryFromCounterparty(tx.counterpartyName)
+            });
+        }
+    }
+
+    warnings.push(...converter.getWarnings());
+    warnings.forEach(warning => logger.warn(`[CAMT Import] ${warning}`));
+
+    return { transactions, warnings };
+}
+
+/**
+ * Score how likely the content is a CAMT.053 / CAMT.052 file
+ * @param {string} content - Raw file content
+ * @returns {number} Confidence between 0 and 1
+ */
+function detectCamtXml(content) {
+    const head = String(content || '').replace(/^\uFEFF/, '').trimStart().substring(0, 4000);
+    if (!head.startsWith('<')) return 0;
+
+    if (/camt\.05[23]/.test(head) && /<(\w+:)?(BkToCstmrStmt|BkToCstmrAcctRpt)[\s>]/.test(head)) return 0.98;
+    if (/<(\w+:)?(BkToCstmrStmt|BkToCstmrAcctRpt)[\s>]/.test(head)) return 0.9;
+    if (/camt\.05[23]/.test(head)) return 0.7;
+    return 0;
+}
+
+/**
+ * Extract the statement account IBAN / number from a CAMT file
+ * @param {string} xmlContent - Raw XML content
+ * @returns {Object} { iban, accountNumber }
+ */
+function extractAccountIdentifiers(xmlContent) {
+    const [statement] = parseCamtXml(xmlContent);
+    return {
+        iban: statement ? statement.iban : null,
+        accountNumber: statement ? statement.accountNumber : null
+    };
+}
+
+// Importer definition for the importer registry
+const importer = {
+    name: 'camt',
+    label: 'ISO 20022 CAMT.053 / CAMT.052',
+    extensions: ['.xml'],
+    options: [],
+    detect: detectCamtXml,
+    extractAccountIdentifiers,
+    process: (content, account) => processCamtForImport(content, account)
+};
+
+module.exports = {
+    parseCamtXml,
+    generateTransactionId,
+    processCamtForImport,
+    detectCamtXml,
+    importer
+};
@@ -1,76 +1,540 @@
 const database = require('./database');
+const classifier = require('./classifier');
 const logger = require('./logger');
 
+// Condition fields of categorization rules
+const TEXT_FIELDS = ['text', 'description', 'counterparty', 'iban'];
+const TEXT_OPERATORS = ['contains', 'equals', 'starts_with', 'regex'];
+const CONDITION_FIELDS = [...TEXT_FIELDS, 'amount', 'direction', 'account', 'day_of_month', 'weekday'];
+
+/**
+ * Get the conditions of a rule
+ * Rules from before the conditions column only have a pattern - "|"-separated substrings of description and counterparty
+ * @param {Object} rule - Rule row
+ * @returns {Array} - Array of conditions
+ */
+function getRuleConditions(rule) {
+  if (Array.isArray(rule.conditions)) return rule.conditions;
+
+  if (rule.conditions) {
+    try {
+      return JSON.parse(rule.conditions);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  return rule.pattern ? [{ field: 'text', operator: 'contains', value: rule.pattern }] : [];
+}
+
+/**
+ * Read the values rules can check from an imported (camelCase) or stored (snake_case) transaction
+ * @param {Object} transaction - Transaction object or row
+ * @returns {Object} - { description, counterparty, iban, rawData, amount, accountId, date }
+ */
+function getTransactionFields(transaction) {
+  return {
+    description: transaction.description || '',
+    counterparty: transaction.counterpartyName || transaction.counterparty_name || '',
+    iban: transaction.counterpartyIban || transaction.counterparty_iban || '',
+    rawData: transaction.rawData || transaction.raw_data || '',
+    amount: Number(transaction.amount) || 0,
+    accountId: transaction.accountId || transaction.account_id || null,
+    date: transaction.transactionDate || transaction.transaction_date || null
+  };
+}
+
+/**
+ * Check a text condition
+ * contains, equals and starts_with accept "|"-separated alternatives and ignore case
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} fields - Transaction fields
+ * @returns {Boolean} - True if the text matches
+ */
+function matchText(condition, fields) {
+  let text;
+  if (condition.field === 'description') {
+    text = fields.description;
+  } else if (condition.field === 'counterparty') {
+    text = fields.counterparty;
+  } else if (condition.field === 'iban') {
+    // Not every source stores the counterparty IBAN separately, the raw bank data usually has it
+    text = (fields.iban || fields.rawData).replace(/\s/g, '');
+  } else {
+    text = `${fields.description} ${fields.counterparty}`;
+  }
+
+  if (condition.operator === 'regex') {
+    try {
+      return new RegExp(condition.value, 'i').test(text);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  const upperText = text.toUpperCase().trim();
+  const alternatives = String(condition.value || '')
+    .split('|')
+    .map(value => (condition.field === 'iban' ? value.replace(/\s/g, '') : value.trim()).toUpperCase())
+    .filter(Boolean);
+
+  return alternatives.some(value => {
+    if (condition.operator === 'equals') return upperText === value;
+    if (condition.operator === 'starts_with') return upperText.startsWith(value);
+    return upperText.includes(value);
+  });
+}
+
+/**
+ * Check if a value is within an inclusive range - a missing bound is open
+ * A day-of-month window with min greater than max wraps around the month end (e.g. 28-3)
+ * @param {Number} value - Value to check
+ * @param {Object} condition - { min, max }
+ * @param {Boolean} wrap - Allow wrapping ranges
+ * @returns {Boolean} - True if the value is in range
+ */
+function inRange(value, condition, wrap = false) {
+  const min = condition.min === undefined || condition.min === null || condition.min === '' ? null : Number(condition.min);
+  const max = condition.max === undefined || condition.max === null || condition.max === '' ? null : Number(condition.max);
+
+  if (wrap && min !== null && max !== null && min > max) {
+    return value >= min || value <= max;
+  }
+
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * Check one rule condition against a transaction
+ * @param {Object} condition - Condition
+ * @param {Object} fields - Transaction fields
+ * @returns {Boolean} - True if the condition matches
+ */
+function matchCondition(condition, fields) {
+  switch (condition.field) {
+    case 'amount':
+      // Ranges are on the absolute EUR amount, the sign is checked by the direction condition
+      return inRange(Math.abs(fields.amount), condition);
+    case 'direction':
+      return condition.value === 'income' ? fields.amount > 0 : fields.amount < 0;
+    case 'account':
+      return fields.accountId === condition.value;
+    case 'day_of_month':
+      return !!fields.date && inRange(parseInt(fields.date.substring(8, 10)), condition, true);
+    case 'weekday': {
+      if (!fields.date) return false;
+      // 1 = Monday ... 7 = Sunday
+      const weekday = new Date(`${fields.date.substring(0, 10)}T00:00:00Z`).getUTCDay() || 7;
+      return (condition.values || []).map(Number).includes(weekday);
+    }
+    default:
+      return matchText(condition, fields);
+  }
+}
+
+/**
+ * Check if a rule matches a transaction
+ * All conditions must match, or any of them when the rule's match type is "any"
+ * @param {Object} rule - Rule row
+ * @param {Object} transaction - Transaction object or row
+ * @returns {Boolean} - True if the rule matches
+ */
+function matchesRule(rule, transaction) {
+  const conditions = getRuleConditions(rule);
+  if (conditions.length === 0) return false;
+
+  const fields = getTransactionFields(transaction);
+  return rule.match_type === 'any'
+    ? conditions.some(condition => matchCondition(condition, fields))
+    : conditions.every(condition => matchCondition(condition, fields));
+}
+
+/**
+ * Validate rule conditions sent by the client
+ * @param {String} matchType - 'all' or 'any'
+ * @param {Array} conditions - Array of conditions
+ * @returns {String|null} - Error message or null if valid
+ */
+function validateConditions(matchType, conditions) {
+  if (matchType && !['all', 'any'].includes(matchType)) {
+    return 'Невалиден начин на комбиниране на условията';
+  }
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return 'Правилото трябва да има поне едно условие';
+  }
+
+  for (const condition of conditions) {
+    if (!CONDITION_FIELDS.includes(condition.field)) {
+      return `Непознато поле на условие: ${condition.field}`;
+    }
+
+    if (TEXT_FIELDS.includes(condition.field)) {
+      if (!TEXT_OPERATORS.includes(condition.operator)) {
+        return `Непознат оператор: ${condition.operator}`;
+      }
+      if (!condition.value || !String(condition.value).trim()) {
+        return 'Въведете текст за търсене';
+      }
+      if (condition.operator === 'regex') {
+        try {
+          new RegExp(condition.value, 'i');
+        } catch (e) {
+          return `Невалиден регулярен израз: ${e.message}`;
+        }
+      }
+    } else if (condition.field === 'amount' || condition.field === 'day_of_month') {
+      const bounds = [condition.min, condition.max].filter(value => value !== undefined && value !== null && value !== '');
+      if (bounds.length === 0 || bounds.some(value => isNaN(Number(value)))) {
+        return condition.field === 'amount' ? 'Въведете минимална и/или максимална сума' : 'Въведете дни от месеца';
+      }
+      if (condition.field === 'amount' && bounds.length === 2 && Number(condition.min) > Number(condition.max)) {
+        return 'Минималната сума е по-голяма от максималната';
+      }
+      if (condition.field === 'day_of_month' && bounds.some(value => Number(value) < 1 || Number(value) > 31)) {
+        return 'Дните от месеца са между 1 и 31';
+      }
+    } else if (condition.field === 'direction') {
+      if (!['income', 'expense'].includes(condition.value)) {
+        return 'Посоката е приход или разход';
+      }
+    } else if (condition.field === 'account') {
+      if (!condition.value) {
+        return 'Изберете сметка';
+      }
+    } else if (condition.field === 'weekday') {
+      const values = Array.isArray(condition.values) ? condition.values.map(Number) : [];
+      if (values.length === 0 || values.some(value => !(value >= 1 && value <= 7))) {
+        return 'Изберете поне един ден от седмицата';
+      }
+    }
+  }
+
+  return null;
+}
+
 /**
- * Automatically categorize a transaction based on rules
- * @param {Object} transaction - Transaction object with description and counterpartyName
- * @returns {Number|null} - Category ID or null if no match
+ * Get the actions of a rule besides setting the category
+ * @param {Object} rule - Rule row
+ * @returns {Object} - { counterpartyAlias, notes, tags, country, internalTransfer, excludeFromReports }
  */
-async function categorizeTransaction(transaction) {
+function getRuleActions(rule) {
+  if (rule.actions && typeof rule.actions === 'object') return rule.actions;
+
   try {
-    // Get all active categorization rules
-    const rules = await database.getAllCategorizationRules();
+    return JSON.parse(rule.actions || '{}') || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Validate rule actions sent by the client
+ * @param {Object} actions - Rule actions
+ * @returns {String|null} - Error message or null if valid
+ */
+function validateActions(actions) {
+  if (actions === undefined || actions === null) return null;
+  if (typeof actions !== 'object' || Array.isArray(actions)) {
+    return 'Невалидни действия на правилото';
+  }
+  if (actions.country && !/^[A-Z]{2}$/.test(actions.country)) {
+    return 'Държавата трябва да е двубуквен код (напр. BG)';
+  }
+  if (actions.tags !== undefined && !Array.isArray(actions.tags)) {
+    return 'Етикетите трябва да са списък';
+  }
+
+  return null;
+}
+
+/**
+ * Join comma-separated tags with new ones, without duplicates
+ * @param {String} existing - Current tags
+ * @param {Array} added - Tags to add
+ * @returns {String|null} - Comma-separated tags
+ */
+function mergeTags(existing, added) {
+  const tags = [...(existing || '').split(','), ...(added || [])]
+    .map(tag => String(tag).trim())
+    .filter((tag, index, all) => tag && all.indexOf(tag) === index);
 
-    // Filter only active rules
-    const activeRules = rules.filter(rule => rule.active);
+  return tags.length > 0 ? tags.join(', ') : null;
+}
 
-    // Sort by priority (highest first)
-    activeRules.sort((a, b) => b.priority - a.priority);
+/**
+ * Run the first matching rule on a transaction and apply all of its actions
+ * The same pipeline is used by file import, bank sync and re-categorization, so a transaction
+ * ends up the same no matter where it came from. The transaction object (camelCase) is updated in place,
+ * a counterparty display name is saved as a counterparty alias.
+ * @param {Object} transaction - Transaction object
+ * @param {Array} rules - Active rules (loaded when not given)
+ * @param {Object} options - { saveAliases } - false for dry-runs that must not write anything
+ * @returns {Object|null} - Matched rule or null
+ */
+async function applyRuleActions(transaction, rules = null, options = {}) {
+  const activeRules = rules || await getActiveRules();
+  const rule = activeRules.find(candidate => matchesRule(candidate, transaction));
+  if (!rule) return null;
 
-    // Build search text from description and counterparty
-    const searchText = [
-      transaction.description || '',
-      transaction.counterpartyName || ''
-    ].join(' ').toUpperCase();
+  const actions = getRuleActions(rule);
+  transaction.categoryId = rule.category_id;
+  transaction.ruleId = rule.id;
 
-    // Try to match each rule
+  if (actions.internalTransfer) {
+    transaction.categoryId = await database.getInternalTransferCategoryId() || rule.category_id;
+    transaction.isInternalTransfer = true;
+  }
+
+  if (actions.notes) {
+    const notes = (transaction.notes || '').trim();
+    transaction.notes = notes.includes(actions.notes) ? notes : [notes, actions.notes].filter(Boolean).join('\n');
+  }
+
+  if (actions.tags && actions.tags.length > 0) {
+    transaction.tags = mergeTags(transaction.tags, actions.tags);
+  }
+
+  if (actions.country) {
+    transaction.country = actions.country;
+  }
+
+  if (actions.excludeFromReports) {
+    transaction.excludeFromReports = true;
+  }
+
+  if (actions.counterpartyAlias && transaction.counterpartyName && options.saveAliases !== false) {
+    const alias = await database.getCounterpartyAlias(transaction.counterpartyName);
+    if (!alias || alias.display_name !== actions.counterpartyAlias) {
+      await database.createCounterpartyAlias(transaction.counterpartyName, actions.counterpartyAlias);
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Get the active categorization rules, highest priority first
+ * @returns {Array} - Array of rule rows
+ */
+async function getActiveRules() {
+  const rules = await database.getAllCategorizationRules();
+  return rules
+    .filter(rule => rule.active)
+    .sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Test a draft rule against all stored transactions before saving it
+ * Every match shows whether the category would change, or which higher-priority rule wins instead.
+ * Active rules with the same priority that match the same transactions are listed as overlaps -
+ * between them the order is effectively random.
+ * @param {Object} draft - { id, categoryId, priority, matchType, conditions } (id is set when editing a rule)
+ * @param {Number} limit - Maximum number of matches returned (counts include all)
+ * @returns {Object} - { total, changes, unchanged, shadowed, matches, higherRules, overlaps }
+ */
+async function testRule(draft, limit = 500) {
+  const rule = {
+    id: draft.id || null,
+    category_id: draft.categoryId ? Number(draft.categoryId) : null,
+    priority: Number(draft.priority) || 0,
+    match_type: draft.matchType || 'all',
+    conditions: draft.conditions
+  };
+
+  const otherRules = (await getActiveRules()).filter(other => other.id !== rule.id);
+  const higherRules = otherRules.filter(other => other.priority > rule.priority);
+  const equalRules = otherRules.filter(other => other.priority === rule.priority);
+
+  const transactions = await database.getTransactionsForRuleTest();
+  const counts = { change: 0, unchanged: 0, shadowed: 0 };
+  let total = 0;
+  const matches = [];
+  const winners = new Map();
+  const overlaps = new Map();
+
+  for (const transaction of transactions) {
+    if (!matchesRule(rule, transaction)) continue;
+    total++;
+
+    const winner = higherRules.find(other => matchesRule(other, transaction));
+    let status;
+    if (winner) {
+      status = 'shadowed';
+      const entry = winners.get(winner.id) || { ruleId: winner.id, categoryName: winner.category_name, categoryColor: winner.category_color, count: 0 };
+      entry.count++;
+      winners.set(winner.id, entry);
+    } else {
+      status = transaction.category_id === rule.category_id ? 'unchanged' : 'change';
+
+      for (const other of equalRules) {
+        if (!matchesRule(other, transaction)) continue;
+        const entry = overlaps.get(other.id) || {
+          ruleId: other.id,
+          categoryName: other.category_name,
+          categoryColor: other.category_color,
+          sameCategory: other.category_id === rule.category_id,
+          count: 0
+        };
+        entry.count++;
+        overlaps.set(other.id, entry);
+      }
+    }
+    counts[status]++;
+
+    if (matches.length < limit) {
+      matches.push({
+        id: transaction.id,
+        transactionDate: transaction.transaction_date,
+        amount: transaction.amount,
+        description: transaction.description,
+        counterpartyName: transaction.counterparty_name,
+        categoryId: transaction.category_id,
+        categoryName: transaction.category_name,
+        categoryColor: transaction.category_color,
+        status,
+        winningRule: winner ? { id: winner.id, categoryName: winner.category_name, categoryColor: winner.category_color } : null
+      });
+    }
+  }
+
+  const byCount = (a, b) => b.count - a.count;
+
+  return {
+    total,
+    changes: counts.change,
+    unchanged: counts.unchanged,
+    shadowed: counts.shadowed,
+    matches,
+    higherRules: [...winners.values()].sort(byCount),
+    overlaps: [...overlaps.values()].sort(byCount)
+  };
+}
+
+/**
+ * Hit statistics of all rules
+ * Recorded hits come from the rule columns, matches against the stored transactions are computed now:
+ * a rule is fully shadowed when every transaction it matches is won by a rule with a higher priority
+ * @returns {Array} - Array of { ruleId, hitCount, lastMatchedAt, categorizedCount, matching, winning, fullyShadowed, shadowedBy }
+ */
+async function getRuleStats() {
+  const rules = await database.getAllCategorizationRules();
+  const activeRules = rules.filter(rule => rule.active).sort((a, b) => b.priority - a.priority);
+  const categorizedCounts = await database.getRuleCategorizedCounts();
+  const transactions = await database.getTransactionsForRuleTest();
+
+  const stats = new Map(rules.map(rule => [rule.id, { matching: 0, winning: 0, shadowed: 0, shadowedBy: new Set() }]));
+
+  for (const transaction of transactions) {
+    let winner = null;
     for (const rule of activeRules) {
-      const pattern = rule.pattern.toUpperCase();
-      const patterns = pattern.split('|'); // Support OR patterns
+      if (!matchesRule(rule, transaction)) continue;
 
-      for (const p of patterns) {
-        const trimmedPattern = p.trim();
-        if (trimmedPattern && searchText.includes(trimmedPattern)) {
-          return rule.category_id;
-        }
+      const stat = stats.get(rule.id);
+      stat.matching++;
+      if (!winner) {
+        winner = rule;
+        stat.winning++;
+      } else if (winner.priority > rule.priority) {
+        stat.shadowed++;
+        stat.shadowedBy.add(winner.id);
       }
     }
+  }
 
-    // No match found
-    return null;
-  } catch (error) {
-    console.error('Error categorizing transaction:', error.message);
-    return null;
+  return rules.map(rule => {
+    const stat = stats.get(rule.id);
+    return {
+      ruleId: rule.id,
+      hitCount: rule.hit_count || 0,
+      lastMatchedAt: rule.last_matched_at || null,
+      categorizedCount: categorizedCounts.get(rule.id) || 0,
+      matching: stat.matching,
+      winning: stat.winning,
+      fullyShadowed: stat.matching > 0 && stat.shadowed === stat.matching,
+      shadowedBy: [...stat.shadowedBy]
+    };
+  });
+}
+
+// Transactions are re-categorized in pages of this size
+const PAGE_SIZE = 1000;
+
+/**
+ * Walk all transactions matching the filters page by page
+ * @param {Object} filters - Filters of database.getTransactionsPage
+ * @param {Function} callback - async (rows) => void, called for every page
+ */
+async function forEachTransactionPage(filters, callback) {
+  let after = null;
+  for (;;) {
+    const rows = await database.getTransactionsPage(filters, after, PAGE_SIZE);
+    if (rows.length === 0) return;
+
+    await callback(rows);
+
+    if (rows.length < PAGE_SIZE) return;
+    const last = rows[rows.length - 1];
+    after = { date: last.transaction_date, id: last.id };
   }
 }
 
+/**
+ * Map a stored transaction row to the transaction object the rule actions work on
+ * @param {Object} row - Transaction row
+ * @returns {Object} - Transaction object (camelCase)
+ */
+function rowToTransaction(row) {
+  return {
+    id: row.id,
+    description: row.description,
+    counterpartyName: row.counterparty_name,
+    counterpartyIban: row.counterparty_iban,
+    rawData: row.raw_data,
+    amount: row.amount,
+    accountId: row.account_id,
+    transactionDate: row.transaction_date,
+    notes: row.notes,
+    tags: row.tags,
+    country: row.country,
+    excludeFromReports: !!row.exclude_from_reports
+  };
+}
+
 /**
  * Apply categorization rules to all uncategorized transactions
  * @returns {Object} - { totalUncategorized, categorizedCount }
  */
 async function applyRulesToUncategorized() {
   try {
-    // Get all uncategorized transactions (no pagination limit)
-    const result = await database.getTransactions({ categoryId: 'uncategorized', limit: 10000 });
-    const transactions = result.transactions || result;
-
-    const totalUncategorized = transactions.length;
+    let totalUncategorized = 0;
     let categorizedCount = 0;
+    const rules = await getActiveRules();
+    const categorizeFromHistory = await createHistoryCategorizer();
 
-    for (const transaction of transactions) {
-      // First try categorization rules
-      let categoryId = await categorizeTransaction(transaction);
+    await forEachTransactionPage({ uncategorized: true }, async (rows) => {
+      totalUncategorized += rows.length;
 
-      // If no rule matched, try to get category from previous transaction with same counterparty
-      if (!categoryId && transaction.counterparty_name) {
-        categoryId = await database.getCategoryByCounterparty(transaction.counterparty_name);
-      }
+      for (const row of rows) {
+        const transaction = rowToTransaction(row);
+
+        // First try categorization rules with all their actions
+        if (await applyRuleActions(transaction, rules)) {
+          await database.updateTransactionRuleResult(row.id, transaction);
+          categorizedCount++;
+          continue;
+        }
 
-      if (categoryId) {
-        await database.updateTransactionCategory(transaction.id, categoryId);
-        categorizedCount++;
+        // If no rule matched, fall back to the categorized history
+        const categoryId = await categorizeFromHistory(transaction);
+        if (categoryId) {
+          await database.updateTransactionCategory(row.id, categoryId, false);
+          categorizedCount++;
+        }
       }
-    }
+    });
+
+    // The next training reads the new categories from the database
+    if (categorizedCount > 0) classifier.reset();
 
     return { totalUncategorized, categorizedCount };
   } catch (error) {
@@ -80,44 +544,192 @@ async function applyRulesToUncategorized() {
 }
 
 /**
- * Get categorization suggestions for a transaction
- * @param {Object} transaction - Transaction object
- * @returns {Array} - Array of suggested categories with confidence scores
+ * Fields besides the category that rule actions changed on a stored transaction
+ * @param {Object} row - Stored transaction row
+ * @param {Object} transaction - Transaction object after the rule actions
+ * @returns {Array} - Names of the changed fields (shown in the re-categorization preview)
  */
-async function getSuggestions(transaction) {
-  try {
-    const rules = await database.getAllCategorizationRules();
-    const activeRules = rules.filter(rule => rule.active);
+function getChangedActionFields(row, transaction) {
+  const fields = [];
+  if ((transaction.notes || null) !== (row.notes || null)) fields.push('бележка');
+  if ((transaction.tags || null) !== (row.tags || null)) fields.push('етикети');
+  if ((transaction.country || null) !== (row.country || null)) fields.push('държава');
+  if (!!transaction.excludeFromReports !== !!row.exclude_from_reports) fields.push('извън отчетите');
+  return fields;
+}
 
-    const searchText = [
-      transaction.description || '',
-      transaction.counterpartyName || ''
-    ].join(' ').toUpperCase();
+/**
+ * Re-run the rules over every transaction in a date range and collect the transactions the actions would change
+ * (category, notes, tags, country, exclusion from reports). Locked (manually set) categories are kept.
+ * Transactions no rule matches keep their category, and so do bank fees and transfers between own accounts
+ * detected on import.
+ * @param {Object} filters - { startDate, endDate, accountId }
+ * @param {Object} options - { saveAliases } - counterparty aliases of the rules are only saved when applying
+ * @returns {Object} - { checked, locked, changes }
+ */
+async function findRecategorizationChanges(filters, options = {}) {
+  const rules = await getActiveRules();
+  const importCategories = new Set([
+    await database.getBankFeesCategoryId(),
+    await database.getInternalTransferCategoryId()
+  ].filter(Boolean));
+  const categories = new Map((await database.getAllCategories()).map(category => [category.id, category]));
 
-    const suggestions = [];
+  let checked = 0;
+  let locked = 0;
+  const changes = [];
 
-    for (const rule of activeRules) {
-      const pattern = rule.pattern.toUpperCase();
-      const patterns = pattern.split('|');
-
-      for (const p of patterns) {
-        const trimmedPattern = p.trim();
-        if (trimmedPattern && searchText.includes(trimmedPattern)) {
-          suggestions.push({
-            categoryId: rule.category_id,
-            categoryName: rule.category_name,
-            color: rule.category_color,
-            confidence: rule.priority / 10.0, // Normalize priority to 0-1 range
-            matchedPattern: trimmedPattern
-          });
-        }
+  await forEachTransactionPage(filters, async (rows) => {
+    for (const row of rows) {
+      checked++;
+      if (row.category_manual) {
+        locked++;
+        continue;
       }
+      if (!row.rule_id && importCategories.has(row.category_id)) continue;
+
+      const transaction = rowToTransaction(row);
+      const rule = await applyRuleActions(transaction, rules, { saveAliases: !!options.saveAliases });
+      if (!rule) continue;
+
+      const otherChanges = getChangedActionFields(row, transaction);
+      if (transaction.categoryId === row.category_id && otherChanges.length === 0) continue;
+
+      const newCategory = categories.get(transaction.categoryId) || {};
+      changes.push({
+        id: row.id,
+        date: row.transaction_date,
+        counterparty: row.counterparty_name || row.description || '',
+        amount: row.amount,
+        oldCategoryId: row.category_id,
+        oldCategoryName: row.category_name || null,
+        oldCategoryColor: row.category_color || null,
+        newCategoryId: transaction.categoryId,
+        newCategoryName: newCategory.name,
+        newCategoryColor: newCategory.color,
+        ruleId: rule.id,
+        notes: transaction.notes || null,
+        tags: transaction.tags || null,
+        country: transaction.country || null,
+        excludeFromReports: !!transaction.excludeFromReports,
+        otherChanges
+      });
     }
+  });
+
+  return { checked, locked, changes };
+}
 
-    // Sort by confidence (priority)
-    suggestions.sort((a, b) => b.confidence - a.confidence);
+/**
+ * Preview a re-categorization - old versus new category, and the other fields the rule actions change
+ * @param {Object} filters - { startDate, endDate, accountId }
+ * @param {Number} limit - Maximum number of changed transactions returned (counts include all)
+ * @returns {Object} - { checked, locked, count, groups: [{ oldCategoryId, oldCategoryName, newCategoryId, newCategoryName, count }], changes }
+ */
+async function previewRecategorization(filters, limit = 500) {
+  const { checked, locked, changes } = await findRecategorizationChanges(filters);
+
+  const groups = new Map();
+  for (const change of changes) {
+    const key = `${change.oldCategoryId}|${change.newCategoryId}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        oldCategoryId: change.oldCategoryId,
+        oldCategoryName: change.oldCategoryName,
+        oldCategoryColor: change.oldCategoryColor,
+        newCategoryId: change.newCategoryId,
+        newCategoryName: change.newCategoryName,
+        newCategoryColor: change.newCategoryColor,
+        count: 0
+      });
+    }
+    groups.get(key).count++;
+  }
+
+  return {
+    checked,
+    locked,
+    count: changes.length,
+    groups: [...groups.values()].sort((a, b) => b.count - a.count),
+    changes: changes.slice(0, limit)
+  };
+}
+
+/**
+ * Re-categorize every unlocked transaction in a date range with the current rules and all of their actions
+ * @param {Object} filters - { startDate, endDate, accountId }
+ * @returns {Object} - { checked, changed }
+ */
+async function applyRecategorization(filters) {
+  const { checked, changes } = await findRecategorizationChanges(filters, { saveAliases: true });
+
+  let changed = 0;
+  for (let i = 0; i < changes.length; i += PAGE_SIZE) {
+    const result = await database.applyRecategorization(changes.slice(i, i + PAGE_SIZE));
+    changed += result.changed;
+  }
+
+  if (changed > 0) classifier.reset();
+  logger.info(`[Categorization] Re-categorized ${changed} of ${checked} transactions`);
+
+  return { checked, changed };
+}
+
+/**
+ * Create the fallback for transactions no rule matched
+ * An earlier transaction with the same counterparty decides first. Without one, the classifier
+ * categorizes the transaction when auto-categorization is enabled and its confidence reaches the threshold.
+ * @returns {Function} - async (transaction) => category ID or null
+ */
+async function createHistoryCategorizer() {
+  const settings = await classifier.getAutoCategorizeSettings();
+
+  return async (transaction) => {
+    const counterpartyName = transaction.counterpartyName || transaction.counterparty_name;
+    const categoryId = counterpartyName ? await database.getCategoryByCounterparty(counterpartyName) : null;
+    if (categoryId || !settings.autoCategorize) return categoryId;
+
+    const [best] = await classifier.predict(transaction, 1);
+    return best && best.confidence >= settings.autoCategorizeThreshold ? best.categoryId : null;
+  };
+}
+
+/**
+ * Get categorization suggestions for a transaction
+ * Confidence comes from the classifier trained on the categorized history. The category of the
+ * rule that would categorize the transaction is always listed first.
+ * @param {Object} transaction - Transaction object or row
+ * @param {Number} limit - Maximum number of suggestions
+ * @returns {Array} - Array of { categoryId, categoryName, color, confidence, ruleId }
+ */
+async function getSuggestions(transaction, limit = 3) {
+  try {
+    const activeRules = await getActiveRules();
+    const rule = activeRules.find(candidate => matchesRule(candidate, transaction));
+    const predictions = await classifier.predict(transaction, null);
+    const categories = new Map((await database.getAllCategories()).map(category => [category.id, category]));
+
+    const suggestions = predictions
+      .filter(prediction => categories.has(prediction.categoryId))
+      .slice(0, limit)
+      .map(prediction => ({ ...prediction, ruleId: null }));
+
+    if (rule) {
+      const index = suggestions.findIndex(suggestion => suggestion.categoryId === rule.category_id);
+      const prediction = predictions.find(item => item.categoryId === rule.category_id);
+      if (index !== -1) suggestions.splice(index, 1);
+      suggestions.unshift({ categoryId: rule.category_id, confidence: prediction ? prediction.confidence : null, ruleId: rule.id });
+      if (suggestions.length > limit) suggestions.pop();
+    }
 
-    return suggestions;
+    return suggestions.map(suggestion => {
+      const category = categories.get(suggestion.categoryId) || {};
+      return {
+        ...suggestion,
+        categoryName: category.name,
+        color: category.color
+      };
+    });
   } catch (error) {
     console.error('Error getting categorization suggestions:', error.message);
     return [];
@@ -125,7 +737,19 @@ async function getSuggestions(transaction) {
 }
 
 module.exports = {
-  categorizeTransaction,
+  CONDITION_FIELDS,
+  getRuleConditions,
+  matchesRule,
+  validateConditions,
+  getActiveRules,
+  getRuleActions,
+  validateActions,
+  applyRuleActions,
+  testRule,
+  getRuleStats,
   applyRulesToUncategorized,
+  previewRecategorization,
+  applyRecategorization,
+  createHistoryCategorizer,
   getSuggestions
 };
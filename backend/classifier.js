@@ -0,0 +1,246 @@
+const database = require('./database');
+const logger = require('./logger');
+
+// Auto-categorization is off until enabled in the settings
+const AUTO_CATEGORIZE_DEFAULTS = {
+  autoCategorize: false,
+  autoCategorizeThreshold: 0.9
+};
+
+// Too little history gives confident but random predictions
+const MIN_DOCUMENTS = 20;
+
+// Laplace smoothing of token counts
+const SMOOTHING = 1;
+
+// Naive Bayes model trained on the categorized history, built on first use
+let model = null;
+
+/**
+ * Split a transaction into tokens - words of description and counterparty, amount bucket and account
+ * Works with imported (camelCase) and stored (snake_case) transactions
+ * @param {Object} transaction - Transaction object or row
+ * @returns {Array} - Unique tokens
+ */
+function tokenize(transaction) {
+  const words = text => String(text || '')
+    .toUpperCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 3 && !/^\d+$/.test(word));
+
+  const counterparty = transaction.counterpartyName || transaction.counterparty_name || '';
+  const accountId = transaction.accountId || transaction.account_id;
+  const amount = Number(transaction.amount) || 0;
+
+  const tokens = [
+    ...words(transaction.description).map(word => `d:${word}`),
+    ...words(counterparty).map(word => `c:${word}`),
+    // Amounts on a log scale - 8 and 12 € are alike, 8 and 800 € are not
+    `a:${amount < 0 ? '-' : '+'}${Math.floor(Math.log2(Math.abs(amount) + 1))}`
+  ];
+
+  if (counterparty.trim()) tokens.push(`cp:${counterparty.trim().toUpperCase()}`);
+  if (accountId) tokens.push(`acc:${accountId}`);
+
+  return [...new Set(tokens)];
+}
+
+/**
+ * Add or remove one categorized transaction from the model counts
+ * @param {Object} document - { categoryId, tokens }
+ * @param {Number} sign - 1 to add, -1 to remove
+ */
+function count(document, sign) {
+  const { categoryId, tokens } = document;
+  if (!model.categories.has(categoryId)) {
+    model.categories.set(categoryId, { documents: 0, tokens: 0, counts: new Map() });
+  }
+
+  const category = model.categories.get(categoryId);
+  category.documents += sign;
+  category.tokens += sign * tokens.length;
+  model.total += sign;
+
+  for (const token of tokens) {
+    const value = (category.counts.get(token) || 0) + sign;
+    if (value > 0) {
+      category.counts.set(token, value);
+    } else {
+      category.counts.delete(token);
+    }
+
+    const frequency = (model.vocabulary.get(token) || 0) + sign;
+    if (frequency > 0) {
+      model.vocabulary.set(token, frequency);
+    } else {
+      model.vocabulary.delete(token);
+    }
+  }
+
+  if (category.documents <= 0) {
+    model.categories.delete(categoryId);
+  }
+}
+
+/**
+ * Train the model from scratch on all categorized transactions
+ * @returns {Object} - Model info
+ */
+async function train() {
+  const rows = await database.getCategorizedTransactions();
+
+  model = { documents: new Map(), categories: new Map(), vocabulary: new Map(), total: 0, trainedAt: new Date().toISOString() };
+  for (const row of rows) {
+    const document = { categoryId: row.category_id, tokens: tokenize(row) };
+    model.documents.set(row.id, document);
+    count(document, 1);
+  }
+
+  logger.info(`[Classifier] Trained on ${model.total} transactions in ${model.categories.size} categories`);
+
+  return getModelInfo();
+}
+
+/**
+ * Train the model unless it is already in memory
+ */
+async function ensureTrained() {
+  if (!model) await train();
+}
+
+/**
+ * Learn the category of a transaction, replacing what was learned about it before
+ * Called when a category is set by hand, so the next suggestion already knows about it.
+ * Before the first training there is nothing to update - training reads the database anyway.
+ * @param {Object} transaction - Transaction object or row with id
+ * @param {Number|null} categoryId - New category (null forgets the transaction)
+ */
+function learn(transaction, categoryId) {
+  if (!model || !transaction || !transaction.id) return;
+
+  forget(transaction.id);
+  if (!categoryId) return;
+
+  const document = { categoryId: Number(categoryId), tokens: tokenize(transaction) };
+  model.documents.set(transaction.id, document);
+  count(document, 1);
+}
+
+/**
+ * Learn newly stored transactions (import, bank sync) - already known ones are left as they are
+ * @param {Array} transactions - Transaction objects with id and categoryId
+ */
+function learnNew(transactions) {
+  if (!model) return;
+
+  for (const transaction of transactions) {
+    const categoryId = transaction.categoryId || transaction.category_id;
+    if (categoryId && !model.documents.has(transaction.id)) {
+      learn(transaction, categoryId);
+    }
+  }
+}
+
+/**
+ * Remove a transaction from the model
+ * @param {String} id - Transaction ID
+ */
+function forget(id) {
+  if (!model) return;
+
+  const document = model.documents.get(id);
+  if (document) {
+    count(document, -1);
+    model.documents.delete(id);
+  }
+}
+
+/**
+ * Drop the model after bulk changes (rollbacks, merges, deleted categories), the next use retrains it
+ */
+function reset() {
+  model = null;
+}
+
+/**
+ * Predict categories of a transaction
+ * Confidence is the posterior probability of the category given the tokens of the transaction
+ * @param {Object} transaction - Transaction object or row
+ * @param {Number|null} limit - Maximum number of categories (null for all)
+ * @returns {Array} - Array of { categoryId, confidence }, most likely first (empty without enough history)
+ */
+async function predict(transaction, limit = 3) {
+  await ensureTrained();
+  if (model.total < MIN_DOCUMENTS || model.categories.size === 0) return [];
+
+  // Tokens never seen in training say nothing about the category
+  const tokens = tokenize(transaction).filter(token => model.vocabulary.has(token));
+  if (tokens.length === 0) return [];
+
+  const vocabularySize = model.vocabulary.size;
+  const categoryCount = model.categories.size;
+
+  const scores = [...model.categories.entries()].map(([categoryId, category]) => {
+    let score = Math.log((category.documents + SMOOTHING) / (model.total + SMOOTHING * categoryCount));
+    for (const token of tokens) {
+      score += Math.log(((category.counts.get(token) || 0) + SMOOTHING) / (category.tokens + SMOOTHING * vocabularySize));
+    }
+    return { categoryId, score };
+  });
+
+  // Normalize log scores to probabilities without underflow
+  const maxScore = Math.max(...scores.map(item => item.score));
+  const sum = scores.reduce((total, item) => total + Math.exp(item.score - maxScore), 0);
+
+  const predictions = scores
+    .map(item => ({
+      categoryId: item.categoryId,
+      confidence: Math.round(Math.exp(item.score - maxScore) / sum * 1000) / 1000
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  return limit ? predictions.slice(0, limit) : predictions;
+}
+
+/**
+ * Size of the trained model
+ * @returns {Object} - { trained, documents, categories, vocabulary, minDocuments, trainedAt }
+ */
+function getModelInfo() {
+  return {
+    trained: !!model,
+    documents: model ? model.total : 0,
+    categories: model ? model.categories.size : 0,
+    vocabulary: model ? model.vocabulary.size : 0,
+    minDocuments: MIN_DOCUMENTS,
+    trainedAt: model ? model.trainedAt : null
+  };
+}
+
+/**
+ * Read the auto-categorization settings
+ * @returns {Object} - { autoCategorize, autoCategorizeThreshold }
+ */
+async function getAutoCategorizeSettings() {
+  const settings = await database.getSettings();
+  const threshold = parseFloat(settings.autoCategorizeThreshold);
+
+  return {
+    autoCategorize: settings.autoCategorize === undefined ? AUTO_CATEGORIZE_DEFAULTS.autoCategorize : settings.autoCategorize === 'true',
+    autoCategorizeThreshold: threshold > 0 ? threshold : AUTO_CATEGORIZE_DEFAULTS.autoCategorizeThreshold
+  };
+}
+
+module.exports = {
+  AUTO_CATEGORIZE_DEFAULTS,
+  tokenize,
+  train,
+  ensureTrained,
+  learn,
+  learnNew,
+  forget,
+  reset,
+  predict,
+  getModelInfo,
+  getAutoCategorizeSettings
+};
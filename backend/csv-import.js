@@ -0,0 +1,590 @@
+/**
+ * Generic CSV Import Module
+ * Imports CSV exports of any bank using a column mapping (delimiter, date format, amount columns, ...)
+ * Mappings are saved as named profiles per account and reused automatically for files with the same header
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const database = require('./database');
+const exchangeRates = require('./exchange-rates');
+const { extractCountryFromCounterparty } = require('./country-codes');
+
+const DEFAULT_SETTINGS = {
+    delimiter: ',',
+    quote: '"',
+    encoding: 'UTF-8',
+    skipRows: 0,
+    hasHeader: true,
+    dateFormat: 'DD.MM.YYYY',
+    decimalSeparator: ',',
+    amountMode: 'signed', // 'signed' = one amount column, 'debitCredit' = separate debit and credit columns
+    currency: 'EUR',
+    columns: {
+        date: null,
+        bookingDate: null,
+        amount: null,
+        debit: null,
+        credit: null,
+        counterparty: null,
+        description: [],
+        currency: null
+    }
+};
+
+const DATE_FORMATS = ['DD.MM.YYYY', 'DD/MM/YYYY', 'DD-MM-YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD.MM.YY', 'YYYYMMDD'];
+
+// Header names used to guess the column mapping (Bulgarian and English)
+const COLUMN_HINTS = {
+    date: ['дата на транзакция', 'дата', 'вальор', 'date', 'datum'],
+    bookingDate: ['дата на осчетоводяване', 'осчетоводяване', 'booking date', 'posting date'],
+    amount: ['сума', 'amount', 'стойност', 'betrag'],
+    debit: ['дебит', 'debit', 'разход', 'withdrawal', 'paid out'],
+    credit: ['кредит', 'credit', 'приход', 'deposit', 'paid in'],
+    counterparty: ['контрагент', 'получател', 'наредител', 'counterparty', 'payee', 'beneficiary', 'name'],
+    description: ['описание', 'основание', 'детайли', 'description', 'details', 'reference', 'memo'],
+    currency: ['валута', 'currency']
+};
+
+/**
+ * Parse delimited text into rows
+ * Handles quoted fields with delimiters, escaped quotes and line breaks inside quotes
+ * @param {string} content - Raw CSV content
+ * @param {string} delimiter - Field delimiter
+ * @param {string} quote - Quote character
+ * @returns {Array} Array of rows, each row is an array of values
+ */
+function parseDelimited(content, delimiter = ',', quote = '"') {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let current = '';
+    let inQuotes = false;
+
+    const pushRow = () => {
+        row.push(current.trim());
+        if (row.some(value => value !== '')) rows.push(row);
+        row = [];
+        current = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote && char === quote) {
+            if (inQuotes && text[i + 1] === quote) {
+                // Escaped quote
+                current += quote;
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === delimiter && !inQuotes) {
+            row.push(current.trim());
+            current = '';
+        } else if ((char === '\n' || char === '\r') && !inQuotes) {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            pushRow();
+        } else {
+            current += char;
+        }
+    }
+    pushRow();
+
+    return rows;
+}
+
+/**
+ * Guess delimiter, header, date format, decimal separator and column mapping of a CSV file
+ * @param {string} content - Raw CSV content
+ * @returns {Object} Guessed settings
+ */
+function sniffSettings(content) {
+    const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    const sample = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim()).slice(0, 20).join('\n');
+
+    // Delimiter with the most consistent column count wins
+    let bestScore = 0;
+    for (const delimiter of [';', ',', '\t', '|']) {
+        const counts = parseDelimited(sample, delimiter, settings.quote).map(r => r.length);
+        if (counts.length === 0 || counts[counts.length - 1] < 2) continue;
+        const consistent = counts.filter(count => count === counts[counts.length - 1]).length;
+        const score = consistent * counts[counts.length - 1];
+        if (score > bestScore) {
+            bestScore = score;
+            settings.delimiter = delimiter;
+        }
+    }
+
+    const rows = parseDelimited(sample, settings.delimiter, settings.quote);
+    if (rows.length === 0) return settings;
+
+    // Bank exports often start with a few info lines, the header is the first row with the full column count
+    const columnCount = rows[rows.length - 1].length;
+    settings.skipRows = Math.max(0, rows.findIndex(r => r.length === columnCount));
+
+    const firstRow = rows[settings.skipRows] || [];
+    settings.hasHeader = firstRow.every(value => !looksLikeNumber(value) && !guessDateFormat([value]));
+
+    const dataRows = rows.slice(settings.skipRows + (settings.hasHeader ? 1 : 0));
+    const columnValues = index => dataRows.map(r => r[index]).filter(value => value);
+
+    // Column mapping by header names
+    if (settings.hasHeader) {
+        const header = firstRow.map(h => h.toLowerCase());
+        const findColumn = (names, exclude = []) => {
+            for (const name of names) {
+                const idx = header.findIndex((h, i) => h.includes(name) && !exclude.includes(i));
+                if (idx !== -1) return idx;
+            }
+            return null;
+        };
+
+        const columns = settings.columns;
+        columns.bookingDate = findColumn(COLUMN_HINTS.bookingDate);
+        columns.date = findColumn(COLUMN_HINTS.date, [columns.bookingDate]);
+        columns.debit = findColumn(COLUMN_HINTS.debit);
+        columns.credit = findColumn(COLUMN_HINTS.credit);
+        columns.amount = findColumn(COLUMN_HINTS.amount, [columns.debit, columns.credit]);
+        columns.currency = findColumn(COLUMN_HINTS.currency);
+        columns.counterparty = findColumn(COLUMN_HINTS.counterparty);
+        const description = findColumn(COLUMN_HINTS.description, [columns.counterparty]);
+        columns.description = description !== null ? [description] : [];
+
+        if (columns.amount === null && columns.debit !== null && columns.credit !== null) {
+            settings.amountMode = 'debitCredit';
+        }
+        if (columns.bookingDate !== null && columns.date === null) {
+            columns.date = columns.bookingDate;
+            columns.bookingDate = null;
+        }
+    }
+
+    // Without header (or unknown names) the first column with dates is the date column
+    if (settings.columns.date === null) {
+        const idx = firstRow.findIndex((value, i) => guessDateFormat(columnValues(i)));
+        settings.columns.date = idx === -1 ? null : idx;
+    }
+    if (settings.columns.date !== null) {
+        settings.dateFormat = guessDateFormat(columnValues(settings.columns.date)) || settings.dateFormat;
+    }
+
+    const amountColumn = settings.amountMode === 'signed' ? settings.columns.amount : settings.columns.debit;
+    if (amountColumn !== null) {
+        settings.decimalSeparator = guessDecimalSeparator(columnValues(amountColumn));
+    }
+
+    return settings;
+}
+
+/**
+ * Find the first date format that parses the given values
+ * @param {Array} values - Sample values
+ * @returns {string|null} Date format or null
+ */
+function guessDateFormat(values) {
+    const samples = values.filter(value => value).slice(0, 20);
+    if (samples.length === 0) return null;
+    // A few broken rows (totals, footers) should not prevent the guess
+    return DATE_FORMATS.find(format =>
+        samples.filter(value => parseDate(value, format)).length >= Math.ceil(samples.length * 0.8)
+    ) || null;
+}
+
+/**
+ * Guess decimal separator from sample amounts ("1 234,56" -> ",", "1,234.56" -> ".")
+ * @param {Array} values - Sample values
+ * @returns {string} ',' or '.'
+ */
+function guessDecimalSeparator(values) {
+    for (const value of values) {
+        const match = String(value).match(/([.,])\d{1,2}\s*$/);
+        if (match) return match[1];
+    }
+    return ',';
+}
+
+/**
+ * Check whether a value looks like an amount
+ * @param {string} value - Raw value
+ * @returns {boolean}
+ */
+function looksLikeNumber(value) {
+    return /^[-+(]?\s*[\d\s.,']+\)?-?$/.test(String(value).trim()) && /\d/.test(value);
+}
+
+/**
+ * Parse date using a format like DD.MM.YYYY (time after the date is ignored)
+ * @param {string} value - Raw date
+ * @param {string} format - Date format (DD, MM, YYYY, YY tokens)
+ * @returns {string|null} Date in YYYY-MM-DD format or null if it doesn't match
+ */
+function parseDate(value, format) {
+    if (!value || !format) return null;
+
+    const hasSeparators = /[^DMY]/.test(format);
+    const order = [];
+    const pattern = format
+        .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+        .replace(/YYYY|YY|MM|DD/g, token => {
+            order.push(token);
+            if (token === 'YYYY') return '(\\d{4})';
+            return hasSeparators ? '(\\d{1,2})' : '(\\d{2})';
+        });
+
+    const match = String(value).trim().match(new RegExp(`^${pattern}(?:[ T].*)?$`));
+    if (!match) return null;
+
+    const parts = {};
+    order.forEach((token, i) => { parts[token] = match[i + 1]; });
+
+    const year = parts.YYYY || `20${parts.YY}`;
+    const month = parseInt(parts.MM, 10);
+    const day = parseInt(parts.DD, 10);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse amount with the given decimal separator
+ * Supports thousands separators, currency symbols, "(12,34)" and "12,34-" negatives
+ * @param {string} value - Raw amount
+ * @param {string} decimalSeparator - ',' or '.'
+ * @returns {number|null} Parsed amount or null if empty/invalid
+ */
+function parseAmount(value, decimalSeparator = ',') {
+    if (value === undefined || value === null) return null;
+
+    let text = String(value).trim();
+    if (!text) return null;
+
+    const negative = /^\(.*\)$/.test(text) || /-\s*$/.test(text) || /^-/.test(text.replace(/^[^\d-]+/, ''));
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+
+    text = text
+        .replace(/[\s ']/g, '')
+        .split(thousandsSeparator).join('')
+        .replace(decimalSeparator, '.')
+        .replace(/[^\d.]/g, '');
+
+    if (!text) return null;
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return null;
+    return negative ? -amount : amount;
+}
+
+/**
+ * Merge settings with defaults (profiles saved by older versions may miss keys)
+ * @param {Object} settings - Partial settings
+ * @returns {Object} Complete settings
+ */
+function normalizeSettings(settings = {}) {
+    return {
+        ...DEFAULT_SETTINGS,
+        ...settings,
+        columns: {
+            ...DEFAULT_SETTINGS.columns,
+            ...(settings.columns || {})
+        }
+    };
+}
+
+/**
+ * Split content into header and data rows according to the settings
+ * @param {string} content - Raw CSV content
+ * @param {Object} settings - CSV settings
+ * @returns {Object} { header, rows }
+ */
+function readRows(content, settings) {
+    const allRows = parseDelimited(content, settings.delimiter, settings.quote).slice(settings.skipRows || 0);
+    const columnCount = Math.max(0, ...allRows.map(r => r.length));
+
+    const header = settings.hasHeader && allRows.length > 0
+        ? allRows[0]
+        : Array.from({ length: columnCount }, (_, i) => `Колона ${i + 1}`);
+
+    return {
+        header,
+        rows: settings.hasHeader ? allRows.slice(1) : allRows
+    };
+}
+
+/**
+ * Build the header signature used to find the saved profile for a file
+ * @param {Array} header - Header row
+ * @param {Object} settings - CSV settings
+ * @returns {string} Signature
+ */
+function getHeaderSignature(header, settings) {
+    if (!settings.hasHeader) return `columns:${header.length}`;
+    return header.map(h => h.toLowerCase().replace(/\s+/g, ' ').trim()).join('|');
+}
+
+/**
+ * Convert a CSV row to a transaction using the column mapping
+ * @param {Array} row - CSV row values
+ * @param {Object} settings - CSV settings
+ * @returns {Object} Parsed transaction or { error }
+ */
+function parseRow(row, settings) {
+    const columns = settings.columns;
+    const value = index => (index !== null && index !== undefined && index !== '' ? (row[index] || '').trim() : '');
+
+    const transactionDate = parseDate(value(columns.date), settings.dateFormat);
+    if (!transactionDate) {
+        return { error: `Невалидна дата "${value(columns.date)}"` };
+    }
+
+    let amount;
+    if (settings.amountMode === 'debitCredit') {
+        const debit = parseAmount(value(columns.debit), settings.decimalSeparator);
+        const credit = parseAmount(value(columns.credit), settings.decimalSeparator);
+        if (debit === null && credit === null) {
+            return { error: 'Липсва сума в колоните дебит/кредит' };
+        }
+        amount = Math.abs(credit || 0) - Math.abs(debit || 0);
+    } else {
+        amount = parseAmount(value(columns.amount), settings.decimalSeparator);
+        if (amount === null) {
+            return { error: `Невалидна сума "${value(columns.amount)}"` };
+        }
+    }
+
+    const descriptionColumns = Array.isArray(columns.description) ? columns.description : [columns.description];
+
+    return {
+        transactionDate,
+        bookingDate: parseDate(value(columns.bookingDate), settings.dateFormat) || transactionDate,
+        amount: Math.round(amount * 100) / 100,
+        currency: (value(columns.currency) || settings.currency || 'EUR').toUpperCase(),
+        counterpartyName: value(columns.counterparty),
+        description: descriptionColumns.map(value).filter(Boolean).join(' ').replace(/\s+/g, ' ')
+    };
+}
+
+/**
+ * Parse CSV content with the given settings
+ * @param {string} content - Raw CSV content
+ * @param {Object} settings - CSV settings
+ * @returns {Object} { header, rows, transactions, errors }
+ */
+function parseWithSettings(content, settings) {
+    const { header, rows } = readRows(content, settings);
+    const transactions = [];
+    const errors = [];
+
+    rows.forEach((row, i) => {
+        const parsed = parseRow(row, settings);
+        if (parsed.error) {
+            errors.push({ row: i + 1, error: parsed.error });
+        } else {
+            transactions.push({ ...parsed, rawRow: row });
+        }
+    });
+
+    return { header, rows, transactions, errors };
+}
+
+/**
+ * Find the saved profile of an account that matches the file header
+ * Profiles are checked from the most recently used
+ * @param {string} content - Raw CSV content
+ * @param {string} accountId - Account ID
+ * @returns {Object|null} Profile row with parsed settings or null
+ */
+async function findProfileForContent(content, accountId) {
+    if (!accountId) return null;
+
+    const profiles = await database.getCsvImportProfiles(accountId);
+    for (const profile of profiles) {
+        const settings = normalizeSettings(JSON.parse(profile.settings));
+        const { header } = readRows(content, settings);
+        if (getHeaderSignature(header, settings) === profile.header_signature) {
+            return { ...profile, settings };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the interactive mapping preview of a CSV file
+ * @param {string} content - CSV content (decoded with the selected encoding)
+ * @param {string} accountId - Target account ID
+ * @param {Object} [settings] - Settings chosen by the user, otherwise the saved profile or guessed settings
+ * @param {number} [limit] - Number of preview rows
+ * @returns {Object} { settings, profile, header, headerSignature, rows, transactions, errors, totalRows, warnings }
+ */
+async function previewCsv(content, accountId, settings = null, limit = 20) {
+    let profile = null;
+    let effectiveSettings = settings ? normalizeSettings(settings) : null;
+
+    if (!effectiveSettings) {
+        profile = await findProfileForContent(content, accountId);
+        effectiveSettings = profile ? profile.settings : sniffSettings(content);
+    }
+
+    const parsed = parseWithSettings(content, effectiveSettings);
+    const warnings = [];
+
+    // Windows-1251 decoded as UTF-8 ends up with replacement characters
+    if (String(content).includes('\uFFFD')) {
+        warnings.push('Файлът съдържа неразпознати символи - вероятно кодировката не е UTF-8 (опитайте Windows-1251)');
+    }
+
+    return {
+        settings: effectiveSettings,
+        profile: profile ? { id: profile.id, name: profile.name } : null,
+        header: parsed.header,
+        headerSignature: getHeaderSignature(parsed.header, effectiveSettings),
+        rows: parsed.rows.slice(0, limit),
+        transactions: parsed.transactions.slice(0, limit).map(({ rawRow, ...tx }) => tx),
+        errors: parsed.errors.slice(0, limit),
+        totalRows: parsed.rows.length,
+        errorCount: parsed.errors.length,
+        warnings,
+        dateFormats: DATE_FORMATS
+    };
+}
+
+/**
+ * Generate a unique transaction ID based on transaction data
+ * @param {Object} transaction - Parsed transaction
+ * @param {string} accountId - Account ID
+ * @param {number} [occurrence] - Number of identical transactions before this one in the same file
+ * @returns {string} Unique ID in format CSV_XXXXXXXXXXXXXXXX
+ */
+function generateTransactionId(transaction, accountId, occurrence = 0) {
+    const fields = [
+        accountId,
+        transaction.transactionDate,
+        transaction.amount.toFixed(2),
+        transaction.counterpartyName,
+        transaction.description
+    ];
+    if (occurrence > 0) fields.push(occurrence);
+
+    const hash = crypto.createHash('md5').update(fields.join('|')).digest('hex');
+    return `CSV_${hash.substring(0, 16).toUpperCase()}`;
+}
+
+/**
+ * Process CSV content and prepare transactions for import
+ * Uses the settings from options, the given profile or the saved profile that matches the file header
+ * @param {string} content - CSV content (decoded with the profile encoding)
+ * @param {Object} account - Target account row
+ * @param {Object} options - { csvSettings, csvProfileId, dryRun }
+ * @returns {Object} { transactions, warnings }
+ */
+async function processCsvForImport(content, account, options = {}) {
+    let settings = options.csvSettings ? normalizeSettings(options.csvSettings) : null;
+    let profileId = options.csvProfileId || null;
+
+    if (!settings && profileId) {
+        const profile = await database.getCsvImportProfileById(profileId);
+        if (profile) settings = normalizeSettings(JSON.parse(profile.settings));
+    }
+    if (!settings) {
+        const profile = await findProfileForContent(content, account.id);
+        if (profile) {
+            settings = profile.settings;
+            profileId = profile.id;
+            logger.info(`[CSV Import] Using saved profile "${profile.name}"`);
+        }
+    }
+    if (!settings) {
+        throw new Error('Няма запазено съпоставяне на колоните за този файл. Настройте колоните в прегледа преди импорт.');
+    }
+
+    // A preview is not a use of the profile
+    if (profileId && !options.dryRun) {
+        await database.touchCsvImportProfile(profileId);
+    }
+
+    const parsed = parseWithSettings(content, settings);
+    const converter = await exchangeRates.createConverter();
+    const warnings = parsed.errors.map(e => `Ред ${e.row}: ${e.error}`);
+    const seen = new Map();
+
+    const transactions = parsed.transactions.map(tx => {
+        // Convert currency to EUR with the ECB rate for the transaction date
+        const { amount, originalAmount, originalCurrency, exchangeRate } = converter.convert(tx.amount, tx.currency, tx.transactionDate);
+
+        // Identical rows get a running number, so they are not merged
+        const baseId = generateTransactionId(tx, account.id);
+        const occurrence = seen.get(baseId) || 0;
+        seen.set(baseId, occurrence + 1);
+
+        return {
+            id: occurrence > 0 ? generateTransactionId(tx, account.id, occurrence) : baseId,
+            transactionDate: tx.transactionDate,
+            bookingDate: tx.bookingDate,
+            description: tx.description,
+            amount,
+            originalAmount,
+            originalCurrency,
+            exchangeRate,
+            currency: 'EUR',
+            counterpartyName: tx.counterpartyName,
+            accountId: account.id,
+            rawData: JSON.stringify(tx.rawRow),
+            country: extractCountryFromCounterparty(tx.counterpartyName)
+        };
+    });
+
+    converter.getWarnings().forEach(warning => {
+        logger.warn(`[CSV Import] ${warning}`);
+        warnings.push(warning);
+    });
+
+    logger.info(`[CSV Import] Parsed ${transactions.length} transactions, ${parsed.errors.length} rows with errors`);
+
+    return { transactions, warnings };
+}
+
+/**
+ * Score how likely the content is a delimited table
+ * Kept low, so bank specific CSV importers win when they recognize the file
+ * @param {string} content - Raw file content
+ * @returns {number} Confidence between 0 and 1
+ */
+function detectGenericCsv(content) {
+    const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+    if (lines.length < 2 || lines[0].trimStart().startsWith('<')) return 0;
+
+    for (const delimiter of [';', ',', '\t', '|']) {
+        const counts = parseDelimited(lines.join('\n'), delimiter).map(r => r.length);
+        const last = counts[counts.length - 1];
+        if (last >= 3 && counts.filter(count => count === last).length >= Math.min(2, counts.length)) {
+            return 0.55;
+        }
+    }
+    return 0;
+}
+
+// Importer definition for the importer registry
+const importer = {
+    name: 'csv',
+    label: 'CSV (с настройка на колоните)',
+    extensions: ['.csv', '.txt'],
+    options: ['columnMapping'],
+    detect: detectGenericCsv,
+    process: (content, account, options = {}) => processCsvForImport(content, account, options)
+};
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    DATE_FORMATS,
+    parseDelimited,
+    sniffSettings,
+    parseDate,
+    parseAmount,
+    getHeaderSignature,
+    previewCsv,
+    generateTransactionId,
+    processCsvForImport,
+    detectGenericCsv,
+    importer
+};
@@ -6,6 +6,9 @@ const logger = require('./logger');
 
 let db = null;
 
+// Category for bank fees (fee transactions split off by importers go here)
+const BANK_FEES_CATEGORY = 'Банкови такси';
+
 // Ensure data directory exists
 const dataDir = path.dirname(config.databasePath);
 if (!fs.existsSync(dataDir)) {
@@ -173,6 +176,10 @@ async function initialize() {
           await runQuery('ALTER TABLE accounts ADD COLUMN custom_name TEXT');
         } catch (e) { /* Column already exists */ }
 
+        try {
+          await runQuery('ALTER TABLE accounts ADD COLUMN parent_account_id TEXT');
+        } catch (e) { /* Column already exists */ }
+
         try {
           await runQuery('ALTER TABLE transactions ADD COLUMN raw_data TEXT');
         } catch (e) { /* Column already exists */ }
@@ -189,6 +196,75 @@ async function initialize() {
           await runQuery('ALTER TABLE transactions ADD COLUMN country TEXT');
         } catch (e) { /* Column already exists */ }
 
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN import_batch_id INTEGER');
+        } catch (e) { /* Column already exists */ }
+
+        // Transaction status: 'booked', 'pending' (not completed yet) or 'reverted' (excluded from totals)
+        try {
+          await runQuery("ALTER TABLE transactions ADD COLUMN status TEXT DEFAULT 'booked'");
+        } catch (e) { /* Column already exists */ }
+
+        // Linked transaction, e.g. the payment a fee transaction was charged for
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN parent_transaction_id TEXT');
+        } catch (e) { /* Column already exists */ }
+
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN exchange_rate REAL');
+        } catch (e) { /* Column already exists */ }
+
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN counterparty_iban TEXT');
+        } catch (e) { /* Column already exists */ }
+
+        // Comma-separated tags and the flag that keeps a transaction out of all reports (set by rule actions or by hand)
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN tags TEXT');
+        } catch (e) { /* Column already exists */ }
+
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN exclude_from_reports INTEGER DEFAULT 0');
+        } catch (e) { /* Column already exists */ }
+
+        // Multi-condition rules: JSON array of conditions combined with AND ('all') or OR ('any')
+        try {
+          await runQuery('ALTER TABLE categorization_rules ADD COLUMN conditions TEXT');
+        } catch (e) { /* Column already exists */ }
+
+        try {
+          await runQuery("ALTER TABLE categorization_rules ADD COLUMN match_type TEXT DEFAULT 'all'");
+        } catch (e) { /* Column already exists */ }
+
+        // Rule actions besides the category: JSON { counterpartyAlias, notes, tags, country, internalTransfer, excludeFromReports }
+        try {
+          await runQuery('ALTER TABLE categorization_rules ADD COLUMN actions TEXT');
+        } catch (e) { /* Column already exists */ }
+
+        // Rule hit statistics - how many transactions a rule categorized and when it last did
+        try {
+          await runQuery('ALTER TABLE categorization_rules ADD COLUMN hit_count INTEGER DEFAULT 0');
+        } catch (e) { /* Column already exists */ }
+
+        try {
+          await runQuery('ALTER TABLE categorization_rules ADD COLUMN last_matched_at DATETIME');
+        } catch (e) { /* Column already exists */ }
+
+        // Rule that set the category of a transaction (cleared when the category is changed by hand)
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN rule_id INTEGER');
+        } catch (e) { /* Column already exists */ }
+
+        // Category chosen by a person - source of rule proposals, locked against re-categorization
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN category_manual INTEGER DEFAULT 0');
+        } catch (e) { /* Column already exists */ }
+
+        // Foreign amount stored as is because there was no exchange rate for its date - left out of sums and reports
+        try {
+          await runQuery('ALTER TABLE transactions ADD COLUMN unconverted INTEGER DEFAULT 0');
+        } catch (e) { /* Column already exists */ }
+
         // Create special "Cash" account for manual transactions if it doesn't exist
         const cashAccount = await getQuery("SELECT id FROM accounts WHERE id = 'CASH'");
         if (!cashAccount) {
@@ -209,12 +285,166 @@ async function initialize() {
           )
         `);
 
+        // Create CSV import profiles table (saved column mappings per account)
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS csv_import_profiles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            account_id TEXT,
+            settings TEXT NOT NULL,
+            header_signature TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME,
+            FOREIGN KEY (account_id) REFERENCES accounts(id)
+          )
+        `);
+
+        // Create import batches table (file imports and GoCardless sync runs)
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS import_batches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            source TEXT NOT NULL,
+            file_name TEXT,
+            file_hash TEXT,
+            account_id TEXT,
+            parser TEXT,
+            total_count INTEGER DEFAULT 0,
+            imported_count INTEGER DEFAULT 0,
+            skipped_count INTEGER DEFAULT 0,
+            error_count INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            rolled_back_at DATETIME,
+            FOREIGN KEY (account_id) REFERENCES accounts(id)
+          )
+        `);
+
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_transactions_import_batch ON transactions(import_batch_id)');
+
+        // Create duplicate detection tables (pairs marked as not duplicates, IDs merged into another transaction)
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS duplicate_ignores (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transaction_id_a TEXT NOT NULL,
+            transaction_id_b TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(transaction_id_a, transaction_id_b)
+          )
+        `);
+
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS transaction_merges (
+            merged_id TEXT PRIMARY KEY,
+            kept_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Row of the merged transaction, restored when the import batch of the kept one is rolled back
+        try {
+          await runQuery('ALTER TABLE transaction_merges ADD COLUMN merged_row TEXT');
+        } catch (e) { /* Column already exists */ }
+
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_transactions_account_date ON transactions(account_id, transaction_date)');
+
+        // Daily reference rates: units of currency per 1 unit of base currency (ECB publishes EUR based rates)
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS exchange_rates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            date TEXT NOT NULL,
+            base_currency TEXT NOT NULL DEFAULT 'EUR',
+            currency TEXT NOT NULL,
+            rate REAL NOT NULL,
+            source TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(date, base_currency, currency)
+          )
+        `);
+
+        // Application settings (key - value)
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS app_settings (
+            key TEXT PRIMARY KEY,
+            value TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Re-conversion runs of stored amounts with new exchange rates (each change can be reverted)
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS reconversion_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            changed_count INTEGER DEFAULT 0,
+            total_difference REAL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            reverted_at DATETIME
+          )
+        `);
+
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS reconversion_changes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            run_id INTEGER NOT NULL,
+            transaction_id TEXT NOT NULL,
+            old_amount REAL,
+            new_amount REAL,
+            old_exchange_rate REAL,
+            new_exchange_rate REAL,
+            FOREIGN KEY (run_id) REFERENCES reconversion_runs(id)
+          )
+        `);
+
+        try {
+          await runQuery('ALTER TABLE reconversion_changes ADD COLUMN old_unconverted INTEGER DEFAULT 0');
+        } catch (e) { /* Column already exists */ }
+
+        // Currency exchanges - the sold and the bought leg of one exchange
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS fx_exchanges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            from_transaction_id TEXT NOT NULL UNIQUE,
+            to_transaction_id TEXT NOT NULL UNIQUE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Split transactions - lines with their own amount, category and note that sum to the transaction amount
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS transaction_splits (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transaction_id TEXT NOT NULL,
+            amount REAL NOT NULL,
+            category_id INTEGER,
+            notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+            FOREIGN KEY (category_id) REFERENCES categories(id)
+          )
+        `);
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction ON transaction_splits(transaction_id)');
+
+        // Rule proposals the user dismissed (counterparty text + category)
+        await runQuery(`
+          CREATE TABLE IF NOT EXISTS rule_proposal_dismissals (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            value TEXT NOT NULL,
+            category_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(value, category_id)
+          )
+        `);
+
         // Insert default categories if none exist
         const categoriesCount = await getQuery('SELECT COUNT(*) as count FROM categories');
         if (categoriesCount.count === 0) {
           await insertDefaultCategories();
         }
 
+        // Bank fees category was added later, create it in existing databases
+        await getBankFeesCategoryId();
+
+        // Rules from before multi-condition rules only have a pattern, convert them
+        await migrateCategorizationRules();
+
         resolve();
       } catch (err) {
         reject(err);
@@ -238,6 +468,7 @@ async function insertDefaultCategories() {
     { name: 'Телекомуникации', type: 'expense', color: '#FFCE56', icon: 'mobile' },
     { name: 'Застраховки', type: 'expense', color: '#4BC0C0', icon: 'shield-alt' },
     { name: 'Други разходи', type: 'expense', color: '#C9CBCF', icon: 'ellipsis-h' },
+    { name: BANK_FEES_CATEGORY, type: 'expense', color: '#795548', icon: 'university' },
 
     // Income
     { name: 'Заплата', type: 'income', color: '#4CAF50', icon: 'money-bill-wave' },
@@ -288,6 +519,22 @@ async function getAccountById(id) {
   return await getQuery('SELECT * FROM accounts WHERE id = ?', [id]);
 }
 
+// Ledger balance of an account at the end of a given date in the account currency
+// (current balance minus the transactions booked after that date)
+async function getAccountBalanceAt(accountId, date) {
+  const account = await getAccountById(accountId);
+  if (!account) return null;
+
+  // Transactions keep their native amount in original_amount when the account currency is not EUR
+  const result = await getQuery(
+    `SELECT COALESCE(SUM(CASE WHEN original_currency = ? THEN original_amount ELSE amount END), 0) as total
+     FROM transactions WHERE account_id = ? AND transaction_date > ? AND status != 'reverted'`,
+    [account.currency || 'EUR', accountId, date]
+  );
+
+  return Math.round(((account.balance || 0) - result.total) * 100) / 100;
+}
+
 async function upsertAccount(account) {
   const existing = await getAccountById(account.id);
 
@@ -308,6 +555,28 @@ async function upsertAccount(account) {
   }
 }
 
+// Sub-account of a file import (e.g. Revolut savings vault or currency pocket)
+// Inherits the institution of the parent account and is never synced on its own
+async function createSubAccount(parent, subAccount) {
+  return await runQuery(
+    `INSERT INTO accounts (id, name, custom_name, institution_name, currency, balance, parent_account_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [subAccount.id, subAccount.name, subAccount.name, parent.institution_name,
+     subAccount.currency, subAccount.balance || 0, parent.id]
+  );
+}
+
+// Balance of a sub-account from an imported file, as of a given date
+// An older file doesn't overwrite it once transactions after that date are imported
+async function updateSubAccountBalance(id, balance, date) {
+  return await runQuery(
+    `UPDATE accounts SET balance = ?
+     WHERE id = ? AND parent_account_id IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM transactions WHERE account_id = ? AND status = 'booked' AND transaction_date > ?)`,
+    [balance, id, id, date]
+  );
+}
+
 async function updateAccountCustomName(id, customName) {
   return await runQuery('UPDATE accounts SET custom_name = ? WHERE id = ?', [customName, id]);
 }
@@ -335,12 +604,20 @@ async function getTransactions(filters = {}) {
     params.push(filters.endDate);
   }
 
+  if (filters.ruleId) {
+    baseQuery += ' AND t.rule_id = ?';
+    params.push(filters.ruleId);
+  }
+
   if (filters.categoryId) {
     if (filters.categoryId === 'uncategorized') {
       baseQuery += ' AND t.category_id IS NULL';
     } else {
-      baseQuery += ' AND t.category_id = ?';
-      params.push(filters.categoryId);
+      // A split transaction belongs to the categories of its lines
+      baseQuery += ` AND (CASE WHEN EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+        THEN EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id AND s.category_id = ?)
+        ELSE t.category_id = ? END)`;
+      params.push(filters.categoryId, filters.categoryId);
     }
   }
 
@@ -367,12 +644,17 @@ async function getTransactions(filters = {}) {
   }
 
   // Get total count and sum
-  const statsResult = await getQuery(`SELECT COUNT(*) as total, SUM(t.amount) as totalAmount ${baseQuery}`, params);
+  // Reverted transactions are listed, but don't count in the total amount
+  const statsResult = await getQuery(
+    `SELECT COUNT(*) as total, SUM(CASE WHEN t.status = 'reverted' OR t.unconverted = 1 THEN 0 ELSE t.amount END) as totalAmount ${baseQuery}`,
+    params
+  );
   const total = statsResult?.total || 0;
   const totalAmount = statsResult?.totalAmount || 0;
 
   // Get transactions with pagination - include counterparty display name
-  let query = `SELECT t.*, c.name as category_name, c.color as category_color, ca.display_name as counterparty_display_name ${baseQuery}`;
+  let query = `SELECT t.*, c.name as category_name, c.color as category_color, ca.display_name as counterparty_display_name,
+    (SELECT COUNT(*) FROM transaction_splits s WHERE s.transaction_id = t.id) as split_count ${baseQuery}`;
   query += ' ORDER BY t.transaction_date DESC, t.created_at DESC';
 
   const paginatedParams = [...params];
@@ -388,6 +670,16 @@ async function getTransactions(filters = {}) {
 
 async function upsertTransaction(transaction) {
   const existing = await getQuery('SELECT * FROM transactions WHERE id = ?', [transaction.id]);
+  // The converter keeps the original currency but no rate when the date has no exchange rate
+  const unconverted = transaction.originalCurrency && !transaction.exchangeRate ? 1 : 0;
+
+  // Merged duplicates must not come back on the next sync or import
+  if (!existing) {
+    const merged = await getQuery('SELECT kept_id FROM transaction_merges WHERE merged_id = ?', [transaction.id]);
+    if (merged) {
+      return { isNew: false };
+    }
+  }
 
   if (existing) {
     // Update all GoCardless-provided fields, but preserve locally-set fields (category_id, notes)
@@ -399,10 +691,14 @@ async function upsertTransaction(transaction) {
         currency = ?,
         description = ?,
         counterparty_name = ?,
+        counterparty_iban = ?,
         raw_data = ?,
         original_amount = ?,
         original_currency = ?,
-        country = ?
+        exchange_rate = ?,
+        unconverted = ?,
+        country = ?,
+        status = ?
        WHERE id = ?`,
       [
         transaction.transactionDate,
@@ -411,25 +707,69 @@ async function upsertTransaction(transaction) {
         transaction.currency,
         transaction.description,
         transaction.counterpartyName,
+        transaction.counterpartyIban || null,
         transaction.rawData || null,
         transaction.originalAmount || null,
         transaction.originalCurrency || null,
+        transaction.exchangeRate || null,
+        unconverted,
         transaction.country || null,
+        transaction.status || 'booked',
         transaction.id
       ]
     );
     return { isNew: false };
   } else {
+    // A completed transaction replaces its pending version, keeping category (and its lock) and notes set on it,
+    // unless the category of the completed one was chosen by hand
+    let categoryId = transaction.categoryId;
+    let ruleId = transaction.ruleId || null;
+    let categoryManual = transaction.categoryManual ? 1 : 0;
+    let notes = transaction.notes || null;
+    if (transaction.replacesId) {
+      const pending = await getQuery(
+        "SELECT * FROM transactions WHERE id = ? AND status != 'booked'",
+        [transaction.replacesId]
+      );
+      if (pending) {
+        if (pending.category_id && !transaction.categoryManual) {
+          categoryId = pending.category_id;
+          ruleId = pending.rule_id;
+          categoryManual = pending.category_manual ? 1 : 0;
+        }
+        notes = pending.notes || notes;
+
+        // Split lines move to the completed transaction, scaled when the final amount differs
+        await runQuery('UPDATE transaction_splits SET transaction_id = ? WHERE transaction_id = ?', [transaction.id, pending.id]);
+        if (Math.abs(pending.amount - transaction.amount) >= 0.005) {
+          await rescaleTransactionSplits(transaction.id, pending.amount, transaction.amount);
+        }
+
+        await runQuery('DELETE FROM transactions WHERE id = ?', [pending.id]);
+        await runQuery(
+          'INSERT OR REPLACE INTO transaction_merges (merged_id, kept_id, merged_row) VALUES (?, ?, ?)',
+          [pending.id, transaction.id, JSON.stringify(pending)]
+        );
+      }
+    }
+
     await runQuery(
       `INSERT INTO transactions (id, account_id, transaction_date, booking_date, amount,
-       currency, description, counterparty_name, category_id, raw_data, original_amount, original_currency, country)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       currency, description, counterparty_name, counterparty_iban, category_id, raw_data, original_amount, original_currency, exchange_rate, country,
+       import_batch_id, status, notes, tags, exclude_from_reports, parent_transaction_id, rule_id, category_manual, unconverted)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [transaction.id, transaction.accountId, transaction.transactionDate,
        transaction.bookingDate, transaction.amount, transaction.currency,
-       transaction.description, transaction.counterpartyName, transaction.categoryId,
+       transaction.description, transaction.counterpartyName, transaction.counterpartyIban || null, categoryId,
        transaction.rawData || null, transaction.originalAmount || null, transaction.originalCurrency || null,
-       transaction.country || null]
+       transaction.exchangeRate || null, transaction.country || null, transaction.importBatchId || null, transaction.status || 'booked', notes,
+       transaction.tags || null, transaction.excludeFromReports ? 1 : 0, transaction.parentTransactionId || null, ruleId, categoryManual, unconverted]
     );
+
+    // A category kept from the pending version is not a new rule match
+    if (ruleId && ruleId === transaction.ruleId) {
+      await recordRuleHit(ruleId);
+    }
     return { isNew: true };
   }
 }
@@ -450,13 +790,41 @@ async function createManualTransaction(transaction) {
   );
 }
 
-async function updateTransactionCategory(id, categoryId) {
-  return await runQuery('UPDATE transactions SET category_id = ? WHERE id = ?', [categoryId, id]);
+/**
+ * Find the booked version of a pending row - same account, start date, description and amount in the row currency
+ * Used when an older export with the pending row is imported after the completed row
+ * @param {Object} transaction - { accountId, bookingDate, description, amount, currency }
+ * @returns {Object|undefined} Booked transaction ID
+ */
+async function findBookedTransaction(transaction) {
+  return await getQuery(
+    `SELECT id FROM transactions
+     WHERE account_id = ? AND booking_date = ? AND description = ? AND status = 'booked'
+       AND COALESCE(original_currency, 'EUR') = ? AND ABS(COALESCE(original_amount, amount) - ?) < 0.005`,
+    [transaction.accountId, transaction.bookingDate, transaction.description, transaction.currency, transaction.amount]
+  );
+}
+
+async function getTransactionById(id) {
+  return await getQuery(
+    `SELECT t.*, c.name as category_name FROM transactions t
+     LEFT JOIN categories c ON t.category_id = c.id
+     WHERE t.id = ?`,
+    [id]
+  );
+}
+
+// A category set by a person is locked, one from the counterparty history or the classifier is not
+async function updateTransactionCategory(id, categoryId, manual = true) {
+  return await runQuery(
+    'UPDATE transactions SET category_id = ?, rule_id = NULL, category_manual = ? WHERE id = ?',
+    [categoryId, categoryId && manual ? 1 : 0, id]
+  );
 }
 
 async function categorizeByCounterparty(counterpartyName, categoryId) {
   const result = await runQuery(
-    'UPDATE transactions SET category_id = ? WHERE counterparty_name = ? AND category_id IS NULL',
+    'UPDATE transactions SET category_id = ?, rule_id = NULL, category_manual = 1 WHERE counterparty_name = ? AND category_id IS NULL',
     [categoryId, counterpartyName]
   );
   return result.changes || 0;
@@ -470,6 +838,181 @@ async function updateTransactionCountry(id, country) {
   return await runQuery('UPDATE transactions SET country = ? WHERE id = ?', [country, id]);
 }
 
+async function updateTransactionExcludeFromReports(id, exclude) {
+  return await runQuery('UPDATE transactions SET exclude_from_reports = ? WHERE id = ?', [exclude ? 1 : 0, id]);
+}
+
+// Save the result of categorization rule actions on a stored transaction
+async function updateTransactionRuleResult(id, result) {
+  await runQuery(
+    'UPDATE transactions SET category_id = ?, notes = ?, tags = ?, country = ?, exclude_from_reports = ?, rule_id = ? WHERE id = ?',
+    [result.categoryId || null, result.notes || null, result.tags || null, result.country || null,
+     result.excludeFromReports ? 1 : 0, result.ruleId || null, id]
+  );
+
+  if (result.ruleId) {
+    await recordRuleHit(result.ruleId);
+  }
+}
+
+// Split lines of a transaction
+async function getTransactionSplits(transactionId) {
+  return await allQuery(
+    `SELECT s.*, c.name as category_name, c.color as category_color
+     FROM transaction_splits s
+     LEFT JOIN categories c ON s.category_id = c.id
+     WHERE s.transaction_id = ?
+     ORDER BY s.id`,
+    [transactionId]
+  );
+}
+
+/**
+ * Replace the split lines of a transaction (an empty list removes the split)
+ * The transaction keeps the category of its largest line, locked so rules don't overwrite it
+ * @param {string} transactionId - Transaction ID
+ * @param {Array} splits - Array of { amount, categoryId, notes } summing to the transaction amount
+ */
+async function setTransactionSplits(transactionId, splits) {
+  await beginTransaction();
+  try {
+    await runQuery('DELETE FROM transaction_splits WHERE transaction_id = ?', [transactionId]);
+
+    for (const split of splits) {
+      await runQuery(
+        'INSERT INTO transaction_splits (transaction_id, amount, category_id, notes) VALUES (?, ?, ?, ?)',
+        [transactionId, split.amount, split.categoryId || null, split.notes || null]
+      );
+    }
+
+    if (splits.length > 0) {
+      const largest = splits.reduce((max, split) => Math.abs(split.amount) > Math.abs(max.amount) ? split : max);
+      await runQuery(
+        'UPDATE transactions SET category_id = ?, rule_id = NULL, category_manual = 1 WHERE id = ?',
+        [largest.categoryId || null, transactionId]
+      );
+    }
+
+    await commitTransaction();
+  } catch (error) {
+    await rollbackTransaction();
+    throw error;
+  }
+}
+
+// Scale split lines to a new transaction amount, the rounding difference goes to the largest line
+async function rescaleTransactionSplits(transactionId, oldAmount, newAmount) {
+  const splits = await allQuery(
+    'SELECT id, amount FROM transaction_splits WHERE transaction_id = ? ORDER BY ABS(amount) DESC',
+    [transactionId]
+  );
+  if (splits.length === 0 || !oldAmount) return;
+
+  const amounts = splits.map(split => Math.round(split.amount * newAmount / oldAmount * 100) / 100);
+  amounts[0] = Math.round((newAmount - amounts.slice(1).reduce((sum, amount) => sum + amount, 0)) * 100) / 100;
+
+  for (let i = 0; i < splits.length; i++) {
+    await runQuery('UPDATE transaction_splits SET amount = ? WHERE id = ?', [amounts[i], splits[i].id]);
+  }
+}
+
+// Lock or unlock the category of a transaction (locked categories are kept by re-categorization)
+async function updateTransactionCategoryLock(id, locked) {
+  return await runQuery('UPDATE transactions SET category_manual = ? WHERE id = ?', [locked ? 1 : 0, id]);
+}
+
+/**
+ * One page of transactions for re-running the rules, ordered by date and ID
+ * Keyset paging - rows categorized while walking the pages don't shift the next page
+ * @param {Object} filters - { uncategorized, startDate, endDate, accountId }
+ * @param {Object|null} after - { date, id } of the last row of the previous page
+ * @param {number} limit - Page size
+ */
+async function getTransactionsPage(filters = {}, after = null, limit = 1000) {
+  let query = `SELECT t.*, c.name as category_name, c.color as category_color
+    FROM transactions t
+    LEFT JOIN categories c ON t.category_id = c.id
+    WHERE t.status != 'reverted'`;
+  const params = [];
+
+  if (filters.uncategorized) {
+    query += ' AND t.category_id IS NULL';
+  }
+
+  if (filters.accountId) {
+    query += ' AND t.account_id = ?';
+    params.push(filters.accountId);
+  }
+
+  if (filters.startDate) {
+    query += ' AND t.transaction_date >= ?';
+    params.push(filters.startDate);
+  }
+
+  if (filters.endDate) {
+    query += ' AND t.transaction_date <= ?';
+    params.push(filters.endDate);
+  }
+
+  if (after) {
+    query += ' AND (t.transaction_date > ? OR (t.transaction_date = ? AND t.id > ?))';
+    params.push(after.date, after.date, after.id);
+  }
+
+  query += ' ORDER BY t.transaction_date, t.id LIMIT ?';
+  params.push(limit);
+
+  return await allQuery(query, params);
+}
+
+// Save the results of re-running the rules with all their actions (locked categories are never touched)
+async function applyRecategorization(changes) {
+  const hits = new Map();
+  let changed = 0;
+
+  await beginTransaction();
+  try {
+    for (const change of changes) {
+      const result = await runQuery(
+        `UPDATE transactions SET category_id = ?, rule_id = ?, notes = ?, tags = ?, country = ?, exclude_from_reports = ?
+         WHERE id = ? AND COALESCE(category_manual, 0) = 0`,
+        [change.newCategoryId, change.ruleId, change.notes || null, change.tags || null, change.country || null,
+         change.excludeFromReports ? 1 : 0, change.id]
+      );
+      if (result.changes > 0) {
+        changed++;
+        hits.set(change.ruleId, (hits.get(change.ruleId) || 0) + 1);
+      }
+    }
+
+    for (const [ruleId, count] of hits) {
+      await runQuery(
+        'UPDATE categorization_rules SET hit_count = COALESCE(hit_count, 0) + ?, last_matched_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [count, ruleId]
+      );
+    }
+
+    await commitTransaction();
+    return { changed };
+  } catch (error) {
+    await rollbackTransaction();
+    throw error;
+  }
+}
+
+async function recordRuleHit(ruleId) {
+  return await runQuery(
+    'UPDATE categorization_rules SET hit_count = COALESCE(hit_count, 0) + 1, last_matched_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [ruleId]
+  );
+}
+
+// Number of stored transactions whose category was set by each rule
+async function getRuleCategorizedCounts() {
+  const rows = await allQuery('SELECT rule_id, COUNT(*) as count FROM transactions WHERE rule_id IS NOT NULL GROUP BY rule_id');
+  return new Map(rows.map(row => [row.rule_id, row.count]));
+}
+
 async function getTransactionsWithoutCountry() {
   return await allQuery(`
     SELECT id, counterparty_name
@@ -480,15 +1023,31 @@ async function getTransactionsWithoutCountry() {
   `);
 }
 
+// Transactions as reports see them - a split transaction is replaced by its lines
+// (amount and category of the line, everything else of the transaction). Count transactions with COUNT(DISTINCT t.id).
+// Amounts left unconverted for a missing exchange rate are not in EUR and stay out until re-converted.
+const REPORT_TRANSACTIONS = `(
+  SELECT t.id, t.account_id, t.transaction_date, t.amount, t.category_id, t.counterparty_name, t.country,
+    t.status, t.exclude_from_reports
+  FROM transactions t
+  WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id) AND t.unconverted = 0
+  UNION ALL
+  SELECT t.id, t.account_id, t.transaction_date, s.amount, s.category_id, t.counterparty_name, t.country,
+    t.status, t.exclude_from_reports
+  FROM transaction_splits s
+  JOIN transactions t ON t.id = s.transaction_id
+  WHERE t.unconverted = 0
+)`;
+
 async function getTransactionStats(startDate, endDate, types = null, categoryId = null) {
   let query = `
     SELECT
       SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as total_income,
       SUM(CASE WHEN amount < 0 THEN ABS(amount) ELSE 0 END) as total_expenses,
-      COUNT(*) as total_transactions
-    FROM transactions t
+      COUNT(DISTINCT t.id) as total_transactions
+    FROM ${REPORT_TRANSACTIONS} t
     LEFT JOIN categories c ON c.id = t.category_id
-    WHERE 1=1
+    WHERE t.status != 'reverted' AND t.exclude_from_reports = 0
   `;
   const params = [];
 
@@ -542,8 +1101,9 @@ async function updateCategory(id, category) {
 }
 
 async function deleteCategory(id) {
-  // First, set category_id to NULL for all transactions using this category
+  // First, set category_id to NULL for all transactions and split lines using this category
   await runQuery('UPDATE transactions SET category_id = NULL WHERE category_id = ?', [id]);
+  await runQuery('UPDATE transaction_splits SET category_id = NULL WHERE category_id = ?', [id]);
   // Delete categorization rules using this category
   await runQuery('DELETE FROM categorization_rules WHERE category_id = ?', [id]);
   // Delete the category
@@ -562,8 +1122,10 @@ async function getAllCategorizationRules() {
 
 async function createCategorizationRule(rule) {
   const result = await runQuery(
-    'INSERT INTO categorization_rules (pattern, category_id, priority) VALUES (?, ?, ?)',
-    [rule.pattern, rule.categoryId, rule.priority || 0]
+    `INSERT INTO categorization_rules (pattern, category_id, priority, match_type, conditions, actions)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [rule.pattern || '', rule.categoryId, rule.priority || 0, rule.matchType || 'all',
+     JSON.stringify(rule.conditions), JSON.stringify(rule.actions || {})]
   );
   return result.lastID;
 }
@@ -588,6 +1150,18 @@ async function updateCategorizationRule(id, rule) {
     updates.push('active = ?');
     params.push(rule.active ? 1 : 0);
   }
+  if (rule.matchType !== undefined) {
+    updates.push('match_type = ?');
+    params.push(rule.matchType);
+  }
+  if (rule.conditions !== undefined) {
+    updates.push('conditions = ?');
+    params.push(JSON.stringify(rule.conditions));
+  }
+  if (rule.actions !== undefined) {
+    updates.push('actions = ?');
+    params.push(JSON.stringify(rule.actions));
+  }
 
   params.push(id);
 
@@ -597,7 +1171,54 @@ async function updateCategorizationRule(id, rule) {
   );
 }
 
+// All transactions with the values categorization rules check (for the rule test bench)
+async function getTransactionsForRuleTest() {
+  return await allQuery(
+    `SELECT t.id, t.account_id, t.transaction_date, t.amount, t.description, t.counterparty_name, t.counterparty_iban,
+       t.raw_data, t.category_id, c.name as category_name, c.color as category_color
+     FROM transactions t
+     LEFT JOIN categories c ON t.category_id = c.id
+     WHERE t.status != 'reverted'
+     ORDER BY t.transaction_date DESC`
+  );
+}
+
+// Categorized history the categorization classifier is trained on
+async function getCategorizedTransactions() {
+  return await allQuery(
+    `SELECT id, account_id, amount, description, counterparty_name, category_id
+     FROM transactions
+     WHERE category_id IS NOT NULL AND status != 'reverted'`
+  );
+}
+
+// Uncategorized transactions of a counterparty (before categorizing them all at once)
+async function getUncategorizedByCounterparty(counterpartyName) {
+  return await allQuery(
+    `SELECT id, account_id, amount, description, counterparty_name
+     FROM transactions
+     WHERE counterparty_name = ? AND category_id IS NULL`,
+    [counterpartyName]
+  );
+}
+
+// Convert pattern-only rules ("A|B" substring of description or counterparty) to a text condition
+async function migrateCategorizationRules() {
+  const rules = await allQuery('SELECT id, pattern FROM categorization_rules WHERE conditions IS NULL');
+  for (const rule of rules) {
+    const conditions = rule.pattern ? [{ field: 'text', operator: 'contains', value: rule.pattern }] : [];
+    await runQuery(
+      "UPDATE categorization_rules SET conditions = ?, match_type = 'all' WHERE id = ?",
+      [JSON.stringify(conditions), rule.id]
+    );
+  }
+  if (rules.length > 0) {
+    console.log(`Migrated ${rules.length} categorization rules to conditions`);
+  }
+}
+
 async function deleteCategorizationRule(id) {
+  await runQuery('UPDATE transactions SET rule_id = NULL WHERE rule_id = ?', [id]);
   return await runQuery('DELETE FROM categorization_rules WHERE id = ?', [id]);
 }
 
@@ -658,13 +1279,13 @@ async function getCategoryBreakdown(startDate, endDate, types = null, categoryId
   let query = `
     SELECT
       c.id, c.name, c.type, c.color,
-      COUNT(*) as count,
+      COUNT(DISTINCT t.id) as count,
       SUM(CASE WHEN t.amount > 0 THEN t.amount ELSE 0 END) as income,
       SUM(CASE WHEN t.amount < 0 THEN ABS(t.amount) ELSE 0 END) as expenses,
       SUM(t.amount) as net
-    FROM transactions t
+    FROM ${REPORT_TRANSACTIONS} t
     JOIN categories c ON t.category_id = c.id
-    WHERE 1=1
+    WHERE t.status != 'reverted' AND t.exclude_from_reports = 0
   `;
   const params = [];
 
@@ -704,12 +1325,12 @@ async function getCategoryBreakdown(startDate, endDate, types = null, categoryId
   if (showUncategorized) {
     let uncatQuery = `
       SELECT
-        COUNT(*) as count,
+        COUNT(DISTINCT id) as count,
         SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as income,
         SUM(CASE WHEN amount < 0 THEN ABS(amount) ELSE 0 END) as expenses,
         SUM(amount) as net
-      FROM transactions
-      WHERE category_id IS NULL
+      FROM ${REPORT_TRANSACTIONS} t
+      WHERE category_id IS NULL AND status != 'reverted' AND exclude_from_reports = 0
     `;
     const uncatParams = [];
 
@@ -778,13 +1399,14 @@ async function getCounterpartyReport(startDate, endDate, types = null, categoryI
   let query = `
     SELECT
       t.counterparty_name,
-      COUNT(*) as transaction_count,
+      COUNT(DISTINCT t.id) as transaction_count,
       SUM(CASE WHEN t.amount > 0 THEN t.amount ELSE 0 END) as total_income,
       SUM(CASE WHEN t.amount < 0 THEN ABS(t.amount) ELSE 0 END) as total_expenses,
       SUM(t.amount) as net_amount
-    FROM transactions t
+    FROM ${REPORT_TRANSACTIONS} t
     LEFT JOIN categories c ON t.category_id = c.id
     WHERE t.counterparty_name IS NOT NULL AND t.counterparty_name != ''
+      AND t.status != 'reverted' AND t.exclude_from_reports = 0
   `;
   const params = [];
 
@@ -831,14 +1453,14 @@ async function getAccountBreakdown(startDate, endDate, types = null, categoryId
   let query = `
     SELECT
       a.id, a.custom_name, a.name, a.institution_name,
-      COUNT(*) as count,
+      COUNT(DISTINCT t.id) as count,
       SUM(CASE WHEN t.amount > 0 THEN t.amount ELSE 0 END) as income,
       SUM(CASE WHEN t.amount < 0 THEN ABS(t.amount) ELSE 0 END) as expenses,
       SUM(t.amount) as net
-    FROM transactions t
+    FROM ${REPORT_TRANSACTIONS} t
     JOIN accounts a ON t.account_id = a.id
     LEFT JOIN categories c ON t.category_id = c.id
-    WHERE 1=1
+    WHERE t.status != 'reverted' AND t.exclude_from_reports = 0
   `;
   const params = [];
 
@@ -898,6 +1520,406 @@ async function deleteCounterpartyAlias(id) {
   return await runQuery('DELETE FROM counterparty_aliases WHERE id = ?', [id]);
 }
 
+// CSV import profiles operations
+async function getCsvImportProfiles(accountId = null) {
+  if (accountId) {
+    return await allQuery(
+      'SELECT * FROM csv_import_profiles WHERE account_id = ? ORDER BY last_used_at DESC, created_at DESC',
+      [accountId]
+    );
+  }
+  return await allQuery('SELECT * FROM csv_import_profiles ORDER BY name');
+}
+
+async function getCsvImportProfileById(id) {
+  return await getQuery('SELECT * FROM csv_import_profiles WHERE id = ?', [id]);
+}
+
+async function createCsvImportProfile(profile) {
+  const result = await runQuery(
+    'INSERT INTO csv_import_profiles (name, account_id, settings, header_signature) VALUES (?, ?, ?, ?)',
+    [profile.name, profile.accountId || null, JSON.stringify(profile.settings), profile.headerSignature || null]
+  );
+  return result.lastID;
+}
+
+async function updateCsvImportProfile(id, profile) {
+  return await runQuery(
+    'UPDATE csv_import_profiles SET name = ?, account_id = ?, settings = ?, header_signature = ? WHERE id = ?',
+    [profile.name, profile.accountId || null, JSON.stringify(profile.settings), profile.headerSignature || null, id]
+  );
+}
+
+async function touchCsvImportProfile(id) {
+  return await runQuery('UPDATE csv_import_profiles SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+}
+
+async function deleteCsvImportProfile(id) {
+  return await runQuery('DELETE FROM csv_import_profiles WHERE id = ?', [id]);
+}
+
+// Import batches operations
+async function createImportBatch(batch) {
+  const result = await runQuery(
+    `INSERT INTO import_batches (source, file_name, file_hash, account_id, parser)
+     VALUES (?, ?, ?, ?, ?)`,
+    [batch.source, batch.fileName || null, batch.fileHash || null, batch.accountId || null, batch.parser || null]
+  );
+  return result.lastID;
+}
+
+async function updateImportBatchCounts(id, counts) {
+  return await runQuery(
+    `UPDATE import_batches SET total_count = ?, imported_count = ?, skipped_count = ?, error_count = ?
+     WHERE id = ?`,
+    [counts.total || 0, counts.imported || 0, counts.skipped || 0, counts.errors || 0, id]
+  );
+}
+
+// Only for a batch that created no transactions, e.g. a sync run with nothing new
+async function deleteImportBatch(id) {
+  return await runQuery(
+    'DELETE FROM import_batches WHERE id = ? AND NOT EXISTS (SELECT 1 FROM transactions WHERE import_batch_id = ?)',
+    [id, id]
+  );
+}
+
+async function getImportBatches(limit = 100) {
+  return await allQuery(
+    `SELECT b.*, a.name as account_name, a.custom_name as account_custom_name,
+       (SELECT COUNT(*) FROM transactions t WHERE t.import_batch_id = b.id) as remaining_count
+     FROM import_batches b
+     LEFT JOIN accounts a ON b.account_id = a.id
+     ORDER BY b.created_at DESC, b.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+async function getImportBatchById(id) {
+  return await getQuery('SELECT * FROM import_batches WHERE id = ?', [id]);
+}
+
+/**
+ * Roll back an import batch - delete only the transactions the batch created
+ * Transactions that already existed and were only updated by the batch are kept
+ * Transactions merged into one the batch created (a pending row replaced by its completed version,
+ * a duplicate from another source) are restored, together with the split lines moved to it
+ * @param {number} id - Import batch ID
+ * @returns {Object} { deleted, restored }
+ */
+async function rollbackImportBatch(id) {
+  await beginTransaction();
+  try {
+    const merges = await allQuery(
+      `SELECT m.merged_id, m.kept_id, m.merged_row, t.amount as kept_amount FROM transaction_merges m
+       JOIN transactions t ON t.id = m.kept_id
+       WHERE t.import_batch_id = ?`,
+      [id]
+    );
+
+    let restored = 0;
+    for (const merge of merges) {
+      const row = merge.merged_row ? JSON.parse(merge.merged_row) : null;
+      // Rows of the same batch go away with it
+      if (!row || row.import_batch_id === id) continue;
+
+      const columns = Object.keys(row);
+      const result = await runQuery(
+        `INSERT OR IGNORE INTO transactions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column])
+      );
+      if (result.changes === 0) continue;
+      restored++;
+
+      const splits = await getQuery('SELECT COUNT(*) as count FROM transaction_splits WHERE transaction_id = ?', [row.id]);
+      if (splits.count === 0) {
+        await runQuery('UPDATE transaction_splits SET transaction_id = ? WHERE transaction_id = ?', [row.id, merge.kept_id]);
+        if (Math.abs(merge.kept_amount - row.amount) >= 0.005) {
+          await rescaleTransactionSplits(row.id, merge.kept_amount, row.amount);
+        }
+      }
+    }
+    await runQuery(
+      'DELETE FROM transaction_merges WHERE kept_id IN (SELECT id FROM transactions WHERE import_batch_id = ?)',
+      [id]
+    );
+
+    await runQuery('DELETE FROM transaction_splits WHERE transaction_id IN (SELECT id FROM transactions WHERE import_batch_id = ?)', [id]);
+    const result = await runQuery('DELETE FROM transactions WHERE import_batch_id = ?', [id]);
+    await runQuery('UPDATE import_batches SET rolled_back_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    await commitTransaction();
+    return { deleted: result.changes, restored };
+  } catch (error) {
+    await rollbackTransaction();
+    throw error;
+  }
+}
+
+// Exchange rate operations
+async function upsertExchangeRates(rates, source = null) {
+  await beginTransaction();
+  try {
+    for (const rate of rates) {
+      await runQuery(
+        `INSERT INTO exchange_rates (date, base_currency, currency, rate, source) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(date, base_currency, currency) DO UPDATE SET rate = excluded.rate, source = excluded.source`,
+        [rate.date, rate.baseCurrency || 'EUR', rate.currency, rate.rate, source]
+      );
+    }
+    await commitTransaction();
+    return { count: rates.length };
+  } catch (error) {
+    await rollbackTransaction();
+    throw error;
+  }
+}
+
+async function getExchangeRates(baseCurrency = 'EUR') {
+  return await allQuery(
+    'SELECT date, currency, rate FROM exchange_rates WHERE base_currency = ? ORDER BY currency, date',
+    [baseCurrency]
+  );
+}
+
+// Stored rates per currency: number of days, first and last date and the latest rate
+async function getExchangeRateSummary(baseCurrency = 'EUR') {
+  return await allQuery(
+    `SELECT er.currency, COUNT(*) as days, MIN(er.date) as first_date, MAX(er.date) as last_date,
+       (SELECT rate FROM exchange_rates WHERE base_currency = er.base_currency AND currency = er.currency
+        ORDER BY date DESC LIMIT 1) as latest_rate
+     FROM exchange_rates er
+     WHERE er.base_currency = ?
+     GROUP BY er.currency
+     ORDER BY er.currency`,
+    [baseCurrency]
+  );
+}
+
+// Application settings
+async function getSettings() {
+  const rows = await allQuery('SELECT key, value FROM app_settings');
+  return Object.fromEntries(rows.map(row => [row.key, row.value]));
+}
+
+async function setSetting(key, value) {
+  return await runQuery(
+    `INSERT INTO app_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+    [key, value]
+  );
+}
+
+// Transactions converted from another currency (candidates for re-conversion)
+async function getConvertedTransactions() {
+  return await allQuery(
+    `SELECT t.id, t.account_id, t.transaction_date, t.amount, t.original_amount, t.original_currency, t.exchange_rate, t.unconverted,
+       a.name as account_name, a.custom_name as account_custom_name
+     FROM transactions t
+     LEFT JOIN accounts a ON t.account_id = a.id
+     WHERE t.original_amount IS NOT NULL AND t.original_currency IS NOT NULL
+     ORDER BY t.transaction_date`
+  );
+}
+
+/**
+ * Apply re-converted amounts and record every change, so the run can be reverted
+ * @param {Array} changes - Array of { id, oldAmount, newAmount, oldRate, newRate }
+ * @returns {Object} { runId, changed }
+ */
+async function applyReconversion(changes) {
+  const totalDifference = changes.reduce((sum, change) => sum + change.newAmount - change.oldAmount, 0);
+
+  await beginTransaction();
+  try {
+    const run = await runQuery(
+      'INSERT INTO reconversion_runs (changed_count, total_difference) VALUES (?, ?)',
+      [changes.length, Math.round(totalDifference * 100) / 100]
+    );
+
+    for (const change of changes) {
+      await runQuery(
+        `INSERT INTO reconversion_changes (run_id, transaction_id, old_amount, new_amount, old_exchange_rate, new_exchange_rate, old_unconverted)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [run.lastID, change.id, change.oldAmount, change.newAmount, change.oldRate, change.newRate, change.oldUnconverted ? 1 : 0]
+      );
+      await runQuery(
+        'UPDATE transactions SET amount = ?, exchange_rate = ?, unconverted = 0 WHERE id = ?',
+        [change.newAmount, change.newRate, change.id]
+      );
+      await rescaleTransactionSplits(change.id, change.oldAmount, change.newAmount);
+    }
+
+    await commitTransaction();
+    return { runId: run.lastID, changed: changes.length };
+  } catch (error) {
+    await rollbackTransaction();
+    throw error;
+  }
+}
+
+async function getReconversionRuns(limit = 50) {
+  return await allQuery('SELECT * FROM reconversion_runs ORDER BY created_at DESC, id DESC LIMIT ?', [limit]);
+}
+
+async function getReconversionRunById(id) {
+  return await getQuery('SELECT * FROM reconversion_runs WHERE id = ?', [id]);
+}
+
+/**
+ * Revert a re-conversion run - restore the previous amount and rate
+ * Transactions whose amount was changed again after the run are left as they are
+ * @param {number} id - Re-conversion run ID
+ * @returns {Object} { reverted }
+ */
+async function revertReconversion(id) {
+  await beginTransaction();
+  try {
+    // Split lines of the restored transactions follow their amount back
+    const splitChanges = await allQuery(
+      `SELECT rc.transaction_id, rc.old_amount, rc.new_amount
+       FROM reconversion_changes rc
+       JOIN transactions t ON t.id = rc.transaction_id
+       WHERE rc.run_id = ? AND ABS(t.amount - rc.new_amount) < 0.005
+         AND EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = rc.transaction_id)`,
+      [id]
+    );
+
+    const result = await runQuery(
+      `UPDATE transactions SET
+         amount = (SELECT old_amount FROM reconversion_changes rc WHERE rc.run_id = ? AND rc.transaction_id = transactions.id),
+         exchange_rate = (SELECT old_exchange_rate FROM reconversion_changes rc WHERE rc.run_id = ? AND rc.transaction_id = transactions.id),
+         unconverted = (SELECT COALESCE(old_unconverted, 0) FROM reconversion_changes rc WHERE rc.run_id = ? AND rc.transaction_id = transactions.id)
+       WHERE id IN (
+         SELECT rc.transaction_id FROM reconversion_changes rc
+         JOIN transactions t ON t.id = rc.transaction_id
+         WHERE rc.run_id = ? AND ABS(t.amount - rc.new_amount) < 0.005
+       )`,
+      [id, id, id, id]
+    );
+    for (const change of splitChanges) {
+      await rescaleTransactionSplits(change.transaction_id, change.new_amount, change.old_amount);
+    }
+    await runQuery('UPDATE reconversion_runs SET reverted_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    await commitTransaction();
+    return { reverted: result.changes };
+  } catch (error) {
+    await rollbackTransaction();
+    throw error;
+  }
+}
+
+/**
+ * Find possible currency exchange legs - same day, same account or its sub-accounts,
+ * money out in one currency and in in another, not yet paired
+ * @returns {Array} Array of { from, to } transaction rows
+ */
+async function getFxExchangeCandidatePairs() {
+  const columns = ['id', 'account_id', 'transaction_date', 'amount', 'original_amount', 'original_currency',
+    'description', 'raw_data'];
+  const select = ['f', 't']
+    .flatMap(alias => columns.map(column => `${alias}.${column} as ${alias}_${column}`))
+    .join(', ');
+
+  const rows = await allQuery(
+    `SELECT ${select}
+     FROM transactions f
+     JOIN accounts fa ON f.account_id = fa.id
+     JOIN transactions t ON t.transaction_date = f.transaction_date AND t.id <> f.id
+     JOIN accounts ta ON t.account_id = ta.id
+     WHERE f.amount < 0 AND t.amount > 0
+       AND COALESCE(fa.parent_account_id, fa.id) = COALESCE(ta.parent_account_id, ta.id)
+       AND COALESCE(f.original_currency, 'EUR') <> COALESCE(t.original_currency, 'EUR')
+       AND f.status != 'reverted' AND t.status != 'reverted'
+       AND f.unconverted = 0 AND t.unconverted = 0
+       AND f.id NOT IN (SELECT from_transaction_id FROM fx_exchanges)
+       AND t.id NOT IN (SELECT to_transaction_id FROM fx_exchanges)
+     ORDER BY f.transaction_date`
+  );
+
+  const pick = (row, alias) => {
+    const transaction = {};
+    columns.forEach(column => {
+      transaction[column] = row[`${alias}_${column}`];
+    });
+    return transaction;
+  };
+
+  return rows.map(row => ({ from: pick(row, 'f'), to: pick(row, 't') }));
+}
+
+async function insertFxExchanges(pairs) {
+  for (const pair of pairs) {
+    await runQuery(
+      'INSERT OR IGNORE INTO fx_exchanges (from_transaction_id, to_transaction_id) VALUES (?, ?)',
+      [pair.fromId, pair.toId]
+    );
+  }
+}
+
+// Paired currency exchanges with native amounts of both legs, grouped under the main account
+async function getFxExchanges() {
+  return await allQuery(
+    `SELECT x.id, x.from_transaction_id, x.to_transaction_id, f.transaction_date,
+       COALESCE(f.original_amount, f.amount) as from_amount, COALESCE(f.original_currency, 'EUR') as from_currency,
+       COALESCE(t.original_amount, t.amount) as to_amount, COALESCE(t.original_currency, 'EUR') as to_currency,
+       COALESCE(a.parent_account_id, a.id) as account_id,
+       COALESCE(p.custom_name, p.name, a.custom_name, a.name) as account_name
+     FROM fx_exchanges x
+     JOIN transactions f ON f.id = x.from_transaction_id
+     JOIN transactions t ON t.id = x.to_transaction_id
+     JOIN accounts a ON a.id = f.account_id
+     LEFT JOIN accounts p ON p.id = a.parent_account_id
+     ORDER BY f.transaction_date DESC`
+  );
+}
+
+// Get the bank fees category ID, creating the category if it doesn't exist
+async function getBankFeesCategoryId() {
+  const category = await getQuery('SELECT id FROM categories WHERE name = ?', [BANK_FEES_CATEGORY]);
+  if (category) return category.id;
+
+  const result = await runQuery(
+    'INSERT INTO categories (name, type, color, icon) VALUES (?, ?, ?, ?)',
+    [BANK_FEES_CATEGORY, 'expense', '#795548', 'university']
+  );
+  return result.lastID;
+}
+
+// Get the category for transfers between own accounts (null if there is no transfer category)
+async function getInternalTransferCategoryId() {
+  const category = await getQuery(
+    "SELECT id FROM categories WHERE type = 'transfer' ORDER BY (name = 'Между сметки') DESC, id LIMIT 1"
+  );
+  return category ? category.id : null;
+}
+
+/**
+ * Get bank fees per month and bank (bank fees category and its subcategories)
+ * @returns {Object} { rows: [{ year, month, bank, amount, count }] } with amounts as positive costs
+ */
+async function getFeesReport() {
+  const categoryId = await getBankFeesCategoryId();
+
+  const rows = await allQuery(
+    `SELECT
+       strftime('%Y', t.transaction_date) as year,
+       CAST(strftime('%m', t.transaction_date) AS INTEGER) as month,
+       COALESCE(a.institution_name, a.custom_name, a.name, t.account_id) as bank,
+       -SUM(t.amount) as amount,
+       COUNT(DISTINCT t.id) as count
+     FROM ${REPORT_TRANSACTIONS} t
+     JOIN categories c ON t.category_id = c.id
+     LEFT JOIN accounts a ON t.account_id = a.id
+     WHERE (c.id = ? OR c.parent_id = ?) AND t.status != 'reverted' AND t.exclude_from_reports = 0
+     GROUP BY year, month, bank
+     ORDER BY year DESC, month DESC, bank`,
+    [categoryId, categoryId]
+  );
+
+  return { categoryId, rows };
+}
+
 // Get category from previous transaction with same counterparty
 async function getCategoryByCounterparty(counterpartyName) {
   if (!counterpartyName) return null;
@@ -912,6 +1934,169 @@ async function getCategoryByCounterparty(counterpartyName) {
   return result ? result.category_id : null;
 }
 
+// Get which of the given transaction IDs already exist
+async function getExistingTransactionIds(ids) {
+  const existing = new Set();
+
+  // SQLite limits the number of query parameters, so check in chunks
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const placeholders = chunk.map(() => '?').join(',');
+    const rows = await allQuery(
+      `SELECT id FROM transactions WHERE id IN (${placeholders})
+       UNION SELECT merged_id as id FROM transaction_merges WHERE merged_id IN (${placeholders})`,
+      [...chunk, ...chunk]
+    );
+    rows.forEach(row => existing.add(row.id));
+  }
+
+  return existing;
+}
+
+// Get transactions of an account in a date range (used to find duplicates)
+async function getAccountTransactionsInRange(accountId, startDate, endDate) {
+  return await allQuery(
+    `SELECT t.*, c.name as category_name FROM transactions t
+     LEFT JOIN categories c ON t.category_id = c.id
+     WHERE t.account_id = ? AND t.transaction_date >= ? AND t.transaction_date <= ?
+     ORDER BY t.transaction_date`,
+    [accountId, startDate, endDate]
+  );
+}
+
+// Duplicate detection operations
+// Get pairs of transactions in the same account with the same amount and close dates
+async function getDuplicateCandidatePairs(windowDays, accountId = null) {
+  const columns = ['id', 'account_id', 'transaction_date', 'amount', 'original_amount', 'original_currency',
+    'description', 'counterparty_name', 'category_id', 'notes'];
+  const select = ['a', 'b']
+    .flatMap(alias => columns.map(column => `${alias}.${column} as ${alias}_${column}`))
+    .concat(['ca.name as a_category_name', 'cb.name as b_category_name'])
+    .join(', ');
+
+  const params = [`-${windowDays} days`, `+${windowDays} days`];
+  let accountFilter = '';
+  if (accountId) {
+    accountFilter = 'AND a.account_id = ?';
+    params.push(accountId);
+  }
+
+  // Amounts converted from BGN can differ by a cent between sources, so the original amount also counts
+  const rows = await allQuery(
+    `SELECT ${select},
+       ABS(julianday(a.transaction_date) - julianday(b.transaction_date)) as days_apart
+     FROM transactions a
+     JOIN transactions b ON b.account_id = a.account_id
+       AND b.transaction_date BETWEEN date(a.transaction_date, ?) AND date(a.transaction_date, ?)
+       AND a.id < b.id
+     LEFT JOIN categories ca ON a.category_id = ca.id
+     LEFT JOIN categories cb ON b.category_id = cb.id
+     WHERE (ABS(a.amount - b.amount) < 0.005
+       OR (a.original_currency IS NOT NULL AND a.original_currency = b.original_currency
+           AND ABS(a.original_amount - b.original_amount) < 0.005))
+       ${accountFilter}
+     ORDER BY a.transaction_date DESC`,
+    params
+  );
+
+  const pick = (row, alias) => {
+    const transaction = {};
+    columns.concat('category_name').forEach(column => {
+      transaction[column] = row[`${alias}_${column}`];
+    });
+    return transaction;
+  };
+
+  return rows.map(row => ({
+    a: pick(row, 'a'),
+    b: pick(row, 'b'),
+    daysApart: Math.round(row.days_apart)
+  }));
+}
+
+// Transactions categorized by hand (rule proposals)
+async function getManualCategorizations() {
+  return await allQuery(
+    `SELECT id, counterparty_name, category_id
+     FROM transactions
+     WHERE category_manual = 1 AND category_id IS NOT NULL AND counterparty_name IS NOT NULL AND status != 'reverted'`
+  );
+}
+
+// Dismissed rule proposals as a set of "VALUE|categoryId" keys
+async function getDismissedRuleProposals() {
+  const rows = await allQuery('SELECT value, category_id FROM rule_proposal_dismissals');
+  return new Set(rows.map(row => `${row.value}|${row.category_id}`));
+}
+
+async function dismissRuleProposal(value, categoryId) {
+  return await runQuery(
+    'INSERT OR IGNORE INTO rule_proposal_dismissals (value, category_id) VALUES (?, ?)',
+    [value, categoryId]
+  );
+}
+
+// Get pairs marked as "not a duplicate" as a set of "idA|idB" keys (IDs sorted)
+async function getIgnoredDuplicatePairs() {
+  const rows = await allQuery('SELECT transaction_id_a, transaction_id_b FROM duplicate_ignores');
+  return new Set(rows.map(row => `${row.transaction_id_a}|${row.transaction_id_b}`));
+}
+
+async function ignoreDuplicatePair(idA, idB) {
+  const [first, second] = [idA, idB].sort();
+  return await runQuery(
+    'INSERT OR IGNORE INTO duplicate_ignores (transaction_id_a, transaction_id_b) VALUES (?, ?)',
+    [first, second]
+  );
+}
+
+/**
+ * Merge a duplicate into another transaction
+ * The removed ID is remembered so sync and file imports don't insert it again
+ * @param {string} keepId - ID of the transaction to keep
+ * @param {string} removeId - ID of the transaction to delete
+ * @param {Object} merged - { rawData, categoryId, ruleId, categoryManual, notes, tags, excludeFromReports } for the kept transaction,
+ *   splitsFromRemoved when the category (and its split lines) comes from the removed transaction
+ */
+async function mergeTransactions(keepId, removeId, merged) {
+  await beginTransaction();
+  try {
+    const removed = await getQuery('SELECT * FROM transactions WHERE id = ?', [removeId]);
+    await runQuery(
+      `UPDATE transactions SET raw_data = ?, category_id = ?, rule_id = ?, category_manual = ?, notes = ?, tags = ?,
+       exclude_from_reports = ? WHERE id = ?`,
+      [merged.rawData, merged.categoryId, merged.ruleId || null, merged.categoryManual ? 1 : 0, merged.notes,
+       merged.tags || null, merged.excludeFromReports ? 1 : 0, keepId]
+    );
+
+    // Split lines of the removed transaction replace the kept ones when its category wins
+    const removedSplits = await getQuery('SELECT COUNT(*) as count FROM transaction_splits WHERE transaction_id = ?', [removeId]);
+    if (merged.splitsFromRemoved && removedSplits.count > 0) {
+      const kept = await getQuery('SELECT amount FROM transactions WHERE id = ?', [keepId]);
+      await runQuery('DELETE FROM transaction_splits WHERE transaction_id = ?', [keepId]);
+      await runQuery('UPDATE transaction_splits SET transaction_id = ? WHERE transaction_id = ?', [keepId, removeId]);
+      if (Math.abs(removed.amount - kept.amount) >= 0.005) {
+        await rescaleTransactionSplits(keepId, removed.amount, kept.amount);
+      }
+    }
+    await runQuery('DELETE FROM transaction_splits WHERE transaction_id = ?', [removeId]);
+    await runQuery('DELETE FROM transactions WHERE id = ?', [removeId]);
+    await runQuery(
+      'INSERT OR REPLACE INTO transaction_merges (merged_id, kept_id, merged_row) VALUES (?, ?, ?)',
+      [removeId, keepId, removed ? JSON.stringify(removed) : null]
+    );
+    await runQuery('UPDATE transaction_merges SET kept_id = ? WHERE kept_id = ?', [keepId, removeId]);
+    await runQuery(
+      'DELETE FROM duplicate_ignores WHERE transaction_id_a = ? OR transaction_id_b = ?',
+      [removeId, removeId]
+    );
+    await commitTransaction();
+  } catch (error) {
+    await rollbackTransaction();
+    throw error;
+  }
+}
+
 // Transaction management functions for batch operations
 async function beginTransaction() {
   return runQuery('BEGIN TRANSACTION');
@@ -1007,10 +2192,11 @@ async function getCountryReport(types = ['expense'], categoryId = null) {
       t.country,
       strftime('%Y', t.transaction_date) as year,
       SUM(t.amount) as amount,
-      COUNT(*) as count
-    FROM transactions t
+      COUNT(DISTINCT t.id) as count
+    FROM ${REPORT_TRANSACTIONS} t
     LEFT JOIN categories c ON t.category_id = c.id
     WHERE t.country IS NOT NULL AND t.country != ''
+      AND t.status != 'reverted' AND t.exclude_from_reports = 0
       AND (c.type IN (${typePlaceholders}) OR (c.type IS NULL AND 'expense' IN (${typePlaceholders})))
       ${categoryFilter}
     GROUP BY t.country, strftime('%Y', t.transaction_date)
@@ -1048,7 +2234,10 @@ module.exports = {
   initialize,
   getAllAccounts,
   getAccountById,
+  getAccountBalanceAt,
   upsertAccount,
+  createSubAccount,
+  updateSubAccountBalance,
   updateAccountCustomName,
   getTransactions,
   upsertTransaction,
@@ -1057,6 +2246,14 @@ module.exports = {
   categorizeByCounterparty,
   updateTransactionNotes,
   updateTransactionCountry,
+  updateTransactionExcludeFromReports,
+  updateTransactionRuleResult,
+  getRuleCategorizedCounts,
+  getTransactionSplits,
+  setTransactionSplits,
+  updateTransactionCategoryLock,
+  getTransactionsPage,
+  applyRecategorization,
   getTransactionsWithoutCountry,
   getTransactionStats,
   getAllCategories,
@@ -1067,6 +2264,9 @@ module.exports = {
   createCategorizationRule,
   updateCategorizationRule,
   deleteCategorizationRule,
+  getTransactionsForRuleTest,
+  getCategorizedTransactions,
+  getUncategorizedByCounterparty,
   getMonthlyReport,
   getLast12MonthsReport,
   getCategoryBreakdown,
@@ -1079,7 +2279,46 @@ module.exports = {
   createCounterpartyAlias,
   updateCounterpartyAlias,
   deleteCounterpartyAlias,
+  getCsvImportProfiles,
+  getCsvImportProfileById,
+  createCsvImportProfile,
+  updateCsvImportProfile,
+  touchCsvImportProfile,
+  deleteCsvImportProfile,
+  createImportBatch,
+  updateImportBatchCounts,
+  deleteImportBatch,
+  getImportBatches,
+  getImportBatchById,
+  rollbackImportBatch,
+  upsertExchangeRates,
+  getExchangeRates,
+  getExchangeRateSummary,
+  getSettings,
+  setSetting,
+  getConvertedTransactions,
+  applyReconversion,
+  getReconversionRuns,
+  getReconversionRunById,
+  revertReconversion,
+  getFxExchangeCandidatePairs,
+  insertFxExchanges,
+  getFxExchanges,
+  getBankFeesCategoryId,
+  getInternalTransferCategoryId,
+  getFeesReport,
   getCategoryByCounterparty,
+  getExistingTransactionIds,
+  getTransactionById,
+  findBookedTransaction,
+  getDuplicateCandidatePairs,
+  getManualCategorizations,
+  getDismissedRuleProposals,
+  dismissRuleProposal,
+  getIgnoredDuplicatePairs,
+  ignoreDuplicatePair,
+  mergeTransactions,
+  getAccountTransactionsInRange,
   importTransactionsBatch,
   getAccountsByInstitution,
   getDistinctCountries,
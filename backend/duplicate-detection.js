@@ -0,0 +1,185 @@
+const database = require('./database');
+const logger = require('./logger');
+
+// Transactions within this many days of each other can be the same money movement
+const DATE_WINDOW_DAYS = 3;
+
+// Minimum counterparty/description similarity for transactions on different dates
+const MIN_TEXT_SIMILARITY = 0.4;
+
+/**
+ * Get the source of a transaction from its ID prefix
+ * File importers use a prefix (DSK_, REV_, CAMT_...), GoCardless uses the bank transaction ID
+ * @param {String} id - Transaction ID
+ * @returns {String} - Source name
+ */
+function getTransactionSource(id) {
+  const match = String(id).match(/^(DSK|REV|CAMT|MT940|OFX|CSV|CASH)_/);
+  return match ? match[1] : 'GOCARDLESS';
+}
+
+/**
+ * Split counterparty and description into comparable words
+ * @param {Object} transaction - Transaction row
+ * @returns {Set} - Set of normalized words
+ */
+function getWords(transaction) {
+  const text = `${transaction.counterparty_name || ''} ${transaction.description || ''}`.toUpperCase();
+  return new Set(text.split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3));
+}
+
+/**
+ * Share of words of the shorter text that are also in the other one
+ * @param {Object} a - Transaction row
+ * @param {Object} b - Transaction row
+ * @returns {Number} - Similarity between 0 and 1
+ */
+function textSimilarity(a, b) {
+  const wordsA = getWords(a);
+  const wordsB = getWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let common = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) common++;
+  }
+
+  return common / Math.min(wordsA.size, wordsB.size);
+}
+
+/**
+ * Check whether two transactions of the same account and amount are likely the same money movement
+ * The same source never delivers one transaction under two IDs, on different dates the text has to match too
+ * @param {Object} a - Transaction row
+ * @param {Object} b - Transaction row
+ * @param {Number} daysApart - Days between the transaction dates
+ * @returns {Boolean} - True for a likely duplicate
+ */
+function isLikelyDuplicate(a, b, daysApart) {
+  if (getTransactionSource(a.id) === getTransactionSource(b.id)) return false;
+  return daysApart === 0 || textSimilarity(a, b) >= MIN_TEXT_SIMILARITY;
+}
+
+/**
+ * Measure how much information the raw bank data of a transaction holds
+ * @param {String} rawData - Raw data JSON
+ * @returns {Number} - Number of non-empty values
+ */
+function rawDataRichness(rawData) {
+  if (!rawData) return 0;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(rawData);
+  } catch (e) {
+    return 1;
+  }
+
+  const count = value => {
+    if (value === null || value === undefined || value === '') return 0;
+    if (typeof value !== 'object') return 1;
+    return Object.values(value).reduce((sum, item) => sum + count(item), 0);
+  };
+
+  return count(parsed);
+}
+
+/**
+ * Find likely duplicate pairs - same account and amount, close dates, similar text, different sources
+ * @param {Object} options - { accountId }
+ * @returns {Array} - Array of { a, b, daysApart, similarity }
+ */
+async function findDuplicates(options = {}) {
+  const candidates = await database.getDuplicateCandidatePairs(DATE_WINDOW_DAYS, options.accountId);
+  const ignored = await database.getIgnoredDuplicatePairs();
+
+  const pairs = [];
+  for (const { a, b, daysApart } of candidates) {
+    if (ignored.has(pairKey(a.id, b.id))) continue;
+    if (!isLikelyDuplicate(a, b, daysApart)) continue;
+
+    const similarity = textSimilarity(a, b);
+    pairs.push({
+      a: { ...a, source: getTransactionSource(a.id) },
+      b: { ...b, source: getTransactionSource(b.id) },
+      daysApart,
+      similarity: Math.round(similarity * 100) / 100
+    });
+  }
+
+  logger.info(`[Duplicates] Found ${pairs.length} likely duplicate pairs from ${candidates.length} candidates`);
+
+  return pairs;
+}
+
+/**
+ * Merge two transactions into one
+ * The kept transaction gets the richer raw data, the notes of both and the category of either one,
+ * preferring a category chosen by hand
+ * @param {String} keepId - ID of the transaction to keep
+ * @param {String} removeId - ID of the transaction to remove
+ * @returns {Object} - Merged transaction values
+ */
+async function mergeDuplicates(keepId, removeId) {
+  const keep = await database.getTransactionById(keepId);
+  const remove = await database.getTransactionById(removeId);
+  if (!keep || !remove) {
+    throw new Error('Транзакцията не е намерена');
+  }
+  if (keep.account_id !== remove.account_id) {
+    throw new Error('Транзакциите са от различни сметки');
+  }
+
+  const notes = [keep.notes, remove.notes]
+    .map(note => (note || '').trim())
+    .filter((note, index, all) => note && all.indexOf(note) === index)
+    .join('\n');
+
+  const tags = [keep.tags, remove.tags]
+    .flatMap(value => (value || '').split(','))
+    .map(tag => tag.trim())
+    .filter((tag, index, all) => tag && all.indexOf(tag) === index)
+    .join(', ');
+
+  // A category chosen by hand wins over one set by a rule or the classifier
+  // and travels with its lock (or the rule that set it) and its split lines
+  const categorySource = (remove.category_id && remove.category_manual && !keep.category_manual) || !keep.category_id
+    ? remove
+    : keep;
+
+  const merged = {
+    rawData: rawDataRichness(remove.raw_data) > rawDataRichness(keep.raw_data) ? remove.raw_data : keep.raw_data,
+    categoryId: categorySource.category_id || null,
+    ruleId: categorySource.rule_id || null,
+    categoryManual: categorySource.category_manual ? 1 : 0,
+    notes: notes || null,
+    tags: tags || null,
+    excludeFromReports: keep.exclude_from_reports || remove.exclude_from_reports ? 1 : 0,
+    splitsFromRemoved: categorySource === remove
+  };
+
+  await database.mergeTransactions(keepId, removeId, merged);
+  logger.info(`[Duplicates] Merged ${removeId} into ${keepId}`);
+
+  return merged;
+}
+
+/**
+ * Order-independent key of a transaction pair
+ * @param {String} idA - Transaction ID
+ * @param {String} idB - Transaction ID
+ * @returns {String} - Pair key
+ */
+function pairKey(idA, idB) {
+  return [idA, idB].sort().join('|');
+}
+
+module.exports = {
+  DATE_WINDOW_DAYS,
+  findDuplicates,
+  mergeDuplicates,
+  isLikelyDuplicate,
+  getTransactionSource,
+  textSimilarity,
+  rawDataRichness
+};
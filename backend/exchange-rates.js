@@ -0,0 +1,260 @@
+/**
+ * Exchange Rates Module
+ * Imports ECB euro reference rates (CSV or XML) and converts amounts to EUR
+ * using the rate for the transaction date
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const database = require('./database');
+const logger = require('./logger');
+
+// Rates that never change: the euro itself and the irrevocably fixed BGN conversion rate
+const FIXED_RATES = {
+    'EUR': 1,
+    'BGN': 1.95583
+};
+
+const MONTHS = {
+    january: '01', february: '02', march: '03', april: '04', may: '05', june: '06',
+    july: '07', august: '08', september: '09', october: '10', november: '11', december: '12'
+};
+
+/**
+ * Parse ECB reference rates file
+ * Supports eurofxref CSV (daily and history), eurofxref XML and the ECB Data Portal CSV export
+ * @param {string} content - File content
+ * @returns {Array} Array of { date, currency, rate } (units of currency per 1 EUR)
+ */
+function parseEcbRates(content) {
+    const text = content.replace(/^\uFEFF/, '').trim();
+    const rates = text.startsWith('<') ? parseEcbXml(text) : parseEcbCsv(text);
+
+    if (rates.length === 0) {
+        throw new Error('Във файла няма валутни курсове на ЕЦБ');
+    }
+
+    return rates;
+}
+
+/**
+ * Parse eurofxref XML (<Cube time="..."><Cube currency="USD" rate="1.03"/></Cube>)
+ * @param {string} xmlContent - XML content
+ * @returns {Array} Array of { date, currency, rate }
+ */
+function parseEcbXml(xmlContent) {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '',
+        removeNSPrefix: true,
+        isArray: (name) => name === 'Cube'
+    });
+
+    const parsed = parser.parse(xmlContent);
+    const envelope = parsed.Envelope || {};
+    const rates = [];
+
+    for (const outer of envelope.Cube || []) {
+        for (const day of outer.Cube || []) {
+            const date = normalizeDate(day.time);
+            if (!date) continue;
+
+            for (const entry of day.Cube || []) {
+                const rate = parseFloat(entry.rate);
+                if (entry.currency && rate > 0) {
+                    rates.push({ date, currency: entry.currency.toUpperCase(), rate });
+                }
+            }
+        }
+    }
+
+    return rates;
+}
+
+/**
+ * Parse ECB CSV files
+ * eurofxref: "Date,USD,JPY,..." with one row per day
+ * Data Portal: one row per observation with TIME_PERIOD, OBS_VALUE and CURRENCY columns
+ * @param {string} csvContent - CSV content
+ * @returns {Array} Array of { date, currency, rate }
+ */
+function parseEcbCsv(csvContent) {
+    const lines = csvContent.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) return [];
+
+    const splitLine = line => line.split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+    const header = splitLine(lines[0]).map(name => name.toUpperCase());
+    const rates = [];
+
+    const periodIndex = header.indexOf('TIME_PERIOD');
+    const valueIndex = header.indexOf('OBS_VALUE');
+    const currencyIndex = header.indexOf('CURRENCY');
+
+    if (periodIndex !== -1 && valueIndex !== -1 && currencyIndex !== -1) {
+        for (const line of lines.slice(1)) {
+            const values = splitLine(line);
+            const date = normalizeDate(values[periodIndex]);
+            const rate = parseFloat(values[valueIndex]);
+            if (date && rate > 0) {
+                rates.push({ date, currency: values[currencyIndex].toUpperCase(), rate });
+            }
+        }
+        return rates;
+    }
+
+    if (header[0] !== 'DATE') return [];
+
+    for (const line of lines.slice(1)) {
+        const values = splitLine(line);
+        const date = normalizeDate(values[0]);
+        if (!date) continue;
+
+        header.forEach((currency, i) => {
+            const rate = parseFloat(values[i]);
+            if (i > 0 && /^[A-Z]{3}$/.test(currency) && rate > 0) {
+                rates.push({ date, currency, rate });
+            }
+        });
+    }
+
+    return rates;
+}
+
+/**
+ * Normalize ECB date (2025-01-10 or "10 January 2025") to YYYY-MM-DD
+ * @param {string} value - Date string
+ * @returns {string|null} Date or null if not recognized
+ */
+function normalizeDate(value) {
+    const text = String(value || '').trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+    const match = text.match(/^(\d{1,2}) ([A-Za-z]+) (\d{4})$/);
+    if (match && MONTHS[match[2].toLowerCase()]) {
+        return `${match[3]}-${MONTHS[match[2].toLowerCase()]}-${match[1].padStart(2, '0')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Import ECB reference rates file into the exchange_rates table
+ * @param {string} content - File content
+ * @param {string} fileName - File name (stored as source)
+ * @returns {Object} { imported, currencies, from, to }
+ */
+async function importEcbRates(content, fileName = null) {
+    const rates = parseEcbRates(content);
+    await database.upsertExchangeRates(rates, fileName || 'ECB');
+
+    const dates = rates.map(rate => rate.date).sort();
+    const currencies = [...new Set(rates.map(rate => rate.currency))].sort();
+
+    logger.info(`[Exchange Rates] Imported ${rates.length} rates for ${currencies.length} currencies (${dates[0]} - ${dates[dates.length - 1]})`);
+
+    return {
+        imported: rates.length,
+        currencies,
+        from: dates[0],
+        to: dates[dates.length - 1]
+    };
+}
+
+/**
+ * Latest known rate of every currency, including the fixed rates
+ * @returns {Object} Currency -> units of currency per 1 EUR
+ */
+async function getLatestRates() {
+    const summary = await database.getExchangeRateSummary('EUR');
+    const rates = Object.fromEntries(summary.map(row => [row.currency, row.latest_rate]));
+    return { ...rates, ...FIXED_RATES };
+}
+
+/**
+ * Add the EUR value of the native balance to each account (latest rate)
+ * @param {Array} accounts - Account rows
+ * @returns {Array} Accounts with balance_eur
+ */
+async function addEurBalances(accounts) {
+    const converter = await createConverter();
+    return accounts.map(account => ({
+        ...account,
+        balance_eur: converter.convert(account.balance || 0, account.currency || 'EUR', null).amount
+    }));
+}
+
+/**
+ * Load all stored rates and create a converter to EUR
+ * Uses the latest rate published on or before the transaction date (ECB has no weekend rates)
+ * @returns {Object} { convert(amount, currency, date), getRate(currency, date), getWarnings() }
+ */
+async function createConverter() {
+    const rows = await database.getExchangeRates('EUR');
+    const byCurrency = new Map();
+    for (const row of rows) {
+        if (!byCurrency.has(row.currency)) byCurrency.set(row.currency, []);
+        byCurrency.get(row.currency).push(row);
+    }
+
+    const missing = new Map();
+
+    const getRate = (currency, date) => {
+        if (FIXED_RATES[currency]) return FIXED_RATES[currency];
+
+        const history = byCurrency.get(currency);
+        if (!history) return null;
+
+        // Rows are sorted by date, find the last one on or before the date
+        let low = 0;
+        let high = history.length - 1;
+        let found = null;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (history[middle].date <= date) {
+                found = history[middle];
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found ? found.rate : null;
+    };
+
+    const convert = (amount, currency, date) => {
+        const code = (currency || 'EUR').toUpperCase();
+        if (code === 'EUR') {
+            return { amount, originalAmount: null, originalCurrency: null, exchangeRate: null };
+        }
+
+        const rate = getRate(code, date || new Date().toISOString().split('T')[0]);
+        // Without a rate the amount stays unconverted (no exchange rate marks it), the original currency is kept
+        // for a later re-conversion and the row stays out of sums and reports until then
+        if (!rate) {
+            if (!missing.has(code)) missing.set(code, date);
+            return { amount, originalAmount: amount, originalCurrency: code, exchangeRate: null };
+        }
+
+        return {
+            amount: parseFloat((amount / rate).toFixed(2)),
+            originalAmount: amount,
+            originalCurrency: code,
+            exchangeRate: rate
+        };
+    };
+
+    const getWarnings = () => [...missing.entries()].map(([currency, date]) =>
+        `Няма курс на ЕЦБ за ${currency} към ${date} - сумите са оставени без конвертиране и не влизат в отчетите. Импортирайте курсовете и преизчислете сумите от Настройки`
+    );
+
+    return { convert, getRate, getWarnings };
+}
+
+module.exports = {
+    FIXED_RATES,
+    parseEcbRates,
+    importEcbRates,
+    getLatestRates,
+    addEurBalances,
+    createConverter
+};
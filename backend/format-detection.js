@@ -0,0 +1,138 @@
+/**
+ * File Format Detection
+ * Sniffs uploaded statement files, reports the detected format with a confidence score
+ * and suggests the matching account by IBAN or account number
+ */
+
+const database = require('./database');
+const logger = require('./logger');
+const importers = require('./importers');
+
+// Formats that are recognized but have no importer yet
+const KNOWN_FORMATS = [
+    {
+        name: 'pdf',
+        label: 'PDF документ',
+        detect: content => (/^%PDF-/.test(head(content)) ? 1 : 0)
+    }
+];
+
+/**
+ * Detect the format of an uploaded file
+ * @param {string} content - Raw file content
+ * @param {string} [fileName] - Original file name
+ * @returns {Object} { format, label, confidence, supported, candidates, identifiers, suggestedAccount }
+ */
+async function detectFormat(content, fileName = null) {
+    const candidates = importers.scoreImporters(content, fileName).map(({ importer, confidence }) => ({
+        format: importer.name,
+        label: importer.label,
+        confidence,
+        supported: true,
+        definition: importer
+    }));
+
+    for (const known of KNOWN_FORMATS) {
+        const confidence = known.detect(content);
+        if (confidence > 0) {
+            candidates.push({ format: known.name, label: known.label, confidence, supported: false, definition: known });
+        }
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+
+    const best = candidates[0] && candidates[0].confidence >= importers.MIN_CONFIDENCE ? candidates[0] : null;
+
+    let identifiers = { iban: null, accountNumber: null };
+    if (best && best.definition.extractAccountIdentifiers) {
+        try {
+            identifiers = best.definition.extractAccountIdentifiers(content) || identifiers;
+        } catch (error) {
+            logger.warn(`[Format Detection] Could not extract account from ${best.format}: ${error.message}`);
+        }
+    }
+
+    const suggestedAccount = best
+        ? await suggestAccount(identifiers, best.definition.institutionPattern)
+        : null;
+
+    logger.info(`[Format Detection] ${fileName || 'file'}: ${best ? `${best.format} (${best.confidence})` : 'unknown'}`);
+
+    return {
+        format: best ? best.format : null,
+        label: best ? best.label : null,
+        confidence: best ? best.confidence : 0,
+        supported: best ? best.supported : false,
+        candidates: candidates.map(({ definition, ...candidate }) => candidate),
+        identifiers,
+        suggestedAccount
+    };
+}
+
+/**
+ * Suggest the account a file belongs to
+ * Tries IBAN first, then account number, then a unique account of the format's institution
+ * @param {Object} identifiers - { iban, accountNumber } found in the file
+ * @param {string} [institutionPattern] - Institution name fragment for the format
+ * @returns {Object|null} { id, name, matchedBy } or null
+ */
+async function suggestAccount(identifiers, institutionPattern = null) {
+    const accounts = await database.getAllAccounts();
+    const toSuggestion = (account, matchedBy) => ({
+        id: account.id,
+        name: account.custom_name || account.name,
+        matchedBy
+    });
+
+    const iban = normalizeIdentifier(identifiers.iban);
+    if (iban) {
+        const account = accounts.find(acc => normalizeIdentifier(acc.iban) === iban);
+        if (account) return toSuggestion(account, 'iban');
+    }
+
+    const accountNumber = normalizeIdentifier(identifiers.accountNumber);
+    if (accountNumber) {
+        const account = accounts.find(acc =>
+            acc.id === identifiers.accountNumber ||
+            (acc.iban && normalizeIdentifier(acc.iban).endsWith(accountNumber))
+        );
+        if (account) return toSuggestion(account, 'account_number');
+    }
+
+    if (institutionPattern) {
+        const pattern = institutionPattern.toUpperCase();
+        // Sub-accounts share the institution of their parent account
+        const matching = accounts.filter(acc =>
+            !acc.parent_account_id && (acc.institution_name || '').toUpperCase().includes(pattern)
+        );
+        if (matching.length === 1) return toSuggestion(matching[0], 'institution');
+    }
+
+    return null;
+}
+
+/**
+ * Normalize IBAN / account number for comparison (no spaces, uppercase)
+ * @param {string} value - Identifier
+ * @returns {string|null} Normalized identifier
+ */
+function normalizeIdentifier(value) {
+    if (!value) return null;
+    const normalized = String(value).replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    return normalized || null;
+}
+
+/**
+ * Get the beginning of the file content (without BOM) for sniffing
+ * @param {string} content - Raw file content
+ * @returns {string} First 4000 characters
+ */
+function head(content) {
+    return String(content || '').replace(/^\uFEFF/, '').substring(0, 4000);
+}
+
+module.exports = {
+    detectFormat,
+    suggestAccount,
+    normalizeIdentifier
+};
@@ -0,0 +1,128 @@
+const database = require('./database');
+const exchangeRates = require('./exchange-rates');
+const logger = require('./logger');
+
+// Text of both legs of a currency exchange (Revolut type "EXCHANGE", "Exchanged to USD", bank descriptions)
+const EXCHANGE_PATTERN = /\bEXCHANGE|ОБМЯНА|ОБМЕН|КОНВЕРСИЯ|ПОКУПКА НА ВАЛУТА|ПРОДАЖБА НА ВАЛУТА/i;
+
+/**
+ * Check if a transaction looks like a leg of a currency exchange
+ * @param {Object} transaction - Transaction row
+ * @returns {Boolean} - True if the description or the raw bank data mentions an exchange
+ */
+function isExchangeLeg(transaction) {
+  return EXCHANGE_PATTERN.test(transaction.description || '') || EXCHANGE_PATTERN.test(transaction.raw_data || '');
+}
+
+/**
+ * Pair the sold and the bought leg of currency exchanges that are not paired yet
+ * When several legs match on the same day, the pair with the closest EUR values wins
+ * Runs after every file import and bank sync, the report only reads the stored pairs
+ * @returns {Number} - Number of new pairs
+ */
+async function detectExchanges() {
+  const candidates = (await database.getFxExchangeCandidatePairs())
+    .filter(({ from, to }) => isExchangeLeg(from) && isExchangeLeg(to))
+    .sort((a, b) => Math.abs(a.from.amount + a.to.amount) - Math.abs(b.from.amount + b.to.amount));
+
+  const used = new Set();
+  const pairs = [];
+  for (const { from, to } of candidates) {
+    if (used.has(from.id) || used.has(to.id)) continue;
+    used.add(from.id);
+    used.add(to.id);
+    pairs.push({ fromId: from.id, toId: to.id });
+  }
+
+  if (pairs.length > 0) {
+    await database.insertFxExchanges(pairs);
+    logger.info(`[FX Exchanges] Paired ${pairs.length} currency exchanges`);
+  }
+
+  return pairs.length;
+}
+
+/**
+ * Hidden cost of currency exchanges compared to the ECB reference rate of the day
+ * The cost is the EUR value of the sold amount minus the EUR value of the bought amount
+ * @returns {Object} - { totalCost, totalSold, missing, groups: [{ month, accountId, accountName, count, soldEur, cost, costPercent }], exchanges }
+ */
+async function getConversionCostReport() {
+  const converter = await exchangeRates.createConverter();
+  const rows = await database.getFxExchanges();
+  const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+  const exchanges = [];
+  let missing = 0;
+
+  for (const row of rows) {
+    const fromAmount = Math.abs(row.from_amount);
+    const toAmount = Math.abs(row.to_amount);
+    const fromRate = converter.getRate(row.from_currency, row.transaction_date);
+    const toRate = converter.getRate(row.to_currency, row.transaction_date);
+
+    // Without both reference rates the cost can't be measured
+    if (!fromRate || !toRate || fromAmount === 0) {
+      missing++;
+      continue;
+    }
+
+    const soldEur = fromAmount / fromRate;
+    const cost = soldEur - toAmount / toRate;
+
+    exchanges.push({
+      id: row.id,
+      fromTransactionId: row.from_transaction_id,
+      toTransactionId: row.to_transaction_id,
+      date: row.transaction_date,
+      accountId: row.account_id,
+      accountName: row.account_name || row.account_id,
+      fromAmount,
+      fromCurrency: row.from_currency,
+      toAmount,
+      toCurrency: row.to_currency,
+      effectiveRate: round(toAmount / fromAmount, 6),
+      referenceRate: round(toRate / fromRate, 6),
+      soldEur: round(soldEur),
+      cost: round(cost),
+      costPercent: round(cost / soldEur * 100)
+    });
+  }
+
+  const groups = new Map();
+  for (const exchange of exchanges) {
+    const month = exchange.date.substring(0, 7);
+    const key = `${month}|${exchange.accountId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { month, accountId: exchange.accountId, accountName: exchange.accountName, count: 0, soldEur: 0, cost: 0 });
+    }
+
+    const group = groups.get(key);
+    group.count++;
+    group.soldEur += exchange.soldEur;
+    group.cost += exchange.cost;
+  }
+
+  const groupRows = [...groups.values()]
+    .map(group => ({
+      ...group,
+      soldEur: round(group.soldEur),
+      cost: round(group.cost),
+      costPercent: group.soldEur ? round(group.cost / group.soldEur * 100) : 0
+    }))
+    .sort((a, b) => b.month.localeCompare(a.month) || a.accountName.localeCompare(b.accountName));
+
+  return {
+    totalCost: round(exchanges.reduce((sum, exchange) => sum + exchange.cost, 0)),
+    totalSold: round(exchanges.reduce((sum, exchange) => sum + exchange.soldEur, 0)),
+    missing,
+    groups: groupRows,
+    exchanges
+  };
+}
+
+module.exports = {
+  detectExchanges,
+  getConversionCostReport,
+  isExchangeLeg
+};
@@ -2,25 +2,15 @@ const axios = require('axios');
 const config = require('./config');
 const database = require('./database');
 const logger = require('./logger');
+const exchangeRates = require('./exchange-rates');
+const { extractCountryFromCounterparty } = require('./country-codes');
 
 const BASE_URL = config.goCardless.apiUrl;
 
-// Fixed exchange rate BGN to EUR (currency board rate)
-const BGN_TO_EUR_RATE = 1.95583;
-
 function log(message, data = null) {
   logger.debug(`[GoCardless] ${message}`, data);
 }
 
-// Convert amount to EUR if needed
-function convertToEur(amount, currency) {
-  if (currency === 'EUR') return amount;
-  if (currency === 'BGN') return amount / BGN_TO_EUR_RATE;
-  // For other currencies, log warning and return as-is
-  logger.info(`[GoCardless] Unknown currency ${currency}, not converting`);
-  return amount;
-}
-
 // Log API request details
 function logApiRequest(method, url, body = null) {
   logger.info(`[GoCardless API] >>> ${method} ${url}`, body ? { body } : null);
@@ -348,16 +338,13 @@ async function syncAllAccounts() {
               : 0;
             const originalCurrency = details.currency || balanceData.balanceAmount?.currency || 'BGN';
 
-            // Convert balance to EUR
-            const balanceInEur = convertToEur(originalBalance, originalCurrency);
-
             const account = {
               id: accountId,
               name: details.name || details.iban || 'Unknown Account',
               institutionName: details.institution || req.institution_id || '',
               iban: details.iban,
-              currency: 'EUR', // Always store in EUR
-              balance: balanceInEur
+              currency: originalCurrency, // Native currency and balance, converted for totals
+              balance: originalBalance
             };
 
             log(`  Saving account:`, account);
@@ -391,52 +378,88 @@ async function syncAccountTransactions(accountId, daysBack = 90) {
 
     const transactionsData = await getTransactions(accountId, dateFromStr);
     const categorization = require('./categorization');
+    const classifier = require('./classifier');
 
     let syncedCount = 0;
+    let skippedCount = 0;
+    let errorCount = 0;
     const transactions = transactionsData.booked || [];
+    const converter = await exchangeRates.createConverter();
+    const rules = await categorization.getActiveRules();
+    const categorizeFromHistory = await categorization.createHistoryCategorizer();
+
+    // Every sync run that adds transactions is recorded as an import batch so it can be rolled back
+    const batchId = await database.createImportBatch({
+      source: 'gocardless',
+      accountId,
+      parser: 'GoCardless'
+    });
 
     for (const tx of transactions) {
       try {
         const originalAmount = parseFloat(tx.transactionAmount.amount);
         const originalCurrency = tx.transactionAmount.currency;
 
-        // Convert to EUR (all amounts stored in EUR)
-        const amountInEur = convertToEur(originalAmount, originalCurrency);
+        // Convert to EUR with the ECB rate for the transaction date (all amounts stored in EUR)
+        const transactionDate = tx.valueDate || tx.bookingDate;
+        const converted = converter.convert(originalAmount, originalCurrency, transactionDate);
 
         const transaction = {
           id: tx.transactionId || tx.internalTransactionId || `${accountId}-${tx.bookingDate}-${tx.transactionAmount.amount}`,
           accountId: accountId,
-          transactionDate: tx.valueDate || tx.bookingDate,
+          transactionDate,
           bookingDate: tx.bookingDate,
-          amount: amountInEur,
+          amount: converted.amount,
           currency: 'EUR', // Always store in EUR
-          originalAmount: originalCurrency !== 'EUR' ? originalAmount : null,
-          originalCurrency: originalCurrency !== 'EUR' ? originalCurrency : null,
+          originalAmount: converted.originalAmount,
+          originalCurrency: converted.originalCurrency,
+          exchangeRate: converted.exchangeRate,
           description: tx.remittanceInformationUnstructured || tx.additionalInformation || '',
           counterpartyName: tx.creditorName || (tx.remittanceInformationUnstructuredArray ? tx.remittanceInformationUnstructuredArray.join(' ') : '') || '',
+          counterpartyIban: (originalAmount < 0 ? tx.creditorAccount?.iban : tx.debtorAccount?.iban) || null,
           categoryId: null,
-          rawData: JSON.stringify(tx)
+          rawData: JSON.stringify(tx),
+          importBatchId: batchId
         };
 
-        // Try to auto-categorize using rules
-        let categoryId = await categorization.categorizeTransaction(transaction);
+        // Same country detection as the file importers, a rule action can override it
+        transaction.country = extractCountryFromCounterparty(transaction.counterpartyName);
 
-        // If no rule matched, try to get category from previous transaction with same counterparty
-        if (!categoryId && transaction.counterpartyName) {
-          categoryId = await database.getCategoryByCounterparty(transaction.counterpartyName);
-        }
+        // Try to auto-categorize using rules with all their actions
+        const rule = await categorization.applyRuleActions(transaction, rules);
 
-        transaction.categoryId = categoryId;
+        // If no rule matched, fall back to previous transactions with same counterparty and the classifier
+        if (!rule) {
+          transaction.categoryId = await categorizeFromHistory(transaction);
+        }
 
         const result = await database.upsertTransaction(transaction);
         if (result.isNew) {
+          classifier.learnNew([transaction]);
           syncedCount++;
+        } else {
+          skippedCount++;
         }
       } catch (error) {
+        errorCount++;
         console.error('Error syncing transaction:', error.message);
       }
     }
 
+    // A run with nothing new would only clutter the import history
+    if (syncedCount === 0) {
+      await database.deleteImportBatch(batchId);
+    } else {
+      await database.updateImportBatchCounts(batchId, {
+        total: transactions.length,
+        imported: syncedCount,
+        skipped: skippedCount,
+        errors: errorCount
+      });
+    }
+
+    converter.getWarnings().forEach(warning => logger.warn(`[GoCardless] ${warning}`));
+
     return syncedCount;
   } catch (error) {
     console.error(`Error syncing transactions for account ${accountId}:`, error.message);
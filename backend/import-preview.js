@@ -0,0 +1,122 @@
+/**
+ * Import Preview Module
+ * Marks parsed file transactions as new, already imported or likely duplicate
+ * before they are written to the database (dry-run of /api/transactions/import-file)
+ */
+
+const database = require('./database');
+const duplicateDetection = require('./duplicate-detection');
+
+/**
+ * Annotate parsed transactions with their import status
+ * @param {Array} transactions - Transactions prepared by an importer (with categoryId from auto-categorization)
+ * @returns {Array} Array of preview rows { ...transaction, status, duplicateOf }
+ */
+async function previewImport(transactions) {
+    if (transactions.length === 0) return [];
+
+    const existingIds = await database.getExistingTransactionIds(transactions.map(tx => tx.id));
+    const candidatesByAccount = await loadDuplicateCandidates(transactions);
+    const fileIds = new Set(transactions.map(tx => tx.id));
+
+    return transactions.map(tx => {
+        if (existingIds.has(tx.id)) {
+            return toPreviewRow(tx, 'existing', null);
+        }
+
+        // Same money movement already stored under another ID (e.g. bank sync or another file format),
+        // matched the same way as the duplicates report
+        const candidates = candidatesByAccount.get(tx.accountId) || [];
+        const row = { id: tx.id, counterparty_name: tx.counterpartyName, description: tx.description };
+        const duplicate = candidates.find(existing => {
+            if (fileIds.has(existing.id) || Math.abs(existing.amount - tx.amount) >= 0.005) return false;
+            const daysApart = daysBetween(existing.transaction_date, tx.transactionDate);
+            return daysApart <= duplicateDetection.DATE_WINDOW_DAYS && duplicateDetection.isLikelyDuplicate(existing, row, daysApart);
+        });
+
+        return toPreviewRow(tx, duplicate ? 'duplicate' : 'new', duplicate || null);
+    });
+}
+
+/**
+ * Load stored transactions around the file date range for each account
+ * @param {Array} transactions - Parsed transactions
+ * @returns {Map} accountId -> Array of transaction rows
+ */
+async function loadDuplicateCandidates(transactions) {
+    const byAccount = new Map();
+
+    for (const tx of transactions) {
+        if (!tx.transactionDate) continue;
+        const range = byAccount.get(tx.accountId) || { start: tx.transactionDate, end: tx.transactionDate };
+        if (tx.transactionDate < range.start) range.start = tx.transactionDate;
+        if (tx.transactionDate > range.end) range.end = tx.transactionDate;
+        byAccount.set(tx.accountId, range);
+    }
+
+    const candidates = new Map();
+    for (const [accountId, range] of byAccount) {
+        candidates.set(accountId, await database.getAccountTransactionsInRange(
+            accountId,
+            shiftDate(range.start, -duplicateDetection.DATE_WINDOW_DAYS),
+            shiftDate(range.end, duplicateDetection.DATE_WINDOW_DAYS)
+        ));
+    }
+
+    return candidates;
+}
+
+/**
+ * Build preview row sent to the client
+ * @param {Object} tx - Parsed transaction
+ * @param {string} status - 'new', 'existing' or 'duplicate'
+ * @param {Object|null} duplicate - Stored transaction it duplicates
+ * @returns {Object} Preview row
+ */
+function toPreviewRow(tx, status, duplicate) {
+    return {
+        id: tx.id,
+        transactionDate: tx.transactionDate,
+        amount: tx.amount,
+        originalAmount: tx.originalAmount,
+        originalCurrency: tx.originalCurrency,
+        description: tx.description,
+        counterpartyName: tx.counterpartyName,
+        categoryId: tx.categoryId || null,
+        status,
+        duplicateOf: duplicate ? {
+            id: duplicate.id,
+            transactionDate: duplicate.transaction_date,
+            amount: duplicate.amount,
+            description: duplicate.description,
+            counterpartyName: duplicate.counterparty_name,
+            categoryName: duplicate.category_name
+        } : null
+    };
+}
+
+/**
+ * Number of days between two YYYY-MM-DD dates
+ * @param {string} a - First date
+ * @param {string} b - Second date
+ * @returns {number} Absolute difference in days
+ */
+function daysBetween(a, b) {
+    return Math.abs(new Date(a) - new Date(b)) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Shift YYYY-MM-DD date by a number of days
+ * @param {string} date - Date
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date
+ */
+function shiftDate(date, days) {
+    const d = new Date(date);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+module.exports = {
+    previewImport
+};
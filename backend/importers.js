@@ -0,0 +1,163 @@
+/**
+ * Importer Registry
+ * Keeps the list of file importers used by /api/transactions/import-file
+ * and picks the right one for an uploaded file
+ */
+
+const logger = require('./logger');
+const xmlImport = require('./xml-import');
+const revolutImport = require('./revolut-import');
+const camtImport = require('./camt-import');
+const mt940Import = require('./mt940-import');
+const ofxImport = require('./ofx-import');
+const csvImport = require('./csv-import');
+
+const importers = new Map();
+
+// Minimum detection confidence to pick an importer automatically
+const MIN_CONFIDENCE = 0.5;
+
+/**
+ * Register a file importer
+ * @param {Object} importer - Importer definition
+ * @param {string} importer.name - Unique format name (e.g. 'dsk-xml')
+ * @param {string} importer.label - Human readable name shown in the UI
+ * @param {Array} importer.extensions - Supported file extensions (e.g. ['.xml'])
+ * @param {Function} importer.detect - Content sniffer: (content) => confidence between 0 and 1
+ * @param {Function} importer.process - (content, account, options) => Array of transactions
+ * @param {Function} [importer.extractAccountIdentifiers] - (content) => { iban, accountNumber }
+ * @param {string} [importer.institutionPattern] - Institution name fragment of accounts this format belongs to
+ * @param {Array} [importer.options] - Extra options the importer understands (e.g. ['currency'])
+ */
+function registerImporter(importer) {
+    if (!importer || !importer.name) {
+        throw new Error('Importer must have a name');
+    }
+    if (typeof importer.detect !== 'function' || typeof importer.process !== 'function') {
+        throw new Error(`Importer "${importer.name}" must implement detect() and process()`);
+    }
+    if (importers.has(importer.name)) {
+        logger.warn(`[Importers] Replacing already registered importer: ${importer.name}`);
+    }
+
+    importers.set(importer.name, {
+        extensions: [],
+        options: [],
+        ...importer
+    });
+}
+
+/**
+ * Get importer by format name
+ * @param {string} name - Format name
+ * @returns {Object|null} Importer definition or null
+ */
+function getImporter(name) {
+    return importers.get(name) || null;
+}
+
+/**
+ * List registered importers (public info only, safe to send to the client)
+ * @returns {Array} Array of { name, label, extensions, options }
+ */
+function listImporters() {
+    return Array.from(importers.values()).map(importer => ({
+        name: importer.name,
+        label: importer.label || importer.name,
+        extensions: importer.extensions,
+        options: importer.options
+    }));
+}
+
+/**
+ * Score every registered importer against the file content
+ * @param {string} content - Raw file content
+ * @param {string} [fileName] - Original file name, an unexpected extension lowers the score
+ * @returns {Array} Array of { importer, confidence } sorted by confidence (highest first)
+ */
+function scoreImporters(content, fileName = null) {
+    const extension = getExtension(fileName);
+    const scores = [];
+
+    for (const importer of importers.values()) {
+        let confidence = 0;
+        try {
+            confidence = Number(importer.detect(content)) || 0;
+        } catch (error) {
+            logger.warn(`[Importers] Detection failed for ${importer.name}: ${error.message}`);
+        }
+
+        // A file with an unexpected extension is less likely to be in this format
+        if (confidence > 0 && extension && !importer.extensions.includes(extension)) {
+            confidence *= 0.9;
+        }
+
+        if (confidence > 0) {
+            scores.push({ importer, confidence: Math.round(confidence * 100) / 100 });
+        }
+    }
+
+    return scores.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Find the importer that understands the given file content
+ * @param {string} content - Raw file content
+ * @param {string} [fileName] - Original file name, used to prefer importers by extension
+ * @returns {Object|null} Importer definition or null if the format is not recognized
+ */
+function detectImporter(content, fileName = null) {
+    const [best] = scoreImporters(content, fileName);
+    return best && best.confidence >= MIN_CONFIDENCE ? best.importer : null;
+}
+
+/**
+ * Run an importer and normalize its result
+ * @param {Object} importer - Importer definition
+ * @param {string} content - Raw file content
+ * @param {Object} account - Target account row
+ * @param {Object} options - Importer options (e.g. { currency })
+ * @returns {Object} { transactions, warnings }
+ */
+async function runImporter(importer, content, account, options = {}) {
+    const result = await importer.process(content, account, options);
+
+    if (Array.isArray(result)) {
+        return { transactions: result, warnings: [] };
+    }
+
+    return {
+        transactions: result?.transactions || [],
+        warnings: result?.warnings || []
+    };
+}
+
+/**
+ * Get lowercase file extension including the dot
+ * @param {string} fileName - File name
+ * @returns {string|null} Extension (e.g. '.csv') or null
+ */
+function getExtension(fileName) {
+    if (!fileName) return null;
+    const idx = fileName.lastIndexOf('.');
+    return idx === -1 ? null : fileName.substring(idx).toLowerCase();
+}
+
+// Built-in importers
+registerImporter(xmlImport.importer);
+registerImporter(revolutImport.importer);
+registerImporter(camtImport.importer);
+registerImporter(mt940Import.importer);
+registerImporter(ofxImport.importer);
+registerImporter(csvImport.importer);
+
+module.exports = {
+    MIN_CONFIDENCE,
+    registerImporter,
+    getImporter,
+    listImporters,
+    scoreImporters,
+    detectImporter,
+    runImporter,
+    getExtension
+};
@@ -0,0 +1,420 @@
+/**
+ * MT940 Import Module for SWIFT bank statements
+ * Parses MT940 files (:61: statement lines with their :86: information) and converts them to transaction format
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const exchangeRates = require('./exchange-rates');
+const { extractCountryFromCounterparty } = require('./country-codes');
+
+// :61: value date, entry date, D/C mark, funds code, amount, transaction type, references, supplementary details
+const STATEMENT_LINE_REGEX = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([NSF][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+// Keys of the slash structured :86: format (/NAME/.../REMI/...)
+const SLASH_KEYS = ['EREF', 'KREF', 'MREF', 'CRED', 'DEBT', 'REMI', 'NAME', 'IBAN', 'BIC', 'BENM', 'ORDP', 'ADDR', 'CSID', 'MARF', 'PREF', 'RTRN', 'PURP', 'ULTD', 'ULTB', 'TRCD', 'CNTP', 'SVWZ', 'ABWA'];
+
+/**
+ * Split MT940 content into statements and their tagged fields
+ * @param {string} content - Raw MT940 content
+ * @returns {Array} Array of statements, each an array of { tag, value }
+ */
+function splitStatements(content) {
+    const text = String(content || '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\{[1-3]:[^}]*\}/g, '') // SWIFT basic, application and user header blocks
+        .replace(/\{4:/g, '')
+        .replace(/^-\}?\s*$/gm, ''); // End of text block
+
+    const statements = [];
+    let fields = null;
+    let current = null;
+
+    for (const line of text.split('\n')) {
+        const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+
+        if (match) {
+            current = { tag: match[1], value: match[2] };
+            // Every statement starts with the transaction reference :20:
+            if (current.tag === '20' || !fields) {
+                fields = [];
+                statements.push(fields);
+            }
+            fields.push(current);
+        } else if (current && line.trim() !== '') {
+            // Continuation line of the previous field
+            current.value += `\n${line}`;
+        }
+    }
+
+    return statements;
+}
+
+/**
+ * Parse MT940 content and extract statements with their transactions
+ * @param {string} content - Raw MT940 content
+ * @returns {Array} Array of statements { reference, account, currency, openingBalance, closingBalance, transactions }
+ */
+function parseMt940(content) {
+    const statements = splitStatements(content).map(fields => {
+        const statement = {
+            reference: null,
+            account: null,
+            currency: null,
+            openingBalance: null,
+            closingBalance: null,
+            transactions: []
+        };
+
+        for (const field of fields) {
+            switch (field.tag) {
+                case '20':
+                    statement.reference = field.value.trim();
+                    break;
+                case '25':
+                    statement.account = field.value.trim();
+                    break;
+                case '60F':
+                case '60M': {
+                    const balance = parseBalance(field.value);
+                    if (balance) {
+                        statement.openingBalance = balance.amount;
+                        statement.currency = balance.currency;
+                    }
+                    break;
+                }
+                case '62F':
+                case '62M': {
+                    const balance = parseBalance(field.value);
+                    if (balance) statement.closingBalance = balance.amount;
+                    break;
+                }
+                case '61': {
+                    const transaction = parseStatementLine(field.value);
+                    if (transaction) statement.transactions.push(transaction);
+                    break;
+                }
+                case '86': {
+                    // :86: belongs to the preceding :61: line
+                    const last = statement.transactions[statement.transactions.length - 1];
+                    if (last && !last.information) {
+                        last.information = field.value;
+                        Object.assign(last, parseInformation(field.value));
+                    }
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+
+        return statement;
+    });
+
+    logger.info(`[MT940 Import] Found ${statements.length} statements with ${statements.reduce((sum, s) => sum + s.transactions.length, 0)} transactions`);
+
+    return statements;
+}
+
+/**
+ * Parse :60F: / :62F: balance field (C250131BGN1000,00)
+ * @param {string} value - Field value
+ * @returns {Object|null} { date, currency, amount }
+ */
+function parseBalance(value) {
+    const match = value.trim().match(/^([CD])(\d{6})([A-Z]{3})(\d+,\d*)/);
+    if (!match) return null;
+
+    const amount = parseAmount(match[4]);
+    return {
+        date: convertDate(match[2]),
+        currency: match[3],
+        amount: match[1] === 'D' ? -amount : amount
+    };
+}
+
+/**
+ * Parse a :61: statement line
+ * @param {string} value - Field value
+ * @returns {Object|null} Parsed statement line
+ */
+function parseStatementLine(value) {
+    const match = value.trim().match(STATEMENT_LINE_REGEX);
+    if (!match) {
+        logger.warn(`[MT940 Import] Invalid :61: line: ${value}`);
+        return null;
+    }
+
+    const [, valueDate, entryDate, mark, , amountStr, typeCode, customerRef, bankRef, details] = match;
+
+    // D = debit, C = credit, RC = reversal of credit (debit), RD = reversal of debit (credit)
+    const isDebit = mark === 'D' || mark === 'RC';
+    const amount = parseAmount(amountStr);
+    const transactionDate = convertDate(valueDate);
+
+    return {
+        transactionDate,
+        bookingDate: entryDate ? convertEntryDate(entryDate, transactionDate) : transactionDate,
+        amount: isDebit ? -amount : amount,
+        typeCode,
+        customerReference: customerRef.trim() === 'NONREF' ? '' : customerRef.trim(),
+        bankReference: (bankRef || '').trim(),
+        supplementaryDetails: (details || '').replace(/\s+/g, ' ').trim(),
+        information: null,
+        description: '',
+        counterpartyName: '',
+        counterpartyIban: null
+    };
+}
+
+/**
+ * Parse :86: information to account owner, including multi-line structured subfields
+ * Supports the "?xx" subfield format (?20-?29 remittance, ?32-?33 name, ?31 IBAN)
+ * and the slash format (/REMI/.../NAME/...), otherwise the text is the description
+ * @param {string} value - Field value (may span several lines)
+ * @returns {Object} { description, counterpartyName, counterpartyIban }
+ */
+function parseInformation(value) {
+    if (/^\d{3}\?\d{2}|^\?\d{2}/.test(value.trim())) {
+        // Continuation lines may break a subfield anywhere, so join them without separator
+        const subfields = {};
+        const joined = value.replace(/\n/g, '');
+        for (const part of joined.split('?').slice(1)) {
+            const code = part.substring(0, 2);
+            subfields[code] = (subfields[code] || '') + part.substring(2);
+        }
+
+        const remittance = Object.keys(subfields)
+            .filter(code => (code >= '20' && code <= '29') || (code >= '60' && code <= '63'))
+            .sort()
+            .map(code => subfields[code])
+            .join('');
+
+        return {
+            description: cleanText(remittance || subfields['00']),
+            counterpartyName: cleanText([subfields['32'], subfields['33']].filter(Boolean).join('')),
+            counterpartyIban: subfields['31'] ? subfields['31'].trim() : null
+        };
+    }
+
+    const slashRegex = new RegExp(`/(${SLASH_KEYS.join('|')})/`, 'g');
+    const joined = value.replace(/\n/g, '');
+    if (value.trim().startsWith('/') && slashRegex.test(joined)) {
+        const subfields = {};
+        const parts = joined.split(new RegExp(`/(${SLASH_KEYS.join('|')})/`));
+        for (let i = 1; i < parts.length; i += 2) {
+            subfields[parts[i]] = subfields[parts[i]] || parts[i + 1];
+        }
+
+        // Counterparty may be nested as /BENM//NAME/... or /ORDP//NAME/...
+        return {
+            description: cleanText(subfields.REMI || subfields.SVWZ || ''),
+            counterpartyName: cleanText(subfields.NAME || ''),
+            counterpartyIban: subfields.IBAN ? subfields.IBAN.trim() : null
+        };
+    }
+
+    return {
+        description: cleanText(value.replace(/\n/g, ' ')),
+        counterpartyName: '',
+        counterpartyIban: null
+    };
+}
+
+/**
+ * Convert date from YYMMDD to YYYY-MM-DD format
+ * @param {string} dateStr - Date in YYMMDD format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function convertDate(dateStr) {
+    return `20${dateStr.substring(0, 2)}-${dateStr.substring(2, 4)}-${dateStr.substring(4, 6)}`;
+}
+
+/**
+ * Convert MMDD entry date to YYYY-MM-DD using the value date year
+ * Handles entries booked around new year (value date in December, entry date in January and vice versa)
+ * @param {string} entryDate - Date in MMDD format
+ * @param {string} valueDate - Value date in YYYY-MM-DD format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function convertEntryDate(entryDate, valueDate) {
+    let year = parseInt(valueDate.substring(0, 4), 10);
+    const valueMonth = valueDate.substring(5, 7);
+    const entryMonth = entryDate.substring(0, 2);
+
+    if (valueMonth === '12' && entryMonth === '01') year++;
+    if (valueMonth === '01' && entryMonth === '12') year--;
+
+    return `${year}-${entryMonth}-${entryDate.substring(2, 4)}`;
+}
+
+/**
+ * Parse MT940 amount (1234,56) to number
+ * @param {string} amountStr - Amount with comma as decimal separator
+ * @returns {number} Parsed amount
+ */
+function parseAmount(amountStr) {
+    return parseFloat(String(amountStr).replace(',', '.')) || 0;
+}
+
+/**
+ * Normalize whitespace in free text
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text
+ */
+function cleanText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Generate a unique transaction ID based on transaction data
+ * Uses MD5 hash of key fields to create deterministic ID, the statement reference is not part of it,
+ * so the same transaction in overlapping statements gets the same ID
+ * @param {Object} transaction - Parsed transaction
+ * @param {string} account - Statement account (:25:)
+ * @param {number} [occurrence] - Number of identical transactions before this one in the same file
+ * @returns {string} Unique ID in format MT940_XXXXXXXXXXXXXXXX
+ */
+function generateTransactionId(transaction, account, occurrence = 0) {
+    const fields = [
+        account,
+        transaction.transactionDate,
+        transaction.amount.toFixed(2),
+        transaction.customerReference,
+        transaction.bankReference,
+        transaction.description,
+        transaction.counterpartyName
+    ];
+    if (occurrence > 0) fields.push(occurrence);
+
+    const hash = crypto.createHash('md5').update(fields.join('|')).digest('hex');
+    return `MT940_${hash.substring(0, 16).toUpperCase()}`;
+}
+
+/**
+ * Check that opening balance + transactions = closing balance for each statement
+ * @param {Array} statements - Parsed statements
+ * @returns {Array} Warning messages
+ */
+function checkBalances(statements) {
+    const warnings = [];
+
+    for (const statement of statements) {
+        if (statement.openingBalance === null || statement.closingBalance === null) continue;
+
+        const total = statement.transactions.reduce((sum, tx) => sum + tx.amount, 0);
+        const expected = Math.round((statement.openingBalance + total) * 100) / 100;
+        if (Math.abs(expected - statement.closingBalance) > 0.005) {
+            warnings.push(
+                `Извлечение ${statement.reference || ''}: начално салдо ${statement.openingBalance.toFixed(2)} + движения ${total.toFixed(2)} = ${expected.toFixed(2)}, ` +
+                `а крайното салдо е ${statement.closingBalance.toFixed(2)} ${statement.currency || ''}. Файлът може да е непълен.`
+            );
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * Process MT940 content and prepare transactions for import
+ * @param {string} content - Raw MT940 content
+ * @param {string} accountId - Target account ID
+ * @returns {Object} { transactions, warnings }
+ */
+async function processMt940ForImport(content, accountId) {
+    const converter = await exchangeRates.createConverter();
+    const statements = parseMt940(content);
+    const warnings = checkBalances(statements);
+    const transactions = [];
+    const seen = new Map();
+
+    for (const statement of statements) {
+        const currency = statement.currency || 'EUR';
+
+        for (const tx of statement.transactions) {
+            // Convert currency to EUR with the ECB rate for the transaction date
+            const { amount, originalAmount, originalCurrency, exchangeRate } = converter.convert(tx.amount, currency, tx.transactionDate);
+
+            const description = tx.description || tx.supplementaryDetails;
+
+            // Identical transactions on the same day get a running number, so they are not merged
+            const baseId = generateTransactionId({ ...tx, description }, statement.account);
+            const occurrence = seen.get(baseId) || 0;
+            seen.set(baseId, occurrence + 1);
+
+            transactions.push({
+                id: occurrence > 0 ? generateTransactionId({ ...tx, description }, statement.account, occurrence) : baseId,
+                transactionDate: tx.transactionDate,
+                bookingDate: tx.bookingDate,
+                description,
+                amount,
+                originalAmount,
+                originalCurrency,
+                exchangeRate,
+                currency: 'EUR',
+                counterpartyName: tx.counterpartyName,
+                counterpartyIban: tx.counterpartyIban,
+                accountId,
+                rawData: JSON.stringify({ statement: statement.reference, account: statement.account, ...tx }),
+                country: extractCountryFromCounterparty(tx.counterpartyName)
+            });
+        }
+    }
+
+    warnings.push(...converter.getWarnings());
+    warnings.forEach(warning => logger.warn(`[MT940 Import] ${warning}`));
+
+    return { transactions, warnings };
+}
+
+/**
+ * Score how likely the content is an MT940 statement
+ * @param {string} content - Raw file content
+ * @returns {number} Confidence between 0 and 1
+ */
+function detectMt940(content) {
+    const head = String(content || '').replace(/^\uFEFF/, '').substring(0, 4000);
+    if (!/^:20:/m.test(head) || !/^:25:/m.test(head)) return 0;
+
+    if (/^:6[01][FM]?:/m.test(head) && /^:61:/m.test(head)) return 0.95;
+    return /^:28C?:/m.test(head) ? 0.7 : 0.5;
+}
+
+/**
+ * Extract the statement account from the :25: field (IBAN or BIC/account number)
+ * @param {string} content - Raw MT940 content
+ * @returns {Object} { iban, accountNumber }
+ */
+function extractAccountIdentifiers(content) {
+    const match = String(content).match(/^:25:(.+)$/m);
+    if (!match) return { iban: null, accountNumber: null };
+
+    // Value is either the IBAN or "bank code/account number"
+    const value = match[1].trim();
+    const account = value.includes('/') ? value.substring(value.lastIndexOf('/') + 1) : value;
+    const normalized = account.replace(/\s/g, '').toUpperCase();
+
+    return /^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(normalized)
+        ? { iban: normalized, accountNumber: null }
+        : { iban: null, accountNumber: account };
+}
+
+// Importer definition for the importer registry
+const importer = {
+    name: 'mt940',
+    label: 'SWIFT MT940',
+    extensions: ['.sta', '.mt940', '.940', '.txt'],
+    options: [],
+    detect: detectMt940,
+    extractAccountIdentifiers,
+    process: (content, account) => processMt940ForImport(content, account.id)
+};
+
+module.exports = {
+    parseMt940,
+    generateTransactionId,
+    processMt940ForImport,
+    detectMt940,
+    importer
+};
@@ -0,0 +1,171 @@
+/**
+ * OFX Export Module
+ * Builds an OFX 2.x (XML) bank statement from transactions, for desktop tools like GnuCash and Moneydance
+ */
+
+/**
+ * Build OFX document with one statement per account
+ * @param {Array} transactions - Transaction rows (as returned by database.getTransactions)
+ * @param {Array} accounts - Account rows with ledgerBalance and ledgerDate set (in EUR)
+ * @param {Object} options - { startDate, endDate, currency, rate } - amounts are multiplied by rate (units of currency per 1 EUR)
+ * @returns {string} OFX 2.x document
+ */
+function buildOfx(transactions, accounts, options = {}) {
+    const now = formatDateTime(new Date());
+
+    const statements = accounts.map(account => {
+        const accountTransactions = transactions.filter(t => t.account_id === account.id);
+        return buildStatement(account, accountTransactions, options);
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+        '<OFX>',
+        '<SIGNONMSGSRSV1>',
+        '<SONRS>',
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<DTSERVER>${now}</DTSERVER>`,
+        '<LANGUAGE>BUL</LANGUAGE>',
+        '</SONRS>',
+        '</SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1>',
+        ...statements,
+        '</BANKMSGSRSV1>',
+        '</OFX>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Split transactions into the ones an OFX statement can hold and the ones it can't
+ * Pending and reverted rows are not final, unconverted amounts are still in their own currency, not in EUR
+ * @param {Array} transactions - Transaction rows
+ * @returns {Object} { transactions, skipped: { pending, reverted, unconverted } }
+ */
+function selectExportable(transactions) {
+    const skipped = { pending: 0, reverted: 0, unconverted: 0 };
+
+    const exportable = transactions.filter(t => {
+        if (t.status === 'pending' || t.status === 'reverted') {
+            skipped[t.status]++;
+            return false;
+        }
+        if (t.unconverted) {
+            skipped.unconverted++;
+            return false;
+        }
+        return true;
+    });
+
+    return { transactions: exportable, skipped };
+}
+
+/**
+ * Build STMTTRNRS element for a single account
+ * @param {Object} account - Account row with ledgerBalance and ledgerDate
+ * @param {Array} transactions - Transactions of the account
+ * @param {Object} options - { startDate, endDate, currency, rate }
+ * @returns {string} STMTTRNRS element
+ */
+function buildStatement(account, transactions, options) {
+    const rate = options.rate || 1;
+    const dates = transactions.map(t => t.transaction_date).sort();
+    const startDate = options.startDate || dates[0] || account.ledgerDate;
+    const endDate = options.endDate || dates[dates.length - 1] || account.ledgerDate;
+
+    const iban = account.iban ? account.iban.replace(/\s/g, '') : null;
+
+    return [
+        '<STMTTRNRS>',
+        `<TRNUID>${escapeXml(account.id)}</TRNUID>`,
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        '<STMTRS>',
+        `<CURDEF>${escapeXml(options.currency || 'EUR')}</CURDEF>`,
+        '<BANKACCTFROM>',
+        // Bulgarian IBANs carry the bank code (BIC prefix) in positions 5-8
+        `<BANKID>${escapeXml(iban ? iban.substring(4, 8) : account.institution_name || 'MYMONEY2')}</BANKID>`,
+        `<ACCTID>${escapeXml(iban || account.id)}</ACCTID>`,
+        '<ACCTTYPE>CHECKING</ACCTTYPE>',
+        '</BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        `<DTSTART>${formatDate(startDate)}</DTSTART>`,
+        `<DTEND>${formatDate(endDate)}</DTEND>`,
+        ...transactions.map(t => buildTransaction(t, options.currency || 'EUR', rate)),
+        '</BANKTRANLIST>',
+        '<LEDGERBAL>',
+        `<BALAMT>${((account.ledgerBalance || 0) * rate).toFixed(2)}</BALAMT>`,
+        `<DTASOF>${formatDate(account.ledgerDate)}</DTASOF>`,
+        '</LEDGERBAL>',
+        '</STMTRS>',
+        '</STMTTRNRS>'
+    ].join('\n');
+}
+
+/**
+ * Build STMTTRN element for a single transaction
+ * @param {Object} transaction - Transaction row
+ * @param {string} currency - Export currency
+ * @param {number} rate - Units of the export currency per 1 EUR
+ * @returns {string} STMTTRN element
+ */
+function buildTransaction(transaction, currency = 'EUR', rate = 1) {
+    // Transactions in the export currency keep their exact original amount
+    const amount = transaction.original_currency === currency && transaction.original_amount !== null
+        ? Number(transaction.original_amount)
+        : Number(transaction.amount) * rate;
+    const name = transaction.counterparty_display_name || transaction.counterparty_name || transaction.description || '';
+    const lines = [
+        '<STMTTRN>',
+        `<TRNTYPE>${transaction.amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+        `<DTPOSTED>${formatDate(transaction.booking_date || transaction.transaction_date)}</DTPOSTED>`,
+        `<DTUSER>${formatDate(transaction.transaction_date)}</DTUSER>`,
+        `<TRNAMT>${amount.toFixed(2)}</TRNAMT>`,
+        `<FITID>${escapeXml(transaction.id)}</FITID>`,
+        `<NAME>${escapeXml(name.substring(0, 32))}</NAME>`
+    ];
+
+    if (transaction.description) {
+        lines.push(`<MEMO>${escapeXml(transaction.description.substring(0, 255))}</MEMO>`);
+    }
+
+    lines.push('</STMTTRN>');
+    return lines.join('\n');
+}
+
+/**
+ * Format YYYY-MM-DD (or ISO date time) as OFX date YYYYMMDD
+ * @param {string} date - Date string
+ * @returns {string} OFX date
+ */
+function formatDate(date) {
+    if (!date) return formatDateTime(new Date()).substring(0, 8);
+    return String(date).substring(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Format date as OFX date time YYYYMMDDHHMMSS
+ * @param {Date} date - Date
+ * @returns {string} OFX date time
+ */
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+}
+
+/**
+ * Escape XML special characters
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    selectExportable,
+    buildOfx
+};
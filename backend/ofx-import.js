@@ -0,0 +1,242 @@
+/**
+ * OFX Import Module for OFX/QFX files
+ * Parses OFX 1.x (SGML) and OFX 2.x (XML) statements exported by banks and desktop tools
+ * like GnuCash, Moneydance and Quicken, and converts them to transaction format
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const crypto = require('crypto');
+const logger = require('./logger');
+const exchangeRates = require('./exchange-rates');
+const { extractCountryFromCounterparty } = require('./country-codes');
+
+/**
+ * Convert OFX 1.x SGML to XML by closing leaf elements (<TRNAMT>-10.00 -> <TRNAMT>-10.00</TRNAMT>)
+ * OFX 2.x content is already XML and passes through unchanged
+ * @param {string} content - Raw OFX content
+ * @returns {string} XML content starting at the <OFX> element
+ */
+function sgmlToXml(content) {
+    const text = String(content || '');
+    const start = text.search(/<OFX>/i);
+    if (start === -1) {
+        throw new Error('Файлът не съдържа OFX данни');
+    }
+
+    const body = text.substring(start).replace(/\r\n?/g, '\n');
+
+    return body.replace(/<([A-Za-z0-9.]+)>([^<]*)/g, (match, tag, value, offset) => {
+        const trimmed = value.trim();
+        if (!trimmed) return match;
+
+        // Already closed (OFX 2.x or well formed SGML)
+        const rest = body.substring(offset + match.length);
+        if (rest.startsWith(`</${tag}>`)) return match;
+
+        return `<${tag}>${escapeXml(trimmed)}</${tag}>`;
+    });
+}
+
+/**
+ * Parse OFX content and extract statements with their transactions
+ * @param {string} content - Raw OFX content
+ * @returns {Array} Array of statements { accountId, bankId, currency, transactions }
+ */
+function parseOfx(content) {
+    const parser = new XMLParser({
+        ignoreAttributes: true,
+        parseTagValue: false,
+        trimValues: true,
+        isArray: (name) => ['STMTTRNRS', 'CCSTMTTRNRS', 'STMTTRN'].includes(name)
+    });
+
+    const parsed = parser.parse(sgmlToXml(content));
+    const ofx = parsed.OFX || {};
+
+    // Bank and credit card statements have the same transaction list
+    const responses = [
+        ...(ofx.BANKMSGSRSV1?.STMTTRNRS || []).map(rs => rs.STMTRS),
+        ...(ofx.CREDITCARDMSGSRSV1?.CCSTMTTRNRS || []).map(rs => rs.CCSTMTRS)
+    ].filter(Boolean);
+
+    const statements = responses.map(stmt => {
+        const accountFrom = stmt.BANKACCTFROM || stmt.CCACCTFROM || {};
+        return {
+            accountId: accountFrom.ACCTID || null,
+            bankId: accountFrom.BANKID || null,
+            currency: stmt.CURDEF || 'EUR',
+            transactions: (stmt.BANKTRANLIST?.STMTTRN || []).map(trn => parseStatementTransaction(trn))
+        };
+    });
+
+    logger.info(`[OFX Import] Found ${statements.length} statements with ${statements.reduce((sum, s) => sum + s.transactions.length, 0)} transactions`);
+
+    return statements;
+}
+
+/**
+ * Parse a single STMTTRN element
+ * @param {Object} trn - Parsed STMTTRN object
+ * @returns {Object} Normalized transaction object
+ */
+function parseStatementTransaction(trn) {
+    const name = String(trn.NAME || trn.PAYEE?.NAME || '').trim();
+    const memo = String(trn.MEMO || '').trim();
+    const transactionDate = convertDate(trn.DTUSER || trn.DTPOSTED);
+
+    return {
+        fitId: String(trn.FITID || '').trim(),
+        transactionDate,
+        bookingDate: convertDate(trn.DTPOSTED) || transactionDate,
+        description: memo || name,
+        amount: parseFloat(String(trn.TRNAMT || '0').replace(',', '.')) || 0,
+        currency: trn.CURRENCY?.CURSYM || trn.ORIGCURRENCY?.CURSYM || null,
+        counterpartyName: name,
+        rawTransaction: trn
+    };
+}
+
+/**
+ * Convert OFX date (YYYYMMDD[HHMMSS[.XXX]][[+-]TZ]) to YYYY-MM-DD format
+ * @param {string} dateStr - OFX date
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function convertDate(dateStr) {
+    if (!dateStr) return null;
+
+    const match = String(dateStr).match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) {
+        logger.warn(`[OFX Import] Invalid date format: ${dateStr}`);
+        return null;
+    }
+
+    return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Escape XML special characters
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&(?!(amp|lt|gt|quot|apos|#\d+);)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Generate a unique transaction ID from the FITID
+ * FITID is only unique within an account, so the OFX account ID is part of the hash
+ * @param {string} fitId - Financial institution transaction ID
+ * @param {string} accountKey - OFX account ID
+ * @returns {string} Unique ID in format OFX_XXXXXXXXXXXXXXXX
+ */
+function generateTransactionId(fitId, accountKey) {
+    const hash = crypto.createHash('md5').update(`${accountKey}|${fitId}`).digest('hex');
+    return `OFX_${hash.substring(0, 16).toUpperCase()}`;
+}
+
+/**
+ * Process OFX content and prepare transactions for import
+ * @param {string} content - Raw OFX content
+ * @param {string} accountId - Target account ID
+ * @returns {Object} { transactions, warnings }
+ */
+async function processOfxForImport(content, accountId) {
+    const converter = await exchangeRates.createConverter();
+    const statements = parseOfx(content);
+    const warnings = [];
+    const transactions = [];
+
+    for (const statement of statements) {
+        const accountKey = statement.accountId || accountId;
+        let missingFitId = 0;
+
+        for (const tx of statement.transactions) {
+            if (!tx.fitId) {
+                missingFitId++;
+                continue;
+            }
+
+            const currency = tx.currency || statement.currency;
+
+            // Convert currency to EUR with the ECB rate for the transaction date
+            const { amount, originalAmount, originalCurrency, exchangeRate } = converter.convert(tx.amount, currency, tx.transactionDate);
+
+            transactions.push({
+                id: generateTransactionId(tx.fitId, accountKey),
+                transactionDate: tx.transactionDate,
+                bookingDate: tx.bookingDate,
+                description: tx.description,
+                amount,
+                originalAmount,
+                originalCurrency,
+                exchangeRate,
+                currency: 'EUR',
+                counterpartyName: tx.counterpartyName,
+                accountId,
+                rawData: JSON.stringify(tx.rawTransaction),
+                country: extractCountryFromCounterparty(tx.counterpartyName)
+            });
+        }
+
+        if (missingFitId > 0) {
+            warnings.push(`Пропуснати ${missingFitId} транзакции без FITID`);
+        }
+    }
+
+    warnings.push(...converter.getWarnings());
+    warnings.forEach(warning => logger.warn(`[OFX Import] ${warning}`));
+
+    return { transactions, warnings };
+}
+
+/**
+ * Score how likely the content is an OFX/QFX file
+ * @param {string} content - Raw file content
+ * @returns {number} Confidence between 0 and 1
+ */
+function detectOfx(content) {
+    const head = String(content || '').replace(/^\uFEFF/, '').substring(0, 4000);
+
+    if (/OFXHEADER\s*[:=]/i.test(head) && /<OFX>/i.test(head)) return 0.98;
+    if (/OFXHEADER\s*[:=]/i.test(head) || /<OFX>/i.test(head)) return 0.9;
+    return 0;
+}
+
+/**
+ * Extract the statement account from ACCTID (IBAN or account number)
+ * @param {string} content - Raw OFX content
+ * @returns {Object} { iban, accountNumber }
+ */
+function extractAccountIdentifiers(content) {
+    const match = String(content).match(/<ACCTID>\s*([^<\r\n]+)/i);
+    if (!match) return { iban: null, accountNumber: null };
+
+    const value = match[1].trim();
+    const normalized = value.replace(/\s/g, '').toUpperCase();
+
+    return /^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(normalized)
+        ? { iban: normalized, accountNumber: null }
+        : { iban: null, accountNumber: value };
+}
+
+// Importer definition for the importer registry
+const importer = {
+    name: 'ofx',
+    label: 'OFX/QFX',
+    extensions: ['.ofx', '.qfx'],
+    options: [],
+    detect: detectOfx,
+    extractAccountIdentifiers,
+    process: (content, account) => processOfxForImport(content, account.id)
+};
+
+module.exports = {
+    parseOfx,
+    generateTransactionId,
+    processOfxForImport,
+    detectOfx,
+    importer
+};
@@ -0,0 +1,109 @@
+const database = require('./database');
+const exchangeRates = require('./exchange-rates');
+const logger = require('./logger');
+
+/**
+ * Recompute EUR amounts of converted transactions with the stored rate for each transaction date
+ * @returns {Object} - { changes, missing } where missing are transactions without a rate
+ */
+async function findChanges() {
+  const converter = await exchangeRates.createConverter();
+  const transactions = await database.getConvertedTransactions();
+
+  const changes = [];
+  let missing = 0;
+
+  for (const tx of transactions) {
+    const converted = converter.convert(tx.original_amount, tx.original_currency, tx.transaction_date);
+    if (!converted.exchangeRate) {
+      missing++;
+      continue;
+    }
+
+    if (Math.abs(converted.amount - tx.amount) < 0.005 && converted.exchangeRate === tx.exchange_rate) continue;
+
+    changes.push({
+      id: tx.id,
+      accountId: tx.account_id,
+      accountName: tx.account_custom_name || tx.account_name || tx.account_id,
+      month: tx.transaction_date.substring(0, 7),
+      currency: tx.original_currency,
+      oldAmount: tx.amount,
+      newAmount: converted.amount,
+      oldRate: tx.exchange_rate,
+      newRate: converted.exchangeRate,
+      oldUnconverted: tx.unconverted
+    });
+  }
+
+  return { changes, missing };
+}
+
+/**
+ * Preview the re-conversion - total change per account and month
+ * @returns {Object} - { count, missing, totalDifference, groups: [{ accountId, accountName, month, currencies, count, oldTotal, newTotal, difference }] }
+ */
+async function previewReconversion() {
+  const { changes, missing } = await findChanges();
+
+  const groups = new Map();
+  for (const change of changes) {
+    const key = `${change.accountId}|${change.month}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        accountId: change.accountId,
+        accountName: change.accountName,
+        month: change.month,
+        currencies: new Set(),
+        count: 0,
+        oldTotal: 0,
+        newTotal: 0
+      });
+    }
+
+    const group = groups.get(key);
+    group.currencies.add(change.currency);
+    group.count++;
+    group.oldTotal += change.oldAmount;
+    group.newTotal += change.newAmount;
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  const rows = [...groups.values()]
+    .map(group => ({
+      ...group,
+      currencies: [...group.currencies].sort(),
+      oldTotal: round(group.oldTotal),
+      newTotal: round(group.newTotal),
+      difference: round(group.newTotal - group.oldTotal)
+    }))
+    .sort((a, b) => a.accountName.localeCompare(b.accountName) || b.month.localeCompare(a.month));
+
+  return {
+    count: changes.length,
+    missing,
+    totalDifference: round(rows.reduce((sum, row) => sum + row.difference, 0)),
+    groups: rows
+  };
+}
+
+/**
+ * Apply the re-conversion to all converted transactions
+ * @returns {Object} - { runId, changed }
+ */
+async function applyReconversion() {
+  const { changes } = await findChanges();
+  if (changes.length === 0) {
+    return { runId: null, changed: 0 };
+  }
+
+  const result = await database.applyReconversion(changes);
+  logger.info(`[Reconversion] Run ${result.runId}: updated ${result.changed} transactions`);
+
+  return result;
+}
+
+module.exports = {
+  previewReconversion,
+  applyReconversion
+};
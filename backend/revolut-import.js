@@ -5,22 +5,20 @@
 
 const crypto = require('crypto');
 const logger = require('./logger');
+const database = require('./database');
+const exchangeRates = require('./exchange-rates');
 const { extractCountryFromCounterparty } = require('./country-codes');
 
-// Currency conversion rates to EUR
-const CURRENCY_RATES = {
-    'BGN': 1.9558,  // Fixed rate
-    'EUR': 1,
-    'USD': 1.08,    // Approximate, should be updated
-    'GBP': 0.85,    // Approximate, should be updated
-    'RON': 4.97,    // Approximate
-    'PLN': 4.32,    // Approximate
-    'CHF': 0.94,    // Approximate
-    'CZK': 25.0,    // Approximate
-    'HUF': 395.0,   // Approximate
-    'TRY': 35.0     // Approximate
+// Revolut products (English and Bulgarian export), rows of other products go to sub-accounts
+const REVOLUT_PRODUCTS = {
+    CURRENT: { label: 'Current', names: ['current', 'текуща', 'текущ'] },
+    SAVINGS: { label: 'Savings', names: ['savings', 'спестявания', 'спестовна'] },
+    DEPOSIT: { label: 'Deposit', names: ['deposit', 'депозит'] }
 };
 
+// Row types (English and Bulgarian export) of moves between own pockets
+const TRANSFER_TYPES = ['TRANSFER', 'ПРЕВОД'];
+
 /**
  * Parse CSV content into rows
  * Handles quoted fields and commas within quotes
@@ -63,13 +61,30 @@ function parseCSV(csvContent) {
     return rows;
 }
 
+/**
+ * Map Revolut State column to transaction status
+ * Pending card payments are stored right away and replaced when the completed row is imported
+ * @param {string} state - State value (English or Bulgarian export)
+ * @returns {string|null} 'booked', 'pending', 'reverted' or null for rows that are not imported (declined, failed)
+ */
+function getRevolutStatus(state) {
+    const value = (state || '').toLowerCase().trim();
+
+    // Accept: completed, завършен, завършена, завършено
+    if (!value || value === 'completed' || value.startsWith('завършен')) return 'booked';
+    if (value === 'pending' || value.startsWith('изчаква') || value.startsWith('в изчакване') || value.startsWith('предстоящ')) return 'pending';
+    if (value === 'reverted' || value.startsWith('върнат') || value.startsWith('отменен')) return 'reverted';
+    return null;
+}
+
 /**
  * Parse Revolut CSV format and extract transactions
  * Expected columns: Вид,Продукт,Начална дата,Дата на завършване,Описание,Сума,Такса,Валута,State,Баланс
  * @param {string} csvContent - Raw CSV content
+ * @param {Array} warnings - Array to collect warnings for the user
  * @returns {Array} Array of parsed transactions
  */
-function parseRevolutCsv(csvContent) {
+function parseRevolutCsv(csvContent, warnings = []) {
     const rows = parseCSV(csvContent);
 
     logger.info(`[Revolut Import] Total rows in CSV: ${rows.length}`);
@@ -133,19 +148,15 @@ function parseRevolutCsv(csvContent) {
             continue;
         }
 
-        // Skip pending/failed transactions if State column exists
-        if (columnMap.state !== -1) {
-            const state = (row[columnMap.state] || '').toLowerCase().trim();
-            // Accept: completed, завършен, завършена, завършено
-            const isCompleted = !state || state === 'completed' || state.startsWith('завършен');
-            if (!isCompleted) {
-                skippedByState++;
-                continue;
-            }
+        // Skip declined/failed transactions if State column exists
+        const status = columnMap.state !== -1 ? getRevolutStatus(row[columnMap.state]) : 'booked';
+        if (!status) {
+            skippedByState++;
+            continue;
         }
 
         try {
-            const transaction = parseRevolutRow(row, columnMap, i);
+            const transaction = parseRevolutRow(row, columnMap, i, status);
             if (transaction) {
                 transactions.push(transaction);
             } else {
@@ -157,6 +168,14 @@ function parseRevolutCsv(csvContent) {
     }
 
     logger.info(`[Revolut Import] Parsed ${transactions.length} transactions. Skipped: empty=${skippedByEmpty}, state=${skippedByState}, date=${skippedByDate}`);
+
+    if (skippedByState > 0) {
+        warnings.push(`Пропуснати ${skippedByState} отказани или неуспешни транзакции`);
+    }
+    if (skippedByDate > 0) {
+        warnings.push(`Пропуснати ${skippedByDate} реда без валидна дата или с нулева сума`);
+    }
+
     return transactions;
 }
 
@@ -165,14 +184,16 @@ function parseRevolutCsv(csvContent) {
  * @param {Array} row - CSV row values
  * @param {Object} columnMap - Column name to index mapping
  * @param {number} rowIndex - Row index for error reporting
+ * @param {string} status - Transaction status ('booked', 'pending' or 'reverted')
  * @returns {Object} Transaction object
  */
-function parseRevolutRow(row, columnMap, rowIndex) {
+function parseRevolutRow(row, columnMap, rowIndex, status = 'booked') {
     // Get values
     const completedDateStr = columnMap.completedDate !== -1 ? row[columnMap.completedDate] : null;
     const startDateStr = columnMap.startDate !== -1 ? row[columnMap.startDate] : null;
     const description = columnMap.description !== -1 ? row[columnMap.description] : '';
     const amountStr = columnMap.amount !== -1 ? row[columnMap.amount] : '0';
+    const feeStr = columnMap.fee !== -1 ? row[columnMap.fee] : '0';
     const currency = columnMap.currency !== -1 ? row[columnMap.currency] : 'EUR';
 
     // Log first few rows for debugging
@@ -181,7 +202,8 @@ function parseRevolutRow(row, columnMap, rowIndex) {
     }
 
     // Parse dates (format: YYYY-MM-DD HH:MM:SS or similar)
-    const transactionDate = parseRevolutDate(completedDateStr);
+    // Pending rows have no completed date yet
+    const transactionDate = parseRevolutDate(completedDateStr) || parseRevolutDate(startDateStr);
     const bookingDate = parseRevolutDate(startDateStr) || transactionDate;
 
     if (!transactionDate) {
@@ -200,6 +222,10 @@ function parseRevolutRow(row, columnMap, rowIndex) {
     // Store entire row as raw data (the original CSV row joined)
     const rawRowString = row.join(',');
 
+    // Columns that stay the same when a pending row completes (state, completed date and balance change)
+    const column = key => (columnMap[key] !== -1 ? row[columnMap[key]] : '');
+    const pendingKey = [column('type'), column('product'), startDateStr || '', description, currency];
+
     return {
         transactionDate,
         bookingDate,
@@ -207,8 +233,14 @@ function parseRevolutRow(row, columnMap, rowIndex) {
         amount,
         currency: currency.toUpperCase(),
         counterpartyName: extractCounterpartyFromDescription(description),
+        type: column('type').toUpperCase(),
+        product: normalizeProduct(column('product')),
+        fee: Math.abs(parseRevolutAmount(feeStr)),
+        balance: column('balance').trim() ? parseRevolutAmount(column('balance')) : null,
+        status,
         rawRow: row,           // Keep array for ID generation
-        rawRowString           // String for storage
+        rawRowString,          // String for storage
+        pendingKey             // Links pending and completed versions of the row
     };
 }
 
@@ -295,6 +327,126 @@ function extractCounterpartyFromDescription(description) {
     return counterparty.trim();
 }
 
+/**
+ * Normalize Revolut product name to a product code
+ * @param {string} product - Product column value
+ * @returns {string} Product code (CURRENT, SAVINGS, DEPOSIT or the cleaned up name)
+ */
+function normalizeProduct(product) {
+    const value = (product || '').toLowerCase().trim();
+    if (!value) return 'CURRENT';
+
+    for (const [code, definition] of Object.entries(REVOLUT_PRODUCTS)) {
+        if (definition.names.some(name => value.startsWith(name))) return code;
+    }
+
+    return value.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '') || 'OTHER';
+}
+
+/**
+ * Balance of a pocket at the end of the file
+ * The running Balance column of the last completed row, or the sum of the completed rows when the column is missing
+ * @param {Array} transactions - Parsed rows of one pocket
+ * @returns {Object} { balance, date } - date is null for a summed balance
+ */
+function getPocketBalance(transactions) {
+    const completed = transactions.filter(tx => tx.status === 'booked');
+    const withBalance = completed.filter(tx => tx.balance !== null);
+
+    if (withBalance.length === 0) {
+        const total = completed.reduce((sum, tx) => sum + tx.amount - tx.fee, 0);
+        return { balance: Math.round(total * 100) / 100, date: null };
+    }
+
+    // Rows of the same day keep the file order
+    const last = withBalance.reduce((latest, tx) => (tx.transactionDate >= latest.transactionDate ? tx : latest));
+    return { balance: last.balance, date: last.transactionDate };
+}
+
+/**
+ * Route rows to sub-accounts by product (Current, Savings, Deposit) and currency pocket
+ * Rows of the current product in the account currency stay in the selected account
+ * @param {Array} transactions - Parsed Revolut rows
+ * @param {Object} account - Selected account
+ * @param {Object} options - { createSubAccounts, dryRun }
+ * @param {Array} warnings - Array to collect warnings for the user
+ * @returns {Map} Pocket key (PRODUCT_CURRENCY) -> account ID
+ */
+async function resolveSubAccounts(transactions, account, options, warnings) {
+    const mainKey = `CURRENT_${(account.currency || 'EUR').toUpperCase()}`;
+    const accountIds = new Map([[mainKey, account.id]]);
+
+    const pockets = [...new Set(transactions.map(tx => `${tx.product}_${tx.currency}`))];
+
+    for (const pocket of pockets) {
+        if (accountIds.has(pocket)) continue;
+
+        const [product, currency] = [pocket.substring(0, pocket.lastIndexOf('_')), pocket.substring(pocket.lastIndexOf('_') + 1)];
+        const label = `${REVOLUT_PRODUCTS[product] ? REVOLUT_PRODUCTS[product].label : product} (${currency})`;
+        const subAccountId = `${account.id}_${pocket}`;
+        const pocketRows = transactions.filter(tx => `${tx.product}_${tx.currency}` === pocket);
+        const count = pocketRows.length;
+        const { balance, date } = getPocketBalance(pocketRows);
+
+        const existing = await database.getAccountById(subAccountId);
+        if (existing) {
+            if (!options.dryRun && date) {
+                await database.updateSubAccountBalance(subAccountId, balance, date);
+            }
+            accountIds.set(pocket, subAccountId);
+        } else if (options.createSubAccounts) {
+            if (!options.dryRun) {
+                await database.createSubAccount(account, {
+                    id: subAccountId,
+                    name: `${account.custom_name || account.name} - ${label}`,
+                    currency,
+                    balance
+                });
+                logger.info(`[Revolut Import] Created sub-account ${subAccountId}`);
+            }
+            accountIds.set(pocket, subAccountId);
+            warnings.push(`${options.dryRun ? 'Ще бъде създадена' : 'Създадена е'} под-сметка „${label}“ за ${count} транзакции`);
+        } else {
+            accountIds.set(pocket, account.id);
+            warnings.push(`${count} транзакции от „${label}“ са в избраната сметка. Изберете „Създай под-сметки“, за да се отделят`);
+        }
+    }
+
+    return accountIds;
+}
+
+/**
+ * Find moves between own Revolut pockets (e.g. savings vault top-ups)
+ * Both sides are TRANSFER rows in the same file: opposite amounts in the same currency, same start date, different pocket
+ * Currency exchanges (type EXCHANGE) are not transfers - their legs are paired for the exchange cost report instead
+ * @param {Array} transactions - Parsed Revolut rows
+ * @returns {Set} Indexes of rows that are transfers between own accounts
+ */
+function findInternalTransfers(transactions) {
+    const transfers = new Set();
+    const isCandidate = tx => tx.status !== 'reverted' && TRANSFER_TYPES.includes(tx.type);
+
+    transactions.forEach((tx, i) => {
+        if (transfers.has(i) || !isCandidate(tx) || tx.amount >= 0) return;
+
+        const match = transactions.findIndex((other, j) =>
+            !transfers.has(j) &&
+            isCandidate(other) &&
+            other.product !== tx.product &&
+            other.currency === tx.currency &&
+            other.bookingDate === tx.bookingDate &&
+            Math.abs(other.amount + tx.amount) < 0.005
+        );
+
+        if (match !== -1) {
+            transfers.add(i);
+            transfers.add(match);
+        }
+    });
+
+    return transfers;
+}
+
 /**
  * Generate a unique transaction ID based on the entire raw row
  * @param {Array} row - The entire CSV row
@@ -307,31 +459,67 @@ function generateTransactionId(row) {
     return `REV_${hash.substring(0, 16).toUpperCase()}`;
 }
 
+/**
+ * Generate the ID of a pending (or reverted) transaction
+ * It doesn't depend on state, completed date and balance, so the completed row can find and replace it
+ * @param {Array} pendingKey - Values that stay the same when the transaction completes
+ * @returns {string} Unique ID in format REV_XXXXXXXXXXXXXXXX
+ */
+function generatePendingTransactionId(pendingKey) {
+    const hash = crypto.createHash('md5').update(['pending', ...pendingKey].join('|')).digest('hex');
+    return `REV_${hash.substring(0, 16).toUpperCase()}`;
+}
+
+/**
+ * Generate the ID of the fee transaction of a row
+ * @param {string} parentId - ID of the transaction the fee was charged for
+ * @returns {string} Fee transaction ID in format REV_XXXXXXXXXXXXXXXX_FEE
+ */
+function generateFeeTransactionId(parentId) {
+    return `${parentId}_FEE`;
+}
+
 /**
  * Process CSV content and prepare transactions for import
  * @param {string} csvContent - Raw CSV content
- * @param {string} accountId - Target account ID
- * @returns {Array} Array of transactions ready for database import
+ * @param {Object} account - Selected account
+ * @param {Object} options - { createSubAccounts, dryRun }
+ * @returns {Object} { transactions, warnings } with transactions ready for database import
  */
-function processCsvForImport(csvContent, accountId) {
-    const transactions = parseRevolutCsv(csvContent);
-
-    return transactions.map(tx => {
-        // Convert currency to EUR if needed
-        let amount = tx.amount;
-        let originalAmount = null;
-        let originalCurrency = null;
-
-        if (tx.currency !== 'EUR') {
-            const rate = CURRENCY_RATES[tx.currency];
-            if (rate) {
-                originalAmount = amount;
-                originalCurrency = tx.currency;
-                amount = parseFloat((amount / rate).toFixed(2));
-            } else {
-                logger.warn(`[Revolut Import] Unknown currency: ${tx.currency}, keeping original amount`);
-            }
+async function processCsvForImport(csvContent, account, options = {}) {
+    const warnings = [];
+    const rows = parseRevolutCsv(csvContent, warnings);
+    const accountIds = await resolveSubAccounts(rows, account, options, warnings);
+
+    // An older export can still have the pending version of a row imported as completed since
+    const transactions = [];
+    let completed = 0;
+    for (const tx of rows) {
+        const booked = tx.status === 'pending' && await database.findBookedTransaction({
+            accountId: accountIds.get(`${tx.product}_${tx.currency}`),
+            bookingDate: tx.bookingDate,
+            description: tx.description,
+            amount: tx.amount,
+            currency: tx.currency
+        });
+        if (booked) {
+            completed++;
+        } else {
+            transactions.push(tx);
         }
+    }
+    if (completed > 0) {
+        warnings.push(`${completed} чакащи транзакции са пропуснати - вече са импортирани като завършени`);
+    }
+
+    const internalTransfers = findInternalTransfers(transactions);
+
+    // Convert currency to EUR with the ECB rate for the transaction date
+    const converter = await exchangeRates.createConverter();
+
+    const prepared = transactions.flatMap((tx, index) => {
+        const { amount, originalAmount, originalCurrency, exchangeRate } = converter.convert(tx.amount, tx.currency, tx.transactionDate);
+        const accountId = accountIds.get(`${tx.product}_${tx.currency}`);
 
         // Store raw row as string
         const rawData = tx.rawRowString;
@@ -343,24 +531,133 @@ function processCsvForImport(csvContent, accountId) {
             amount,
             originalAmount,
             originalCurrency,
+            exchangeRate,
             currency: 'EUR',
             counterpartyName: tx.counterpartyName,
             accountId,
-            rawData
+            rawData,
+            status: tx.status,
+            isInternalTransfer: internalTransfers.has(index)
         };
 
-        // Generate unique ID from the entire row
-        transaction.id = generateTransactionId(tx.rawRow);
+        if (tx.status === 'booked') {
+            // Generate unique ID from the entire row, the completed row replaces its pending version
+            transaction.id = generateTransactionId(tx.rawRow);
+            transaction.replacesId = generatePendingTransactionId(tx.pendingKey);
+        } else {
+            // Pending and reverted versions share an ID, so a reverted row updates the pending one
+            transaction.id = generatePendingTransactionId(tx.pendingKey);
+        }
 
         // Extract country from counterparty name if present
         transaction.country = extractCountryFromCounterparty(tx.counterpartyName);
 
-        return transaction;
+        if (!tx.fee) {
+            return [transaction];
+        }
+
+        // The fee is charged on top of the amount, store it as a separate transaction linked to the row
+        const fee = converter.convert(-tx.fee, tx.currency, tx.transactionDate);
+        const feeTransaction = {
+            id: generateFeeTransactionId(transaction.id),
+            transactionDate: tx.transactionDate,
+            bookingDate: tx.bookingDate,
+            description: `Такса: ${tx.description}`,
+            amount: fee.amount,
+            originalAmount: fee.originalAmount,
+            originalCurrency: fee.originalCurrency,
+            exchangeRate: fee.exchangeRate,
+            currency: 'EUR',
+            counterpartyName: 'Revolut',
+            accountId,
+            rawData,
+            status: tx.status,
+            parentTransactionId: transaction.id,
+            isFee: true,
+            country: null
+        };
+        if (transaction.replacesId) {
+            feeTransaction.replacesId = generateFeeTransactionId(transaction.replacesId);
+        }
+
+        return [transaction, feeTransaction];
+    });
+
+    const fees = prepared.filter(tx => tx.isFee).length;
+    if (fees > 0) {
+        logger.info(`[Revolut Import] Fee transactions: ${fees}`);
+    }
+    if (internalTransfers.size > 0) {
+        logger.info(`[Revolut Import] Transfers between own pockets: ${internalTransfers.size}`);
+    }
+
+    const pending = prepared.filter(tx => tx.status === 'pending').length;
+    const reverted = prepared.filter(tx => tx.status === 'reverted').length;
+    if (pending > 0 || reverted > 0) {
+        logger.info(`[Revolut Import] Pending: ${pending}, reverted: ${reverted}`);
+    }
+
+    converter.getWarnings().forEach(warning => {
+        logger.warn(`[Revolut Import] ${warning}`);
+        warnings.push(warning);
     });
+
+    return { transactions: prepared, warnings };
 }
 
+// Header names of a Revolut CSV export (English and Bulgarian)
+const REVOLUT_HEADERS = [
+    ['type', 'вид'],
+    ['product', 'продукт'],
+    ['started date', 'начална дата'],
+    ['completed date', 'дата на завършване'],
+    ['description', 'описание'],
+    ['amount', 'сума'],
+    ['fee', 'такса'],
+    ['currency', 'валута'],
+    ['state', 'състояние'],
+    ['balance', 'баланс']
+];
+
+/**
+ * Score how likely the content is a Revolut CSV export
+ * Product, start date and amount columns are required, every other known column raises the score
+ * @param {string} content - Raw file content
+ * @returns {number} Confidence between 0 and 1
+ */
+function detectRevolutCsv(content) {
+    const firstLine = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0].toLowerCase();
+    if (!firstLine.includes(',')) return 0;
+
+    const header = parseCSV(firstLine)[0] || [];
+    const hasColumn = (names) => header.some(h => names.some(name => h.includes(name)));
+
+    const required = [REVOLUT_HEADERS[1], REVOLUT_HEADERS[2], REVOLUT_HEADERS[5]];
+    if (!required.every(hasColumn)) return 0;
+
+    const matched = REVOLUT_HEADERS.filter(hasColumn).length;
+    return 0.5 + 0.5 * (matched / REVOLUT_HEADERS.length);
+}
+
+// Importer definition for the importer registry
+const importer = {
+    name: 'revolut-csv',
+    label: 'Revolut (CSV)',
+    extensions: ['.csv'],
+    options: ['subAccounts'],
+    institutionPattern: 'REVOLUT',
+    detect: detectRevolutCsv,
+    process: (content, account, options = {}) => processCsvForImport(content, account, options)
+};
+
 module.exports = {
     parseRevolutCsv,
+    getRevolutStatus,
+    normalizeProduct,
     generateTransactionId,
-    processCsvForImport
+    generatePendingTransactionId,
+    generateFeeTransactionId,
+    processCsvForImport,
+    detectRevolutCsv,
+    importer
 };
@@ -0,0 +1,139 @@
+const database = require('./database');
+const categorization = require('./categorization');
+
+// A word has to be chosen by hand this many times before it becomes a proposal
+const MIN_MANUAL_MATCHES = 3;
+
+// Share of the manual categorizations with the word that went to the proposed category
+const MIN_AGREEMENT = 0.9;
+
+// Default priority of new rules in the rule editor
+const DEFAULT_PRIORITY = 5;
+
+/**
+ * Split a counterparty name into words a rule can match on
+ * @param {String} counterpartyName - Counterparty name
+ * @returns {Array} - Unique upper-case words, without numbers (card terminals, branch IDs)
+ */
+function getKeywords(counterpartyName) {
+  const words = String(counterpartyName || '')
+    .toUpperCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 3 && !/^\d+$/.test(word));
+
+  return [...new Set(words)];
+}
+
+/**
+ * Propose rules from repeated manual categorizations
+ * A counterparty word becomes a proposal when it was categorized by hand at least MIN_MANUAL_MATCHES times,
+ * (almost) always into the same category, and the active rules don't do that already.
+ * Words that only cover the same transactions as a stronger proposal ("SHELL" and "SOFIA") are left out.
+ * @returns {Array} - Array of { field, value, categoryId, categoryName, categoryColor, priority, manualCount, conflicts, fixes, examples }
+ */
+async function getRuleProposals() {
+  const [manual, dismissed, rules, transactions, categories] = await Promise.all([
+    database.getManualCategorizations(),
+    database.getDismissedRuleProposals(),
+    categorization.getActiveRules(),
+    database.getTransactionsForRuleTest(),
+    database.getAllCategories()
+  ]);
+
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const transactionsById = new Map(transactions.map(tx => [tx.id, tx]));
+
+  // Word -> category -> manually categorized transactions
+  const byKeyword = new Map();
+  for (const row of manual) {
+    for (const keyword of getKeywords(row.counterparty_name)) {
+      if (!byKeyword.has(keyword)) byKeyword.set(keyword, new Map());
+      const byCategory = byKeyword.get(keyword);
+      if (!byCategory.has(row.category_id)) byCategory.set(row.category_id, []);
+      byCategory.get(row.category_id).push(row);
+    }
+  }
+
+  const candidates = [];
+  for (const [keyword, byCategory] of byKeyword) {
+    const total = [...byCategory.values()].reduce((sum, rows) => sum + rows.length, 0);
+    for (const [categoryId, rows] of byCategory) {
+      if (rows.length < MIN_MANUAL_MATCHES || rows.length / total < MIN_AGREEMENT) continue;
+      if (!categoriesById.has(categoryId) || dismissed.has(`${keyword}|${categoryId}`)) continue;
+      candidates.push({ keyword, categoryId, rows, conflicts: total - rows.length });
+    }
+  }
+
+  // Most supported first, longer words win ties ("KAUFLAND" before "KAU")
+  candidates.sort((a, b) => b.rows.length - a.rows.length || b.keyword.length - a.keyword.length || a.keyword.localeCompare(b.keyword));
+
+  const proposals = [];
+  const chosen = [];
+  for (const candidate of candidates) {
+    const ids = new Set(candidate.rows.map(row => row.id));
+    const covered = chosen.some(other =>
+      other.categoryId === candidate.categoryId && [...ids].every(id => other.ids.has(id))
+    );
+    if (covered) continue;
+
+    // Rules that already categorize these transactions
+    const winningRules = candidate.rows
+      .map(row => transactionsById.get(row.id))
+      .filter(Boolean)
+      .map(tx => rules.find(rule => categorization.matchesRule(rule, tx)));
+    if (winningRules.every(rule => rule && rule.category_id === candidate.categoryId)) continue;
+
+    chosen.push({ categoryId: candidate.categoryId, ids });
+
+    const draft = {
+      id: null,
+      category_id: candidate.categoryId,
+      match_type: 'all',
+      conditions: [{ field: 'counterparty', operator: 'contains', value: candidate.keyword }]
+    };
+
+    // Uncategorized transactions no active rule catches yet
+    const fixes = transactions.filter(tx =>
+      !tx.category_id &&
+      categorization.matchesRule(draft, tx) &&
+      !rules.some(rule => categorization.matchesRule(rule, tx))
+    ).length;
+
+    // The rule has to beat the rules the user overrode by hand
+    const overridden = winningRules.filter(rule => rule && rule.category_id !== candidate.categoryId);
+    const priority = overridden.length > 0
+      ? Math.min(10, Math.max(...overridden.map(rule => rule.priority)) + 1)
+      : DEFAULT_PRIORITY;
+
+    const category = categoriesById.get(candidate.categoryId);
+    proposals.push({
+      field: 'counterparty',
+      value: candidate.keyword,
+      categoryId: candidate.categoryId,
+      categoryName: category.name,
+      categoryColor: category.color,
+      priority,
+      manualCount: candidate.rows.length,
+      conflicts: candidate.conflicts,
+      fixes,
+      examples: [...new Set(candidate.rows.map(row => row.counterparty_name))].slice(0, 3)
+    });
+  }
+
+  return proposals.sort((a, b) => b.fixes - a.fixes || b.manualCount - a.manualCount);
+}
+
+/**
+ * Dismiss a proposal - it is not proposed again
+ * @param {String} value - Proposed counterparty word
+ * @param {Number} categoryId - Proposed category
+ */
+async function dismissRuleProposal(value, categoryId) {
+  await database.dismissRuleProposal(String(value).toUpperCase(), Number(categoryId));
+}
+
+module.exports = {
+  getKeywords,
+  getRuleProposals,
+  dismissRuleProposal
+};
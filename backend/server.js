@@ -2,13 +2,23 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const config = require('./config');
 const database = require('./database');
 const logger = require('./logger');
 
 const categorization = require('./categorization');
-const xmlImport = require('./xml-import');
-const revolutImport = require('./revolut-import');
+const classifier = require('./classifier');
+const ruleProposals = require('./rule-proposals');
+const importers = require('./importers');
+const formatDetection = require('./format-detection');
+const ofxExport = require('./ofx-export');
+const csvImport = require('./csv-import');
+const importPreview = require('./import-preview');
+const duplicateDetection = require('./duplicate-detection');
+const exchangeRates = require('./exchange-rates');
+const reconversion = require('./reconversion');
+const fxExchanges = require('./fx-exchanges');
 const countryUtils = require('./country-codes');
 
 const app = express();
@@ -118,6 +128,9 @@ app.post('/api/sync/transactions', async (req, res) => {
       // Skip CASH account - it's for manual transactions only
       if (account.id === 'CASH') continue;
 
+      // Sub-accounts are filled by file imports of their parent account
+      if (account.parent_account_id) continue;
+
       try {
         const count = await goCardlessApi.syncAccountTransactions(account.id);
         totalSynced += count;
@@ -139,6 +152,9 @@ app.post('/api/sync/transactions', async (req, res) => {
       }
     }
 
+    // Pair the legs of currency exchanges for the exchange cost report
+    await fxExchanges.detectExchanges();
+
     res.json({ success: true, transactionsSynced: totalSynced, byAccount });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -148,7 +164,8 @@ app.post('/api/sync/transactions', async (req, res) => {
 // Account routes
 app.get('/api/accounts', async (req, res) => {
   try {
-    const accounts = await database.getAllAccounts();
+    // Balances are in the account currency, balance_eur is used for totals
+    const accounts = await exchangeRates.addEurBalances(await database.getAllAccounts());
     res.json(accounts);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -161,7 +178,8 @@ app.get('/api/accounts/:id', async (req, res) => {
     if (!account) {
       return res.status(404).json({ error: 'Account not found' });
     }
-    res.json(account);
+    const [withEurBalance] = await exchangeRates.addEurBalances([account]);
+    res.json(withEurBalance);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -188,6 +206,7 @@ app.get('/api/transactions', async (req, res) => {
       type: req.query.type,
       search: req.query.search,
       country: req.query.country,
+      ruleId: req.query.rule_id,
       limit: parseInt(req.query.limit) || 50,
       offset: parseInt(req.query.offset) || 0
     };
@@ -199,6 +218,61 @@ app.get('/api/transactions', async (req, res) => {
   }
 });
 
+// Export filtered transactions as OFX (same filters as the transactions list)
+app.get('/api/transactions/export/ofx', async (req, res) => {
+  try {
+    const filters = {
+      accountId: req.query.account_id,
+      startDate: req.query.start_date,
+      endDate: req.query.end_date,
+      categoryId: req.query.category_id,
+      type: req.query.type,
+      search: req.query.search,
+      country: req.query.country
+    };
+    const { transactions, skipped } = ofxExport.selectExportable((await database.getTransactions(filters)).transactions);
+    if (skipped.unconverted > 0) {
+      logger.warn(`[OFX Export] Skipped ${skipped.unconverted} transactions without an exchange rate - re-convert them from the settings`);
+    }
+    if (skipped.pending > 0 || skipped.reverted > 0) {
+      logger.info(`[OFX Export] Skipped ${skipped.pending} pending and ${skipped.reverted} reverted transactions`);
+    }
+
+    // Amounts are stored in EUR, BGN exports use the fixed conversion rate
+    const currency = req.query.currency === 'BGN' ? 'BGN' : 'EUR';
+
+    // One statement per account, the ledger balance is the balance at the end of the period
+    const accountIds = filters.accountId
+      ? [filters.accountId]
+      : [...new Set(transactions.map(t => t.account_id))];
+    const ledgerDate = filters.endDate || new Date().toISOString().split('T')[0];
+
+    // Transactions are exported in EUR, so is the ledger balance of accounts in other currencies
+    const converter = await exchangeRates.createConverter();
+    const accounts = [];
+    for (const accountId of accountIds) {
+      const account = await database.getAccountById(accountId);
+      if (!account) continue;
+      const nativeBalance = await database.getAccountBalanceAt(accountId, ledgerDate);
+      account.ledgerDate = ledgerDate;
+      account.ledgerBalance = converter.convert(nativeBalance, account.currency || 'EUR', ledgerDate).amount;
+      accounts.push(account);
+    }
+
+    const ofx = ofxExport.buildOfx(transactions, accounts, { ...filters, currency, rate: exchangeRates.FIXED_RATES[currency] });
+    const fileName = `mymoney2_${new Date().toISOString().split('T')[0]}${currency === 'EUR' ? '' : `_${currency}`}.ofx`;
+
+    logger.info(`[OFX Export] Exported ${transactions.length} transactions from ${accounts.length} accounts in ${currency}`);
+
+    res.setHeader('Content-Type', 'application/x-ofx; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(ofx);
+  } catch (error) {
+    logger.error(`[OFX Export] Error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/transactions', async (req, res) => {
   try {
     const { transactionDate, amount, counterpartyName, description, categoryId } = req.body;
@@ -224,7 +298,14 @@ app.post('/api/transactions', async (req, res) => {
 app.put('/api/transactions/:id/category', async (req, res) => {
   try {
     const { categoryId } = req.body;
+    const transaction = await database.getTransactionById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Транзакцията не е намерена' });
+    }
+
     await database.updateTransactionCategory(req.params.id, categoryId);
+    classifier.learn(transaction, categoryId);
+
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -234,13 +315,30 @@ app.put('/api/transactions/:id/category', async (req, res) => {
 app.post('/api/transactions/categorize-by-counterparty', async (req, res) => {
   try {
     const { counterpartyName, categoryId } = req.body;
+    const transactions = await database.getUncategorizedByCounterparty(counterpartyName);
     const count = await database.categorizeByCounterparty(counterpartyName, categoryId);
+    transactions.forEach(transaction => classifier.learn(transaction, categoryId));
     res.json({ success: true, updatedCount: count });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Likely categories of a transaction (classifier trained on the categorized history)
+app.get('/api/transactions/:id/suggestions', async (req, res) => {
+  try {
+    const transaction = await database.getTransactionById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Транзакцията не е намерена' });
+    }
+
+    const suggestions = await categorization.getSuggestions(transaction);
+    res.json(suggestions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.put('/api/transactions/:id/notes', async (req, res) => {
   try {
     const { notes } = req.body;
@@ -251,10 +349,130 @@ app.put('/api/transactions/:id/notes', async (req, res) => {
   }
 });
 
-// Import transactions from file (auto-detect parser based on account institution)
+// Keep a transaction out of (or back in) all reports
+app.put('/api/transactions/:id/exclude-from-reports', async (req, res) => {
+  try {
+    const { exclude } = req.body;
+    await database.updateTransactionExcludeFromReports(req.params.id, !!exclude);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lock a category so re-categorization keeps it (set automatically when categorizing by hand)
+app.put('/api/transactions/:id/category-lock', async (req, res) => {
+  try {
+    const { locked } = req.body;
+    await database.updateTransactionCategoryLock(req.params.id, !!locked);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Split lines of a transaction
+app.get('/api/transactions/:id/splits', async (req, res) => {
+  try {
+    const splits = await database.getTransactionSplits(req.params.id);
+    res.json(splits);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Split a transaction across categories (an empty list removes the split)
+app.put('/api/transactions/:id/splits', async (req, res) => {
+  try {
+    const transaction = await database.getTransactionById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Транзакцията не е намерена' });
+    }
+
+    const splits = (req.body.splits || []).map(split => ({
+      amount: Math.round(parseFloat(split.amount) * 100) / 100,
+      categoryId: split.categoryId ? parseInt(split.categoryId) : null,
+      notes: split.notes ? String(split.notes).trim() : null
+    }));
+
+    if (splits.length === 1) {
+      return res.status(400).json({ error: 'Разделянето трябва да има поне два реда' });
+    }
+    if (splits.some(split => !split.amount || !isFinite(split.amount))) {
+      return res.status(400).json({ error: 'Всеки ред трябва да има сума' });
+    }
+    if (splits.some(split => !split.categoryId)) {
+      return res.status(400).json({ error: 'Всеки ред трябва да има категория' });
+    }
+    // A refund line inside an expense (or the reverse) would cancel out another category in the reports
+    if (splits.some(split => Math.sign(split.amount) !== Math.sign(transaction.amount))) {
+      return res.status(400).json({ error: transaction.amount < 0
+        ? 'Всички редове трябва да са отрицателни като сумата на транзакцията'
+        : 'Всички редове трябва да са положителни като сумата на транзакцията' });
+    }
+
+    const total = splits.reduce((sum, split) => sum + split.amount, 0);
+    if (splits.length > 0 && Math.abs(total - transaction.amount) >= 0.005) {
+      return res.status(400).json({ error: `Сборът на редовете (${total.toFixed(2)}) не е равен на сумата на транзакцията (${transaction.amount.toFixed(2)})` });
+    }
+
+    await database.setTransactionSplits(transaction.id, splits);
+    if (splits.length > 0) {
+      classifier.learn(transaction, (await database.getTransactionById(transaction.id)).category_id);
+    }
+
+    res.json({ success: true, splits: await database.getTransactionSplits(transaction.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List supported file import formats
+app.get('/api/importers', (req, res) => {
+  res.json(importers.listImporters());
+});
+
+// Detect file format and suggest the matching account
+app.post('/api/transactions/detect-format', async (req, res) => {
+  try {
+    const { fileContent, fileName } = req.body;
+
+    if (!fileContent) {
+      return res.status(400).json({ error: 'Съдържанието на файла е задължително' });
+    }
+
+    const detection = await formatDetection.detectFormat(fileContent, fileName);
+    res.json(detection);
+  } catch (error) {
+    logger.error(`[Format Detection] Error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview CSV column mapping (saved profile of the account, or guessed settings)
+app.post('/api/transactions/csv-preview', async (req, res) => {
+  try {
+    const { fileContent, accountId, settings } = req.body;
+
+    if (!fileContent) {
+      return res.status(400).json({ error: 'Съдържанието на файла е задължително' });
+    }
+
+    const preview = await csvImport.previewCsv(fileContent, accountId, settings || null);
+    res.json(preview);
+  } catch (error) {
+    logger.error(`[CSV Import] Preview error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import transactions from file (parser is picked by the detected file format)
 app.post('/api/transactions/import-file', async (req, res) => {
   try {
-    const { fileContent, accountId, currency } = req.body;
+    const {
+      fileContent, fileName, accountId, currency, format, csvSettings, csvProfileId,
+      dryRun, selectedIds, categoryOverrides, createSubAccounts
+    } = req.body;
 
     // Validate input
     if (!fileContent) {
@@ -264,31 +482,37 @@ app.post('/api/transactions/import-file', async (req, res) => {
       return res.status(400).json({ error: 'Сметката е задължителна' });
     }
 
-    // Verify account exists and get institution info
+    // Verify account exists
     const account = await database.getAccountById(accountId);
     if (!account) {
       return res.status(404).json({ error: 'Сметката не е намерена' });
     }
 
-    const institutionName = (account.institution_name || '').toUpperCase();
-    let transactions = [];
-    let parserName = '';
-
-    // Determine parser based on institution name
-    if (institutionName.includes('DSK')) {
-      // DSK Bank - XML parser
-      parserName = 'DSK Bank (XML)';
-      transactions = xmlImport.processXmlForImport(fileContent, accountId, currency || 'BGN');
-    } else if (institutionName.includes('REVOLUT')) {
-      // Revolut - CSV parser
-      parserName = 'Revolut (CSV)';
-      transactions = revolutImport.processCsvForImport(fileContent, accountId);
-    } else {
-      return res.status(400).json({
-        error: `Не се поддържа импорт за банка "${account.institution_name}". Поддържани банки: DSK Bank, Revolut`
-      });
+    // Use explicitly requested format, otherwise detect it from the file content
+    const importer = format
+      ? importers.getImporter(format)
+      : importers.detectImporter(fileContent, fileName);
+
+    if (!importer) {
+      const supported = importers.listImporters().map(i => i.label).join(', ');
+      let error = `Форматът на файла не е разпознат. Поддържани формати: ${supported}`;
+      if (format) {
+        error = `Непознат формат "${format}". Поддържани формати: ${supported}`;
+      } else {
+        // Recognized but unsupported formats get a more helpful message
+        const detection = await formatDetection.detectFormat(fileContent, fileName);
+        if (detection.format && !detection.supported) {
+          error = `Форматът "${detection.label}" е разпознат, но все още не се поддържа. Поддържани формати: ${supported}`;
+        }
+      }
+      return res.status(400).json({ error });
     }
 
+    const parserName = importer.label;
+    const { transactions, warnings } = await importers.runImporter(importer, fileContent, account, {
+      currency, csvSettings, csvProfileId, createSubAccounts: !!createSubAccounts, dryRun: !!dryRun
+    });
+
     logger.info(`[File Import] Using parser: ${parserName} for account ${accountId}`);
 
     if (transactions.length === 0) {
@@ -298,34 +522,110 @@ app.post('/api/transactions/import-file', async (req, res) => {
         skipped: 0,
         categorized: 0,
         errors: [],
+        warnings,
         total: 0,
         parser: parserName,
+        format: importer.name,
         message: 'Няма намерени транзакции във файла'
       });
     }
 
     // Apply categorization rules and counterparty history before import
     let categorizedCount = 0;
+    const feesCategoryId = transactions.some(tx => tx.isFee) ? await database.getBankFeesCategoryId() : null;
+    const transferCategoryId = transactions.some(tx => tx.isInternalTransfer) ? await database.getInternalTransferCategoryId() : null;
+    const rules = await categorization.getActiveRules();
+    const categorizeFromHistory = await categorization.createHistoryCategorizer();
     for (const tx of transactions) {
-      // First try categorization rules
-      let categoryId = await categorization.categorizeTransaction({
-        description: tx.description,
-        counterpartyName: tx.counterpartyName
-      });
+      // Fees split off by the importer always go to the bank fees category
+      if (tx.isFee) {
+        tx.categoryId = feesCategoryId;
+        categorizedCount++;
+        continue;
+      }
 
-      // If no rule matched, try to find category from previous transactions with same counterparty
-      if (!categoryId && tx.counterpartyName) {
-        categoryId = await database.getCategoryByCounterparty(tx.counterpartyName);
+      // Moves between own accounts (e.g. savings vaults) are transfers, not income or expenses
+      if (tx.isInternalTransfer && transferCategoryId) {
+        tx.categoryId = transferCategoryId;
+        categorizedCount++;
+        continue;
       }
 
+      // First try categorization rules with all their actions (a dry-run doesn't save counterparty aliases)
+      if (await categorization.applyRuleActions(tx, rules, { saveAliases: !dryRun })) {
+        categorizedCount++;
+        continue;
+      }
+
+      // If no rule matched, fall back to previous transactions with same counterparty and the classifier
+      const categoryId = await categorizeFromHistory(tx);
       if (categoryId) {
         tx.categoryId = categoryId;
         categorizedCount++;
       }
     }
 
+    // Dry-run: report what would be imported without writing anything
+    if (dryRun) {
+      const rows = await importPreview.previewImport(transactions);
+      const counts = { new: 0, existing: 0, duplicate: 0 };
+      rows.forEach(row => counts[row.status]++);
+
+      logger.info(`[File Import] ${parserName}: Preview of ${rows.length} transactions (new ${counts.new}, existing ${counts.existing}, duplicate ${counts.duplicate})`);
+
+      return res.json({
+        success: true,
+        dryRun: true,
+        transactions: rows,
+        counts,
+        warnings,
+        total: rows.length,
+        parser: parserName,
+        format: importer.name
+      });
+    }
+
+    // Only import rows selected in the preview, with the categories chosen there
+    let toImport = transactions;
+    if (Array.isArray(selectedIds)) {
+      const selected = new Set(selectedIds);
+      toImport = transactions.filter(tx => selected.has(tx.id));
+    }
+    // A category changed in the preview was chosen by hand - it is locked like one set in the transactions list
+    if (categoryOverrides) {
+      for (const tx of toImport) {
+        if (!Object.prototype.hasOwnProperty.call(categoryOverrides, tx.id)) continue;
+
+        const categoryId = categoryOverrides[tx.id] || null;
+        if (categoryId !== (tx.categoryId || null)) {
+          tx.categoryId = categoryId;
+          tx.ruleId = null;
+          tx.categoryManual = !!categoryId;
+        }
+      }
+    }
+    categorizedCount = toImport.filter(tx => tx.categoryId).length;
+
+    // Record the import batch so the import can be rolled back later
+    const batchId = await database.createImportBatch({
+      source: 'file',
+      fileName,
+      fileHash: crypto.createHash('sha256').update(fileContent).digest('hex'),
+      accountId,
+      parser: parserName
+    });
+    toImport.forEach(tx => { tx.importBatchId = batchId; });
+
     // Import transactions in batch
-    const results = await database.importTransactionsBatch(transactions);
+    const results = await database.importTransactionsBatch(toImport);
+    classifier.learnNew(toImport);
+    await fxExchanges.detectExchanges();
+    await database.updateImportBatchCounts(batchId, {
+      total: toImport.length,
+      imported: results.imported,
+      skipped: results.skipped,
+      errors: results.errors.length
+    });
 
     logger.info(`[File Import] ${parserName}: Imported ${results.imported}, skipped ${results.skipped}, categorized ${categorizedCount}, errors: ${results.errors.length}`);
 
@@ -335,8 +635,11 @@ app.post('/api/transactions/import-file', async (req, res) => {
       skipped: results.skipped,
       categorized: categorizedCount,
       errors: results.errors,
-      total: transactions.length,
-      parser: parserName
+      warnings,
+      total: toImport.length,
+      parser: parserName,
+      format: importer.name,
+      batchId
     });
   } catch (error) {
     logger.error(`[File Import] Error: ${error.message}`);
@@ -344,6 +647,206 @@ app.post('/api/transactions/import-file', async (req, res) => {
   }
 });
 
+// Import batches (file imports and GoCardless sync runs)
+app.get('/api/import-batches', async (req, res) => {
+  try {
+    const batches = await database.getImportBatches();
+    res.json(batches);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Roll back an import batch - removes only the transactions it created
+app.post('/api/import-batches/:id/rollback', async (req, res) => {
+  try {
+    const batch = await database.getImportBatchById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Импортът не е намерен' });
+    }
+    if (batch.rolled_back_at) {
+      return res.status(400).json({ error: 'Импортът вече е отменен' });
+    }
+
+    const result = await database.rollbackImportBatch(batch.id);
+    classifier.reset();
+    logger.info(`[Import Batch] Rolled back batch ${batch.id} (${batch.source}, ${batch.file_name || batch.account_id}): deleted ${result.deleted} transactions, restored ${result.restored}`);
+
+    res.json({ success: true, deleted: result.deleted, restored: result.restored });
+  } catch (error) {
+    logger.error(`[Import Batch] Rollback error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Likely duplicates between bank sync and file imports
+app.get('/api/duplicates', async (req, res) => {
+  try {
+    const pairs = await duplicateDetection.findDuplicates({ accountId: req.query.account_id });
+    res.json(pairs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/duplicates/merge', async (req, res) => {
+  try {
+    const { keepId, removeId } = req.body;
+    if (!keepId || !removeId || keepId === removeId) {
+      return res.status(400).json({ error: 'Изберете две различни транзакции' });
+    }
+
+    const merged = await duplicateDetection.mergeDuplicates(keepId, removeId);
+    classifier.reset();
+    res.json({ success: true, categoryId: merged.categoryId, notes: merged.notes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/duplicates/ignore', async (req, res) => {
+  try {
+    const { idA, idB } = req.body;
+    if (!idA || !idB) {
+      return res.status(400).json({ error: 'Изберете две транзакции' });
+    }
+
+    await database.ignoreDuplicatePair(idA, idB);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Application settings (reporting currency, auto-categorization)
+const DEFAULT_SETTINGS = {
+  reportingCurrency: 'EUR'
+};
+
+async function readSettings() {
+  const settings = await database.getSettings();
+  return { ...DEFAULT_SETTINGS, ...settings, ...await classifier.getAutoCategorizeSettings() };
+}
+
+app.get('/api/settings', async (req, res) => {
+  try {
+    res.json(await readSettings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/settings', async (req, res) => {
+  try {
+    const { reportingCurrency, autoCategorize, autoCategorizeThreshold } = req.body;
+
+    if (reportingCurrency !== undefined) {
+      const rates = await exchangeRates.getLatestRates();
+      if (!rates[reportingCurrency]) {
+        return res.status(400).json({ error: `Няма курс за ${reportingCurrency}. Импортирайте курсовете на ЕЦБ` });
+      }
+      await database.setSetting('reportingCurrency', reportingCurrency);
+    }
+
+    if (autoCategorizeThreshold !== undefined) {
+      const threshold = parseFloat(autoCategorizeThreshold);
+      if (!(threshold >= 0.5 && threshold < 1)) {
+        return res.status(400).json({ error: 'Прагът на увереност трябва да е между 0.5 и 0.99' });
+      }
+      await database.setSetting('autoCategorizeThreshold', String(threshold));
+    }
+
+    if (autoCategorize !== undefined) {
+      await database.setSetting('autoCategorize', autoCategorize ? 'true' : 'false');
+    }
+
+    res.json(await readSettings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stored ECB exchange rates per currency
+app.get('/api/exchange-rates', async (req, res) => {
+  try {
+    const currencies = await database.getExchangeRateSummary();
+    const latestRates = await exchangeRates.getLatestRates();
+    res.json({ currencies, fixedRates: exchangeRates.FIXED_RATES, latestRates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import ECB reference rates file (eurofxref CSV/XML or Data Portal CSV)
+app.post('/api/exchange-rates/import', async (req, res) => {
+  try {
+    const { fileContent, fileName } = req.body;
+    if (!fileContent) {
+      return res.status(400).json({ error: 'Липсва съдържание на файла' });
+    }
+
+    let result;
+    try {
+      result = await exchangeRates.importEcbRates(fileContent, fileName);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-conversion of stored amounts with the current exchange rates
+app.get('/api/reconversion/preview', async (req, res) => {
+  try {
+    const preview = await reconversion.previewReconversion();
+    res.json(preview);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/reconversion/apply', async (req, res) => {
+  try {
+    const result = await reconversion.applyReconversion();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`[Reconversion] Apply error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/reconversion/runs', async (req, res) => {
+  try {
+    const runs = await database.getReconversionRuns();
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/reconversion/runs/:id/revert', async (req, res) => {
+  try {
+    const run = await database.getReconversionRunById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Преизчисляването не е намерено' });
+    }
+    if (run.reverted_at) {
+      return res.status(400).json({ error: 'Преизчисляването вече е отменено' });
+    }
+
+    const result = await database.revertReconversion(run.id);
+    logger.info(`[Reconversion] Reverted run ${run.id}: restored ${result.reverted} transactions`);
+
+    res.json({ success: true, reverted: result.reverted });
+  } catch (error) {
+    logger.error(`[Reconversion] Revert error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get accounts by institution name pattern
 app.get('/api/accounts/by-institution/:pattern', async (req, res) => {
   try {
@@ -397,17 +900,41 @@ app.put('/api/categories/:id', async (req, res) => {
 app.delete('/api/categories/:id', async (req, res) => {
   try {
     await database.deleteCategory(req.params.id);
+    classifier.reset();
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Categorization classifier
+app.get('/api/classifier', async (req, res) => {
+  try {
+    await classifier.ensureTrained();
+    res.json(classifier.getModelInfo());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/classifier/retrain', async (req, res) => {
+  try {
+    const info = await classifier.train();
+    res.json({ success: true, ...info });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Categorization rules routes
 app.get('/api/categorization-rules', async (req, res) => {
   try {
     const rules = await database.getAllCategorizationRules();
-    res.json(rules);
+    res.json(rules.map(rule => ({
+      ...rule,
+      conditions: categorization.getRuleConditions(rule),
+      actions: categorization.getRuleActions(rule)
+    })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -415,18 +942,91 @@ app.get('/api/categorization-rules', async (req, res) => {
 
 app.post('/api/categorization-rules', async (req, res) => {
   try {
-    const { pattern, categoryId, priority } = req.body;
-    const id = await database.createCategorizationRule({ pattern, categoryId, priority });
+    const { pattern, categoryId, priority, matchType, actions } = req.body;
+    // Clients that only send a pattern get the same substring match as before
+    const conditions = req.body.conditions || (pattern ? [{ field: 'text', operator: 'contains', value: pattern }] : []);
+
+    const validationError = categorization.validateConditions(matchType, conditions) || categorization.validateActions(actions);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const id = await database.createCategorizationRule({ pattern, categoryId, priority, matchType, conditions, actions });
     res.status(201).json({ id, success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Rule hit statistics and shadowed rules
+app.get('/api/categorization-rules/stats', async (req, res) => {
+  try {
+    const stats = await categorization.getRuleStats();
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rules proposed from repeated manual categorizations
+app.get('/api/categorization-rules/proposals', async (req, res) => {
+  try {
+    const proposals = await ruleProposals.getRuleProposals();
+    res.json(proposals);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/categorization-rules/proposals/dismiss', async (req, res) => {
+  try {
+    const { value, categoryId } = req.body;
+    if (!value || !categoryId) {
+      return res.status(400).json({ error: 'Липсва предложение' });
+    }
+
+    await ruleProposals.dismissRuleProposal(value, categoryId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test a draft rule against the stored transactions without saving it
+app.post('/api/categorization-rules/test', async (req, res) => {
+  try {
+    const { id, categoryId, priority, matchType, conditions } = req.body;
+
+    const validationError = categorization.validateConditions(matchType, conditions);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await categorization.testRule({ id, categoryId, priority, matchType, conditions });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.put('/api/categorization-rules/:id', async (req, res) => {
   try {
-    const { pattern, categoryId, priority, active } = req.body;
-    await database.updateCategorizationRule(req.params.id, { pattern, categoryId, priority, active });
+    const { pattern, categoryId, priority, active, matchType, actions } = req.body;
+    let conditions = req.body.conditions;
+    if (conditions === undefined && pattern !== undefined) {
+      conditions = [{ field: 'text', operator: 'contains', value: pattern }];
+    }
+
+    if (matchType !== undefined && !['all', 'any'].includes(matchType)) {
+      return res.status(400).json({ error: 'Невалиден начин на комбиниране на условията' });
+    }
+    const validationError = (conditions !== undefined && categorization.validateConditions(matchType, conditions)) ||
+      categorization.validateActions(actions);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await database.updateCategorizationRule(req.params.id, { pattern, categoryId, priority, active, matchType, conditions, actions });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -442,6 +1042,53 @@ app.delete('/api/categorization-rules/:id', async (req, res) => {
   }
 });
 
+// Re-run the rules over all unlocked transactions in a date range
+function readRecategorizationFilters(body) {
+  const filters = {
+    startDate: body.startDate || null,
+    endDate: body.endDate || null,
+    accountId: body.accountId || null
+  };
+
+  const invalidDate = [filters.startDate, filters.endDate].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date));
+  if (invalidDate) {
+    return { error: 'Невалидна дата' };
+  }
+  if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+    return { error: 'Началната дата е след крайната' };
+  }
+
+  return { filters };
+}
+
+app.post('/api/categorization-rules/recategorize/preview', async (req, res) => {
+  try {
+    const { filters, error } = readRecategorizationFilters(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const preview = await categorization.previewRecategorization(filters);
+    res.json(preview);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/categorization-rules/recategorize/apply', async (req, res) => {
+  try {
+    const { filters, error } = readRecategorizationFilters(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await categorization.applyRecategorization(filters);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/categorization-rules/apply', async (req, res) => {
   try {
     // Apply categorization rules
@@ -521,6 +1168,36 @@ app.get('/api/reports/counterparty', async (req, res) => {
   }
 });
 
+// Bank fees report (per month and bank)
+app.get('/api/reports/fees', async (req, res) => {
+  try {
+    const report = await database.getFeesReport();
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Currency exchanges report - cost of conversions compared to the ECB reference rate
+app.get('/api/reports/fx-exchanges', async (req, res) => {
+  try {
+    const report = await fxExchanges.getConversionCostReport();
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pair the legs of currency exchanges imported before the pairing ran on import and sync
+app.post('/api/fx-exchanges/detect', async (req, res) => {
+  try {
+    const paired = await fxExchanges.detectExchanges();
+    res.json({ success: true, paired });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Country report
 app.get('/api/reports/country', async (req, res) => {
   try {
@@ -621,6 +1298,55 @@ app.delete('/api/counterparty-aliases/:id', async (req, res) => {
   }
 });
 
+// CSV import profiles routes
+app.get('/api/csv-profiles', async (req, res) => {
+  try {
+    const profiles = await database.getCsvImportProfiles(req.query.account_id || null);
+    res.json(profiles.map(profile => ({ ...profile, settings: JSON.parse(profile.settings) })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/csv-profiles', async (req, res) => {
+  try {
+    const { name, accountId, settings, headerSignature } = req.body;
+
+    if (!name || !settings) {
+      return res.status(400).json({ error: 'Име и настройки на профила са задължителни' });
+    }
+
+    const id = await database.createCsvImportProfile({ name, accountId, settings, headerSignature });
+    res.status(201).json({ id, success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/csv-profiles/:id', async (req, res) => {
+  try {
+    const { name, accountId, settings, headerSignature } = req.body;
+
+    if (!name || !settings) {
+      return res.status(400).json({ error: 'Име и настройки на профила са задължителни' });
+    }
+
+    await database.updateCsvImportProfile(req.params.id, { name, accountId, settings, headerSignature });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/csv-profiles/:id', async (req, res) => {
+  try {
+    await database.deleteCsvImportProfile(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Logs route
 app.get('/api/logs', async (req, res) => {
   try {
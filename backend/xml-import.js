@@ -6,6 +6,7 @@
 const { XMLParser } = require('fast-xml-parser');
 const crypto = require('crypto');
 const logger = require('./logger');
+const exchangeRates = require('./exchange-rates');
 const { extractCountryFromCounterparty } = require('./country-codes');
 
 /**
@@ -162,23 +163,13 @@ function generateTransactionId(transaction) {
  * @param {string} currency - Currency (BGN or EUR)
  * @returns {Array} Array of transactions ready for database import
  */
-function processXmlForImport(xmlContent, accountId, currency = 'BGN') {
+async function processXmlForImport(xmlContent, accountId, currency = 'BGN') {
+    const converter = await exchangeRates.createConverter();
     const movements = parseDskBankXml(xmlContent);
 
-    // Currency conversion rate BGN -> EUR (official fixed rate)
-    const BGN_TO_EUR_RATE = 1.9558;
-
     return movements.map(movement => {
-        // Convert currency if needed
-        let amount = movement.amount;
-        let originalAmount = null;
-        let originalCurrency = null;
-
-        if (currency === 'BGN') {
-            originalAmount = amount;
-            originalCurrency = 'BGN';
-            amount = parseFloat((amount / BGN_TO_EUR_RATE).toFixed(2));
-        }
+        // Convert currency to EUR with the ECB rate for the transaction date
+        const { amount, originalAmount, originalCurrency, exchangeRate } = converter.convert(movement.amount, currency, movement.transactionDate);
 
         // Store raw XML data as JSON string
         const rawData = JSON.stringify(movement.rawMovement);
@@ -188,6 +179,7 @@ function processXmlForImport(xmlContent, accountId, currency = 'BGN') {
             amount,
             originalAmount,
             originalCurrency,
+            exchangeRate,
             currency: 'EUR',
             accountId,
             rawData
@@ -211,8 +203,58 @@ function processXmlForImport(xmlContent, accountId, currency = 'BGN') {
     });
 }
 
+/**
+ * Score how likely the content is a DSK Bank XML export
+ * @param {string} content - Raw file content
+ * @returns {number} Confidence between 0 and 1
+ */
+function detectDskBankXml(content) {
+    const head = String(content || '').replace(/^\uFEFF/, '').trimStart().substring(0, 2000);
+    if (!head.startsWith('<')) return 0;
+
+    if (/<AccountMovements[\s>]/.test(head)) return 0.95;
+    if (/<AccountMovement[\s>]/.test(head)) return 0.8;
+    return 0;
+}
+
+/**
+ * Extract the statement account IBAN from a DSK Bank XML export
+ * Only elements outside of AccountMovement are checked, so counterparty IBANs are ignored
+ * @param {string} xmlContent - Raw XML content
+ * @returns {Object} { iban, accountNumber }
+ */
+function extractAccountIdentifiers(xmlContent) {
+    const parser = new XMLParser({ ignoreAttributes: true, parseTagValue: false, trimValues: true });
+    const parsed = parser.parse(xmlContent);
+    const root = parsed.AccountMovements || {};
+
+    for (const [key, value] of Object.entries(root)) {
+        if (key === 'AccountMovement' || typeof value !== 'string') continue;
+        const normalized = value.replace(/\s/g, '').toUpperCase();
+        if (/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(normalized)) {
+            return { iban: normalized, accountNumber: null };
+        }
+    }
+
+    return { iban: null, accountNumber: null };
+}
+
+// Importer definition for the importer registry
+const importer = {
+    name: 'dsk-xml',
+    label: 'DSK Bank (XML)',
+    extensions: ['.xml'],
+    options: ['currency'],
+    institutionPattern: 'DSK',
+    detect: detectDskBankXml,
+    extractAccountIdentifiers,
+    process: (content, account, options = {}) => processXmlForImport(content, account.id, options.currency || 'BGN')
+};
+
 module.exports = {
     parseDskBankXml,
     generateTransactionId,
-    processXmlForImport
+    processXmlForImport,
+    detectDskBankXml,
+    importer
 };
@@ -62,6 +62,18 @@ class APIClient {
         return this.request(endpoint);
     }
 
+    getOfxExportUrl(filters = {}) {
+        const params = new URLSearchParams();
+        Object.keys(filters).forEach(key => {
+            if (filters[key] !== null && filters[key] !== undefined && filters[key] !== '') {
+                params.append(key, filters[key]);
+            }
+        });
+
+        const queryString = params.toString();
+        return `${API_BASE}/transactions/export/ofx${queryString ? `?${queryString}` : ''}`;
+    }
+
     async createTransaction(transaction) {
         return this.request('/transactions', {
             method: 'POST',
@@ -83,6 +95,28 @@ class APIClient {
         });
     }
 
+    async updateTransactionCategoryLock(id, locked) {
+        return this.request(`/transactions/${id}/category-lock`, {
+            method: 'PUT',
+            body: JSON.stringify({ locked })
+        });
+    }
+
+    async getTransactionSplits(id) {
+        return this.request(`/transactions/${id}/splits`);
+    }
+
+    async updateTransactionSplits(id, splits) {
+        return this.request(`/transactions/${id}/splits`, {
+            method: 'PUT',
+            body: JSON.stringify({ splits })
+        });
+    }
+
+    async getTransactionSuggestions(id) {
+        return this.request(`/transactions/${id}/suggestions`);
+    }
+
     async updateTransactionNotes(id, notes) {
         return this.request(`/transactions/${id}/notes`, {
             method: 'PUT',
@@ -90,6 +124,13 @@ class APIClient {
         });
     }
 
+    async updateTransactionExcludeFromReports(id, exclude) {
+        return this.request(`/transactions/${id}/exclude-from-reports`, {
+            method: 'PUT',
+            body: JSON.stringify({ exclude })
+        });
+    }
+
     async getTransactionStats(startDate, endDate) {
         const params = new URLSearchParams();
         if (startDate) params.append('start_date', startDate);
@@ -144,12 +185,48 @@ class APIClient {
         });
     }
 
+    async getCategorizationRuleStats() {
+        return this.request('/categorization-rules/stats');
+    }
+
+    async testCategorizationRule(rule) {
+        return this.request('/categorization-rules/test', {
+            method: 'POST',
+            body: JSON.stringify(rule)
+        });
+    }
+
     async deleteCategorizationRule(id) {
         return this.request(`/categorization-rules/${id}`, {
             method: 'DELETE'
         });
     }
 
+    async getRuleProposals() {
+        return this.request('/categorization-rules/proposals');
+    }
+
+    async dismissRuleProposal(value, categoryId) {
+        return this.request('/categorization-rules/proposals/dismiss', {
+            method: 'POST',
+            body: JSON.stringify({ value, categoryId })
+        });
+    }
+
+    async previewRecategorization(filters) {
+        return this.request('/categorization-rules/recategorize/preview', {
+            method: 'POST',
+            body: JSON.stringify(filters)
+        });
+    }
+
+    async applyRecategorization(filters) {
+        return this.request('/categorization-rules/recategorize/apply', {
+            method: 'POST',
+            body: JSON.stringify(filters)
+        });
+    }
+
     async applyCategorizationRules() {
         return this.request('/categorization-rules/apply', {
             method: 'POST'
@@ -258,11 +335,138 @@ class APIClient {
         });
     }
 
-    // File Import (auto-detect parser based on account)
-    async importFileTransactions(fileContent, accountId, currency = null) {
+    // File Import (parser is picked by the detected file format)
+    async getImporters() {
+        return this.request('/importers');
+    }
+
+    async detectFileFormat(fileContent, fileName = null) {
+        return this.request('/transactions/detect-format', {
+            method: 'POST',
+            body: JSON.stringify({ fileContent, fileName })
+        });
+    }
+
+    async importFileTransactions(fileContent, accountId, currency = null, fileName = null, format = null, options = {}) {
         return this.request('/transactions/import-file', {
             method: 'POST',
-            body: JSON.stringify({ fileContent, accountId, currency })
+            body: JSON.stringify({ fileContent, fileName, accountId, currency, format, ...options })
+        });
+    }
+
+    async previewCsv(fileContent, accountId, settings = null) {
+        return this.request('/transactions/csv-preview', {
+            method: 'POST',
+            body: JSON.stringify({ fileContent, accountId, settings })
+        });
+    }
+
+    // CSV import profiles
+    async getCsvProfiles(accountId = null) {
+        return this.request(accountId ? `/csv-profiles?account_id=${encodeURIComponent(accountId)}` : '/csv-profiles');
+    }
+
+    async createCsvProfile(profile) {
+        return this.request('/csv-profiles', {
+            method: 'POST',
+            body: JSON.stringify(profile)
+        });
+    }
+
+    async updateCsvProfile(id, profile) {
+        return this.request(`/csv-profiles/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(profile)
+        });
+    }
+
+    async deleteCsvProfile(id) {
+        return this.request(`/csv-profiles/${id}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Import batches
+    async getImportBatches() {
+        return this.request('/import-batches');
+    }
+
+    async rollbackImportBatch(id) {
+        return this.request(`/import-batches/${id}/rollback`, {
+            method: 'POST'
+        });
+    }
+
+    // Settings
+    async getSettings() {
+        return this.request('/settings');
+    }
+
+    async updateSettings(settings) {
+        return this.request('/settings', {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+    }
+
+    // Categorization classifier
+    async getClassifierInfo() {
+        return this.request('/classifier');
+    }
+
+    async retrainClassifier() {
+        return this.request('/classifier/retrain', { method: 'POST' });
+    }
+
+    // Exchange rates
+    async getExchangeRates() {
+        return this.request('/exchange-rates');
+    }
+
+    async importExchangeRates(fileContent, fileName) {
+        return this.request('/exchange-rates/import', {
+            method: 'POST',
+            body: JSON.stringify({ fileContent, fileName })
+        });
+    }
+
+    // Re-conversion of stored amounts
+    async getReconversionPreview() {
+        return this.request('/reconversion/preview');
+    }
+
+    async applyReconversion() {
+        return this.request('/reconversion/apply', {
+            method: 'POST'
+        });
+    }
+
+    async getReconversionRuns() {
+        return this.request('/reconversion/runs');
+    }
+
+    async revertReconversion(id) {
+        return this.request(`/reconversion/runs/${id}/revert`, {
+            method: 'POST'
+        });
+    }
+
+    // Duplicates
+    async getDuplicates(accountId = null) {
+        return this.request(accountId ? `/duplicates?account_id=${encodeURIComponent(accountId)}` : '/duplicates');
+    }
+
+    async mergeDuplicates(keepId, removeId) {
+        return this.request('/duplicates/merge', {
+            method: 'POST',
+            body: JSON.stringify({ keepId, removeId })
+        });
+    }
+
+    async ignoreDuplicates(idA, idB) {
+        return this.request('/duplicates/ignore', {
+            method: 'POST',
+            body: JSON.stringify({ idA, idB })
         });
     }
 
@@ -275,6 +479,20 @@ class APIClient {
         return this.request('/countries');
     }
 
+    async getFeesReport() {
+        return this.request('/reports/fees');
+    }
+
+    async getFxExchangesReport() {
+        return this.request('/reports/fx-exchanges');
+    }
+
+    async detectFxExchanges() {
+        return this.request('/fx-exchanges/detect', {
+            method: 'POST'
+        });
+    }
+
     async getCountryReport(types = ['expense'], categoryId = null) {
         const params = new URLSearchParams();
         types.forEach(type => params.append('types', type));
@@ -1,11 +1,97 @@
 // Main application logic
 
+// Dual display (EUR and BGN side by side) is a preference of each user, kept in the browser
+const DUAL_CURRENCY_STORAGE_KEY = 'mymoney2.dualCurrency';
+
+// Reporting currency and the latest rates (units of currency per 1 EUR), loaded on startup
+const currencySettings = {
+    reportingCurrency: 'EUR',
+    rates: { EUR: 1 },
+    dualDisplay: localStorage.getItem(DUAL_CURRENCY_STORAGE_KEY) === '1'
+};
+
+const CURRENCY_SYMBOLS = {
+    EUR: '€',
+    BGN: 'лв.',
+    USD: '$',
+    GBP: '£'
+};
+
+async function loadCurrencySettings() {
+    try {
+        const [settings, exchangeRates] = await Promise.all([api.getSettings(), api.getExchangeRates()]);
+        currencySettings.rates = { EUR: 1, ...exchangeRates.latestRates };
+        currencySettings.reportingCurrency = currencySettings.rates[settings.reportingCurrency]
+            ? settings.reportingCurrency
+            : 'EUR';
+    } catch (error) {
+        console.error('Error loading currency settings:', error);
+    }
+}
+
 // Utility functions
-function formatCurrency(amount) {
+function getCurrencySymbol(currency = currencySettings.reportingCurrency) {
+    return CURRENCY_SYMBOLS[currency] || currency;
+}
+
+// Convert an amount (EUR by default) to the reporting currency
+function convertAmount(amount, currency = 'EUR') {
+    const fromRate = currencySettings.rates[currency];
+    const toRate = currencySettings.rates[currencySettings.reportingCurrency] || 1;
+    if (!fromRate) return amount;
+    return amount / fromRate * toRate;
+}
+
+// Format an amount in its own currency, without conversion
+function formatMoney(amount, currency) {
     const absAmount = Math.abs(amount);
     const formatted = absAmount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
     const sign = amount < 0 ? '-' : '';
-    return `${sign}${formatted} €`;
+    return `${sign}${formatted} ${getCurrencySymbol(currency)}`;
+}
+
+// Format an amount (EUR by default) in the reporting currency, or in EUR and BGN in dual display
+function formatCurrency(amount, currency = 'EUR') {
+    if (currencySettings.dualDisplay) {
+        const amountEur = currency === 'EUR' ? amount : amount / (currencySettings.rates[currency] || 1);
+        return `${formatMoney(amountEur, 'EUR')} / ${formatMoney(amountEur * currencySettings.rates.BGN, 'BGN')}`;
+    }
+
+    return formatMoney(convertAmount(amount, currency), currencySettings.reportingCurrency);
+}
+
+// Rounded amount for chart axes (EUR in dual display)
+function formatAxisAmount(amount) {
+    if (currencySettings.dualDisplay) {
+        return `${Math.round(amount)} ${getCurrencySymbol('EUR')}`;
+    }
+    return `${Math.round(convertAmount(amount))} ${getCurrencySymbol()}`;
+}
+
+function setDualCurrencyDisplay(enabled) {
+    currencySettings.dualDisplay = enabled;
+    localStorage.setItem(DUAL_CURRENCY_STORAGE_KEY, enabled ? '1' : '0');
+    updateDualCurrencyToggle();
+}
+
+function updateDualCurrencyToggle() {
+    const toggle = document.getElementById('dualCurrencyToggle');
+    if (!toggle) return;
+    toggle.classList.toggle('btn-primary', currencySettings.dualDisplay);
+    toggle.classList.toggle('btn-secondary', !currencySettings.dualDisplay);
+    toggle.title = currencySettings.dualDisplay
+        ? 'Сумите се показват в EUR и BGN. Натиснете за една валута'
+        : 'Показвай сумите едновременно в EUR и BGN (по фиксирания курс 1.95583)';
+}
+
+// Native amount of a transaction, shown next to the converted one when the currencies differ
+function formatNativeAmount(amount, originalAmount, originalCurrency) {
+    const currency = originalCurrency || 'EUR';
+    if (currency === currencySettings.reportingCurrency) return '';
+    if (currencySettings.dualDisplay && (currency === 'EUR' || currency === 'BGN')) return '';
+
+    const nativeAmount = originalCurrency ? originalAmount : amount;
+    return `<br><small class="text-muted">${formatMoney(nativeAmount, currency)}</small>`;
 }
 
 function formatDate(date) {
@@ -209,6 +295,10 @@ async function loadCategoriesPage() {
 
         const categories = await api.getCategories();
         const rules = await api.getCategorizationRules();
+        ruleAccounts = await api.getAccounts();
+        ruleStats = await api.getCategorizationRuleStats();
+        ruleProposals = await api.getRuleProposals();
+        allRules = rules;
 
         // Render categories by type
         renderCategoriesByType(categories, 'expense', 'expenseCategories');
@@ -216,6 +306,7 @@ async function loadCategoriesPage() {
         renderCategoriesByType(categories, 'transfer', 'transferCategories');
 
         // Render rules
+        renderRuleProposals(ruleProposals);
         renderCategorizationRules(rules);
 
     } catch (error) {
@@ -303,24 +394,53 @@ function renderCategorizationRules(rules) {
     tbody.innerHTML = '';
 
     if (rules.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Няма правила</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Няма правила</td></tr>';
         return;
     }
 
+    const statsById = new Map(ruleStats.map(stat => [stat.ruleId, stat]));
+    const staleMonths = parseInt(document.getElementById('ruleStaleMonths')?.value) || 6;
+    const staleBefore = new Date();
+    staleBefore.setMonth(staleBefore.getMonth() - staleMonths);
+
     rules.forEach(rule => {
+        const stat = statsById.get(rule.id) || { hitCount: 0, lastMatchedAt: null, categorizedCount: 0, fullyShadowed: false, shadowedBy: [] };
+        // SQLite CURRENT_TIMESTAMP is UTC without a zone
+        const lastMatched = stat.lastMatchedAt ? new Date(stat.lastMatchedAt.replace(' ', 'T') + 'Z') : null;
+        const isStale = rule.active && (!lastMatched || lastMatched < staleBefore);
+
+        const warnings = [];
+        if (isStale) {
+            warnings.push(`<span class="badge badge-warning" title="Правилото не е категоризирало транзакция от ${staleMonths} месеца">${lastMatched ? `Не е срабатвало от ${staleMonths} мес.` : 'Никога не е срабатвало'}</span>`);
+        }
+        if (rule.active && stat.fullyShadowed) {
+            warnings.push(`<span class="badge badge-danger" title="Всички транзакции, които хваща, се печелят от правило с по-висок приоритет">Засенчено от ${stat.shadowedBy.map(id => `#${id}`).join(', ')}</span>`);
+        }
+
         const row = document.createElement('tr');
+        if (warnings.length > 0) {
+            row.style.backgroundColor = '#FFF8E1';
+        }
         row.innerHTML = `
-            <td>${escapeHtml(rule.pattern)}</td>
+            <td><small class="text-muted">#${rule.id}</small> ${escapeHtml(describeRule(rule))}</td>
             <td>
                 <span class="category-badge" style="background-color: ${rule.category_color}">
                     ${escapeHtml(rule.category_name)}
                 </span>
+                ${describeRuleActions(rule.actions) ? `<br><small class="text-muted">${escapeHtml(describeRuleActions(rule.actions))}</small>` : ''}
             </td>
             <td>${rule.priority}</td>
+            <td style="white-space: nowrap;">
+                ${stat.categorizedCount > 0
+                    ? `<a href="#" class="link" onclick="showRuleTransactions(${rule.id}); return false;" title="Транзакции с категория от това правило">${stat.hitCount}</a>`
+                    : stat.hitCount}
+                <br><small class="text-muted">${lastMatched ? formatDate(lastMatched) : '-'}</small>
+            </td>
             <td>
                 <span class="badge ${rule.active ? 'badge-success' : 'badge-danger'}">
                     ${rule.active ? 'Активно' : 'Неактивно'}
                 </span>
+                ${warnings.length > 0 ? `<br>${warnings.join('<br>')}` : ''}
             </td>
             <td>
                 <button class="btn btn-secondary" style="padding: 6px 12px; font-size: 12px;" onclick="editRule(${rule.id})">Редактирай</button>
@@ -331,6 +451,67 @@ function renderCategorizationRules(rules) {
     });
 }
 
+// Transactions whose category was set by a rule
+async function showRuleTransactions(ruleId) {
+    try {
+        showLoader();
+
+        const result = await api.getTransactions({ rule_id: ruleId, limit: 500 });
+        const transactions = result.transactions || result;
+
+        const modal = document.getElementById('modal');
+        const modalContent = modal.querySelector('.modal-content');
+        modalContent.style.maxWidth = '800px';
+
+        document.getElementById('modalTitle').textContent = `Транзакции от правило #${ruleId}`;
+        document.getElementById('modalSave').style.display = 'none';
+        document.getElementById('modalCancel').textContent = 'Затвори';
+
+        if (transactions.length === 0) {
+            document.getElementById('modalBody').innerHTML = '<p class="text-muted text-center">Няма транзакции</p>';
+        } else {
+            document.getElementById('modalBody').innerHTML = `
+                <div class="table-responsive" style="max-height: 400px; overflow-y: auto;">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th style="width: 100px;">Дата</th>
+                                <th>Контрагент</th>
+                                <th style="width: 120px; text-align: right;">Сума</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${transactions.map(tx => `
+                                <tr>
+                                    <td style="white-space: nowrap;">${tx.transaction_date}</td>
+                                    <td>${escapeHtml(tx.counterparty_display_name || tx.counterparty_name || tx.description || '-')}</td>
+                                    <td class="${tx.amount >= 0 ? 'positive' : 'negative'}" style="text-align: right; font-weight: 600;">${formatCurrency(tx.amount)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${result.total > transactions.length ? `<small class="text-muted">Показани са първите ${transactions.length} от ${result.total}</small>` : ''}
+            `;
+        }
+
+        modal.classList.add('active');
+
+        const closeModal = () => {
+            modalContent.style.maxWidth = '';
+            modal.classList.remove('active');
+        };
+        document.getElementById('modalCancel').onclick = closeModal;
+        document.querySelector('.modal-close').onclick = closeModal;
+
+    } catch (error) {
+        console.error('Error loading rule transactions:', error);
+        showNotification('Грешка при зареждане на транзакции', 'error');
+    } finally {
+        hideLoader();
+    }
+}
+
 // Categories CRUD
 let allCategories = [];
 
@@ -520,51 +701,273 @@ async function deleteCategory(categoryId) {
 
 // Categorization Rules CRUD
 let allRules = [];
+let ruleAccounts = [];
+let ruleStats = [];
+let ruleProposals = [];
+
+const RULE_FIELD_LABELS = {
+    text: 'Описание или контрагент',
+    description: 'Описание',
+    counterparty: 'Контрагент',
+    iban: 'IBAN на контрагента',
+    amount: 'Сума',
+    direction: 'Посока',
+    account: 'Сметка',
+    day_of_month: 'Ден от месеца',
+    weekday: 'Ден от седмицата'
+};
+
+const RULE_OPERATOR_LABELS = {
+    contains: 'съдържа',
+    equals: 'е точно',
+    starts_with: 'започва с',
+    regex: 'регулярен израз'
+};
+
+const WEEKDAY_LABELS = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Нд'];
+
+// Human-readable text of one rule condition
+function describeRuleCondition(condition) {
+    const label = RULE_FIELD_LABELS[condition.field] || condition.field;
+    const range = (min, max, unit = '') => {
+        if (min !== undefined && min !== null && min !== '' && max !== undefined && max !== null && max !== '') return `${min}${unit} - ${max}${unit}`;
+        if (min !== undefined && min !== null && min !== '') return `≥ ${min}${unit}`;
+        return `≤ ${max}${unit}`;
+    };
+
+    switch (condition.field) {
+        case 'amount':
+            return `${label} ${range(condition.min, condition.max, ' €')}`;
+        case 'direction':
+            return condition.value === 'income' ? 'Приход' : 'Разход';
+        case 'account': {
+            const account = ruleAccounts.find(acc => acc.id === condition.value);
+            return `${label}: ${account ? (account.custom_name || account.name) : condition.value}`;
+        }
+        case 'day_of_month':
+            return `${label} ${range(condition.min, condition.max)}`;
+        case 'weekday':
+            return `${label}: ${(condition.values || []).map(day => WEEKDAY_LABELS[day - 1]).join(', ')}`;
+        default:
+            return `${label} ${RULE_OPERATOR_LABELS[condition.operator] || condition.operator} „${condition.value}“`;
+    }
+}
+
+function describeRule(rule) {
+    const joiner = rule.match_type === 'any' ? ' ИЛИ ' : ' И ';
+    return (rule.conditions || []).map(describeRuleCondition).join(joiner);
+}
+
+// Human-readable list of the actions of a rule besides the category
+function describeRuleActions(actions = {}) {
+    const parts = [];
+    if (actions.counterpartyAlias) parts.push(`име „${actions.counterpartyAlias}“`);
+    if (actions.notes) parts.push(`бележка „${actions.notes}“`);
+    if (actions.tags && actions.tags.length > 0) parts.push(`етикети: ${actions.tags.join(', ')}`);
+    if (actions.country) parts.push(`държава ${actions.country}`);
+    if (actions.internalTransfer) parts.push('между сметки');
+    if (actions.excludeFromReports) parts.push('извън отчетите');
+    return parts.join(' · ');
+}
+
+function readRuleActions() {
+    const tags = document.getElementById('ruleActionTags').value
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(Boolean);
+
+    const actions = {
+        counterpartyAlias: document.getElementById('ruleActionAlias').value.trim(),
+        notes: document.getElementById('ruleActionNotes').value.trim(),
+        tags,
+        country: document.getElementById('ruleActionCountry').value.trim().toUpperCase(),
+        internalTransfer: document.getElementById('ruleActionTransfer').checked,
+        excludeFromReports: document.getElementById('ruleActionExclude').checked
+    };
+
+    // Keep only the actions that are set
+    return Object.fromEntries(Object.entries(actions).filter(([, value]) => Array.isArray(value) ? value.length > 0 : value));
+}
+
+// Inputs of a condition row for the selected field
+function renderRuleConditionInputs(condition) {
+    const value = escapeHtml(condition.value || '');
+
+    switch (condition.field) {
+        case 'amount':
+        case 'day_of_month': {
+            const isAmount = condition.field === 'amount';
+            const step = isAmount ? '0.01' : '1';
+            const limits = isAmount ? 'min="0"' : 'min="1" max="31"';
+            return `
+                <input type="number" class="input rule-min" step="${step}" ${limits} placeholder="от" value="${condition.min ?? ''}" style="width: 110px;">
+                <input type="number" class="input rule-max" step="${step}" ${limits} placeholder="до" value="${condition.max ?? ''}" style="width: 110px;">
+                ${isAmount ? '<small class="text-muted">сума без знак, в €</small>' : '<small class="text-muted">напр. 28 - 3 за края на месеца</small>'}
+            `;
+        }
+        case 'direction':
+            return `
+                <select class="input rule-value" style="width: auto;">
+                    <option value="expense" ${condition.value !== 'income' ? 'selected' : ''}>Разход</option>
+                    <option value="income" ${condition.value === 'income' ? 'selected' : ''}>Приход</option>
+                </select>
+            `;
+        case 'account':
+            return `
+                <select class="input rule-value" style="width: auto;">
+                    ${ruleAccounts.map(acc => `<option value="${escapeHtml(acc.id)}" ${acc.id === condition.value ? 'selected' : ''}>${escapeHtml(acc.custom_name || acc.name)}</option>`).join('')}
+                </select>
+            `;
+        case 'weekday':
+            return WEEKDAY_LABELS.map((label, index) => `
+                <label style="display: inline-flex; align-items: center; gap: 4px;">
+                    <input type="checkbox" class="rule-weekday" value="${index + 1}" ${(condition.values || []).includes(index + 1) ? 'checked' : ''}> ${label}
+                </label>
+            `).join('');
+        default:
+            return `
+                <select class="input rule-operator" style="width: auto;">
+                    ${Object.entries(RULE_OPERATOR_LABELS).map(([operator, label]) => `<option value="${operator}" ${operator === (condition.operator || 'contains') ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="text" class="input rule-value" value="${value}" placeholder="напр. Lidl|Kaufland" style="flex: 1; min-width: 160px;">
+            `;
+    }
+}
+
+function addRuleConditionRow(condition = { field: 'text', operator: 'contains', value: '' }) {
+    const row = document.createElement('div');
+    row.className = 'rule-condition';
+    row.style.cssText = 'display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin-bottom: 8px;';
+    row.innerHTML = `
+        <select class="input rule-field" style="width: auto;">
+            ${Object.entries(RULE_FIELD_LABELS).map(([field, label]) => `<option value="${field}" ${field === condition.field ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <span class="rule-inputs" style="display: flex; gap: 8px; align-items: center; flex-wrap: wrap; flex: 1;">${renderRuleConditionInputs(condition)}</span>
+        <button type="button" class="btn btn-secondary btn-sm rule-remove" title="Премахни">✕</button>
+    `;
+
+    row.querySelector('.rule-field').onchange = (e) => {
+        row.querySelector('.rule-inputs').innerHTML = renderRuleConditionInputs({ field: e.target.value });
+    };
+    row.querySelector('.rule-remove').onclick = () => row.remove();
+
+    document.getElementById('ruleConditions').appendChild(row);
+}
+
+function readRuleConditions() {
+    return [...document.querySelectorAll('#ruleConditions .rule-condition')].map(row => {
+        const field = row.querySelector('.rule-field').value;
+        const condition = { field };
+
+        if (field === 'amount' || field === 'day_of_month') {
+            const min = row.querySelector('.rule-min').value;
+            const max = row.querySelector('.rule-max').value;
+            if (min !== '') condition.min = parseFloat(min);
+            if (max !== '') condition.max = parseFloat(max);
+        } else if (field === 'weekday') {
+            condition.values = [...row.querySelectorAll('.rule-weekday:checked')].map(input => parseInt(input.value));
+        } else {
+            const operator = row.querySelector('.rule-operator');
+            if (operator) condition.operator = operator.value;
+            condition.value = row.querySelector('.rule-value').value.trim();
+        }
+
+        return condition;
+    });
+}
+
+// Rule editor - a rule without id (e.g. an accepted proposal) only pre-fills a new rule
+async function showRuleModal(rule = null, onSaved = null) {
+    const isEdit = !!(rule && rule.id);
 
-async function showAddRuleModal() {
     try {
         showLoader();
-        allCategories = await api.getCategories();
+        [allCategories, ruleAccounts] = await Promise.all([api.getCategories(), api.getAccounts()]);
         hideLoader();
 
         const modal = document.getElementById('modal');
-        document.getElementById('modalTitle').textContent = 'Ново правило за категоризиране';
+        const modalContent = modal.querySelector('.modal-content');
+        modalContent.style.maxWidth = '900px';
+        document.getElementById('modalTitle').textContent = isEdit ? 'Редактиране на правило' : 'Ново правило за категоризиране';
 
+        const actions = rule && rule.actions ? rule.actions : {};
         const categoryOptions = allCategories
-            .map(cat => `<option value="${cat.id}">${escapeHtml(cat.name)} (${cat.type === 'expense' ? 'Разход' : cat.type === 'income' ? 'Приход' : 'Трансфер'})</option>`)
+            .map(cat => `<option value="${cat.id}" ${rule && cat.id === rule.category_id ? 'selected' : ''}>${escapeHtml(cat.name)} (${cat.type === 'expense' ? 'Разход' : cat.type === 'income' ? 'Приход' : 'Трансфер'})</option>`)
             .join('');
 
         document.getElementById('modalBody').innerHTML = `
             <div class="filter-group">
-                <label>Шаблон за търсене</label>
-                <input type="text" id="rulePattern" class="input" placeholder="напр. Lidl|Kaufland|Billa">
-                <small class="text-muted">Използвайте | за няколко варианта. Търси се в описанието и контрагента.</small>
+                <label>Условия</label>
+                <select id="ruleMatchType" class="input" style="width: auto;">
+                    <option value="all" ${!rule || rule.match_type !== 'any' ? 'selected' : ''}>Всички условия (И)</option>
+                    <option value="any" ${rule && rule.match_type === 'any' ? 'selected' : ''}>Поне едно условие (ИЛИ)</option>
+                </select>
+                <div id="ruleConditions" style="margin-top: 8px;"></div>
+                <div>
+                    <button type="button" id="addRuleConditionBtn" class="btn btn-secondary btn-sm">+ Условие</button>
+                    <button type="button" id="testRuleBtn" class="btn btn-outline btn-sm">🔍 Тествай върху транзакциите</button>
+                </div>
+                <small class="text-muted">В текстовите условия използвайте | за няколко варианта.</small>
             </div>
+            <div id="ruleTestResults"></div>
             <div class="filter-group">
                 <label>Категория</label>
                 <select id="ruleCategory" class="input">
-                    <option value="">Изберете категория</option>
+                    ${rule && rule.category_id ? '' : '<option value="">Изберете категория</option>'}
                     ${categoryOptions}
                 </select>
             </div>
+            <div class="filter-group">
+                <label>Допълнителни действия</label>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+                    <input type="text" id="ruleActionAlias" class="input" placeholder="Име на контрагента (напр. Vivacom)" value="${escapeHtml(actions.counterpartyAlias || '')}">
+                    <input type="text" id="ruleActionCountry" class="input" maxlength="2" placeholder="Държава (напр. BG)" value="${escapeHtml(actions.country || '')}">
+                    <input type="text" id="ruleActionNotes" class="input" placeholder="Бележка" value="${escapeHtml(actions.notes || '')}">
+                    <input type="text" id="ruleActionTags" class="input" placeholder="Етикети, разделени със запетая" value="${escapeHtml((actions.tags || []).join(', '))}">
+                </div>
+                <label style="display: flex; align-items: center; gap: 8px;">
+                    <input type="checkbox" id="ruleActionTransfer" ${actions.internalTransfer ? 'checked' : ''}> Между собствени сметки (категория „Между сметки“)
+                </label>
+                <label style="display: flex; align-items: center; gap: 8px;">
+                    <input type="checkbox" id="ruleActionExclude" ${actions.excludeFromReports ? 'checked' : ''}> Не включвай в отчетите
+                </label>
+            </div>
             <div class="filter-group">
                 <label>Приоритет</label>
-                <input type="number" id="rulePriority" class="input" value="5" min="1" max="10">
+                <input type="number" id="rulePriority" class="input" value="${rule ? rule.priority : 5}" min="1" max="10">
                 <small class="text-muted">По-висок приоритет = проверява се първо (1-10)</small>
             </div>
+            ${isEdit ? `
+            <div class="filter-group">
+                <label>
+                    <input type="checkbox" id="ruleActive" ${rule.active ? 'checked' : ''}> Активно
+                </label>
+            </div>
+            ` : ''}
         `;
 
+        const conditions = rule && rule.conditions && rule.conditions.length > 0 ? rule.conditions : [undefined];
+        conditions.forEach(condition => addRuleConditionRow(condition));
+        document.getElementById('addRuleConditionBtn').onclick = () => addRuleConditionRow();
+        document.getElementById('testRuleBtn').onclick = () => testDraftRule(isEdit ? rule.id : null);
+
         modal.classList.add('active');
         document.getElementById('modalSave').style.display = 'inline-block';
         document.getElementById('modalCancel').textContent = 'Отказ';
 
+        const closeModal = () => {
+            modal.classList.remove('active');
+            modalContent.style.maxWidth = '';
+        };
+
         const saveHandler = async () => {
-            const pattern = document.getElementById('rulePattern').value.trim();
             const categoryId = document.getElementById('ruleCategory').value;
             const priority = parseInt(document.getElementById('rulePriority').value) || 5;
+            const matchType = document.getElementById('ruleMatchType').value;
+            const ruleConditions = readRuleConditions();
 
-            if (!pattern) {
-                showNotification('Моля, въведете шаблон за търсене', 'error');
+            if (ruleConditions.length === 0) {
+                showNotification('Моля, добавете поне едно условие', 'error');
                 return;
             }
             if (!categoryId) {
@@ -572,22 +975,30 @@ async function showAddRuleModal() {
                 return;
             }
 
+            const data = { categoryId: parseInt(categoryId), priority, matchType, conditions: ruleConditions, actions: readRuleActions() };
+
             try {
                 showLoader();
-                await api.createCategorizationRule({ pattern, categoryId: parseInt(categoryId), priority });
-                modal.classList.remove('active');
-                showNotification('Правилото е създадено успешно', 'success');
+                if (isEdit) {
+                    data.active = document.getElementById('ruleActive').checked;
+                    await api.updateCategorizationRule(rule.id, data);
+                } else {
+                    await api.createCategorizationRule(data);
+                }
+                closeModal();
+                showNotification(isEdit ? 'Правилото е обновено успешно' : 'Правилото е създадено успешно', 'success');
+                if (onSaved) await onSaved();
                 await loadCategoriesPage();
             } catch (error) {
-                showNotification('Грешка при създаване на правило: ' + error.message, 'error');
+                showNotification((isEdit ? 'Грешка при обновяване на правило: ' : 'Грешка при създаване на правило: ') + error.message, 'error');
             } finally {
                 hideLoader();
             }
         };
 
         document.getElementById('modalSave').onclick = saveHandler;
-        document.getElementById('modalCancel').onclick = () => modal.classList.remove('active');
-        document.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+        document.getElementById('modalCancel').onclick = closeModal;
+        document.querySelector('.modal-close').onclick = closeModal;
 
     } catch (error) {
         hideLoader();
@@ -595,89 +1006,110 @@ async function showAddRuleModal() {
     }
 }
 
-async function editRule(ruleId) {
+// Run the rule being edited against the stored transactions and show what it would catch
+async function testDraftRule(ruleId) {
+    const container = document.getElementById('ruleTestResults');
+    const draft = {
+        id: ruleId,
+        categoryId: parseInt(document.getElementById('ruleCategory').value) || null,
+        priority: parseInt(document.getElementById('rulePriority').value) || 5,
+        matchType: document.getElementById('ruleMatchType').value,
+        conditions: readRuleConditions()
+    };
+
     try {
         showLoader();
-        const [rules, categories] = await Promise.all([
-            api.getCategorizationRules(),
-            api.getCategories()
-        ]);
-        allCategories = categories;
-        const rule = rules.find(r => r.id === ruleId);
-        hideLoader();
+        const result = await api.testCategorizationRule(draft);
 
-        if (!rule) {
-            showNotification('Правилото не е намерено', 'error');
-            return;
-        }
-
-        const modal = document.getElementById('modal');
-        document.getElementById('modalTitle').textContent = 'Редактиране на правило';
+        const statusBadge = (match) => {
+            if (match.status === 'shadowed') {
+                return `<span class="badge badge-secondary" title="Правило с по-висок приоритет печели">Правило #${match.winningRule.id}: ${escapeHtml(match.winningRule.categoryName)}</span>`;
+            }
+            return match.status === 'change'
+                ? '<span class="badge badge-warning">Ще се промени</span>'
+                : '<span class="badge badge-success">Без промяна</span>';
+        };
 
-        const categoryOptions = allCategories
-            .map(cat => `<option value="${cat.id}" ${cat.id === rule.category_id ? 'selected' : ''}>${escapeHtml(cat.name)} (${cat.type === 'expense' ? 'Разход' : cat.type === 'income' ? 'Приход' : 'Трансфер'})</option>`)
-            .join('');
+        const ruleList = (rules, text) => rules.map(item => `
+            <li>
+                Правило #${item.ruleId}
+                <span class="category-badge" style="background-color: ${item.categoryColor}">${escapeHtml(item.categoryName)}</span>
+                - ${text(item)}
+            </li>
+        `).join('');
 
-        document.getElementById('modalBody').innerHTML = `
-            <div class="filter-group">
-                <label>Шаблон за търсене</label>
-                <input type="text" id="rulePattern" class="input" value="${escapeHtml(rule.pattern)}">
-                <small class="text-muted">Използвайте | за няколко варианта.</small>
-            </div>
-            <div class="filter-group">
-                <label>Категория</label>
-                <select id="ruleCategory" class="input">
-                    ${categoryOptions}
-                </select>
-            </div>
-            <div class="filter-group">
-                <label>Приоритет</label>
-                <input type="number" id="rulePriority" class="input" value="${rule.priority}" min="1" max="10">
-            </div>
-            <div class="filter-group">
-                <label>
-                    <input type="checkbox" id="ruleActive" ${rule.active ? 'checked' : ''}> Активно
-                </label>
+        container.innerHTML = `
+            <div class="alert alert-info" style="margin: 12px 0;">
+                Съвпадения: <strong>${result.total}</strong> ·
+                ще сменят категорията: <strong>${result.changes}</strong> ·
+                без промяна: <strong>${result.unchanged}</strong> ·
+                печели друго правило: <strong>${result.shadowed}</strong>
             </div>
+            ${result.higherRules.length > 0 ? `
+                <div style="margin-bottom: 8px;">
+                    <strong>Правила с по-висок приоритет, които печелят:</strong>
+                    <ul style="margin: 4px 0 0 20px;">${ruleList(result.higherRules, item => `${item.count} транзакции`)}</ul>
+                </div>
+            ` : ''}
+            ${result.overlaps.length > 0 ? `
+                <div class="alert alert-warning" style="margin-bottom: 8px;">
+                    <strong>Припокриване с правила със същия приоритет</strong> - редът между тях е случаен:
+                    <ul style="margin: 4px 0 0 20px;">${ruleList(result.overlaps, item => `${item.count} общи транзакции${item.sameCategory ? ' (същата категория)' : ''}`)}</ul>
+                </div>
+            ` : ''}
+            ${result.matches.length > 0 ? `
+                <div class="table-responsive" style="max-height: 300px; overflow-y: auto;">
+                    <table class="table" style="font-size: 12px;">
+                        <thead>
+                            <tr>
+                                <th>Дата</th>
+                                <th>Контрагент / описание</th>
+                                <th style="text-align: right;">Сума</th>
+                                <th>Текуща категория</th>
+                                <th>Резултат</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.matches.map(match => `
+                                <tr>
+                                    <td>${match.transactionDate}</td>
+                                    <td>${escapeHtml(match.counterpartyName || match.description || '-')}</td>
+                                    <td style="text-align: right;" class="${match.amount >= 0 ? 'positive' : 'negative'}">${formatCurrency(match.amount)}</td>
+                                    <td>${match.categoryName ? `<span class="category-badge" style="background-color: ${match.categoryColor}">${escapeHtml(match.categoryName)}</span>` : '<span class="text-muted">-</span>'}</td>
+                                    <td>${statusBadge(match)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${result.total > result.matches.length ? `<small class="text-muted">Показани са първите ${result.matches.length} от ${result.total}</small>` : ''}
+            ` : '<p class="text-muted">Правилото не хваща нито една транзакция</p>'}
         `;
+    } catch (error) {
+        container.innerHTML = '';
+        showNotification('Грешка при тестване на правилото: ' + error.message, 'error');
+    } finally {
+        hideLoader();
+    }
+}
 
-        modal.classList.add('active');
-        document.getElementById('modalSave').style.display = 'inline-block';
-        document.getElementById('modalCancel').textContent = 'Отказ';
-
-        const saveHandler = async () => {
-            const pattern = document.getElementById('rulePattern').value.trim();
-            const categoryId = document.getElementById('ruleCategory').value;
-            const priority = parseInt(document.getElementById('rulePriority').value) || 5;
-            const active = document.getElementById('ruleActive').checked;
-
-            if (!pattern) {
-                showNotification('Моля, въведете шаблон за търсене', 'error');
-                return;
-            }
+function showAddRuleModal() {
+    return showRuleModal();
+}
 
-            try {
-                showLoader();
-                await api.updateCategorizationRule(ruleId, {
-                    pattern,
-                    categoryId: parseInt(categoryId),
-                    priority,
-                    active
-                });
-                modal.classList.remove('active');
-                showNotification('Правилото е обновено успешно', 'success');
-                await loadCategoriesPage();
-            } catch (error) {
-                showNotification('Грешка при обновяване на правило: ' + error.message, 'error');
-            } finally {
-                hideLoader();
-            }
-        };
+async function editRule(ruleId) {
+    try {
+        showLoader();
+        const rules = await api.getCategorizationRules();
+        const rule = rules.find(r => r.id === ruleId);
+        hideLoader();
 
-        document.getElementById('modalSave').onclick = saveHandler;
-        document.getElementById('modalCancel').onclick = () => modal.classList.remove('active');
-        document.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+        if (!rule) {
+            showNotification('Правилото не е намерено', 'error');
+            return;
+        }
 
+        await showRuleModal(rule);
     } catch (error) {
         hideLoader();
         showNotification('Грешка при зареждане на правило: ' + error.message, 'error');
@@ -701,6 +1133,98 @@ async function deleteRule(ruleId) {
     }
 }
 
+// Rules proposed from repeated manual categorizations
+function renderRuleProposals(proposals) {
+    const card = document.getElementById('ruleProposalsCard');
+    const tbody = document.querySelector('#ruleProposalsTable tbody');
+    card.style.display = proposals.length > 0 ? '' : 'none';
+
+    tbody.innerHTML = proposals.map((proposal, index) => `
+        <tr>
+            <td>
+                Контрагентът съдържа <strong>${escapeHtml(proposal.value)}</strong>
+                <br><small class="text-muted">${proposal.examples.map(example => escapeHtml(example)).join(', ')}</small>
+            </td>
+            <td>
+                <span class="category-badge" style="background-color: ${proposal.categoryColor}">
+                    ${escapeHtml(proposal.categoryName)}
+                </span>
+            </td>
+            <td>
+                ${proposal.manualCount} ръчно
+                ${proposal.conflicts > 0 ? `<br><small class="text-muted" title="Ръчно категоризирани в друга категория">${proposal.conflicts} в друга категория</small>` : ''}
+            </td>
+            <td>${proposal.fixes > 0 ? `<span class="badge badge-success">${proposal.fixes} некатегоризирани</span>` : '<span class="text-muted">-</span>'}</td>
+            <td style="white-space: nowrap;">
+                <button class="btn btn-primary" style="padding: 6px 12px; font-size: 12px;" onclick="acceptRuleProposal(${index})">Приеми</button>
+                <button class="btn btn-secondary" style="padding: 6px 12px; font-size: 12px;" onclick="editRuleProposal(${index})">Редактирай</button>
+                <button class="btn btn-secondary" style="padding: 6px 12px; font-size: 12px;" onclick="dismissRuleProposal(${index})">Откажи</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function proposalToRule(proposal) {
+    return {
+        category_id: proposal.categoryId,
+        priority: proposal.priority,
+        match_type: 'all',
+        conditions: [{ field: proposal.field, operator: 'contains', value: proposal.value }],
+        actions: {}
+    };
+}
+
+// New rules only help future imports - categorize the transactions they fix right away
+async function applyAcceptedProposal() {
+    const result = await api.applyCategorizationRules();
+    if (result.categorizedCount > 0) {
+        showNotification(`Категоризирани ${result.categorizedCount} транзакции`, 'success');
+    }
+}
+
+async function acceptRuleProposal(index) {
+    const proposal = ruleProposals[index];
+    if (!proposal) return;
+
+    try {
+        showLoader();
+        const rule = proposalToRule(proposal);
+        await api.createCategorizationRule({
+            categoryId: rule.category_id,
+            priority: rule.priority,
+            matchType: rule.match_type,
+            conditions: rule.conditions
+        });
+        showNotification(`Правилото за "${proposal.value}" е създадено`, 'success');
+        await applyAcceptedProposal();
+        await loadCategoriesPage();
+    } catch (error) {
+        showNotification('Грешка при създаване на правило: ' + error.message, 'error');
+    } finally {
+        hideLoader();
+    }
+}
+
+function editRuleProposal(index) {
+    const proposal = ruleProposals[index];
+    if (proposal) {
+        showRuleModal(proposalToRule(proposal), applyAcceptedProposal);
+    }
+}
+
+async function dismissRuleProposal(index) {
+    const proposal = ruleProposals[index];
+    if (!proposal) return;
+
+    try {
+        await api.dismissRuleProposal(proposal.value, proposal.categoryId);
+        showNotification('Предложението няма да се показва повече', 'success');
+        await loadCategoriesPage();
+    } catch (error) {
+        showNotification('Грешка: ' + error.message, 'error');
+    }
+}
+
 async function applyRules() {
     if (!confirm('Това ще приложи всички активни правила към некатегоризираните транзакции.\n\nЖелаете ли да продължите?')) {
         return;
@@ -728,11 +1252,168 @@ async function applyRules() {
     }
 }
 
+// Re-run the rules over all unlocked transactions in a date range, with a preview of old versus new category
+async function showRecategorizeModal() {
+    const modal = document.getElementById('modal');
+    const modalContent = modal.querySelector('.modal-content');
+    modalContent.style.maxWidth = '900px';
+
+    document.getElementById('modalTitle').textContent = 'Прекатегоризиране с правилата';
+    document.getElementById('modalBody').innerHTML = `
+        <p class="text-muted" style="margin-bottom: 10px;">
+            Правилата се пускат наново върху всички транзакции в периода, включително вече категоризираните, с всички
+            техни действия - категория, бележка, етикети, държава, „Извън отчетите“ и име на контрагента.
+            Ръчно зададените (🔒) категории се запазват, както и транзакциите, за които нито едно правило не съвпада.
+        </p>
+        <div style="display: flex; gap: 12px; align-items: flex-end; margin-bottom: 12px;">
+            <div class="filter-group" style="margin-bottom: 0;">
+                <label>От</label>
+                <input type="date" id="recategorizeFrom" class="input">
+            </div>
+            <div class="filter-group" style="margin-bottom: 0;">
+                <label>До</label>
+                <input type="date" id="recategorizeTo" class="input">
+            </div>
+            <button type="button" id="recategorizePreviewBtn" class="btn btn-secondary">🔍 Преглед</button>
+        </div>
+        <div id="recategorizePreview"></div>
+    `;
+
+    const saveBtn = document.getElementById('modalSave');
+    saveBtn.textContent = 'Приложи';
+    saveBtn.style.display = 'none';
+    document.getElementById('modalCancel').textContent = 'Отказ';
+    modal.classList.add('active');
+
+    // The applied range is the one that was previewed
+    let previewedFilters = null;
+
+    const readFilters = () => ({
+        startDate: document.getElementById('recategorizeFrom').value || null,
+        endDate: document.getElementById('recategorizeTo').value || null
+    });
+
+    const close = () => {
+        saveBtn.textContent = 'Запази';
+        saveBtn.style.display = 'inline-block';
+        modalContent.style.maxWidth = '';
+        modal.classList.remove('active');
+    };
+
+    const categoryBadge = (name, color) => name
+        ? `<span class="category-badge" style="background-color: ${color}">${escapeHtml(name)}</span>`
+        : '<span class="badge badge-warning">Некатегоризирана</span>';
+
+    const showPreview = async () => {
+        const filters = readFilters();
+        const container = document.getElementById('recategorizePreview');
+
+        try {
+            showLoader();
+            const preview = await api.previewRecategorization(filters);
+            previewedFilters = filters;
+
+            let html = `
+                <div class="alert alert-info" style="margin-bottom: 10px;">
+                    Проверени: <strong>${preview.checked}</strong> ·
+                    заключени: <strong>${preview.locked}</strong> ·
+                    ще бъдат променени: <strong>${preview.count}</strong>
+                </div>
+            `;
+
+            if (preview.count > 0) {
+                html += `
+                    <table class="table" style="font-size: 12px; margin-bottom: 12px;">
+                        <thead>
+                            <tr><th>Сега</th><th>След промяната</th><th>Брой</th></tr>
+                        </thead>
+                        <tbody>
+                            ${preview.groups.map(group => `
+                                <tr>
+                                    <td>${categoryBadge(group.oldCategoryName, group.oldCategoryColor)}</td>
+                                    <td>${categoryBadge(group.newCategoryName, group.newCategoryColor)}</td>
+                                    <td>${group.count}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="table-responsive" style="max-height: 300px; overflow-y: auto;">
+                        <table class="table" style="font-size: 12px;">
+                            <thead>
+                                <tr>
+                                    <th>Дата</th>
+                                    <th>Контрагент / описание</th>
+                                    <th style="text-align: right;">Сума</th>
+                                    <th>Сега</th>
+                                    <th>След промяната</th>
+                                    <th>Други промени</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${preview.changes.map(change => `
+                                    <tr>
+                                        <td style="white-space: nowrap;">${change.date}</td>
+                                        <td>${escapeHtml(change.counterparty)}</td>
+                                        <td class="${change.amount >= 0 ? 'positive' : 'negative'}" style="text-align: right;">${formatCurrency(change.amount)}</td>
+                                        <td>${categoryBadge(change.oldCategoryName, change.oldCategoryColor)}</td>
+                                        <td>${categoryBadge(change.newCategoryName, change.newCategoryColor)} <small class="text-muted">#${change.ruleId}</small></td>
+                                        <td>${escapeHtml(change.otherChanges.join(', '))}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    ${preview.count > preview.changes.length ? `<small class="text-muted">Показани са първите ${preview.changes.length} от ${preview.count}</small>` : ''}
+                `;
+            }
+
+            container.innerHTML = html;
+            saveBtn.style.display = preview.count > 0 ? 'inline-block' : 'none';
+        } catch (error) {
+            showNotification('Грешка: ' + error.message, 'error');
+        } finally {
+            hideLoader();
+        }
+    };
+
+    // A changed range needs a new preview before it can be applied
+    ['recategorizeFrom', 'recategorizeTo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            previewedFilters = null;
+            saveBtn.style.display = 'none';
+            document.getElementById('recategorizePreview').innerHTML = '';
+        });
+    });
+
+    document.getElementById('recategorizePreviewBtn').onclick = showPreview;
+    saveBtn.onclick = async () => {
+        if (!previewedFilters) return;
+
+        try {
+            showLoader();
+            const result = await api.applyRecategorization(previewedFilters);
+            close();
+            showNotification(`Прекатегоризирани ${result.changed} транзакции`, 'success');
+            await loadCategoriesPage();
+        } catch (error) {
+            showNotification('Грешка: ' + error.message, 'error');
+        } finally {
+            hideLoader();
+        }
+    };
+    document.getElementById('modalCancel').onclick = close;
+    document.querySelector('.modal-close').onclick = close;
+}
+
 // Make functions global for onclick handlers
 window.editCategory = editCategory;
 window.deleteCategory = deleteCategory;
 window.editRule = editRule;
 window.deleteRule = deleteRule;
+window.showRuleTransactions = showRuleTransactions;
+window.acceptRuleProposal = acceptRuleProposal;
+window.editRuleProposal = editRuleProposal;
+window.dismissRuleProposal = dismissRuleProposal;
 
 // Backup functionality
 async function createBackup() {
@@ -794,6 +1475,8 @@ async function loadReportsPage() {
             document.getElementById('monthlyReportSection').style.display = 'none';
             document.getElementById('yearlyReportSection').style.display = 'none';
             document.getElementById('countryReportSection').style.display = 'none';
+            document.getElementById('feesReportSection').style.display = 'none';
+            document.getElementById('fxReportSection').style.display = 'none';
 
             if (reportType === 'monthly') {
                 document.getElementById('monthlyReportSection').style.display = 'block';
@@ -803,6 +1486,12 @@ async function loadReportsPage() {
             } else if (reportType === 'country') {
                 document.getElementById('countryReportSection').style.display = 'block';
                 generateCountryReport();
+            } else if (reportType === 'fees') {
+                document.getElementById('feesReportSection').style.display = 'block';
+                generateFeesReport();
+            } else if (reportType === 'fx') {
+                document.getElementById('fxReportSection').style.display = 'block';
+                generateFxExchangesReport();
             }
         });
     });
@@ -1200,18 +1889,32 @@ async function showAddManualTransactionModal() {
     }
 }
 
+// Read a local file as text
+function readFileAsText(file, encoding = 'UTF-8') {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Грешка при четене на файла'));
+        reader.readAsText(file, encoding);
+    });
+}
+
 async function showImportFileModal() {
     try {
         showLoader();
 
-        // Load all accounts to populate the select
-        const accounts = await api.getAccounts();
+        // Load all accounts, supported import formats and categories for the preview
+        const [accounts, importers, categories] = await Promise.all([
+            api.getAccounts(),
+            api.getImporters(),
+            api.getCategories()
+        ]);
         hideLoader();
 
         const modal = document.getElementById('modal');
         document.getElementById('modalTitle').textContent = 'Импорт на транзакции от файл';
         document.getElementById('modalSave').style.display = 'inline-block';
-        document.getElementById('modalSave').textContent = 'Импорт';
+        document.getElementById('modalSave').textContent = 'Преглед';
         document.getElementById('modalCancel').textContent = 'Отказ';
 
         // Build account options with institution info
@@ -1220,10 +1923,14 @@ async function showImportFileModal() {
                 const displayName = acc.custom_name || acc.name || acc.iban;
                 const institution = acc.institution_name || '';
                 const label = institution ? `${displayName} (${institution})` : displayName;
-                return `<option value="${acc.id}" data-institution="${escapeHtml(institution)}">${escapeHtml(label)}</option>`;
+                return `<option value="${acc.id}">${escapeHtml(label)}</option>`;
             })
             .join('');
 
+        // Supported formats and file extensions come from the importer registry
+        const supportedFormats = importers.map(imp => imp.label).join(', ');
+        const acceptedExtensions = [...new Set(importers.flatMap(imp => imp.extensions))].join(',');
+
         document.getElementById('modalBody').innerHTML = `
             <div class="filter-group">
                 <label>Сметка *</label>
@@ -1231,13 +1938,15 @@ async function showImportFileModal() {
                     <option value="">Изберете сметка</option>
                     ${accountOptions}
                 </select>
-                <small id="importFileFormat" class="text-muted"></small>
             </div>
             <div class="filter-group">
                 <label>Файл с транзакции *</label>
-                <input type="file" id="importFile" class="input" accept=".xml,.csv" required>
-                <small class="text-muted">Поддържани формати: XML (DSK Bank), CSV (Revolut)</small>
+                <input type="file" id="importFile" class="input" accept="${escapeHtml(acceptedExtensions)}" required>
+                <small class="text-muted">Поддържани формати: ${escapeHtml(supportedFormats)}</small>
             </div>
+            <div id="importDetection" style="display: none; margin-bottom: 10px;"></div>
+            <div id="importCsvMapping" style="display: none; margin-bottom: 10px;"></div>
+            <div id="importPreview" style="display: none; margin-bottom: 10px;"></div>
             <div class="filter-group" id="importCurrencyGroup" style="display: none;">
                 <label>Валута на файла</label>
                 <select id="importFileCurrency" class="input">
@@ -1245,6 +1954,9 @@ async function showImportFileModal() {
                     <option value="EUR">EUR</option>
                 </select>
             </div>
+            <div class="filter-group" id="importSubAccountsGroup" style="display: none;">
+                <label><input type="checkbox" id="importCreateSubAccounts"> Създай липсващите под-сметки (спестявания, депозити, валутни джобове)</label>
+            </div>
             <div id="importProgress" style="display: none; margin-top: 15px;">
                 <div class="progress-bar">
                     <div class="progress-fill" style="width: 0%;"></div>
@@ -1256,30 +1968,201 @@ async function showImportFileModal() {
 
         modal.classList.add('active');
 
-        // Update format hint when account is selected
+        // Detect the file format as soon as a file is picked
+        const fileInput = document.getElementById('importFile');
         const accountSelect = document.getElementById('importFileAccount');
-        const formatHint = document.getElementById('importFileFormat');
         const currencyGroup = document.getElementById('importCurrencyGroup');
+        const subAccountsGroup = document.getElementById('importSubAccountsGroup');
+        const detectionDiv = document.getElementById('importDetection');
+        const csvMappingDiv = document.getElementById('importCsvMapping');
+        const previewDiv = document.getElementById('importPreview');
+        const modalContent = modal.querySelector('.modal-content');
+        let detectedFormat = null;
+        let csvEditor = null;
+        let preview = null;
+
+        // Changing the file or account invalidates the dry-run preview
+        const resetPreview = () => {
+            preview = null;
+            previewDiv.style.display = 'none';
+            previewDiv.innerHTML = '';
+            document.getElementById('modalSave').textContent = 'Преглед';
+            if (csvEditor) csvMappingDiv.style.display = 'block';
+        };
+
+        // Generic CSV files need a column mapping, the saved profile depends on the account
+        const loadCsvMapping = async () => {
+            csvMappingDiv.style.display = 'block';
+            modalContent.style.maxWidth = '900px';
+
+            if (!accountSelect.value) {
+                csvMappingDiv.innerHTML = '<div class="alert alert-info">Изберете сметка, за да настроите колоните на CSV файла</div>';
+                return;
+            }
+
+            try {
+                await csvEditor.load(accountSelect.value);
+            } catch (error) {
+                csvMappingDiv.innerHTML = `<div class="alert alert-error">❌ ${escapeHtml(error.message)}</div>`;
+            }
+        };
 
         accountSelect.addEventListener('change', () => {
-            const selectedOption = accountSelect.options[accountSelect.selectedIndex];
-            const institution = (selectedOption.dataset.institution || '').toUpperCase();
-
-            if (institution.includes('DSK')) {
-                formatHint.textContent = '📄 Очаква се XML файл от Банка ДСК';
-                currencyGroup.style.display = 'block';
-            } else if (institution.includes('REVOLUT')) {
-                formatHint.textContent = '📄 Очаква се CSV файл от Revolut';
-                currencyGroup.style.display = 'none';
-            } else if (accountSelect.value) {
-                formatHint.textContent = '⚠️ Импортът не се поддържа за тази банка';
-                currencyGroup.style.display = 'none';
-            } else {
-                formatHint.textContent = '';
-                currencyGroup.style.display = 'none';
+            resetPreview();
+            if (csvEditor) loadCsvMapping();
+        });
+        document.getElementById('importCreateSubAccounts').addEventListener('change', resetPreview);
+
+        const matchedByLabels = {
+            iban: 'по IBAN',
+            account_number: 'по номер на сметка',
+            institution: 'по банка'
+        };
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            resetPreview();
+            detectedFormat = null;
+            csvEditor = null;
+            detectionDiv.style.display = 'none';
+            csvMappingDiv.style.display = 'none';
+            modalContent.style.maxWidth = '';
+            currencyGroup.style.display = 'none';
+            subAccountsGroup.style.display = 'none';
+            if (!file) return;
+
+            try {
+                const fileContent = await readFileAsText(file);
+                const detection = await api.detectFileFormat(fileContent, file.name);
+
+                if (!detection.format) {
+                    detectionDiv.innerHTML = `<div class="alert alert-warning">⚠️ Форматът на файла не е разпознат. Поддържани формати: ${escapeHtml(supportedFormats)}</div>`;
+                } else if (!detection.supported) {
+                    detectionDiv.innerHTML = `<div class="alert alert-warning">⚠️ Разпознат формат: <strong>${escapeHtml(detection.label)}</strong>, но той все още не се поддържа</div>`;
+                } else {
+                    detectedFormat = detection.format;
+                    let html = `📋 Разпознат формат: <strong>${escapeHtml(detection.label)}</strong> (${Math.round(detection.confidence * 100)}% сигурност)`;
+
+                    if (detection.suggestedAccount) {
+                        accountSelect.value = detection.suggestedAccount.id;
+                        const matchedBy = matchedByLabels[detection.suggestedAccount.matchedBy] || '';
+                        html += `<br>🏦 Предложена сметка: <strong>${escapeHtml(detection.suggestedAccount.name)}</strong> ${matchedBy}`;
+                    } else if (detection.identifiers && detection.identifiers.iban) {
+                        html += `<br>🏦 Няма сметка с IBAN ${escapeHtml(detection.identifiers.iban)}`;
+                    }
+
+                    detectionDiv.innerHTML = `<div class="alert alert-info">${html}</div>`;
+
+                    const importer = importers.find(imp => imp.name === detection.format);
+                    currencyGroup.style.display = importer && importer.options.includes('currency') ? 'block' : 'none';
+                    subAccountsGroup.style.display = importer && importer.options.includes('subAccounts') ? 'block' : 'none';
+
+                    if (importer && importer.options.includes('columnMapping')) {
+                        csvEditor = new CsvMappingEditor(csvMappingDiv, file);
+                        loadCsvMapping();
+                    }
+                }
+                detectionDiv.style.display = 'block';
+            } catch (error) {
+                console.error('Error detecting file format:', error);
             }
         });
 
+        const statusLabels = {
+            new: { text: 'Нова', class: 'badge-success' },
+            existing: { text: 'Вече импортирана', class: 'badge-secondary' },
+            duplicate: { text: 'Възможен дубликат', class: 'badge-warning' }
+        };
+
+        const categoryOptions = selectedId => categories
+            .map(cat => `<option value="${cat.id}" ${cat.id === selectedId ? 'selected' : ''}>${escapeHtml(cat.name)}</option>`)
+            .join('');
+
+        // Update the import button with the number of selected rows
+        const updateSelectedCount = () => {
+            const count = previewDiv.querySelectorAll('.import-preview-select:checked').length;
+            document.getElementById('modalSave').textContent = `Импортирай избраните (${count})`;
+        };
+
+        // Show the dry-run result: new rows are selected, already imported and likely duplicates are not
+        const renderPreview = () => {
+            const { result } = preview;
+            const counts = result.counts;
+
+            let html = `<div class="alert alert-info" style="margin-bottom: 10px;">
+                📋 ${escapeHtml(result.parser)}: ${result.total} транзакции -
+                нови: <strong>${counts.new}</strong>,
+                вече импортирани: <strong>${counts.existing}</strong>,
+                възможни дубликати: <strong>${counts.duplicate}</strong>
+            </div>`;
+
+            if (result.warnings && result.warnings.length > 0) {
+                html += `<div class="alert alert-warning" style="margin-bottom: 10px;">`;
+                html += result.warnings.map(warning => `⚠️ ${escapeHtml(warning)}`).join('<br>');
+                html += '</div>';
+            }
+
+            html += `
+                <div class="table-responsive" style="max-height: 400px; overflow-y: auto;">
+                    <table class="table" style="font-size: 12px;">
+                        <thead>
+                            <tr>
+                                <th><input type="checkbox" id="importPreviewSelectAll"></th>
+                                <th>Дата</th>
+                                <th>Сума</th>
+                                <th>Контрагент / Описание</th>
+                                <th>Статус</th>
+                                <th>Категория</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.transactions.map((tx, index) => {
+                                const status = statusLabels[tx.status];
+                                const duplicateInfo = tx.duplicateOf
+                                    ? `<br><small class="text-muted">${formatDate(tx.duplicateOf.transactionDate)} ${escapeHtml(tx.duplicateOf.counterpartyName || tx.duplicateOf.description || '')}</small>`
+                                    : '';
+                                return `
+                                    <tr>
+                                        <td><input type="checkbox" class="import-preview-select" data-index="${index}" ${tx.status === 'new' ? 'checked' : ''}></td>
+                                        <td>${formatDate(tx.transactionDate)}</td>
+                                        <td class="${tx.amount < 0 ? 'negative' : 'positive'}">${formatCurrency(tx.amount)}</td>
+                                        <td>
+                                            <strong>${escapeHtml(tx.counterpartyName || '')}</strong>
+                                            <br><small class="text-muted">${escapeHtml(tx.description || '')}</small>
+                                        </td>
+                                        <td><span class="badge ${status.class}">${status.text}</span>${duplicateInfo}</td>
+                                        <td>
+                                            <select class="input import-preview-category" data-index="${index}" style="min-width: 140px;">
+                                                <option value="">Некатегоризирана</option>
+                                                ${categoryOptions(tx.categoryId)}
+                                            </select>
+                                        </td>
+                                    </tr>`;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+            previewDiv.innerHTML = html;
+            previewDiv.style.display = 'block';
+            csvMappingDiv.style.display = 'none';
+            modalContent.style.maxWidth = '900px';
+
+            const selectAll = document.getElementById('importPreviewSelectAll');
+            selectAll.addEventListener('change', () => {
+                previewDiv.querySelectorAll('.import-preview-select').forEach(checkbox => {
+                    checkbox.checked = selectAll.checked;
+                });
+                updateSelectedCount();
+            });
+            previewDiv.querySelectorAll('.import-preview-select').forEach(checkbox => {
+                checkbox.addEventListener('change', updateSelectedCount);
+            });
+
+            updateSelectedCount();
+        };
+
         const saveHandler = async () => {
             const fileInput = document.getElementById('importFile');
             const accountId = document.getElementById('importFileAccount').value;
@@ -1294,6 +2177,11 @@ async function showImportFileModal() {
                 return;
             }
 
+            if (preview && !previewDiv.querySelector('.import-preview-select:checked')) {
+                showNotification('Моля, изберете поне една транзакция', 'error');
+                return;
+            }
+
             const file = fileInput.files[0];
             const progressDiv = document.getElementById('importProgress');
             const progressFill = progressDiv.querySelector('.progress-fill');
@@ -1312,19 +2200,66 @@ async function showImportFileModal() {
             statusText.textContent = 'Четене на файла...';
 
             try {
-                // Read file content
-                const fileContent = await new Promise((resolve, reject) => {
-                    const reader = new FileReader();
-                    reader.onload = (e) => resolve(e.target.result);
-                    reader.onerror = () => reject(new Error('Грешка при четене на файла'));
-                    reader.readAsText(file, 'UTF-8');
+                // First step: dry-run and show what would be imported
+                if (!preview) {
+                    // Read file content (CSV files are already decoded with the selected encoding)
+                    const fileContent = csvEditor ? csvEditor.content : await readFileAsText(file);
+
+                    // Save the CSV column mapping profile before import
+                    const importOptions = csvEditor ? await csvEditor.prepareImport() : {};
+                    if (subAccountsGroup.style.display !== 'none') {
+                        importOptions.createSubAccounts = document.getElementById('importCreateSubAccounts').checked;
+                    }
+
+                    progressFill.style.width = '60%';
+                    statusText.textContent = 'Анализ на транзакциите...';
+
+                    // Send to server (parser is the detected format or determined server-side from the file content)
+                    const result = await api.importFileTransactions(fileContent, accountId, currency, file.name, detectedFormat, { ...importOptions, dryRun: true });
+                    progressDiv.style.display = 'none';
+
+                    if (result.total === 0) {
+                        let resultHtml = '<div class="alert alert-info">Няма намерени транзакции във файла</div>';
+                        if (result.warnings && result.warnings.length > 0) {
+                            resultHtml += `<div class="alert alert-warning" style="margin-top: 10px;">`;
+                            resultHtml += result.warnings.map(warning => `⚠️ ${escapeHtml(warning)}`).join('<br>');
+                            resultHtml += '</div>';
+                        }
+                        resultDiv.innerHTML = resultHtml;
+                        resultDiv.style.display = 'block';
+                        document.getElementById('modalSave').style.display = 'none';
+                        document.getElementById('modalCancel').textContent = 'Затвори';
+                        return;
+                    }
+
+                    preview = { fileContent, importOptions, result };
+                    renderPreview();
+
+                    importBtn.disabled = false;
+                    importBtn.style.opacity = '1';
+                    importBtn.style.cursor = 'pointer';
+                    return;
+                }
+
+                // Second step: import only the selected rows with the chosen categories
+                const selectedIds = [];
+                const categoryOverrides = {};
+                previewDiv.querySelectorAll('.import-preview-select:checked').forEach(checkbox => {
+                    const index = parseInt(checkbox.dataset.index);
+                    const tx = preview.result.transactions[index];
+                    const categoryId = previewDiv.querySelector(`.import-preview-category[data-index="${index}"]`).value;
+                    selectedIds.push(tx.id);
+                    categoryOverrides[tx.id] = categoryId ? parseInt(categoryId) : null;
                 });
 
                 progressFill.style.width = '60%';
                 statusText.textContent = 'Изпращане към сървъра...';
 
-                // Send to server (parser is determined server-side based on account)
-                const result = await api.importFileTransactions(fileContent, accountId, currency);
+                const result = await api.importFileTransactions(preview.fileContent, accountId, currency, file.name, detectedFormat, {
+                    ...preview.importOptions,
+                    selectedIds,
+                    categoryOverrides
+                });
 
                 progressFill.style.width = '100%';
                 statusText.textContent = 'Готово!';
@@ -1345,9 +2280,16 @@ async function showImportFileModal() {
                 }
                 resultHtml += '</div>';
 
+                if (result.warnings && result.warnings.length > 0) {
+                    resultHtml += `<div class="alert alert-warning" style="margin-top: 10px;">`;
+                    resultHtml += result.warnings.map(warning => `⚠️ ${escapeHtml(warning)}`).join('<br>');
+                    resultHtml += '</div>';
+                }
+
                 resultDiv.innerHTML = resultHtml;
                 resultDiv.style.display = 'block';
                 progressDiv.style.display = 'none';
+                previewDiv.style.display = 'none';
 
                 if (result.imported > 0) {
                     showNotification(`Успешно импортирани ${result.imported} транзакции`, 'success');
@@ -1375,15 +2317,143 @@ async function showImportFileModal() {
             }
         };
 
-        document.getElementById('modalSave').onclick = saveHandler;
-        document.getElementById('modalCancel').onclick = () => {
-            document.getElementById('modalSave').textContent = 'Запази';
-            modal.classList.remove('active');
-        };
-        document.querySelector('.modal-close').onclick = () => {
-            document.getElementById('modalSave').textContent = 'Запази';
+        document.getElementById('modalSave').onclick = saveHandler;
+        document.getElementById('modalCancel').onclick = () => {
+            document.getElementById('modalSave').textContent = 'Запази';
+            modalContent.style.maxWidth = '';
+            modal.classList.remove('active');
+        };
+        document.querySelector('.modal-close').onclick = () => {
+            document.getElementById('modalSave').textContent = 'Запази';
+            modalContent.style.maxWidth = '';
+            modal.classList.remove('active');
+        };
+
+    } catch (error) {
+        hideLoader();
+        showNotification('Грешка при зареждане: ' + error.message, 'error');
+    }
+}
+
+// Likely duplicates between bank sync and file imports
+async function showDuplicatesModal() {
+    try {
+        showLoader();
+        const pairs = await api.getDuplicates();
+        hideLoader();
+
+        const modal = document.getElementById('modal');
+        const modalContent = modal.querySelector('.modal-content');
+        document.getElementById('modalTitle').textContent = 'Възможни дубликати';
+        document.getElementById('modalSave').style.display = 'none';
+        document.getElementById('modalCancel').textContent = 'Затвори';
+        modalContent.style.maxWidth = '900px';
+
+        const sourceLabels = {
+            GOCARDLESS: 'Банкова синхронизация',
+            DSK: 'ДСК XML',
+            REV: 'Revolut CSV',
+            CAMT: 'CAMT',
+            MT940: 'MT940',
+            OFX: 'OFX',
+            CSV: 'CSV',
+            CASH: 'Ръчна'
+        };
+
+        const renderSide = tx => `
+            <td style="vertical-align: top; width: 50%;">
+                <span class="badge badge-secondary">${escapeHtml(sourceLabels[tx.source] || tx.source)}</span>
+                <br>${formatDate(tx.transaction_date)} <strong class="${tx.amount < 0 ? 'negative' : 'positive'}">${formatCurrency(tx.amount)}</strong>
+                <br><strong>${escapeHtml(tx.counterparty_name || '')}</strong>
+                <br><small class="text-muted">${escapeHtml(tx.description || '')}</small>
+                ${tx.category_name ? `<br>🏷️ ${escapeHtml(tx.category_name)}` : ''}
+                ${tx.notes ? `<br>📝 ${escapeHtml(tx.notes)}` : ''}
+            </td>`;
+
+        const renderPairs = () => {
+            if (pairs.length === 0) {
+                return '<p class="text-muted">Няма открити дубликати.</p>';
+            }
+
+            return `
+                <p class="text-muted" style="margin-bottom: 10px;">
+                    Транзакции в една сметка със същата сума, до 3 дни разлика и сходен контрагент/описание, дошли от различни източници.
+                    При обединяване се запазват по-пълните банкови данни, категорията и бележките.
+                </p>
+                <div class="table-responsive" style="max-height: 500px; overflow-y: auto;">
+                    <table class="table" style="font-size: 12px;">
+                        <tbody>
+                            ${pairs.map((pair, index) => `
+                                <tr>
+                                    ${renderSide(pair.a)}
+                                    ${renderSide(pair.b)}
+                                </tr>
+                                <tr>
+                                    <td colspan="2" style="text-align: right; border-bottom: 2px solid var(--border-color);">
+                                        <small class="text-muted" style="margin-right: 10px;">
+                                            ${pair.daysApart === 0 ? 'Същата дата' : `${pair.daysApart} дни разлика`}, сходство ${Math.round(pair.similarity * 100)}%
+                                        </small>
+                                        <button class="btn btn-sm btn-primary duplicate-action" data-index="${index}" data-action="keepA">Обедини, запази лявата</button>
+                                        <button class="btn btn-sm btn-primary duplicate-action" data-index="${index}" data-action="keepB">Обедини, запази дясната</button>
+                                        <button class="btn btn-sm btn-secondary duplicate-action" data-index="${index}" data-action="ignore">Не са дубликати</button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        };
+
+        const render = () => {
+            document.getElementById('modalBody').innerHTML = renderPairs();
+            document.querySelectorAll('.duplicate-action').forEach(button => {
+                button.addEventListener('click', () => handleAction(parseInt(button.dataset.index), button.dataset.action));
+            });
+        };
+
+        let changed = false;
+        const handleAction = async (index, action) => {
+            const pair = pairs[index];
+            try {
+                if (action === 'ignore') {
+                    await api.ignoreDuplicates(pair.a.id, pair.b.id);
+                    pairs.splice(index, 1);
+                } else {
+                    const keep = action === 'keepA' ? pair.a : pair.b;
+                    const remove = action === 'keepA' ? pair.b : pair.a;
+                    await api.mergeDuplicates(keep.id, remove.id);
+                    changed = true;
+
+                    // The removed transaction can't be part of other pairs anymore
+                    for (let i = pairs.length - 1; i >= 0; i--) {
+                        if (pairs[i].a.id === remove.id || pairs[i].b.id === remove.id) {
+                            pairs.splice(i, 1);
+                        }
+                    }
+                    showNotification('Транзакциите са обединени', 'success');
+                }
+                render();
+            } catch (error) {
+                showNotification('Грешка: ' + error.message, 'error');
+            }
+        };
+
+        render();
+        modal.classList.add('active');
+
+        const close = async () => {
+            document.getElementById('modalSave').style.display = 'inline-block';
+            document.getElementById('modalCancel').textContent = 'Отказ';
+            modalContent.style.maxWidth = '';
             modal.classList.remove('active');
+
+            if (changed && typeof transactionsPage !== 'undefined') {
+                await transactionsPage.loadTransactions();
+            }
         };
+        document.getElementById('modalCancel').onclick = close;
+        document.querySelector('.modal-close').onclick = close;
 
     } catch (error) {
         hideLoader();
@@ -1698,6 +2768,170 @@ async function generateCountryReport() {
     }
 }
 
+// Bank fees report - what each bank costs per year and per month
+async function generateFeesReport() {
+    try {
+        showLoader();
+
+        const report = await api.getFeesReport();
+        const rows = report.rows || [];
+
+        const monthNames = ['', 'Януари', 'Февруари', 'Март', 'Април', 'Май', 'Юни',
+                           'Юли', 'Август', 'Септември', 'Октомври', 'Ноември', 'Декември'];
+
+        const banks = [...new Set(rows.map(row => row.bank))].sort();
+        const years = [...new Set(rows.map(row => row.year))].sort().reverse();
+
+        // Render a table with one row per period and one column per bank
+        const renderTable = (tableId, periods, periodLabel, rowsForPeriod) => {
+            const table = document.getElementById(tableId);
+            table.querySelector('thead').innerHTML = `
+                <tr>
+                    <th>Период</th>
+                    ${banks.map(bank => `<th style="text-align: right;">${escapeHtml(bank)}</th>`).join('')}
+                    <th style="text-align: right;">Общо</th>
+                    <th style="text-align: right;">Брой</th>
+                </tr>
+            `;
+
+            if (periods.length === 0) {
+                table.querySelector('tbody').innerHTML = `<tr><td colspan="${banks.length + 3}" class="text-center text-muted">Няма банкови такси</td></tr>`;
+                table.querySelector('tfoot').innerHTML = '';
+                return;
+            }
+
+            const bankTotals = {};
+            let grandTotal = 0;
+            let grandCount = 0;
+
+            table.querySelector('tbody').innerHTML = periods.map(period => {
+                const periodRows = rowsForPeriod(period);
+                let total = 0;
+
+                const cells = banks.map(bank => {
+                    const amount = periodRows.filter(row => row.bank === bank).reduce((sum, row) => sum + row.amount, 0);
+                    total += amount;
+                    bankTotals[bank] = (bankTotals[bank] || 0) + amount;
+                    return `<td style="text-align: right;">${amount !== 0 ? formatCurrency(amount) : '-'}</td>`;
+                }).join('');
+                const count = periodRows.reduce((sum, row) => sum + row.count, 0);
+                grandTotal += total;
+                grandCount += count;
+
+                return `
+                    <tr>
+                        <td>${periodLabel(period)}</td>
+                        ${cells}
+                        <td style="text-align: right;" class="negative">${formatCurrency(total)}</td>
+                        <td style="text-align: right;">${count}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            table.querySelector('tfoot').innerHTML = `
+                <tr>
+                    <td style="text-align: right;">Тотал:</td>
+                    ${banks.map(bank => `<td style="text-align: right;">${formatCurrency(bankTotals[bank] || 0)}</td>`).join('')}
+                    <td style="text-align: right;" class="negative">${formatCurrency(grandTotal)}</td>
+                    <td style="text-align: right;">${grandCount}</td>
+                </tr>
+            `;
+        };
+
+        renderTable('feesYearlyTable', years, year => year, year => rows.filter(row => row.year === year));
+
+        // Monthly table for the selected year
+        const yearSelect = document.getElementById('feesReportYear');
+        const selectedYear = years.includes(yearSelect.value) ? yearSelect.value : years[0];
+        yearSelect.innerHTML = years.map(year => `<option value="${year}" ${year === selectedYear ? 'selected' : ''}>${year}</option>`).join('');
+
+        const renderMonthly = () => {
+            const year = yearSelect.value;
+            const months = [...new Set(rows.filter(row => row.year === year).map(row => row.month))].sort((a, b) => a - b);
+            renderTable('feesMonthlyTable', months, month => monthNames[month],
+                month => rows.filter(row => row.year === year && row.month === month));
+        };
+        yearSelect.onchange = renderMonthly;
+        renderMonthly();
+
+    } catch (error) {
+        console.error('Error generating fees report:', error);
+        showNotification('Грешка при генериране на отчет за таксите', 'error');
+    } finally {
+        hideLoader();
+    }
+}
+
+async function generateFxExchangesReport() {
+    try {
+        showLoader();
+
+        const report = await api.getFxExchangesReport();
+        const formatRate = rate => rate.toLocaleString('bg-BG', { minimumFractionDigits: 4, maximumFractionDigits: 6 });
+
+        document.getElementById('fxReportSummary').innerHTML = `
+            Обмени: <strong>${report.exchanges.length}</strong> ·
+            Продадени: <strong>${formatCurrency(report.totalSold)}</strong> ·
+            Скрита цена: <strong class="negative">${formatCurrency(report.totalCost)}</strong>
+            ${report.missing > 0 ? `<br><span class="text-muted">${report.missing} обмена без курс на ЕЦБ за деня не са включени - импортирайте курсовете от Настройки</span>` : ''}
+        `;
+
+        const groupsBody = document.querySelector('#fxMonthlyTable tbody');
+        if (report.groups.length === 0) {
+            groupsBody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Няма обмени на валута</td></tr>';
+        } else {
+            groupsBody.innerHTML = report.groups.map(group => `
+                <tr>
+                    <td>${group.month}</td>
+                    <td>${escapeHtml(group.accountName)}</td>
+                    <td style="text-align: right;">${group.count}</td>
+                    <td style="text-align: right;">${formatCurrency(group.soldEur)}</td>
+                    <td style="text-align: right;" class="${group.cost > 0 ? 'negative' : 'positive'}">${formatCurrency(group.cost)}</td>
+                    <td style="text-align: right;">${group.costPercent.toFixed(2)}%</td>
+                </tr>
+            `).join('');
+        }
+
+        const exchangesBody = document.querySelector('#fxExchangesTable tbody');
+        if (report.exchanges.length === 0) {
+            exchangesBody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">Няма обмени на валута</td></tr>';
+        } else {
+            exchangesBody.innerHTML = report.exchanges.map(exchange => `
+                <tr>
+                    <td>${formatDate(exchange.date)}</td>
+                    <td>${escapeHtml(exchange.accountName)}</td>
+                    <td style="text-align: right;">${formatMoney(exchange.fromAmount, exchange.fromCurrency)} → ${formatMoney(exchange.toAmount, exchange.toCurrency)}</td>
+                    <td style="text-align: right;">${formatRate(exchange.effectiveRate)}</td>
+                    <td style="text-align: right;">${formatRate(exchange.referenceRate)}</td>
+                    <td style="text-align: right;" class="${exchange.cost > 0 ? 'negative' : 'positive'}">${formatCurrency(exchange.cost)}</td>
+                    <td style="text-align: right;">${exchange.costPercent.toFixed(2)}%</td>
+                </tr>
+            `).join('');
+        }
+
+    } catch (error) {
+        console.error('Error generating FX exchanges report:', error);
+        showNotification('Грешка при генериране на отчет за обмяната на валута', 'error');
+    } finally {
+        hideLoader();
+    }
+}
+
+async function detectFxExchanges() {
+    try {
+        showLoader();
+        const result = await api.detectFxExchanges();
+        showNotification(result.paired > 0 ? `Намерени ${result.paired} нови обмена` : 'Няма нови обмени', 'success');
+    } catch (error) {
+        showNotification('Грешка: ' + error.message, 'error');
+    } finally {
+        hideLoader();
+    }
+    await generateFxExchangesReport();
+}
+
+document.getElementById('detectFxExchangesBtn')?.addEventListener('click', detectFxExchanges);
+
 // Add event listener for country report filter button
 document.getElementById('applyCountryFilter')?.addEventListener('click', generateCountryReport);
 
@@ -1726,6 +2960,21 @@ async function loadSettingsPage() {
         const accounts = await api.getAccounts();
         renderAccountsList(accounts);
 
+        // Load import history
+        const batches = await api.getImportBatches();
+        renderImportBatchesList(batches);
+
+        // Load exchange rates
+        const exchangeRates = await api.getExchangeRates();
+        renderExchangeRatesList(exchangeRates);
+
+        const reconversionRuns = await api.getReconversionRuns();
+        renderReconversionRunsList(reconversionRuns);
+
+        // Load auto-categorization settings
+        const [settings, classifierInfo] = await Promise.all([api.getSettings(), api.getClassifierInfo()]);
+        renderAutoCategorizeSettings(settings, classifierInfo);
+
     } catch (error) {
         console.error('Error loading settings:', error);
     } finally {
@@ -1848,6 +3097,372 @@ async function deleteRequisition(requisitionId) {
 
 window.deleteRequisition = deleteRequisition;
 
+function renderImportBatchesList(batches) {
+    const container = document.getElementById('importBatchesList');
+
+    if (!batches || batches.length === 0) {
+        container.innerHTML = '<p class="text-muted">Няма импорти.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-responsive" style="max-height: 400px; overflow-y: auto;">
+            <table class="table" style="font-size: 13px;">
+                <thead>
+                    <tr>
+                        <th>Дата</th>
+                        <th>Източник</th>
+                        <th>Сметка</th>
+                        <th>Формат</th>
+                        <th>Нови</th>
+                        <th>Пропуснати</th>
+                        <th>Статус</th>
+                        <th>Действия</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${batches.map(batch => {
+                        // SQLite timestamps are UTC without a time zone marker
+                        const createdDate = new Date(batch.created_at.replace(' ', 'T') + 'Z').toLocaleString('bg-BG');
+                        const source = batch.source === 'file'
+                            ? `📄 ${escapeHtml(batch.file_name || 'Файл')}`
+                            : '🏦 Синхронизация';
+                        const accountName = batch.account_custom_name || batch.account_name || batch.account_id || '-';
+                        const canRollback = !batch.rolled_back_at && batch.remaining_count > 0;
+
+                        return `
+                            <tr>
+                                <td>${createdDate}</td>
+                                <td>${source}</td>
+                                <td>${escapeHtml(accountName)}</td>
+                                <td>${escapeHtml(batch.parser || '-')}</td>
+                                <td>${batch.imported_count}</td>
+                                <td>${batch.skipped_count}${batch.error_count > 0 ? ` <span class="badge badge-danger">${batch.error_count} грешки</span>` : ''}</td>
+                                <td>
+                                    ${batch.rolled_back_at
+                                        ? '<span class="badge badge-secondary">Отменен</span>'
+                                        : '<span class="badge badge-success">Активен</span>'}
+                                </td>
+                                <td>
+                                    ${canRollback ? `
+                                        <button class="btn btn-danger" style="padding: 4px 8px; font-size: 11px;"
+                                                onclick="rollbackImportBatch(${batch.id}, ${batch.remaining_count})">Отмени импорта</button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function rollbackImportBatch(batchId, transactionCount) {
+    if (!confirm(`Сигурни ли сте, че искате да отмените този импорт? Ще бъдат изтрити ${transactionCount} транзакции, създадени от него.`)) {
+        return;
+    }
+
+    try {
+        showLoader();
+        const result = await api.rollbackImportBatch(batchId);
+        const restored = result.restored > 0 ? `, възстановени ${result.restored} заменени от него` : '';
+        showNotification(`Импортът е отменен, изтрити ${result.deleted} транзакции${restored}`, 'success');
+        await loadSettingsPage();
+    } catch (error) {
+        showNotification('Грешка: ' + error.message, 'error');
+    } finally {
+        hideLoader();
+    }
+}
+
+window.rollbackImportBatch = rollbackImportBatch;
+
+function renderExchangeRatesList(exchangeRates) {
+    const container = document.getElementById('exchangeRatesList');
+    const currencies = exchangeRates.currencies || [];
+
+    // EUR and BGN first, then the currencies with imported rates
+    const reportingSelect = document.getElementById('reportingCurrency');
+    const reportingCurrencies = ['EUR', 'BGN', ...Object.keys(exchangeRates.latestRates || {}).filter(c => c !== 'EUR' && c !== 'BGN').sort()];
+    reportingSelect.innerHTML = reportingCurrencies
+        .map(currency => `<option value="${currency}" ${currency === currencySettings.reportingCurrency ? 'selected' : ''}>${currency}</option>`)
+        .join('');
+
+    if (currencies.length === 0) {
+        container.innerHTML = '<div class="alert alert-warning">⚠️ Няма импортирани курсове. Сумите в USD, GBP и други валути няма да бъдат конвертирани.</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-responsive" style="max-height: 300px; overflow-y: auto;">
+            <table class="table" style="font-size: 13px;">
+                <thead>
+                    <tr>
+                        <th>Валута</th>
+                        <th>Последен курс (за 1 EUR)</th>
+                        <th>От</th>
+                        <th>До</th>
+                        <th>Дни</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${currencies.map(currency => `
+                        <tr>
+                            <td><strong>${escapeHtml(currency.currency)}</strong></td>
+                            <td>${currency.latest_rate}</td>
+                            <td>${formatDate(currency.first_date)}</td>
+                            <td>${formatDate(currency.last_date)}</td>
+                            <td>${currency.days}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderAutoCategorizeSettings(settings, classifierInfo) {
+    document.getElementById('autoCategorizeToggle').checked = settings.autoCategorize;
+
+    const thresholdSelect = document.getElementById('autoCategorizeThreshold');
+    const threshold = String(settings.autoCategorizeThreshold);
+    if (![...thresholdSelect.options].some(option => option.value === threshold)) {
+        thresholdSelect.insertAdjacentHTML('beforeend', `<option value="${threshold}">${Math.round(settings.autoCategorizeThreshold * 100)}%</option>`);
+    }
+    thresholdSelect.value = threshold;
+
+    const info = document.getElementById('classifierInfo');
+    if (classifierInfo.documents < classifierInfo.minDocuments) {
+        info.textContent = `Моделът има ${classifierInfo.documents} категоризирани транзакции - нужни са поне ${classifierInfo.minDocuments}, за да предлага категории`;
+    } else {
+        info.textContent = `Моделът е обучен върху ${classifierInfo.documents} транзакции в ${classifierInfo.categories} категории (${classifierInfo.vocabulary} признака)`;
+    }
+}
+
+async function changeAutoCategorizeSettings() {
+    const autoCategorize = document.getElementById('autoCategorizeToggle').checked;
+    const autoCategorizeThreshold = parseFloat(document.getElementById('autoCategorizeThreshold').value);
+
+    try {
+        await api.updateSettings({ autoCategorize, autoCategorizeThreshold });
+        showNotification(autoCategorize
+            ? `Автоматичната категоризация е включена (увереност от ${Math.round(autoCategorizeThreshold * 100)}%)`
+            : 'Автоматичната категоризация е изключена', 'success');
+    } catch (error) {
+        showNotification('Грешка: ' + error.message, 'error');
+    }
+}
+
+async function retrainClassifier() {
+    try {
+        showLoader();
+        const [settings, classifierInfo] = await Promise.all([api.getSettings(), api.retrainClassifier()]);
+        renderAutoCategorizeSettings(settings, classifierInfo);
+        showNotification(`Моделът е обучен върху ${classifierInfo.documents} транзакции`, 'success');
+    } catch (error) {
+        showNotification('Грешка: ' + error.message, 'error');
+    } finally {
+        hideLoader();
+    }
+}
+
+async function changeReportingCurrency() {
+    const reportingCurrency = document.getElementById('reportingCurrency').value;
+
+    try {
+        showLoader();
+        await api.updateSettings({ reportingCurrency });
+        await loadCurrencySettings();
+        showNotification(`Сумите се показват в ${reportingCurrency}`, 'success');
+        await loadSettingsPage();
+    } catch (error) {
+        showNotification('Грешка: ' + error.message, 'error');
+    } finally {
+        hideLoader();
+    }
+}
+
+async function importExchangeRatesFile() {
+    const fileInput = document.getElementById('exchangeRatesFile');
+    const file = fileInput.files && fileInput.files[0];
+    if (!file) return;
+
+    try {
+        showLoader();
+        const fileContent = await readFileAsText(file);
+        const result = await api.importExchangeRates(fileContent, file.name);
+        await loadCurrencySettings();
+        showNotification(`Импортирани ${result.imported} курса за ${result.currencies.length} валути (${formatDate(result.from)} - ${formatDate(result.to)})`, 'success');
+        await loadSettingsPage();
+    } catch (error) {
+        showNotification('Грешка при импорт на курсовете: ' + error.message, 'error');
+    } finally {
+        fileInput.value = '';
+        hideLoader();
+    }
+}
+
+function renderReconversionRunsList(runs) {
+    const container = document.getElementById('reconversionRunsList');
+
+    if (!runs || runs.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <h4 style="margin-bottom: 8px;">Преизчисления на сумите</h4>
+        <div class="table-responsive">
+            <table class="table" style="font-size: 13px;">
+                <thead>
+                    <tr>
+                        <th>Дата</th>
+                        <th>Транзакции</th>
+                        <th>Обща разлика</th>
+                        <th>Статус</th>
+                        <th>Действия</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${runs.map(run => `
+                        <tr>
+                            <td>${new Date(run.created_at.replace(' ', 'T') + 'Z').toLocaleString('bg-BG')}</td>
+                            <td>${run.changed_count}</td>
+                            <td class="${run.total_difference < 0 ? 'negative' : 'positive'}">${formatCurrency(run.total_difference)}</td>
+                            <td>
+                                ${run.reverted_at
+                                    ? '<span class="badge badge-secondary">Отменено</span>'
+                                    : '<span class="badge badge-success">Приложено</span>'}
+                            </td>
+                            <td>
+                                ${!run.reverted_at ? `
+                                    <button class="btn btn-danger" style="padding: 4px 8px; font-size: 11px;"
+                                            onclick="revertReconversion(${run.id}, ${run.changed_count})">Върни старите суми</button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Preview and apply re-conversion of converted transactions with the stored exchange rates
+async function showReconversionModal() {
+    try {
+        showLoader();
+        const preview = await api.getReconversionPreview();
+        hideLoader();
+
+        const modal = document.getElementById('modal');
+        const modalContent = modal.querySelector('.modal-content');
+        document.getElementById('modalTitle').textContent = 'Преизчисляване на сумите';
+        modalContent.style.maxWidth = '900px';
+
+        let html = `
+            <p class="text-muted" style="margin-bottom: 10px;">
+                Сумата в EUR на всяка транзакция в чужда валута се изчислява отново по курса на ЕЦБ за датата ѝ.
+                Всяка промяна се записва и може да бъде върната от „Настройки“.
+            </p>
+        `;
+
+        if (preview.missing > 0) {
+            html += `<div class="alert alert-warning" style="margin-bottom: 10px;">⚠️ ${preview.missing} транзакции нямат курс за датата си и няма да бъдат променени</div>`;
+        }
+
+        if (preview.count === 0) {
+            html += '<p class="text-muted">Всички суми отговарят на курсовете. Няма какво да се промени.</p>';
+        } else {
+            html += `
+                <div class="alert alert-info" style="margin-bottom: 10px;">
+                    📋 Ще бъдат променени <strong>${preview.count}</strong> транзакции, обща разлика: <strong>${formatCurrency(preview.totalDifference)}</strong>
+                </div>
+                <div class="table-responsive" style="max-height: 400px; overflow-y: auto;">
+                    <table class="table" style="font-size: 12px;">
+                        <thead>
+                            <tr>
+                                <th>Сметка</th>
+                                <th>Месец</th>
+                                <th>Валути</th>
+                                <th>Брой</th>
+                                <th>Сега</th>
+                                <th>След промяната</th>
+                                <th>Разлика</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${preview.groups.map(group => `
+                                <tr>
+                                    <td>${escapeHtml(group.accountName)}</td>
+                                    <td>${escapeHtml(group.month)}</td>
+                                    <td>${escapeHtml(group.currencies.join(', '))}</td>
+                                    <td>${group.count}</td>
+                                    <td>${formatCurrency(group.oldTotal)}</td>
+                                    <td>${formatCurrency(group.newTotal)}</td>
+                                    <td class="${group.difference < 0 ? 'negative' : 'positive'}">${formatCurrency(group.difference)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        document.getElementById('modalBody').innerHTML = html;
+        document.getElementById('modalSave').textContent = 'Приложи';
+        document.getElementById('modalSave').style.display = preview.count > 0 ? 'inline-block' : 'none';
+        modal.classList.add('active');
+
+        const close = () => {
+            document.getElementById('modalSave').textContent = 'Запази';
+            document.getElementById('modalSave').style.display = 'inline-block';
+            modalContent.style.maxWidth = '';
+            modal.classList.remove('active');
+        };
+
+        document.getElementById('modalSave').onclick = async () => {
+            try {
+                showLoader();
+                const result = await api.applyReconversion();
+                close();
+                showNotification(`Преизчислени ${result.changed} транзакции`, 'success');
+                await loadSettingsPage();
+            } catch (error) {
+                showNotification('Грешка: ' + error.message, 'error');
+            } finally {
+                hideLoader();
+            }
+        };
+        document.getElementById('modalCancel').onclick = close;
+        document.querySelector('.modal-close').onclick = close;
+
+    } catch (error) {
+        hideLoader();
+        showNotification('Грешка при зареждане: ' + error.message, 'error');
+    }
+}
+
+async function revertReconversion(runId, transactionCount) {
+    if (!confirm(`Да бъдат ли върнати старите суми на ${transactionCount} транзакции от това преизчисляване?`)) {
+        return;
+    }
+
+    try {
+        showLoader();
+        const result = await api.revertReconversion(runId);
+        showNotification(`Върнати са старите суми на ${result.reverted} транзакции`, 'success');
+        await loadSettingsPage();
+    } catch (error) {
+        showNotification('Грешка: ' + error.message, 'error');
+    } finally {
+        hideLoader();
+    }
+}
+
+window.revertReconversion = revertReconversion;
+
 // Add Bank functionality
 async function showAddBankModal() {
     try {
@@ -2099,8 +3714,11 @@ function renderAccountsList(accounts) {
                 <p style="margin: 2px 0; font-size: 13px; color: var(--text-secondary);">${escapeHtml(account.institution_name || '')} - ${escapeHtml(account.iban || '')}</p>
                 <p style="margin: 2px 0; font-size: 12px; color: var(--text-muted);">Последна актуализация: ${lastSyncedText}</p>
             </div>
-            <div class="account-balance" style="font-size: 18px; font-weight: 600;">
-                ${formatCurrency(account.balance || 0)}
+            <div class="account-balance" style="font-size: 18px; font-weight: 600; text-align: right;">
+                ${formatCurrency(account.balance_eur || 0)}
+                ${(account.currency || 'EUR') !== currencySettings.reportingCurrency
+                    ? `<br><small class="text-muted">${formatMoney(account.balance || 0, account.currency || 'EUR')}</small>`
+                    : ''}
             </div>
         `;
         container.appendChild(div);
@@ -2294,6 +3912,15 @@ window.selectBank = selectBank;
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
+    await loadCurrencySettings();
+
+    // Dual EUR/BGN display, the current page is drawn again with the new amounts
+    updateDualCurrencyToggle();
+    document.getElementById('dualCurrencyToggle')?.addEventListener('click', () => {
+        setDualCurrencyDisplay(!currencySettings.dualDisplay);
+        loadPageContent(window.location.hash.replace('#', '') || 'dashboard');
+    });
+
     // Navigation
     document.querySelectorAll('.nav-link').forEach(link => {
         link.addEventListener('click', (e) => {
@@ -2315,11 +3942,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Transactions page buttons
     document.getElementById('addManualTransactionBtn')?.addEventListener('click', showAddManualTransactionModal);
     document.getElementById('importFileBtn')?.addEventListener('click', showImportFileModal);
+    document.getElementById('findDuplicatesBtn')?.addEventListener('click', showDuplicatesModal);
 
     // Categories page buttons
     document.getElementById('addCategoryBtn')?.addEventListener('click', showAddCategoryModal);
     document.getElementById('addRuleBtn')?.addEventListener('click', showAddRuleModal);
+    document.getElementById('ruleStaleMonths')?.addEventListener('change', () => renderCategorizationRules(allRules));
     document.getElementById('applyRulesBtn')?.addEventListener('click', applyRules);
+    document.getElementById('recategorizeBtn')?.addEventListener('click', showRecategorizeModal);
 
     // Settings page buttons
     document.getElementById('addBankBtn')?.addEventListener('click', showAddBankModal);
@@ -2328,6 +3958,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('syncTransactionsBtn')?.addEventListener('click', syncTransactions);
     document.getElementById('applyCategoriesBtn')?.addEventListener('click', applyCategories);
     document.getElementById('backupBtn')?.addEventListener('click', createBackup);
+    document.getElementById('importExchangeRatesBtn')?.addEventListener('click', () => document.getElementById('exchangeRatesFile').click());
+    document.getElementById('exchangeRatesFile')?.addEventListener('change', importExchangeRatesFile);
+    document.getElementById('reconvertAmountsBtn')?.addEventListener('click', showReconversionModal);
+    document.getElementById('reportingCurrency')?.addEventListener('change', changeReportingCurrency);
+    document.getElementById('autoCategorizeToggle')?.addEventListener('change', changeAutoCategorizeSettings);
+    document.getElementById('autoCategorizeThreshold')?.addEventListener('change', changeAutoCategorizeSettings);
+    document.getElementById('retrainClassifierBtn')?.addEventListener('click', retrainClassifier);
     document.getElementById('toggleLogsBtn')?.addEventListener('click', toggleLogsPanel);
     document.getElementById('refreshLogsBtn')?.addEventListener('click', loadLogs);
 
@@ -0,0 +1,263 @@
+// CSV column mapping editor for the generic CSV importer
+
+const CSV_ENCODINGS = [
+    { value: 'UTF-8', label: 'UTF-8' },
+    { value: 'windows-1251', label: 'Windows-1251 (кирилица)' },
+    { value: 'ISO-8859-1', label: 'ISO-8859-1' }
+];
+
+const CSV_DELIMITERS = [
+    { value: ';', label: 'Точка и запетая (;)' },
+    { value: ',', label: 'Запетая (,)' },
+    { value: '\t', label: 'Табулация' },
+    { value: '|', label: 'Вертикална черта (|)' }
+];
+
+class CsvMappingEditor {
+    constructor(container, file) {
+        this.container = container;
+        this.file = file;
+        this.accountId = null;
+        this.content = '';
+        this.encoding = null;
+        this.settings = null;
+        this.profile = null;
+        this.preview = null;
+    }
+
+    // Load preview for the account: saved profile if the header matches, otherwise guessed settings
+    async load(accountId) {
+        this.accountId = accountId;
+
+        // The header can only match a profile when the file is decoded with the profile encoding
+        const profiles = await api.getCsvProfiles(accountId);
+        const encodings = [...new Set(['UTF-8', ...profiles.map(p => p.settings.encoding).filter(Boolean)])];
+
+        let preview = null;
+        for (const encoding of encodings) {
+            await this.readFile(encoding);
+            preview = await api.previewCsv(this.content, accountId);
+            if (preview.profile) break;
+        }
+
+        if (!preview.profile) {
+            await this.readFile('UTF-8');
+            preview = await api.previewCsv(this.content, accountId);
+
+            // Bulgarian bank exports are often in Windows-1251, which can't be decoded as UTF-8
+            if (this.content.includes('\uFFFD')) {
+                await this.readFile('windows-1251');
+                preview = await api.previewCsv(this.content, accountId);
+            }
+            preview.settings.encoding = this.encoding;
+        }
+
+        this.settings = preview.settings;
+        this.profile = preview.profile;
+        this.preview = preview;
+        this.render();
+    }
+
+    async readFile(encoding) {
+        this.content = await readFileAsText(this.file, encoding);
+        this.encoding = encoding;
+    }
+
+    // Re-read settings from the form and refresh the preview
+    async refresh() {
+        const settings = this.collectSettings();
+
+        try {
+            if (settings.encoding !== this.encoding) {
+                await this.readFile(settings.encoding);
+            }
+            this.preview = await api.previewCsv(this.content, this.accountId, settings);
+            this.settings = this.preview.settings;
+            this.render();
+        } catch (error) {
+            showNotification('Грешка при прегледа: ' + error.message, 'error');
+        }
+    }
+
+    collectSettings() {
+        const value = id => {
+            const element = this.container.querySelector(`#${id}`);
+            return element ? element.value : '';
+        };
+        const column = id => (value(id) === '' ? null : parseInt(value(id)));
+        const amountMode = value('csvAmountMode');
+
+        return {
+            delimiter: value('csvDelimiter'),
+            quote: value('csvQuote'),
+            encoding: value('csvEncoding'),
+            skipRows: parseInt(value('csvSkipRows')) || 0,
+            hasHeader: this.container.querySelector('#csvHasHeader').checked,
+            dateFormat: value('csvDateFormat'),
+            decimalSeparator: value('csvDecimalSeparator'),
+            amountMode,
+            currency: value('csvCurrency'),
+            columns: {
+                date: column('csvColDate'),
+                bookingDate: column('csvColBookingDate'),
+                amount: amountMode === 'signed' ? column('csvColAmount') : null,
+                debit: amountMode === 'debitCredit' ? column('csvColDebit') : null,
+                credit: amountMode === 'debitCredit' ? column('csvColCredit') : null,
+                counterparty: column('csvColCounterparty'),
+                description: Array.from(this.container.querySelector('#csvColDescription').selectedOptions)
+                    .map(option => parseInt(option.value)),
+                currency: column('csvColCurrency')
+            }
+        };
+    }
+
+    render() {
+        const settings = this.settings;
+        const preview = this.preview;
+        const header = preview.header || [];
+
+        const options = (items, selected) => items
+            .map(item => `<option value="${escapeHtml(item.value)}" ${item.value === selected ? 'selected' : ''}>${escapeHtml(item.label)}</option>`)
+            .join('');
+
+        const columnSelect = (id, label, selected, optional = true) => `
+            <div class="filter-group">
+                <label>${label}</label>
+                <select id="${id}" class="input csv-setting">
+                    ${optional ? '<option value="">-- няма --</option>' : '<option value="">-- изберете --</option>'}
+                    ${header.map((name, i) => `<option value="${i}" ${selected === i ? 'selected' : ''}>${escapeHtml(name || `Колона ${i + 1}`)}</option>`).join('')}
+                </select>
+            </div>`;
+
+        const descriptionColumns = settings.columns.description || [];
+        const isDebitCredit = settings.amountMode === 'debitCredit';
+
+        let html = '';
+        if (this.profile) {
+            html += `<div class="alert alert-success" style="margin-bottom: 10px;">💾 Използва се запазен профил: <strong>${escapeHtml(this.profile.name)}</strong></div>`;
+        }
+        (preview.warnings || []).forEach(warning => {
+            html += `<div class="alert alert-warning" style="margin-bottom: 10px;">⚠️ ${escapeHtml(warning)}</div>`;
+        });
+
+        html += `
+            <div class="filters-grid" style="grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px;">
+                <div class="filter-group">
+                    <label>Кодировка</label>
+                    <select id="csvEncoding" class="input csv-setting">${options(CSV_ENCODINGS, settings.encoding)}</select>
+                </div>
+                <div class="filter-group">
+                    <label>Разделител</label>
+                    <select id="csvDelimiter" class="input csv-setting">${options(CSV_DELIMITERS, settings.delimiter)}</select>
+                </div>
+                <div class="filter-group">
+                    <label>Кавички</label>
+                    <select id="csvQuote" class="input csv-setting">${options([{ value: '"', label: 'Двойни (")' }, { value: "'", label: "Единични (')" }, { value: '', label: 'Без кавички' }], settings.quote)}</select>
+                </div>
+                <div class="filter-group">
+                    <label>Пропусни редове</label>
+                    <input type="number" id="csvSkipRows" class="input csv-setting" min="0" value="${settings.skipRows || 0}">
+                </div>
+                <div class="filter-group">
+                    <label>Формат на датата</label>
+                    <select id="csvDateFormat" class="input csv-setting">${options((preview.dateFormats || [settings.dateFormat]).map(f => ({ value: f, label: f })), settings.dateFormat)}</select>
+                </div>
+                <div class="filter-group">
+                    <label>Десетичен знак</label>
+                    <select id="csvDecimalSeparator" class="input csv-setting">${options([{ value: ',', label: 'Запетая (1 234,56)' }, { value: '.', label: 'Точка (1,234.56)' }], settings.decimalSeparator)}</select>
+                </div>
+                <div class="filter-group">
+                    <label>Сума</label>
+                    <select id="csvAmountMode" class="input csv-setting">${options([{ value: 'signed', label: 'Една колона със знак' }, { value: 'debitCredit', label: 'Колони дебит и кредит' }], settings.amountMode)}</select>
+                </div>
+                <div class="filter-group">
+                    <label>Валута на файла</label>
+                    <select id="csvCurrency" class="input csv-setting">${options([{ value: 'EUR', label: 'EUR' }, { value: 'BGN', label: 'BGN (ще се конвертира в EUR)' }], settings.currency)}</select>
+                </div>
+                <div class="filter-group">
+                    <label><input type="checkbox" id="csvHasHeader" class="csv-setting" ${settings.hasHeader ? 'checked' : ''}> Първият ред е заглавен</label>
+                </div>
+            </div>
+            <div class="filters-grid" style="grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px; margin-top: 10px;">
+                ${columnSelect('csvColDate', 'Дата *', settings.columns.date, false)}
+                ${columnSelect('csvColBookingDate', 'Дата на осчетоводяване', settings.columns.bookingDate)}
+                ${isDebitCredit
+                    ? columnSelect('csvColDebit', 'Дебит (разход) *', settings.columns.debit, false) + columnSelect('csvColCredit', 'Кредит (приход) *', settings.columns.credit, false)
+                    : columnSelect('csvColAmount', 'Сума *', settings.columns.amount, false)}
+                ${columnSelect('csvColCounterparty', 'Контрагент', settings.columns.counterparty)}
+                ${columnSelect('csvColCurrency', 'Валута', settings.columns.currency)}
+                <div class="filter-group">
+                    <label>Описание (Ctrl за няколко)</label>
+                    <select id="csvColDescription" class="input csv-setting" multiple size="3">
+                        ${header.map((name, i) => `<option value="${i}" ${descriptionColumns.includes(i) ? 'selected' : ''}>${escapeHtml(name || `Колона ${i + 1}`)}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+        `;
+
+        // Parsed preview of the first rows
+        html += `
+            <p class="text-muted" style="margin: 10px 0 5px;">
+                Преглед: ${preview.totalRows} реда${preview.errorCount > 0 ? `, <span style="color: var(--danger-color);">${preview.errorCount} с грешки</span>` : ''}
+            </p>
+            <div class="table-responsive" style="max-height: 220px; overflow-y: auto;">
+                <table class="table" style="font-size: 12px;">
+                    <thead><tr><th>Дата</th><th>Сума</th><th>Контрагент</th><th>Описание</th></tr></thead>
+                    <tbody>
+                        ${preview.transactions.map(tx => `
+                            <tr>
+                                <td>${escapeHtml(tx.transactionDate)}</td>
+                                <td class="${tx.amount < 0 ? 'negative' : 'positive'}">${tx.amount.toFixed(2)} ${escapeHtml(tx.currency)}</td>
+                                <td>${escapeHtml(tx.counterpartyName)}</td>
+                                <td>${escapeHtml(tx.description)}</td>
+                            </tr>`).join('')}
+                        ${preview.errors.map(e => `
+                            <tr><td colspan="4" style="color: var(--danger-color);">Ред ${e.row}: ${escapeHtml(e.error)}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="filter-group" style="margin-top: 10px;">
+                <label><input type="checkbox" id="csvSaveProfile" checked> Запази настройките като профил за тази сметка</label>
+                <input type="text" id="csvProfileName" class="input" placeholder="Име на профила" value="${escapeHtml(this.profile ? this.profile.name : this.file.name.replace(/\.[^.]+$/, ''))}">
+            </div>
+        `;
+
+        this.container.innerHTML = html;
+
+        this.container.querySelectorAll('.csv-setting').forEach(element => {
+            element.addEventListener('change', () => this.refresh());
+        });
+    }
+
+    // Save the profile if requested and return the import options
+    async prepareImport() {
+        const settings = this.collectSettings();
+        const saveProfile = this.container.querySelector('#csvSaveProfile').checked;
+        const name = this.container.querySelector('#csvProfileName').value.trim();
+
+        if (!saveProfile) {
+            return { csvSettings: settings };
+        }
+        if (!name) {
+            throw new Error('Въведете име на профила');
+        }
+
+        const profile = {
+            name,
+            accountId: this.accountId,
+            settings,
+            headerSignature: this.preview.headerSignature
+        };
+
+        let profileId;
+        if (this.profile && this.profile.name === name) {
+            await api.updateCsvProfile(this.profile.id, profile);
+            profileId = this.profile.id;
+        } else {
+            const result = await api.createCsvProfile(profile);
+            profileId = result.id;
+        }
+
+        return { csvSettings: settings, csvProfileId: profileId };
+    }
+}
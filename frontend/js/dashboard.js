@@ -33,7 +33,7 @@ class Dashboard {
         try {
             // Get all accounts for total balance
             const accounts = await api.getAccounts();
-            const totalBalance = accounts.reduce((sum, acc) => sum + (acc.balance || 0), 0);
+            const totalBalance = accounts.reduce((sum, acc) => sum + (acc.balance_eur || 0), 0);
 
             document.getElementById('totalBalance').textContent = formatCurrency(totalBalance);
 
@@ -160,6 +160,7 @@ class Dashboard {
                     </td>
                     <td class="${tx.amount >= 0 ? 'positive' : 'negative'}" style="font-weight: 600;">
                         ${formatCurrency(tx.amount)}
+                        ${formatNativeAmount(tx.amount, tx.original_amount, tx.original_currency)}
                     </td>
                 `;
                 tbody.appendChild(row);
@@ -65,6 +65,7 @@ class TransactionsPage {
     attachEventListeners() {
         document.getElementById('applyFilters').addEventListener('click', () => this.applyFilters());
         document.getElementById('clearFilters').addEventListener('click', () => this.clearFilters());
+        document.getElementById('exportOfxBtn')?.addEventListener('click', () => this.exportOfx());
 
         // Quick date filter buttons
         document.getElementById('filterThisMonth')?.addEventListener('click', () => this.setDateFilter('thisMonth'));
@@ -147,6 +148,12 @@ class TransactionsPage {
         await this.loadTransactions();
     }
 
+    exportOfx() {
+        // Export uses the applied filters, the browser downloads the file
+        const currency = document.getElementById('exportCurrency').value;
+        window.location.href = api.getOfxExportUrl({ ...this.filters, currency });
+    }
+
     clearFilters() {
         document.getElementById('filterStartDate').value = '';
         document.getElementById('filterEndDate').value = '';
@@ -255,9 +262,18 @@ class TransactionsPage {
                         ? `<span class="category-badge" style="background-color: ${tx.category_color}">${escapeHtml(tx.category_name)}</span>`
                         : '<span class="badge badge-warning">Некатегоризирана</span>'
                     }
+                    ${tx.category_manual ? '<span title="Зададена ръчно - прекатегоризирането не я променя">🔒</span>' : ''}
+                    ${tx.split_count > 0 ? `<br><span class="badge badge-secondary" title="Разделена на ${tx.split_count} категории">✂️ Разделена</span>` : ''}
                 </td>
                 <td class="${tx.amount >= 0 ? 'positive' : 'negative'}" style="font-weight: 600; text-align: right; white-space: nowrap;">
-                    ${formatCurrency(tx.amount)}
+                    ${tx.status === 'reverted' ? `<s title="Върната - не се включва в сумите">${formatCurrency(tx.amount)}</s>`
+                        : tx.unconverted ? `<s title="Няма курс за ${escapeHtml(tx.original_currency || '')} - сумата не е конвертирана и не се включва в сумите">${formatCurrency(tx.amount)}</s>`
+                        : formatCurrency(tx.amount)}
+                    ${formatNativeAmount(tx.amount, tx.original_amount, tx.original_currency)}
+                    ${tx.status === 'pending' ? '<br><span class="badge badge-warning" title="Плащането още не е завършено">Изчакваща</span>' : ''}
+                    ${tx.status === 'reverted' ? '<br><span class="badge badge-secondary">Върната</span>' : ''}
+                    ${tx.unconverted ? '<br><span class="badge badge-warning" title="Импортирайте курсовете и преизчислете сумите от Настройки">Без курс</span>' : ''}
+                    ${tx.exclude_from_reports ? '<br><span class="badge badge-secondary" title="Не се включва в отчетите">Извън отчетите</span>' : ''}
                 </td>
                 <td style="text-align: center; white-space: nowrap;">
                     <span class="details-cell" data-id="${tx.id}" data-index="${index}" title="Детайли${tx.notes ? '\n📝 ' + escapeHtml(tx.notes) : ''}" style="cursor: pointer; font-size: 18px;">
@@ -424,7 +440,9 @@ class TransactionsPage {
         // Show original amount if converted
         let amountDisplay = formatCurrency(transaction.amount);
         if (transaction.original_amount && transaction.original_currency) {
-            amountDisplay += ` <span style="color: var(--text-muted); font-size: 12px;">(оригинал: ${transaction.original_amount} ${transaction.original_currency})</span>`;
+            amountDisplay += ` <span style="color: var(--text-muted); font-size: 12px;">(оригинал: ${transaction.original_amount} ${transaction.original_currency}${transaction.exchange_rate ? `, курс ${transaction.exchange_rate}` : ''})</span>`;
+        } else if (currencySettings.reportingCurrency !== 'EUR') {
+            amountDisplay += ` <span style="color: var(--text-muted); font-size: 12px;">(оригинал: ${formatMoney(transaction.amount, 'EUR')})</span>`;
         }
 
         // Prepare Google search query (remove "BGR " prefix if present)
@@ -474,6 +492,7 @@ class TransactionsPage {
                         <tr><td style="padding: 6px 10px; background: #f5f5f5; border: 1px solid #e0e0e0;"><strong>Дата:</strong></td><td style="padding: 6px 10px; border: 1px solid #e0e0e0;">${transaction.transaction_date}</td></tr>
                         <tr><td style="padding: 6px 10px; background: #f5f5f5; border: 1px solid #e0e0e0;"><strong>Дата осчетов.:</strong></td><td style="padding: 6px 10px; border: 1px solid #e0e0e0;">${transaction.booking_date || '-'}</td></tr>
                         <tr><td style="padding: 6px 10px; background: #f5f5f5; border: 1px solid #e0e0e0;"><strong>Държава:</strong></td><td style="padding: 6px 10px; border: 1px solid #e0e0e0;">${transaction.country ? (() => { const countryInfo = this.countries.find(c => c.code === transaction.country); return (countryInfo?.flag || '') + ' ' + (countryInfo?.name || transaction.country); })() : '-'}</td></tr>
+                        <tr><td style="padding: 6px 10px; background: #f5f5f5; border: 1px solid #e0e0e0;"><strong>Етикети:</strong></td><td style="padding: 6px 10px; border: 1px solid #e0e0e0;">${transaction.tags ? transaction.tags.split(',').map(tag => `<span class="badge badge-secondary">${escapeHtml(tag.trim())}</span>`).join(' ') : '-'}</td></tr>
                         <tr><td style="padding: 6px 10px; background: #f5f5f5; border: 1px solid #e0e0e0;"><strong>Създадена:</strong></td><td style="padding: 6px 10px; border: 1px solid #e0e0e0;">${transaction.created_at || '-'}</td></tr>
                     </table>
 
@@ -488,7 +507,10 @@ class TransactionsPage {
                             ${transaction.category_name
                                 ? `<span class="category-badge" style="background-color: ${transaction.category_color}">${escapeHtml(transaction.category_name)}</span>`
                                 : '<span class="text-muted">Некатегоризирана</span>'}
+                            <button type="button" id="modalSplitBtn" class="btn btn-secondary" style="padding: 4px 10px; font-size: 12px; float: right;">✂️ ${transaction.split_count > 0 ? 'Промени разделянето' : 'Раздели'}</button>
+                            <div id="modalSplitLines"></div>
                         </div>
+                        <div id="modalCategorySuggestions"></div>
                         ${renderCategoryBubbles(expenseCategories, '💸 Разходи')}
                         ${renderCategoryBubbles(incomeCategories, '💰 Приходи')}
                         ${renderCategoryBubbles(transferCategories, '🔄 Трансфери')}
@@ -497,11 +519,19 @@ class TransactionsPage {
                                 <input type="checkbox" id="modalApplyToAll" checked style="width: 16px; height: 16px;">
                                 <span>Приложи за всички транзакции с този контрагент</span>
                             </label>
+                            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer; margin-top: 6px;">
+                                <input type="checkbox" id="modalCategoryLocked" ${transaction.category_manual ? 'checked' : ''} ${transaction.category_id ? '' : 'disabled'} style="width: 16px; height: 16px;">
+                                <span>🔒 Заключи категорията (прекатегоризирането няма да я променя)</span>
+                            </label>
                         </div>
                     </div>
 
                     <h4 style="margin: 16px 0 12px 0; color: var(--primary-color);">📝 Бележки</h4>
                     <textarea id="modalNotesText" class="input" rows="3" style="resize: vertical; font-size: 13px;" placeholder="Добави бележка...">${escapeHtml(transaction.notes || '')}</textarea>
+                    <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; cursor: pointer; margin-top: 12px;">
+                        <input type="checkbox" id="modalExcludeFromReports" ${transaction.exclude_from_reports ? 'checked' : ''} style="width: 16px; height: 16px;">
+                        <span>Не включвай в отчетите</span>
+                    </label>
                 </div>
             </div>
         `;
@@ -527,6 +557,7 @@ class TransactionsPage {
                     transaction.category_id = categoryId;
                     transaction.category_name = cat?.name;
                     transaction.category_color = cat?.color;
+                    transaction.category_manual = 1;
 
                     // Refresh the modal content
                     this.showRawData(null, this.currentTransactionIndex);
@@ -543,6 +574,12 @@ class TransactionsPage {
             });
         });
 
+        this.loadCategorySuggestions(transaction);
+        if (transaction.split_count > 0) {
+            this.loadSplitLines(transaction);
+        }
+        document.getElementById('modalSplitBtn')?.addEventListener('click', () => this.showSplitEditor(transaction));
+
         // Add navigation button handlers
         document.getElementById('modalPrevTx')?.addEventListener('click', () => {
             if (this.currentTransactionIndex > 0) {
@@ -571,6 +608,29 @@ class TransactionsPage {
             }
         });
 
+        document.getElementById('modalCategoryLocked')?.addEventListener('change', async (e) => {
+            try {
+                await api.updateTransactionCategoryLock(transaction.id, e.target.checked);
+                transaction.category_manual = e.target.checked ? 1 : 0;
+                await this.loadTransactions();
+                showNotification(e.target.checked ? 'Категорията е заключена' : 'Категорията е отключена', 'success');
+            } catch (error) {
+                e.target.checked = !e.target.checked;
+                showNotification('Грешка при запазване: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('modalExcludeFromReports')?.addEventListener('change', async (e) => {
+            try {
+                await api.updateTransactionExcludeFromReports(transaction.id, e.target.checked);
+                transaction.exclude_from_reports = e.target.checked ? 1 : 0;
+                showNotification(e.target.checked ? 'Транзакцията е изключена от отчетите' : 'Транзакцията е включена в отчетите', 'success');
+            } catch (error) {
+                e.target.checked = !e.target.checked;
+                showNotification('Грешка при запазване: ' + error.message, 'error');
+            }
+        });
+
         const closeModal = () => {
             modalContent.style.maxWidth = '';
             // Restore original footer
@@ -586,6 +646,195 @@ class TransactionsPage {
         document.querySelector('.modal-close').onclick = closeModal;
     }
 
+    async loadSplitLines(transaction) {
+        let splits;
+        try {
+            splits = await api.getTransactionSplits(transaction.id);
+        } catch (error) {
+            console.error('Error loading split lines:', error);
+            return;
+        }
+
+        const container = document.getElementById('modalSplitLines');
+        if (!container || this.transactions[this.currentTransactionIndex]?.id !== transaction.id) return;
+
+        container.innerHTML = `
+            <table style="width: 100%; font-size: 12px; margin-top: 8px;">
+                ${splits.map(split => `
+                    <tr>
+                        <td style="padding: 3px 0;"><span class="category-badge" style="background-color: ${split.category_color || '#999999'}">${escapeHtml(split.category_name || 'Без категория')}</span></td>
+                        <td style="padding: 3px 6px;" class="text-muted">${escapeHtml(split.notes || '')}</td>
+                        <td style="padding: 3px 0; text-align: right; white-space: nowrap;" class="${split.amount >= 0 ? 'positive' : 'negative'}">${formatCurrency(split.amount)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    // Split a transaction into lines with their own amount, category and note
+    async showSplitEditor(transaction) {
+        let splits;
+        try {
+            showLoader();
+            splits = await api.getTransactionSplits(transaction.id);
+        } catch (error) {
+            showNotification('Грешка при зареждане: ' + error.message, 'error');
+            return;
+        } finally {
+            hideLoader();
+        }
+
+        const modal = document.getElementById('modal');
+        const modalContent = modal.querySelector('.modal-content');
+        const modalFooter = modal.querySelector('.modal-footer');
+        modalContent.style.maxWidth = '800px';
+
+        document.getElementById('modalTitle').textContent = 'Разделяне по категории';
+        modalFooter.style.justifyContent = 'flex-end';
+        modalFooter.innerHTML = `
+            ${splits.length > 0 ? '<button id="modalRemoveSplit" class="btn btn-danger" style="margin-right: auto;">Премахни разделянето</button>' : ''}
+            <button id="modalCancel" class="btn btn-secondary">Отказ</button>
+            <button id="modalSave" class="btn btn-primary">Запази</button>
+        `;
+
+        const categoryOptions = (selectedId) => this.categories
+            .map(cat => `<option value="${cat.id}" ${cat.id === selectedId ? 'selected' : ''}>${escapeHtml(cat.name)}</option>`)
+            .join('');
+
+        const lineHtml = (split = {}) => `
+            <div class="split-line" style="display: flex; gap: 8px; margin-bottom: 8px;">
+                <input type="number" step="0.01" class="input split-amount" style="width: 130px;" value="${split.amount !== undefined ? split.amount : ''}" placeholder="Сума">
+                <select class="input split-category" style="flex: 1;">
+                    <option value="">Изберете категория</option>
+                    ${categoryOptions(split.category_id)}
+                </select>
+                <input type="text" class="input split-notes" style="flex: 1;" value="${escapeHtml(split.notes || '')}" placeholder="Бележка">
+                <button type="button" class="btn btn-secondary split-remove" title="Премахни реда">✕</button>
+            </div>
+        `;
+
+        // A new split starts with the whole amount in the current category and an empty second line
+        const lines = splits.length > 0
+            ? splits
+            : [{ amount: transaction.amount, category_id: transaction.category_id }, {}];
+
+        document.getElementById('modalBody').innerHTML = `
+            <p class="text-muted" style="margin-bottom: 12px;">
+                ${escapeHtml(transaction.counterparty_name || transaction.description || '')} · ${transaction.transaction_date} ·
+                <strong>${formatCurrency(transaction.amount)}</strong>. Сборът на редовете трябва да е равен на сумата на транзакцията - отчетите използват редовете вместо нея.
+            </p>
+            <div id="splitLines">${lines.map(lineHtml).join('')}</div>
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <button type="button" id="addSplitLine" class="btn btn-secondary btn-sm">+ Ред</button>
+                <span id="splitRemainder"></span>
+            </div>
+        `;
+
+        const readLines = () => [...document.querySelectorAll('#splitLines .split-line')].map(line => ({
+            amount: parseFloat(line.querySelector('.split-amount').value) || 0,
+            categoryId: parseInt(line.querySelector('.split-category').value) || null,
+            notes: line.querySelector('.split-notes').value.trim()
+        }));
+
+        const updateRemainder = () => {
+            const total = readLines().reduce((sum, line) => sum + line.amount, 0);
+            const remainder = Math.round((transaction.amount - total) * 100) / 100;
+            document.getElementById('splitRemainder').innerHTML = remainder === 0
+                ? '<span class="badge badge-success">Сборът съвпада</span>'
+                : `<span class="badge badge-warning">Остатък: ${formatCurrency(remainder)}</span>`;
+        };
+
+        const bindLines = () => {
+            document.querySelectorAll('#splitLines .split-amount').forEach(input => { input.oninput = updateRemainder; });
+            document.querySelectorAll('#splitLines .split-remove').forEach(btn => {
+                btn.onclick = () => {
+                    btn.closest('.split-line').remove();
+                    updateRemainder();
+                };
+            });
+        };
+
+        document.getElementById('addSplitLine').onclick = () => {
+            document.getElementById('splitLines').insertAdjacentHTML('beforeend', lineHtml());
+            bindLines();
+            updateRemainder();
+        };
+        bindLines();
+        updateRemainder();
+
+        const close = () => {
+            modalContent.style.maxWidth = '';
+            modalFooter.innerHTML = `
+                <button id="modalCancel" class="btn btn-secondary">Отказ</button>
+                <button id="modalSave" class="btn btn-primary">Запази</button>
+            `;
+            modal.classList.remove('active');
+        };
+
+        const save = async (lines) => {
+            try {
+                showLoader();
+                await api.updateTransactionSplits(transaction.id, lines);
+                close();
+                await this.loadTransactions();
+                showNotification(lines.length > 0 ? 'Транзакцията е разделена' : 'Разделянето е премахнато', 'success');
+            } catch (error) {
+                showNotification('Грешка при записване: ' + error.message, 'error');
+            } finally {
+                hideLoader();
+            }
+        };
+
+        document.getElementById('modalSave').onclick = () => save(readLines());
+        document.getElementById('modalRemoveSplit')?.addEventListener('click', () => {
+            if (confirm('Да се премахне ли разделянето на транзакцията?')) save([]);
+        });
+        document.getElementById('modalCancel').onclick = close;
+        document.querySelector('.modal-close').onclick = close;
+    }
+
+    async loadCategorySuggestions(transaction) {
+        let suggestions;
+        try {
+            suggestions = await api.getTransactionSuggestions(transaction.id);
+        } catch (error) {
+            console.error('Error loading category suggestions:', error);
+            return;
+        }
+
+        // The modal may already show another transaction
+        const container = document.getElementById('modalCategorySuggestions');
+        if (!container || this.transactions[this.currentTransactionIndex]?.id !== transaction.id) return;
+
+        const shown = suggestions.filter(suggestion => suggestion.categoryId !== transaction.category_id);
+        if (shown.length === 0) return;
+
+        container.innerHTML = `
+            <div style="margin-bottom: 12px;">
+                <label style="font-size: 11px; color: var(--text-secondary); margin-bottom: 6px; display: block; font-weight: 600;">💡 Предложения</label>
+                <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+                    ${shown.map(suggestion => `
+                        <button type="button" class="modal-suggestion-btn" data-category-id="${suggestion.categoryId}"
+                                title="${suggestion.ruleId ? `Правило #${suggestion.ruleId}` : 'Според категоризираните досега транзакции'}"
+                                style="padding: 5px 10px; border-radius: 16px; border: 2px dashed ${suggestion.color};
+                                       background: white; color: ${suggestion.color}; cursor: pointer; font-size: 12px; font-weight: 500;">
+                            ${escapeHtml(suggestion.categoryName || '')}
+                            ${suggestion.confidence !== null ? `<small>${Math.round(suggestion.confidence * 100)}%</small>` : ''}
+                            ${suggestion.ruleId ? '<small>⚙️</small>' : ''}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        // Choosing a suggestion works like clicking the category itself
+        container.querySelectorAll('.modal-suggestion-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelector(`.modal-category-btn[data-category-id="${btn.dataset.categoryId}"]`)?.click();
+            });
+        });
+    }
+
     async editNotes(transactionId) {
         const transaction = this.transactions.find(t => t.id === transactionId);
         if (!transaction) return;
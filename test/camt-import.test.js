@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+useScratchDatabase();
+const camtImport = require('../backend/camt-import');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, 'fixtures', 'camt053.xml'), 'utf8');
+const ACCOUNT = { id: 'TEST_CAMT', iban: 'BG80BNBG96611020345678', currency: 'EUR' };
+
+test('parses booked entries with the sign of the credit/debit indicator', () => {
+    const [statement] = camtImport.parseCamtXml(SAMPLE);
+
+    assert.equal(statement.iban, 'BG80BNBG96611020345678');
+    assert.equal(statement.openingBalance, 1000);
+    assert.equal(statement.closingBalance, 1044.5);
+    assert.equal(statement.pendingCount, 1);
+    assert.deepEqual(statement.transactions.map(tx => tx.amount), [-25.5, 100, -10, -20]);
+});
+
+test('takes the counterparty from the creditor of debits and the debtor of credits', () => {
+    const [statement] = camtImport.parseCamtXml(SAMPLE);
+    const [payment, income] = statement.transactions;
+
+    assert.equal(payment.counterpartyName, 'KAUFLAND SOFIA');
+    assert.equal(payment.counterpartyIban, 'BG18RZBB91550123456789');
+    assert.equal(payment.description, 'Card payment 4000****1234');
+    assert.equal(income.counterpartyName, 'IVAN PETROV');
+    assert.equal(income.reference, 'E2E-INCOMING-42');
+});
+
+test('splits a batch booking into one transaction per TxDtls', () => {
+    const [statement] = camtImport.parseCamtXml(SAMPLE);
+    const batch = statement.transactions.slice(2);
+
+    assert.deepEqual(batch.map(tx => tx.counterpartyName), ['SOFIYSKA VODA', 'TOPLOFIKACIA SOFIA']);
+    assert.deepEqual(batch.map(tx => tx.reference), ['BATCH-77/1', 'BATCH-77/2']);
+    assert.equal(statement.bookedTotal, 44.5);
+});
+
+test('prepares transactions with unique IDs that stay the same on the next import', async () => {
+    const first = await camtImport.processCamtForImport(SAMPLE, ACCOUNT);
+    const second = await camtImport.processCamtForImport(SAMPLE, ACCOUNT);
+    const ids = first.transactions.map(tx => tx.id);
+
+    assert.equal(first.transactions.length, 4);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.every(id => /^CAMT_[0-9A-F]{16}$/.test(id)));
+    assert.deepEqual(second.transactions.map(tx => tx.id), ids);
+    assert.ok(first.transactions.every(tx => tx.accountId === ACCOUNT.id && tx.currency === 'EUR'));
+});
+
+test('warns about skipped pending entries and a closing balance that does not add up', async () => {
+    const complete = await camtImport.processCamtForImport(SAMPLE, ACCOUNT);
+    assert.deepEqual(complete.warnings, ['Пропуснати 1 неосчетоводени движения']);
+
+    const truncated = SAMPLE.replace('<Amt Ccy="EUR">1044.50</Amt>', '<Amt Ccy="EUR">1074.50</Amt>');
+    const { warnings } = await camtImport.processCamtForImport(truncated, ACCOUNT);
+    assert.ok(warnings.some(warning => warning.includes('Файлът може да е непълен')));
+});
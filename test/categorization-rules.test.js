@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const categorization = require('../backend/categorization');
+
+// Monday, the last day of the month
+const PAYMENT = {
+    accountId: 'CASH',
+    transactionDate: '2025-06-30',
+    amount: -42.5,
+    description: 'Card payment 4411',
+    counterpartyName: 'Lidl Sofia',
+    rawData: '{"creditorAccount":{"iban":"BG80 BNBG 9661 1020 3456 78"}}'
+};
+
+const matches = (conditions, matchType = 'all') =>
+    categorization.matchesRule({ match_type: matchType, conditions: JSON.stringify(conditions) }, PAYMENT);
+
+test('matches text conditions case-insensitively with "|" alternatives', () => {
+    assert.equal(matches([{ field: 'text', operator: 'contains', value: 'kaufland|LIDL' }]), true);
+    assert.equal(matches([{ field: 'counterparty', operator: 'equals', value: 'lidl sofia' }]), true);
+    assert.equal(matches([{ field: 'counterparty', operator: 'equals', value: 'Lidl' }]), false);
+    assert.equal(matches([{ field: 'description', operator: 'starts_with', value: 'card payment' }]), true);
+    assert.equal(matches([{ field: 'description', operator: 'regex', value: 'payment \\d{4}$' }]), true);
+    assert.equal(matches([{ field: 'description', operator: 'regex', value: '(' }]), false);
+
+    // Without a stored IBAN the raw bank data is searched, spaces don't matter
+    assert.equal(matches([{ field: 'iban', operator: 'contains', value: 'BG80BNBG96611020345678' }]), true);
+});
+
+test('matches amount, direction, account and date conditions', () => {
+    assert.equal(matches([{ field: 'amount', min: 40, max: 50 }]), true);
+    assert.equal(matches([{ field: 'amount', min: 50 }]), false);
+    assert.equal(matches([{ field: 'direction', value: 'expense' }]), true);
+    assert.equal(matches([{ field: 'direction', value: 'income' }]), false);
+    assert.equal(matches([{ field: 'account', value: 'CASH' }]), true);
+    assert.equal(matches([{ field: 'account', value: 'OTHER' }]), false);
+
+    // A day window across the month end
+    assert.equal(matches([{ field: 'day_of_month', min: 28, max: 3 }]), true);
+    assert.equal(matches([{ field: 'day_of_month', min: 1, max: 15 }]), false);
+    assert.equal(matches([{ field: 'weekday', values: [1, 2] }]), true);
+    assert.equal(matches([{ field: 'weekday', values: [6, 7] }]), false);
+});
+
+test('combines conditions with all or any', () => {
+    const conditions = [
+        { field: 'counterparty', operator: 'contains', value: 'LIDL' },
+        { field: 'direction', value: 'income' }
+    ];
+
+    assert.equal(matches(conditions, 'all'), false);
+    assert.equal(matches(conditions, 'any'), true);
+    assert.equal(matches([], 'any'), false);
+});
+
+test('reads the pattern of rules from before the conditions', () => {
+    const rule = { pattern: 'KAUFLAND|LIDL', conditions: null };
+
+    assert.deepEqual(categorization.getRuleConditions(rule), [{ field: 'text', operator: 'contains', value: 'KAUFLAND|LIDL' }]);
+    assert.equal(categorization.matchesRule(rule, PAYMENT), true);
+});
+
+test('rejects invalid conditions', () => {
+    assert.equal(categorization.validateConditions('all', [{ field: 'counterparty', operator: 'contains', value: 'LIDL' }]), null);
+    assert.equal(categorization.validateConditions('some', [{ field: 'counterparty', operator: 'contains', value: 'LIDL' }]),
+        'Невалиден начин на комбиниране на условията');
+    assert.equal(categorization.validateConditions('all', []), 'Правилото трябва да има поне едно условие');
+    assert.equal(categorization.validateConditions('all', [{ field: 'country', operator: 'equals', value: 'BG' }]),
+        'Непознато поле на условие: country');
+    assert.match(categorization.validateConditions('all', [{ field: 'description', operator: 'regex', value: '(' }]),
+        /^Невалиден регулярен израз/);
+    assert.equal(categorization.validateConditions('all', [{ field: 'amount', min: 50, max: 10 }]),
+        'Минималната сума е по-голяма от максималната');
+    assert.equal(categorization.validateConditions('all', [{ field: 'weekday', values: [8] }]),
+        'Изберете поне един ден от седмицата');
+});
+
+test('the matching active rule with the highest priority wins', async () => {
+    const [first, second] = await database.getAllCategories();
+    const conditions = [{ field: 'counterparty', operator: 'contains', value: 'LIDL SOFIA' }];
+    const low = await database.createCategorizationRule({ categoryId: first.id, priority: 500, conditions });
+    const high = await database.createCategorizationRule({ categoryId: second.id, priority: 900, matchType: 'any', conditions });
+
+    const pick = async () => (await categorization.getActiveRules()).find(rule => categorization.matchesRule(rule, PAYMENT));
+    assert.equal((await pick()).id, high);
+
+    await database.updateCategorizationRule(high, { active: 0 });
+    assert.equal((await pick()).id, low);
+});
+
+test('applies the actions of the matching rule to an imported transaction', async () => {
+    const [category] = await database.getAllCategories();
+    const rule = {
+        id: 1,
+        category_id: category.id,
+        match_type: 'all',
+        conditions: JSON.stringify([{ field: 'counterparty', operator: 'contains', value: 'LIDL' }]),
+        actions: JSON.stringify({
+            counterpartyAlias: 'Lidl',
+            notes: 'Храна',
+            tags: ['храна', 'семейство'],
+            country: 'BG',
+            excludeFromReports: true
+        })
+    };
+
+    const preview = { ...PAYMENT, tags: 'семейство' };
+    assert.equal(await categorization.applyRuleActions(preview, [rule], { saveAliases: false }), rule);
+    assert.equal(await database.getCounterpartyAlias('Lidl Sofia'), undefined);
+
+    const transaction = { ...PAYMENT, notes: 'Храна', tags: 'семейство' };
+    await categorization.applyRuleActions(transaction, [rule]);
+    assert.equal(transaction.categoryId, category.id);
+    assert.equal(transaction.notes, 'Храна');
+    assert.equal(transaction.tags, 'семейство, храна');
+    assert.equal(transaction.country, 'BG');
+    assert.equal(transaction.excludeFromReports, true);
+    assert.equal((await database.getCounterpartyAlias('Lidl Sofia')).display_name, 'Lidl');
+
+    // An internal transfer action moves the transaction to the transfers category
+    const transfer = { ...PAYMENT };
+    await categorization.applyRuleActions(transfer, [{ ...rule, actions: { internalTransfer: true } }]);
+    assert.equal(transfer.categoryId, await database.getInternalTransferCategoryId());
+    assert.equal(transfer.isInternalTransfer, true);
+
+    assert.equal(await categorization.applyRuleActions({ ...PAYMENT, counterpartyName: 'Kaufland' }, [rule]), null);
+});
+
+test('rejects invalid actions', () => {
+    assert.equal(categorization.validateActions({ country: 'BG', tags: ['храна'] }), null);
+    assert.equal(categorization.validateActions(['храна']), 'Невалидни действия на правилото');
+    assert.equal(categorization.validateActions({ country: 'Bulgaria' }), 'Държавата трябва да е двубуквен код (напр. BG)');
+    assert.equal(categorization.validateActions({ tags: 'храна' }), 'Етикетите трябва да са списък');
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const categorization = require('../backend/categorization');
+
+const FILTERS = { startDate: '2025-05-01', endDate: '2025-05-31' };
+
+test('re-categorization applies all rule actions, also when the category stays the same', async () => {
+    // Bank fees and transfers set on import are left alone, any other category works
+    const importCategories = [await database.getBankFeesCategoryId(), await database.getInternalTransferCategoryId()];
+    const category = (await database.getAllCategories()).find(candidate => !importCategories.includes(candidate.id));
+    await database.upsertTransaction({
+        id: 'CSV_GYM',
+        accountId: 'CASH',
+        transactionDate: '2025-05-02',
+        bookingDate: '2025-05-02',
+        amount: -35,
+        currency: 'EUR',
+        description: 'Monthly fee',
+        counterpartyName: 'PULSE FITNESS',
+        categoryId: category.id
+    });
+    await database.createCategorizationRule({
+        categoryId: category.id,
+        priority: 100,
+        conditions: [{ field: 'counterparty', operator: 'contains', value: 'PULSE FITNESS' }],
+        actions: { tags: ['спорт'], notes: 'Абонамент', country: 'BG', excludeFromReports: true }
+    });
+
+    const preview = await categorization.previewRecategorization(FILTERS);
+    assert.equal(preview.count, 1);
+    assert.deepEqual(preview.changes[0].otherChanges, ['бележка', 'етикети', 'държава', 'извън отчетите']);
+
+    const result = await categorization.applyRecategorization(FILTERS);
+    assert.equal(result.changed, 1);
+
+    const stored = await database.getTransactionById('CSV_GYM');
+    assert.equal(stored.category_id, category.id);
+    assert.equal(stored.notes, 'Абонамент');
+    assert.equal(stored.tags, 'спорт');
+    assert.equal(stored.country, 'BG');
+    assert.equal(stored.exclude_from_reports, 1);
+
+    assert.equal((await categorization.previewRecategorization(FILTERS)).count, 0);
+});
+
+test('re-categorization keeps a category chosen in the import preview', async () => {
+    const importCategories = [await database.getBankFeesCategoryId(), await database.getInternalTransferCategoryId()];
+    const [ruleCategory, chosenCategory] = (await database.getAllCategories())
+        .filter(candidate => !importCategories.includes(candidate.id));
+    await database.createCategorizationRule({
+        categoryId: ruleCategory.id,
+        priority: 100,
+        conditions: [{ field: 'counterparty', operator: 'contains', value: 'SOFIA YOGA' }]
+    });
+    await database.upsertTransaction({
+        id: 'CSV_YOGA',
+        accountId: 'CASH',
+        transactionDate: '2025-05-03',
+        bookingDate: '2025-05-03',
+        amount: -20,
+        currency: 'EUR',
+        description: 'Class',
+        counterpartyName: 'SOFIA YOGA',
+        categoryId: chosenCategory.id,
+        categoryManual: true
+    });
+
+    const stored = await database.getTransactionById('CSV_YOGA');
+    assert.equal(stored.category_manual, 1);
+
+    await categorization.applyRecategorization(FILTERS);
+    assert.equal((await database.getTransactionById('CSV_YOGA')).category_id, chosenCategory.id);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const classifier = require('../backend/classifier');
+
+const SHOPS = [
+    { counterpartyName: 'LIDL BULGARIA', description: 'Card payment groceries', amount: -23.4 },
+    { counterpartyName: 'KAUFLAND BULGARIA', description: 'Card payment groceries', amount: -31.9 }
+];
+const STATIONS = [
+    { counterpartyName: 'SHELL BULGARIA', description: 'Card payment fuel station', amount: -85 },
+    { counterpartyName: 'OMV BULGARIA', description: 'Card payment fuel station', amount: -92.5 }
+];
+
+async function importHistory(prefix, payments, categoryId, count) {
+    for (let i = 0; i < count; i++) {
+        const payment = payments[i % payments.length];
+        await database.upsertTransaction({
+            id: `${prefix}_${i}`,
+            accountId: 'CASH',
+            transactionDate: `2025-04-${String(i + 1).padStart(2, '0')}`,
+            bookingDate: `2025-04-${String(i + 1).padStart(2, '0')}`,
+            currency: 'EUR',
+            categoryId,
+            ...payment
+        });
+    }
+}
+
+test('splits a transaction into word, counterparty, amount and account tokens', () => {
+    const tokens = classifier.tokenize({ description: 'POS 4411 Lidl, Sofia', counterparty_name: 'Lidl', amount: -7, account_id: 'CASH' });
+
+    // Bare numbers, like the terminal number, are left out
+    assert.deepEqual(tokens, ['d:POS', 'd:LIDL', 'd:SOFIA', 'c:LIDL', 'a:-3', 'cp:LIDL', 'acc:CASH']);
+});
+
+test('learns categories from the history and predicts the most likely one', async () => {
+    const [groceries, fuel] = await database.getAllCategories();
+
+    // Too little history gives no suggestions
+    await importHistory('FOOD', SHOPS, groceries.id, 6);
+    await classifier.train();
+    assert.deepEqual(await classifier.predict({ counterpartyName: 'LIDL BULGARIA', amount: -20 }), []);
+
+    await importHistory('FOOD', SHOPS, groceries.id, 12);
+    await importHistory('FUEL', STATIONS, fuel.id, 12);
+    const info = await classifier.train();
+    assert.equal(info.documents, 24);
+    assert.equal(info.categories, 2);
+
+    const [grocery] = await classifier.predict({ counterpartyName: 'LIDL BULGARIA', description: 'Card payment', amount: -18 });
+    assert.equal(grocery.categoryId, groceries.id);
+    assert.ok(grocery.confidence > 0.9);
+
+    const [station] = await classifier.predict({ counterpartyName: 'OMV BULGARIA', description: 'Card payment', amount: -70 });
+    assert.equal(station.categoryId, fuel.id);
+
+    // Nothing known about the transaction
+    assert.deepEqual(await classifier.predict({ counterpartyName: 'ZZZ', description: 'QQQ' }), []);
+});
+
+test('a category set by hand is learned right away and can be forgotten', async () => {
+    const [groceries, fuel] = await database.getAllCategories();
+    const market = { id: 'CASH_MARKET', counterpartyName: 'FANTASTICO', description: 'Card payment', amount: -15 };
+
+    // Without history of the counterparty the amount and the words lead to groceries
+    assert.equal((await classifier.predict(market))[0].categoryId, groceries.id);
+
+    for (let i = 0; i < 3; i++) {
+        classifier.learn({ ...market, id: `CASH_MARKET_${i}` }, fuel.id);
+    }
+    assert.equal(classifier.getModelInfo().documents, 27);
+    assert.equal((await classifier.predict(market))[0].categoryId, fuel.id);
+
+    for (let i = 0; i < 3; i++) {
+        classifier.forget(`CASH_MARKET_${i}`);
+    }
+    assert.equal(classifier.getModelInfo().documents, 24);
+    assert.equal((await classifier.predict(market))[0].categoryId, groceries.id);
+});
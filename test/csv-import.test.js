@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const csvImport = require('../backend/csv-import');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, 'fixtures', 'statement.csv'), 'utf8');
+const ACCOUNT = { id: 'TEST_CSV', currency: 'EUR' };
+
+test('guesses the column mapping of a bank export with info lines above the header', () => {
+    const settings = csvImport.sniffSettings(SAMPLE);
+
+    assert.equal(settings.delimiter, ';');
+    assert.equal(settings.skipRows, 2);
+    assert.equal(settings.hasHeader, true);
+    assert.equal(settings.dateFormat, 'DD.MM.YYYY');
+    assert.equal(settings.decimalSeparator, ',');
+    assert.equal(settings.amountMode, 'debitCredit');
+    assert.deepEqual(settings.columns, {
+        date: 0,
+        bookingDate: null,
+        amount: null,
+        debit: 3,
+        credit: 4,
+        counterparty: 1,
+        description: [2],
+        currency: 5
+    });
+});
+
+test('parses amounts with thousands separators and negative notations', () => {
+    assert.equal(csvImport.parseAmount('1 500,00', ','), 1500);
+    assert.equal(csvImport.parseAmount('1.234,56', ','), 1234.56);
+    assert.equal(csvImport.parseAmount('1,234.56', '.'), 1234.56);
+    assert.equal(csvImport.parseAmount('-42,30', ','), -42.3);
+    assert.equal(csvImport.parseAmount('(12,34)', ','), -12.34);
+    assert.equal(csvImport.parseAmount('12,34-', ','), -12.34);
+    assert.equal(csvImport.parseAmount('', ','), null);
+});
+
+test('turns debit and credit columns into signed amounts', async () => {
+    const settings = csvImport.sniffSettings(SAMPLE);
+    const { transactions, warnings } = await csvImport.processCsvForImport(SAMPLE, ACCOUNT, { csvSettings: settings });
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(transactions.map(tx => tx.amount), [-42.3, 1500, -2, -2]);
+    assert.equal(transactions[0].transactionDate, '2025-03-01');
+    assert.equal(transactions[0].counterpartyName, 'ЛИДЛ БЪЛГАРИЯ');
+    // A quoted delimiter stays part of the value
+    assert.equal(transactions[0].description, 'Покупка; карта 1234');
+});
+
+test('gives identical rows different IDs that stay the same on the next import', async () => {
+    const settings = csvImport.sniffSettings(SAMPLE);
+    const first = await csvImport.processCsvForImport(SAMPLE, ACCOUNT, { csvSettings: settings });
+    const second = await csvImport.processCsvForImport(SAMPLE, ACCOUNT, { csvSettings: settings });
+    const ids = first.transactions.map(tx => tx.id);
+
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.every(id => /^CSV_[0-9A-F]{16}$/.test(id)));
+    assert.deepEqual(second.transactions.map(tx => tx.id), ids);
+});
+
+test('reuses the saved profile of a file with the same header', async () => {
+    const settings = csvImport.sniffSettings(SAMPLE);
+    const { header } = await csvImport.previewCsv(SAMPLE, ACCOUNT.id, settings);
+
+    await assert.rejects(csvImport.processCsvForImport(SAMPLE, ACCOUNT), /Няма запазено съпоставяне/);
+
+    const profileId = await database.createCsvImportProfile({
+        name: 'Test bank',
+        accountId: ACCOUNT.id,
+        settings,
+        headerSignature: csvImport.getHeaderSignature(header, settings)
+    });
+
+    const preview = await csvImport.previewCsv(SAMPLE, ACCOUNT.id);
+    assert.equal(preview.profile.name, 'Test bank');
+
+    // The dry run of the import preview doesn't count as a use of the profile
+    await csvImport.processCsvForImport(SAMPLE, ACCOUNT, { dryRun: true });
+    assert.equal((await database.getCsvImportProfileById(profileId)).last_used_at, null);
+
+    const { transactions } = await csvImport.processCsvForImport(SAMPLE, ACCOUNT);
+    assert.equal(transactions.length, 4);
+    assert.ok((await database.getCsvImportProfileById(profileId)).last_used_at);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const duplicateDetection = require('../backend/duplicate-detection');
+const importPreview = require('../backend/import-preview');
+
+const BASE = {
+    accountId: 'CASH',
+    transactionDate: '2025-03-01',
+    bookingDate: '2025-03-01',
+    amount: -42.3,
+    currency: 'EUR',
+    counterpartyName: 'LIDL BULGARIA',
+    description: 'Card payment'
+};
+
+test('keeps the category chosen by hand over one set by a rule', async () => {
+    const [ruleCategory, manualCategory] = await database.getAllCategories();
+    await database.upsertTransaction({ ...BASE, id: 'GOCARDLESS_1', categoryId: ruleCategory.id });
+    await database.upsertTransaction({ ...BASE, id: 'CSV_1' });
+    await database.updateTransactionCategory('CSV_1', manualCategory.id);
+
+    await duplicateDetection.mergeDuplicates('GOCARDLESS_1', 'CSV_1');
+
+    const kept = await database.getTransactionById('GOCARDLESS_1');
+    assert.equal(kept.category_id, manualCategory.id);
+    assert.equal(kept.category_manual, 1);
+    assert.equal(kept.rule_id, null);
+    assert.equal(await database.getTransactionById('CSV_1'), undefined);
+});
+
+test('keeps the category of the kept transaction when neither is chosen by hand', async () => {
+    const [first, second] = await database.getAllCategories();
+    await database.upsertTransaction({ ...BASE, id: 'GOCARDLESS_2', categoryId: first.id });
+    await database.upsertTransaction({ ...BASE, id: 'CSV_2', categoryId: second.id });
+
+    await duplicateDetection.mergeDuplicates('GOCARDLESS_2', 'CSV_2');
+
+    const kept = await database.getTransactionById('GOCARDLESS_2');
+    assert.equal(kept.category_id, first.id);
+    assert.equal(kept.category_manual, 0);
+});
+
+test('moves the split lines, tags and report exclusion of the removed transaction', async () => {
+    const [first, second] = await database.getAllCategories();
+    const payment = { ...BASE, transactionDate: '2025-05-20' };
+    await database.upsertTransaction({ ...payment, id: 'GOCARDLESS_5', categoryId: first.id, tags: 'храна' });
+    await database.upsertTransaction({ ...payment, id: 'CSV_5', tags: 'семейство, храна', excludeFromReports: true });
+    await database.setTransactionSplits('CSV_5', [
+        { amount: -30, categoryId: first.id },
+        { amount: -12.3, categoryId: second.id }
+    ]);
+
+    await duplicateDetection.mergeDuplicates('GOCARDLESS_5', 'CSV_5');
+
+    const kept = await database.getTransactionById('GOCARDLESS_5');
+    assert.equal(kept.category_manual, 1);
+    assert.equal(kept.tags, 'храна, семейство');
+    assert.equal(kept.exclude_from_reports, 1);
+    assert.deepEqual((await database.getTransactionSplits('GOCARDLESS_5')).map(split => split.amount).sort((a, b) => a - b), [-30, -12.3]);
+    assert.deepEqual(await database.getTransactionSplits('CSV_5'), []);
+});
+
+test('the import preview flags the same pairs as the duplicates report', async () => {
+    await database.upsertTransaction({ ...BASE, id: 'GOCARDLESS_3', transactionDate: '2025-04-10', amount: -12.5 });
+
+    const file = [
+        { ...BASE, id: 'OFX_SAME_TEXT', transactionDate: '2025-04-11', amount: -12.5 },
+        { ...BASE, id: 'OFX_OTHER_TEXT', transactionDate: '2025-04-12', amount: -12.5, counterpartyName: 'SHELL', description: 'Fuel' },
+        { ...BASE, id: 'GOCARDLESS_4', transactionDate: '2025-04-10', amount: -12.5 }
+    ];
+    const rows = await importPreview.previewImport(file);
+
+    assert.deepEqual(rows.map(row => row.status), ['duplicate', 'new', 'new']);
+    assert.equal(rows[0].duplicateOf.id, 'GOCARDLESS_3');
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const exchangeRates = require('../backend/exchange-rates');
+const reconversion = require('../backend/reconversion');
+
+async function importPayment(id, amount, currency, date) {
+    const converter = await exchangeRates.createConverter();
+    const converted = converter.convert(amount, currency, date);
+    await database.upsertTransaction({
+        id,
+        accountId: 'CASH',
+        transactionDate: date,
+        bookingDate: date,
+        currency: 'EUR',
+        description: 'Hotel',
+        counterpartyName: 'HOTEL',
+        ...converted
+    });
+    return converter;
+}
+
+test('keeps an amount without a rate out of the sums until it is re-converted', async () => {
+    await importPayment('CASH_EUR', -10, 'EUR', '2025-03-03');
+    const converter = await importPayment('CASH_USD', -108, 'USD', '2025-03-03');
+
+    assert.equal(converter.getWarnings().length, 1);
+    const stored = await database.getTransactionById('CASH_USD');
+    assert.equal(stored.unconverted, 1);
+    assert.equal(stored.amount, -108);
+
+    const stats = await database.getTransactionStats('2025-03-01', '2025-03-31');
+    assert.equal(stats.total_expenses, 10);
+    assert.equal((await database.getTransactions({ startDate: '2025-03-01', endDate: '2025-03-31' })).totalAmount, -10);
+
+    await database.upsertExchangeRates([{ date: '2025-03-03', currency: 'USD', rate: 1.08 }]);
+    const run = await reconversion.applyReconversion();
+    assert.equal(run.changed, 1);
+
+    const converted = await database.getTransactionById('CASH_USD');
+    assert.equal(converted.unconverted, 0);
+    assert.equal(converted.amount, -100);
+    assert.equal((await database.getTransactionStats('2025-03-01', '2025-03-31')).total_expenses, 110);
+
+    await database.revertReconversion(run.runId);
+    assert.equal((await database.getTransactionById('CASH_USD')).unconverted, 1);
+});
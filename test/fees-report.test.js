@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase(async () => {
+    await database.upsertAccount({ ...ACCOUNT, institutionName: 'Revolut', iban: null, balance: 0 });
+});
+const revolutImport = require('../backend/revolut-import');
+
+const ACCOUNT = { id: 'TEST_REVOLUT', name: 'Revolut', currency: 'EUR' };
+const SAMPLE = [
+    'Type,Product,Started Date,Completed Date,Description,Amount,Fee,Currency,State,Balance',
+    'CARD_PAYMENT,Current,2025-04-03 12:00:00,2025-04-03 12:00:01,Lidl,-20.00,0.50,EUR,COMPLETED,480.00',
+    'TRANSFER,Current,2025-04-10 09:00:00,2025-04-10 09:00:01,To Ivan,-100.00,1.00,EUR,COMPLETED,379.00',
+    'CARD_PAYMENT,Current,2025-04-12 18:00:00,2025-04-12 18:00:01,Bolt,-8.00,0.00,EUR,COMPLETED,371.00',
+    'CARD_PAYMENT,Current,2025-05-02 15:00:00,,Shell,-40.00,0.30,EUR,REVERTED,',
+    'TOPUP,Current,2025-05-05 08:00:00,2025-05-05 08:00:01,Top-up by card,50.00,0.70,EUR,COMPLETED,420.30'
+].join('\n');
+
+async function importSample() {
+    const { transactions } = await revolutImport.processCsvForImport(SAMPLE, ACCOUNT);
+
+    // Fee transactions go to the bank fees category on import
+    const feesCategoryId = await database.getBankFeesCategoryId();
+    for (const tx of transactions) {
+        if (tx.isFee) tx.categoryId = feesCategoryId;
+    }
+    await database.importTransactionsBatch(transactions);
+    return transactions;
+}
+
+test('splits the fee of a row into a separate transaction linked to it', async () => {
+    const { transactions } = await revolutImport.processCsvForImport(SAMPLE, ACCOUNT);
+
+    const payment = transactions.find(tx => tx.description === 'Lidl');
+    const fee = transactions.find(tx => tx.parentTransactionId === payment.id);
+    assert.equal(payment.amount, -20);
+    assert.equal(fee.id, revolutImport.generateFeeTransactionId(payment.id));
+    assert.equal(fee.amount, -0.5);
+    assert.equal(fee.description, 'Такса: Lidl');
+    assert.equal(fee.isFee, true);
+
+    // A row without a fee stays a single transaction
+    assert.equal(transactions.filter(tx => tx.description.endsWith('Bolt')).length, 1);
+});
+
+test('sums the fees per month and bank, without reverted ones', async () => {
+    await importSample();
+
+    const report = await database.getFeesReport();
+    assert.equal(report.categoryId, await database.getBankFeesCategoryId());
+    assert.deepEqual(
+        report.rows.map(row => [row.year, row.month, row.bank, row.amount, row.count]),
+        [
+            ['2025', 5, 'Revolut', 0.7, 1],
+            ['2025', 4, 'Revolut', 1.5, 2]
+        ]
+    );
+});
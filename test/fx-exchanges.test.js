@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase(async () => {
+    await database.upsertExchangeRates([{ date: DATE, currency: 'USD', rate: 1.1 }]);
+    await importLeg('EUR_OUT_BIG', -100, 'EUR', 'Exchanged to USD');
+    await importLeg('USD_IN_BIG', 105, 'USD', 'Exchanged from EUR');
+    await importLeg('EUR_OUT_SMALL', -50, 'EUR', 'Exchanged to USD');
+    await importLeg('USD_IN_SMALL', 54, 'USD', 'Exchanged from EUR');
+    // Same day, other currency, but not an exchange
+    await importLeg('USD_REFUND', 20, 'USD', 'Refund from Amazon');
+});
+const exchangeRates = require('../backend/exchange-rates');
+const fxExchanges = require('../backend/fx-exchanges');
+
+const DATE = '2025-06-02';
+
+async function importLeg(id, amount, currency, description) {
+    const converter = await exchangeRates.createConverter();
+    await database.upsertTransaction({
+        id,
+        accountId: 'CASH',
+        transactionDate: DATE,
+        bookingDate: DATE,
+        currency: 'EUR',
+        description,
+        counterpartyName: null,
+        ...converter.convert(amount, currency, DATE)
+    });
+}
+
+test('pairs the legs of each exchange by the closest EUR values', async () => {
+    assert.equal(await fxExchanges.detectExchanges(), 2);
+    assert.equal(await fxExchanges.detectExchanges(), 0);
+
+    const pairs = (await database.getFxExchanges())
+        .map(row => [row.from_transaction_id, row.to_transaction_id])
+        .sort();
+    assert.deepEqual(pairs, [['EUR_OUT_BIG', 'USD_IN_BIG'], ['EUR_OUT_SMALL', 'USD_IN_SMALL']]);
+});
+
+test('measures the conversion cost against the ECB rate of the day', async () => {
+    await fxExchanges.detectExchanges();
+    const report = await fxExchanges.getConversionCostReport();
+
+    assert.equal(report.missing, 0);
+    const big = report.exchanges.find(exchange => exchange.fromTransactionId === 'EUR_OUT_BIG');
+    assert.deepEqual(
+        [big.fromAmount, big.fromCurrency, big.toAmount, big.toCurrency, big.effectiveRate, big.referenceRate, big.cost, big.costPercent],
+        [100, 'EUR', 105, 'USD', 1.05, 1.1, 4.55, 4.55]
+    );
+
+    assert.equal(report.totalSold, 150);
+    assert.equal(report.totalCost, 5.46);
+    assert.equal(report.groups.length, 1);
+    assert.deepEqual(
+        [report.groups[0].month, report.groups[0].accountId, report.groups[0].count, report.groups[0].costPercent],
+        ['2025-06', 'CASH', 2, 3.64]
+    );
+});
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { before } = require('node:test');
+
+/**
+ * Point the backend at an empty database in a temporary directory, initialized before the tests run
+ * Call it before requiring any other backend module - each test file runs in its own process with its own database
+ * @param {Function} [setup] - Runs once the tables exist, e.g. to add the accounts the tests use
+ * @returns {Object} - The database module
+ */
+function useScratchDatabase(setup) {
+    process.env.NODE_ENV = 'test';
+    process.env.DATABASE_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mymoney-test-')), 'test.db');
+
+    const database = require('../../backend/database');
+
+    // Top-level before hooks don't wait for each other, so the setup runs in the same hook
+    before(async () => {
+        await database.initialize();
+        if (setup) await setup();
+    });
+
+    return database;
+}
+
+module.exports = {
+    useScratchDatabase
+};
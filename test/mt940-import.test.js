@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+useScratchDatabase();
+const mt940Import = require('../backend/mt940-import');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, 'fixtures', 'statement.sta'), 'utf8');
+
+test('parses balances and signs of debits, credits and reversals', () => {
+    const [statement] = mt940Import.parseMt940(SAMPLE);
+
+    assert.equal(statement.reference, 'STMT250303');
+    assert.equal(statement.account, 'BG80BNBG96611020345678');
+    assert.equal(statement.currency, 'EUR');
+    assert.equal(statement.openingBalance, 1000);
+    assert.equal(statement.closingBalance, 1065.5);
+    // D and RC (reversal of a credit) are debits, C is a credit
+    assert.deepEqual(statement.transactions.map(tx => tx.amount), [-25.5, 100, -5, -2, -2]);
+    assert.equal(statement.transactions[0].bookingDate, '2025-03-01');
+});
+
+test('joins ?xx subfields of :86: that continue on the next line', () => {
+    const [statement] = mt940Import.parseMt940(SAMPLE);
+    const payment = statement.transactions[0];
+
+    assert.equal(payment.description, 'Invoice 2025-031 water');
+    assert.equal(payment.counterpartyName, 'KAUFLAND BULGARIA EOOD');
+    assert.equal(payment.counterpartyIban, 'BG18RZBB91550123456789');
+    assert.equal(payment.bankReference, 'BANKREF1');
+});
+
+test('reads the slash format and plain text of :86:', () => {
+    const [statement] = mt940Import.parseMt940(SAMPLE);
+    const [, income, reversal] = statement.transactions;
+
+    assert.equal(income.counterpartyName, 'IVAN PETROV');
+    assert.equal(income.counterpartyIban, 'BG72UNCR70001512345678');
+    assert.equal(income.description, 'Rent share');
+    assert.equal(income.customerReference, 'REF-IN-42');
+    assert.equal(reversal.description, 'Reversal of incoming payment');
+    assert.equal(reversal.counterpartyName, '');
+});
+
+test('gives identical transactions of one day different IDs that stay the same on the next import', async () => {
+    const first = await mt940Import.processMt940ForImport(SAMPLE, 'TEST_MT940');
+    const second = await mt940Import.processMt940ForImport(SAMPLE, 'TEST_MT940');
+    const ids = first.transactions.map(tx => tx.id);
+
+    assert.equal(ids.length, 5);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.every(id => /^MT940_[0-9A-F]{16}$/.test(id)));
+    assert.deepEqual(second.transactions.map(tx => tx.id), ids);
+    assert.deepEqual(first.warnings, []);
+});
+
+test('warns when the closing balance does not add up', async () => {
+    const truncated = SAMPLE.replace(':62F:C250303EUR1065,50', ':62F:C250303EUR1067,50');
+    const { warnings } = await mt940Import.processMt940ForImport(truncated, 'TEST_MT940');
+
+    assert.equal(warnings.length, 1);
+    assert.ok(warnings[0].includes('Файлът може да е непълен'));
+});
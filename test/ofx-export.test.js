@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase(async () => {
+    await database.upsertExchangeRates([{ date: '2025-03-03', currency: 'USD', rate: 1.08 }]);
+    const converter = await exchangeRates.createConverter();
+
+    await importPayment('CASH_BOOKED', { amount: -10 });
+    await importPayment('CASH_USD', converter.convert(-108, 'USD', '2025-03-03'));
+    await importPayment('CASH_PENDING', { amount: -5, status: 'pending' });
+    await importPayment('CASH_REVERTED', { amount: -7, status: 'reverted' });
+    // No USD rate before the first stored one, the amount stays in dollars
+    await importPayment('CASH_UNCONVERTED', converter.convert(-50, 'USD', '2025-03-02'));
+});
+const exchangeRates = require('../backend/exchange-rates');
+const ofxExport = require('../backend/ofx-export');
+
+async function importPayment(id, fields) {
+    await database.upsertTransaction({
+        id,
+        accountId: 'CASH',
+        transactionDate: '2025-03-03',
+        bookingDate: '2025-03-03',
+        currency: 'EUR',
+        description: 'Payment',
+        counterpartyName: 'SHOP',
+        ...fields
+    });
+}
+
+async function exportCash(currency) {
+    const { transactions, skipped } = ofxExport.selectExportable((await database.getTransactions({ accountId: 'CASH' })).transactions);
+    const account = { ...(await database.getAccountById('CASH')), ledgerBalance: 0, ledgerDate: '2025-03-31' };
+    const ofx = ofxExport.buildOfx(transactions, [account], { currency, rate: exchangeRates.FIXED_RATES[currency] });
+
+    return { ofx, skipped };
+}
+
+const fitIds = ofx => [...ofx.matchAll(/<FITID>([^<]+)<\/FITID>/g)].map(match => match[1]).sort();
+const amounts = ofx => [...ofx.matchAll(/<TRNAMT>([^<]+)<\/TRNAMT>/g)].map(match => match[1]).sort();
+
+test('exports only booked transactions with an amount in EUR', async () => {
+    const { ofx, skipped } = await exportCash('EUR');
+
+    assert.deepEqual(fitIds(ofx), ['CASH_BOOKED', 'CASH_USD']);
+    assert.deepEqual(amounts(ofx), ['-10.00', '-100.00']);
+    assert.deepEqual(skipped, { pending: 1, reverted: 1, unconverted: 1 });
+});
+
+test('converts the EUR amounts to BGN with the fixed rate', async () => {
+    const { ofx } = await exportCash('BGN');
+
+    assert.match(ofx, /<CURDEF>BGN<\/CURDEF>/);
+    assert.deepEqual(amounts(ofx), ['-19.56', '-195.58']);
+});
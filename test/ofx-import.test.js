@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+useScratchDatabase();
+const ofxImport = require('../backend/ofx-import');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, 'fixtures', 'statement.ofx'), 'utf8');
+
+test('parses OFX 1.x SGML with signed amounts', () => {
+    const [statement] = ofxImport.parseOfx(SAMPLE);
+
+    assert.equal(statement.accountId, 'BG80BNBG96611020345678');
+    assert.equal(statement.currency, 'EUR');
+    // The sign comes from TRNAMT, a comma decimal separator is accepted
+    assert.deepEqual(statement.transactions.map(tx => tx.amount), [-42.3, 1500, -3.5, -9.99]);
+});
+
+test('uses the user date, the name as counterparty and the memo as description', () => {
+    const [statement] = ofxImport.parseOfx(SAMPLE);
+    const [payment, salary, fee] = statement.transactions;
+
+    assert.equal(payment.transactionDate, '2025-03-01');
+    assert.equal(payment.bookingDate, '2025-03-02');
+    assert.equal(payment.counterpartyName, 'LIDL BULGARIA');
+    assert.equal(payment.description, 'Groceries & household');
+    assert.equal(salary.description, 'Salary February');
+    assert.equal(fee.description, 'BANK FEE');
+});
+
+test('derives IDs from the account and FITID and skips rows without FITID', async () => {
+    const first = await ofxImport.processOfxForImport(SAMPLE, 'TEST_OFX');
+    const second = await ofxImport.processOfxForImport(SAMPLE, 'TEST_OFX');
+    const ids = first.transactions.map(tx => tx.id);
+
+    assert.equal(ids.length, 3);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.every(id => /^OFX_[0-9A-F]{16}$/.test(id)));
+    assert.deepEqual(second.transactions.map(tx => tx.id), ids);
+    assert.deepEqual(first.warnings, ['Пропуснати 1 транзакции без FITID']);
+
+    // FITID is only unique within an account
+    const otherAccount = SAMPLE.replace('<ACCTID>BG80BNBG96611020345678', '<ACCTID>BG27STSA93000012345678');
+    const other = await ofxImport.processOfxForImport(otherAccount, 'TEST_OFX');
+    assert.ok(other.transactions.every(tx => !ids.includes(tx.id)));
+});
+
+test('reads OFX 2.x XML the same way', async () => {
+    const [statement] = ofxImport.parseOfx(SAMPLE);
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE"?>
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>EUR</CURDEF>
+<BANKACCTFROM><ACCTID>BG80BNBG96611020345678</ACCTID></BANKACCTFROM>
+<BANKTRANLIST><STMTTRN><DTPOSTED>20250302</DTPOSTED><DTUSER>20250301</DTUSER><TRNAMT>-42.30</TRNAMT>
+<FITID>2025030100001</FITID><NAME>LIDL BULGARIA</NAME><MEMO>Groceries &amp; household</MEMO></STMTTRN></BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+    const [xmlStatement] = ofxImport.parseOfx(xml);
+    assert.equal(xmlStatement.transactions[0].description, statement.transactions[0].description);
+    assert.equal(xmlStatement.transactions[0].amount, -42.3);
+
+    const sgml = await ofxImport.processOfxForImport(SAMPLE, 'TEST_OFX');
+    const { transactions } = await ofxImport.processOfxForImport(xml, 'TEST_OFX');
+    assert.equal(transactions[0].id, sgml.transactions[0].id);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const exchangeRates = require('../backend/exchange-rates');
+const reconversion = require('../backend/reconversion');
+
+async function importPayment(id, amount, currency, date) {
+    const converter = await exchangeRates.createConverter();
+    await database.upsertTransaction({
+        id,
+        accountId: 'CASH',
+        transactionDate: date,
+        bookingDate: date,
+        currency: 'EUR',
+        description: 'Hotel',
+        counterpartyName: 'HOTEL',
+        ...converter.convert(amount, currency, date)
+    });
+}
+
+test('re-converts stored amounts with new rates and reverts the run', async () => {
+    await database.upsertExchangeRates([{ date: '2025-03-03', currency: 'USD', rate: 1.1 }]);
+    await importPayment('CASH_USD', -110, 'USD', '2025-03-03');
+    await importPayment('CASH_GBP', -20, 'GBP', '2025-03-04');
+    assert.equal((await database.getTransactionById('CASH_USD')).amount, -100);
+
+    // A corrected rate for the same day, GBP still has no rate
+    await database.upsertExchangeRates([{ date: '2025-03-03', currency: 'USD', rate: 1 }]);
+
+    const preview = await reconversion.previewReconversion();
+    assert.equal(preview.count, 1);
+    assert.equal(preview.missing, 1);
+    assert.equal(preview.totalDifference, -10);
+    assert.equal(preview.groups.length, 1);
+    assert.deepEqual(
+        [preview.groups[0].month, preview.groups[0].currencies, preview.groups[0].oldTotal, preview.groups[0].newTotal],
+        ['2025-03', ['USD'], -100, -110]
+    );
+
+    const run = await reconversion.applyReconversion();
+    assert.equal(run.changed, 1);
+    const converted = await database.getTransactionById('CASH_USD');
+    assert.equal(converted.amount, -110);
+    assert.equal(converted.exchange_rate, 1);
+    assert.equal((await reconversion.previewReconversion()).count, 0);
+
+    const stored = await database.getReconversionRunById(run.runId);
+    assert.equal(stored.changed_count, 1);
+    assert.equal(stored.total_difference, -10);
+
+    assert.deepEqual(await database.revertReconversion(run.runId), { reverted: 1 });
+    const reverted = await database.getTransactionById('CASH_USD');
+    assert.equal(reverted.amount, -100);
+    assert.equal(reverted.exchange_rate, 1.1);
+    assert.ok((await database.getReconversionRunById(run.runId)).reverted_at);
+});
+
+test('revert leaves amounts that changed after the run alone', async () => {
+    await database.upsertExchangeRates([{ date: '2025-04-01', currency: 'USD', rate: 1.25 }]);
+    await importPayment('CASH_USD_APRIL', -50, 'USD', '2025-04-01');
+    await database.upsertExchangeRates([{ date: '2025-04-01', currency: 'USD', rate: 1.0 }]);
+
+    const run = await reconversion.applyReconversion();
+    assert.equal((await database.getTransactionById('CASH_USD_APRIL')).amount, -50);
+
+    // A second run with yet another rate changes the amount again
+    await database.upsertExchangeRates([{ date: '2025-04-01', currency: 'USD', rate: 0.5 }]);
+    await reconversion.applyReconversion();
+
+    await database.revertReconversion(run.runId);
+    assert.equal((await database.getTransactionById('CASH_USD_APRIL')).amount, -100);
+    assert.equal((await database.getTransactionById('CASH_USD_APRIL')).exchange_rate, 0.5);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase(async () => {
+    await database.upsertAccount({ ...ACCOUNT, institutionName: 'Revolut', iban: null, balance: 0 });
+    await database.upsertAccount({ ...POCKETS_ACCOUNT, institutionName: 'Revolut', iban: null, balance: 0 });
+});
+const revolutImport = require('../backend/revolut-import');
+
+const ACCOUNT = { id: 'TEST_REVOLUT', name: 'Revolut', currency: 'EUR' };
+const POCKETS_ACCOUNT = { id: 'TEST_POCKETS', name: 'Revolut', currency: 'EUR' };
+const SAMPLE = [
+    'Type,Product,Started Date,Completed Date,Description,Amount,Fee,Currency,State,Balance',
+    'TRANSFER,Current,2025-03-01 09:00:00,2025-03-01 09:00:01,To EUR Savings,-100.00,0.00,EUR,COMPLETED,400.00',
+    'TRANSFER,Savings,2025-03-01 09:00:00,2025-03-01 09:00:01,From EUR Current,100.00,0.00,EUR,COMPLETED,100.00',
+    'EXCHANGE,Current,2025-03-02 10:00:00,2025-03-02 10:00:01,Exchanged to USD,-50.00,0.00,EUR,COMPLETED,350.00',
+    'EXCHANGE,Current,2025-03-02 10:00:00,2025-03-02 10:00:01,Exchanged from EUR,54.00,0.00,USD,COMPLETED,54.00',
+    'TOPUP,Current,2025-03-03 11:00:00,2025-03-03 11:00:01,Top-up by card,30.00,0.00,EUR,COMPLETED,380.00',
+    'CARD_REFUND,Savings,2025-03-03 11:00:00,2025-03-03 11:00:01,Refund,-30.00,0.00,EUR,COMPLETED,70.00'
+].join('\n');
+
+test('marks only transfers between own pockets as internal, not currency exchanges', async () => {
+    const { transactions } = await revolutImport.processCsvForImport(SAMPLE, ACCOUNT, { createSubAccounts: true });
+
+    assert.deepEqual(
+        transactions.map(tx => [tx.description, tx.isInternalTransfer]),
+        [
+            ['To EUR Savings', true],
+            ['From EUR Current', true],
+            ['Exchanged to USD', false],
+            ['Exchanged from EUR', false],
+            ['Top-up by card', false],
+            ['Refund', false]
+        ]
+    );
+});
+
+test('gives sub-accounts the running balance of their last completed row', async () => {
+    await revolutImport.processCsvForImport(SAMPLE, POCKETS_ACCOUNT, { createSubAccounts: true });
+
+    assert.equal((await database.getAccountById('TEST_POCKETS_SAVINGS_EUR')).balance, 70);
+    assert.equal((await database.getAccountById('TEST_POCKETS_CURRENT_USD')).balance, 54);
+
+    // A later export updates the balance, an export older than the imported transactions doesn't
+    const header = SAMPLE.split('\n')[0];
+    const later = [header, 'TRANSFER,Savings,2025-03-10 09:00:00,2025-03-10 09:00:01,From EUR Current,25.00,0.00,EUR,COMPLETED,95.00'].join('\n');
+    const older = [header, 'TRANSFER,Savings,2025-02-10 09:00:00,2025-02-10 09:00:01,From EUR Current,10.00,0.00,EUR,COMPLETED,10.00'].join('\n');
+
+    const { transactions } = await revolutImport.processCsvForImport(later, POCKETS_ACCOUNT, {});
+    await database.importTransactionsBatch(transactions);
+    assert.equal((await database.getAccountById('TEST_POCKETS_SAVINGS_EUR')).balance, 95);
+
+    await revolutImport.processCsvForImport(older, POCKETS_ACCOUNT, {});
+    assert.equal((await database.getAccountById('TEST_POCKETS_SAVINGS_EUR')).balance, 95);
+});
+
+test('sums the completed rows of a new sub-account when the file has no balance column', async () => {
+    const csv = [
+        'Type,Product,Started Date,Completed Date,Description,Amount,Fee,Currency,State',
+        'TRANSFER,Savings,2025-04-01 09:00:00,2025-04-01 09:00:01,From GBP Current,200.00,0.00,GBP,COMPLETED',
+        'TRANSFER,Savings,2025-04-02 09:00:00,2025-04-02 09:00:01,To GBP Current,-50.00,1.00,GBP,COMPLETED',
+        'TRANSFER,Savings,2025-04-03 09:00:00,,To GBP Current,-20.00,0.00,GBP,PENDING'
+    ].join('\n');
+
+    await revolutImport.processCsvForImport(csv, POCKETS_ACCOUNT, { createSubAccounts: true });
+
+    assert.equal((await database.getAccountById('TEST_POCKETS_SAVINGS_GBP')).balance, 149);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase(async () => {
+    await database.upsertAccount({ ...ACCOUNT, institutionName: 'Revolut', iban: null, balance: 0 });
+});
+const revolutImport = require('../backend/revolut-import');
+
+const ACCOUNT = { id: 'TEST_REVOLUT', name: 'Revolut', currency: 'EUR' };
+const HEADER = 'Type,Product,Started Date,Completed Date,Description,Amount,Fee,Currency,State,Balance';
+const PENDING_CSV = `${HEADER}\nCARD_PAYMENT,Current,2025-03-01 10:15:00,,Lidl,-20.00,0.00,EUR,PENDING,`;
+const COMPLETED_CSV = `${HEADER}\nCARD_PAYMENT,Current,2025-03-01 10:15:00,2025-03-03 08:00:00,Lidl,-20.50,0.00,EUR,COMPLETED,479.50`;
+
+async function importFile(csvContent) {
+    const { transactions } = await revolutImport.processCsvForImport(csvContent, ACCOUNT);
+    const batchId = await database.createImportBatch({ source: 'revolut', accountId: ACCOUNT.id });
+    transactions.forEach(tx => { tx.importBatchId = batchId; });
+    await database.importTransactionsBatch(transactions);
+    return { batchId, transactions };
+}
+
+test('rolling back the completed row brings its pending version back and allows a re-import', async () => {
+    const pending = await importFile(PENDING_CSV);
+    const pendingId = pending.transactions[0].id;
+    const [first, second] = await database.getAllCategories();
+    await database.updateTransactionCategory(pendingId, first.id);
+    await database.setTransactionSplits(pendingId, [
+        { amount: -15, categoryId: first.id },
+        { amount: -5, categoryId: second.id }
+    ]);
+
+    const completed = await importFile(COMPLETED_CSV);
+    const completedId = completed.transactions[0].id;
+    assert.equal(await database.getTransactionById(pendingId), undefined);
+    assert.equal((await database.getTransactionById(completedId)).category_manual, 1);
+
+    const result = await database.rollbackImportBatch(completed.batchId);
+    assert.deepEqual(result, { deleted: 1, restored: 1 });
+    assert.equal(await database.getTransactionById(completedId), undefined);
+
+    const restored = await database.getTransactionById(pendingId);
+    assert.equal(restored.status, 'pending');
+    assert.equal(restored.amount, -20);
+    assert.equal(restored.category_id, first.id);
+    assert.deepEqual((await database.getTransactionSplits(pendingId)).map(split => split.amount), [-15, -5]);
+
+    const reimported = await importFile(COMPLETED_CSV);
+    assert.equal(reimported.transactions[0].id, completedId);
+    const booked = await database.getTransactionById(completedId);
+    assert.equal(booked.status, 'booked');
+    assert.equal(booked.category_id, first.id);
+    assert.equal(await database.getTransactionById(pendingId), undefined);
+});
+
+test('rolling back the pending import removes the row for good', async () => {
+    const csv = PENDING_CSV.replace('Lidl', 'Kaufland');
+    const pending = await importFile(csv);
+
+    await database.rollbackImportBatch(pending.batchId);
+    assert.equal(await database.getTransactionById(pending.transactions[0].id), undefined);
+
+    const completed = await importFile(COMPLETED_CSV.replace('Lidl', 'Kaufland'));
+    assert.equal((await database.getTransactionById(completed.transactions[0].id)).status, 'booked');
+});
+
+test('skips the pending row of an older export when the completed row is already imported', async () => {
+    const completedCsv = COMPLETED_CSV.replace('Lidl', 'Billa').replace('-20.50', '-20.00');
+    const completed = await importFile(completedCsv);
+
+    const { transactions, warnings } = await revolutImport.processCsvForImport(PENDING_CSV.replace('Lidl', 'Billa'), ACCOUNT);
+    assert.deepEqual(transactions, []);
+    assert.deepEqual(warnings, ['1 чакащи транзакции са пропуснати - вече са импортирани като завършени']);
+    assert.equal((await database.getTransactionById(completed.transactions[0].id)).status, 'booked');
+});
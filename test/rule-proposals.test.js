@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const ruleProposals = require('../backend/rule-proposals');
+
+let sequence = 0;
+
+async function importPayment(counterpartyName, categoryId = null) {
+    const id = `CASH_${++sequence}`;
+    await database.upsertTransaction({
+        id,
+        accountId: 'CASH',
+        transactionDate: '2025-05-02',
+        bookingDate: '2025-05-02',
+        amount: -12,
+        currency: 'EUR',
+        description: 'Card payment',
+        counterpartyName
+    });
+    // Category chosen by hand
+    if (categoryId) await database.updateTransactionCategory(id, categoryId);
+    return id;
+}
+
+async function findCategory(name) {
+    return (await database.getAllCategories()).find(category => category.name === name);
+}
+
+test('splits counterparty names into words without numbers', () => {
+    assert.deepEqual(ruleProposals.getKeywords('Pulse Fitness 0042 Sofia, BG'), ['PULSE', 'FITNESS', 'SOFIA']);
+});
+
+test('proposes rules from repeated manual categorizations', async () => {
+    const health = await findCategory('Здраве');
+    const food = await findCategory('Храна и напитки');
+    const transport = await findCategory('Транспорт');
+
+    for (let i = 0; i < 3; i++) await importPayment('PULSE FITNESS SOFIA', health.id);
+    await importPayment('PULSE FITNESS MLADOST');
+
+    // Fuel station cafe categorized as food, against the default fuel rule
+    for (let i = 0; i < 3; i++) await importPayment('SHELL CAFE', food.id);
+
+    // Not the same category often enough
+    for (let i = 0; i < 3; i++) await importPayment('BOLT', transport.id);
+    await importPayment('BOLT', food.id);
+
+    // Too few manual categorizations
+    for (let i = 0; i < 2; i++) await importPayment('YOGA STUDIO', health.id);
+
+    const proposals = await ruleProposals.getRuleProposals();
+    assert.deepEqual(
+        proposals.map(proposal => [proposal.value, proposal.categoryId, proposal.manualCount, proposal.fixes, proposal.priority]),
+        [
+            // The longest word of the same transactions, it also categorizes the uncategorized one
+            ['FITNESS', health.id, 3, 1, 5],
+            // Overrides the default rule for fuel stations, up to the highest priority
+            ['SHELL', food.id, 3, 0, 10]
+        ]
+    );
+    assert.deepEqual(proposals[0].examples, ['PULSE FITNESS SOFIA']);
+
+    await ruleProposals.dismissRuleProposal('fitness', health.id);
+    const values = (await ruleProposals.getRuleProposals()).map(proposal => proposal.value);
+    assert.deepEqual(values, ['PULSE', 'SHELL']);
+});
+
+test('does not propose what an active rule already does', async () => {
+    const health = await findCategory('Здраве');
+    await database.createCategorizationRule({
+        categoryId: health.id,
+        priority: 5,
+        conditions: [{ field: 'counterparty', operator: 'contains', value: 'PULSE' }]
+    });
+
+    const values = (await ruleProposals.getRuleProposals()).map(proposal => proposal.value);
+    assert.deepEqual(values, ['SHELL']);
+});
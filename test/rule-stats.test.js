@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDatabase } = require('./helpers/scratch-database');
+
+const database = useScratchDatabase();
+const categorization = require('../backend/categorization');
+
+async function importPayment(id, rules) {
+    const transaction = {
+        id,
+        accountId: 'CASH',
+        transactionDate: '2025-05-02',
+        bookingDate: '2025-05-02',
+        amount: -35,
+        currency: 'EUR',
+        description: 'Monthly fee',
+        counterpartyName: 'PULSE FITNESS'
+    };
+    await categorization.applyRuleActions(transaction, rules);
+    await database.upsertTransaction(transaction);
+}
+
+test('counts rule hits and flags stale and fully shadowed rules', async () => {
+    const [sport, other] = await database.getAllCategories();
+    const broad = await database.createCategorizationRule({
+        categoryId: sport.id,
+        priority: 900,
+        conditions: [{ field: 'counterparty', operator: 'contains', value: 'PULSE' }]
+    });
+    const narrow = await database.createCategorizationRule({
+        categoryId: other.id,
+        priority: 800,
+        conditions: [{ field: 'counterparty', operator: 'contains', value: 'PULSE FITNESS' }]
+    });
+    const stale = await database.createCategorizationRule({
+        categoryId: other.id,
+        priority: 700,
+        conditions: [{ field: 'counterparty', operator: 'contains', value: 'NO SUCH SHOP' }]
+    });
+
+    const rules = await categorization.getActiveRules();
+    await importPayment('CASH_GYM_MAY', rules);
+    await importPayment('CASH_GYM_JUNE', rules);
+    // Importing the same transaction again is not a new hit
+    await importPayment('CASH_GYM_JUNE', rules);
+
+    // A category chosen by hand no longer counts for the rule
+    await database.updateTransactionCategory('CASH_GYM_JUNE', other.id);
+
+    const stats = new Map((await categorization.getRuleStats()).map(stat => [stat.ruleId, stat]));
+
+    const broadStats = stats.get(broad);
+    assert.equal(broadStats.hitCount, 2);
+    assert.ok(broadStats.lastMatchedAt);
+    assert.equal(broadStats.categorizedCount, 1);
+    assert.deepEqual([broadStats.matching, broadStats.winning, broadStats.fullyShadowed], [2, 2, false]);
+
+    const narrowStats = stats.get(narrow);
+    assert.equal(narrowStats.hitCount, 0);
+    assert.deepEqual([narrowStats.matching, narrowStats.winning, narrowStats.fullyShadowed], [2, 0, true]);
+    assert.deepEqual(narrowStats.shadowedBy, [broad]);
+
+    const staleStats = stats.get(stale);
+    assert.deepEqual([staleStats.hitCount, staleStats.lastMatchedAt, staleStats.matching, staleStats.fullyShadowed], [0, null, 0, false]);
+});